@@ -1,10 +1,11 @@
-import { app, BrowserWindow, shell, dialog, ipcMain, globalShortcut, protocol, net, Menu, nativeImage } from 'electron';
+import { app, BrowserWindow, shell, dialog, ipcMain, globalShortcut, protocol, net, Menu, nativeImage, clipboard } from 'electron';
 import { join, dirname, relative, basename } from 'path';
 import fs from 'fs';
+import { createHash } from 'crypto';
 import { fileURLToPath, pathToFileURL } from 'url';
 import electronUpdater from 'electron-updater';
 import log from 'electron-log';
-import { PDFDocument } from 'pdf-lib';
+import { PDFDocument, cmyk } from 'pdf-lib';
 const { autoUpdater } = electronUpdater;
 
 // Register custom protocol early
@@ -213,6 +214,69 @@ app.whenReady().then(() => {
         return { assets: results, path: filePaths[0] }; // Return assets and the path of the first chosen file
     });
 
+    // Image files under a folder chosen by the user, to relink missing files. Only paths
+    // are listed: the renderer hashes the few candidates it needs. The walk is asynchronous
+    // and capped, so a huge root (home folder, network share) neither freezes the app nor
+    // runs for ever.
+    const MAX_SCAN_FILES = 20000;
+    const MAX_SCAN_DIRECTORIES = 5000;
+    ipcMain.handle('dialog:scanFolder', async () => {
+        const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openDirectory']
+        });
+        if (canceled || filePaths.length === 0) return null;
+
+        const root = filePaths[0];
+        const files = [];
+        const pending = [root];
+        let directories = 0;
+        while (pending.length > 0) {
+            if (files.length >= MAX_SCAN_FILES || directories >= MAX_SCAN_DIRECTORIES) {
+                return { root, files, truncated: true };
+            }
+            const dir = pending.shift();
+            directories++;
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (err) {
+                console.warn(`Cannot read ${dir}:`, err.message);
+                continue;
+            }
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+                const fullPath = join(dir, entry.name);
+                // Symbolic links are not followed, so a link loop cannot hang the scan
+                if (entry.isDirectory()) {
+                    pending.push(fullPath);
+                } else if (entry.isFile()) {
+                    const ext = entry.name.split('.').pop().toLowerCase();
+                    if (!['jpg', 'png', 'gif', 'webp', 'jpeg'].includes(ext)) continue;
+                    files.push({
+                        name: entry.name,
+                        path: relative(root, fullPath).replace(/\\/g, '/'),
+                        absolutePath: fullPath
+                    });
+                }
+            }
+        }
+        return { root, files, truncated: false };
+    });
+
+    // SHA-256 of local files, as computed by hashContent in AssetManager.js
+    ipcMain.handle('file:hash', async (event, filePaths) => {
+        const hashes = {};
+        await Promise.all(filePaths.map(async filePath => {
+            try {
+                const content = await fs.promises.readFile(filePath);
+                hashes[filePath] = createHash('sha256').update(content).digest('hex');
+            } catch (err) {
+                hashes[filePath] = null;
+            }
+        }));
+        return hashes;
+    });
+
     ipcMain.handle('app:open-external', async (event, url) => {
         try {
             await shell.openExternal(url);
@@ -250,6 +314,58 @@ app.whenReady().then(() => {
         }
     });
 
+    // Image files copied in the file manager, in the same shape as dialog:openAssets.
+    // Files over the import size limit are left out without being read.
+    const MAX_CLIPBOARD_FILE_BYTES = 50 * 1024 * 1024; // MAX_FILE_SIZE_MB in src/js/core/constants.js
+    ipcMain.handle('clipboard:read-files', async () => {
+        let filePaths = [];
+        try {
+            if (process.platform === 'win32') {
+                // FileNameW holds one NUL-terminated UTF-16 path: only the first of several
+                // copied files is pasted, as Electron cannot read the CF_HDROP format itself
+                filePaths = clipboard.readBuffer('FileNameW').toString('ucs2').split('\0');
+            } else if (process.platform === 'darwin') {
+                filePaths = [clipboard.read('public.file-url')];
+            } else {
+                filePaths = (clipboard.read('text/uri-list') || clipboard.read('x-special/gnome-copied-files')).split(/\r?\n/);
+            }
+        } catch (err) {
+            console.error('Clipboard read error:', err);
+            return [];
+        }
+
+        const imagePaths = filePaths
+            .map(p => p.trim())
+            .filter(p => p && p !== 'copy' && p !== 'cut')
+            .map(p => (p.startsWith('file://') ? fileURLToPath(p) : p))
+            .filter(p => ['jpg', 'png', 'gif', 'webp', 'jpeg'].includes(p.split('.').pop().toLowerCase()));
+
+        const files = await Promise.all(imagePaths.map(async p => {
+            try {
+                const stats = await fs.promises.stat(p);
+                if (!stats.isFile()) return null;
+                if (stats.size > MAX_CLIPBOARD_FILE_BYTES) {
+                    console.warn(`Not pasting ${p}: larger than ${MAX_CLIPBOARD_FILE_BYTES / 1024 / 1024}MB`);
+                    return null;
+                }
+                const content = await fs.promises.readFile(p);
+                const name = basename(p);
+                const ext = name.split('.').pop().toLowerCase();
+                return {
+                    name,
+                    path: name,
+                    absolutePath: p,
+                    type: 'image',
+                    data: `data:image/${ext === 'jpg' ? 'jpeg' : ext};base64,${content.toString('base64')}`
+                };
+            } catch (err) {
+                console.warn(`Cannot read ${p}:`, err.message);
+                return null;
+            }
+        }));
+        return files.filter(Boolean);
+    });
+
     // Handle File Read
     ipcMain.handle('file:read', async (event, filePath) => {
         try {
@@ -449,6 +565,97 @@ app.whenReady().then(() => {
         return out;
     }
 
+    /**
+     * Scale every page of a PDF to an exact physical size.
+     *
+     * Pages are rendered at the export's pixel size (physical size x DPI), which
+     * printToPDF lays out at 96 CSS px per inch. Scaling the page and its content
+     * to the requested size in points keeps the embedded image resolution while
+     * giving the PDF its real-world dimensions.
+     *
+     * @param {Array} pages - pdf-lib PDFPage instances
+     * @param {number} widthPt - Target page width in points
+     * @param {number} heightPt - Target page height in points
+     */
+    function fitPdfPagesToSize(pages, widthPt, heightPt) {
+        if (!widthPt || !heightPt) return;
+        pages.forEach(page => {
+            const { width, height } = page.getSize();
+            if (!width || !height) return;
+            page.scale(widthPt / width, heightPt / height);
+        });
+    }
+
+    // Printer's marks geometry, in points
+    const CROP_MARK_GAP = 3; // Distance between the bleed edge and the start of a mark
+    const CROP_MARK_LENGTH = 18;
+    const CROP_MARK_SLUG = CROP_MARK_GAP + CROP_MARK_LENGTH + 3; // Extra media around the bleed
+    const REGISTRATION_RADIUS = 5;
+
+    /**
+     * Sets the print boxes on pages that were fitted to trim size plus bleed,
+     * and optionally draws crop and registration marks in a slug around the bleed.
+     *
+     * The page content stays where it is: the bleed box is the fitted page and the
+     * media box is grown into negative coordinates to make room for the marks.
+     *
+     * @param {Array} pages - pdf-lib PDFPage instances
+     * @param {number} bleedPt - Bleed on each side, in points
+     * @param {boolean} cropMarks - Whether to draw crop and registration marks
+     */
+    function applyPrintBoxes(pages, bleedPt, cropMarks) {
+        const bleed = bleedPt || 0;
+        const slug = cropMarks ? CROP_MARK_SLUG : 0;
+        const markColor = cmyk(1, 1, 1, 1); // Registration: prints on every plate
+
+        pages.forEach(page => {
+            const { width, height } = page.getSize();
+            const trimW = width - 2 * bleed;
+            const trimH = height - 2 * bleed;
+            if (trimW <= 0 || trimH <= 0) return;
+
+            page.setMediaBox(-slug, -slug, width + 2 * slug, height + 2 * slug);
+            page.setCropBox(-slug, -slug, width + 2 * slug, height + 2 * slug);
+            page.setBleedBox(0, 0, width, height);
+            page.setTrimBox(bleed, bleed, trimW, trimH);
+
+            if (!cropMarks) return;
+
+            const line = (x1, y1, x2, y2) => page.drawLine({
+                start: { x: x1, y: y1 },
+                end: { x: x2, y: y2 },
+                thickness: 0.25,
+                color: markColor
+            });
+
+            // Crop marks: two short lines per corner, aligned with the trim edges
+            const xs = [{ x: bleed, dir: -1 }, { x: bleed + trimW, dir: 1 }];
+            const ys = [{ y: bleed, dir: -1 }, { y: bleed + trimH, dir: 1 }];
+            xs.forEach(({ x, dir: dx }) => {
+                ys.forEach(({ y, dir: dy }) => {
+                    const edgeX = dx < 0 ? 0 : width;
+                    const edgeY = dy < 0 ? 0 : height;
+                    line(edgeX + dx * CROP_MARK_GAP, y, edgeX + dx * (CROP_MARK_GAP + CROP_MARK_LENGTH), y);
+                    line(x, edgeY + dy * CROP_MARK_GAP, x, edgeY + dy * (CROP_MARK_GAP + CROP_MARK_LENGTH));
+                });
+            });
+
+            // Registration marks centered on each side of the slug
+            const offset = CROP_MARK_GAP + CROP_MARK_LENGTH / 2;
+            const centers = [
+                { x: width / 2, y: -offset },
+                { x: width / 2, y: height + offset },
+                { x: -offset, y: height / 2 },
+                { x: width + offset, y: height / 2 }
+            ];
+            centers.forEach(({ x, y }) => {
+                page.drawCircle({ x, y, size: REGISTRATION_RADIUS, borderColor: markColor, borderWidth: 0.25 });
+                line(x - CROP_MARK_LENGTH / 2, y, x + CROP_MARK_LENGTH / 2, y);
+                line(x, y - CROP_MARK_LENGTH / 2, x, y + CROP_MARK_LENGTH / 2);
+            });
+        });
+    }
+
     async function getExportWindow() {
         if (exportWin && !exportWin.isDestroyed() && exportWinReady) {
             return exportWin;
@@ -575,7 +782,7 @@ app.whenReady().then(() => {
      * and capture the result.
      * Used for image export and as a building block for PDF.
      */
-    async function renderAndCapture({ pageLayout, pageLayouts, width, height, format, settings, assets, pageNumber }) {
+    async function renderAndCapture({ pageLayout, pageLayouts, width, height, bleed, format, settings, masters, assets, pageNumber }) {
         const win = await getExportWindow();
         const requestId = Math.random().toString(36).substring(2, 10);
 
@@ -593,7 +800,9 @@ app.whenReady().then(() => {
             pageLayouts,
             width,
             height,
+            bleed,
             settings,
+            masters,
             assets,
             pageNumber
         });
@@ -633,6 +842,15 @@ app.whenReady().then(() => {
             const targetMax = Math.max(options.width || 0, options.height || 0);
             const downsampledAssets = await downsampleAssetsForExport(options.assets, targetMax);
             const result = await renderAndCapture({ ...options, assets: downsampledAssets });
+
+            // Physical page sizes: resize the PDF pages to the requested size in points
+            if (options.format === 'pdf' && options.pageWidthPt && options.pageHeightPt) {
+                const doc = await PDFDocument.load(result.data, { ignoreEncryption: true });
+                const bleedPt = options.bleedPt || 0;
+                fitPdfPagesToSize(doc.getPages(), options.pageWidthPt + 2 * bleedPt, options.pageHeightPt + 2 * bleedPt);
+                applyPrintBoxes(doc.getPages(), bleedPt, options.cropMarks);
+                result.data = Buffer.from(await doc.save({ useObjectStreams: true }));
+            }
             return result;
         } catch (err) {
             console.error('Export error (main):', err);
@@ -652,15 +870,27 @@ app.whenReady().then(() => {
             throw new Error('Application is closing, export cancelled.');
         }
 
-        const { pageLayouts, width, height, settings, assets } = options;
+        const { pageLayouts, pageSizes, settings, masters, assets } = options;
         if (!Array.isArray(pageLayouts) || pageLayouts.length === 0) {
             throw new Error('pageLayouts is required');
         }
 
+        // Pages may have their own size; the top-level options are the default
+        const documentSize = {
+            width: options.width,
+            height: options.height,
+            pageWidthPt: options.pageWidthPt,
+            pageHeightPt: options.pageHeightPt,
+            bleed: options.bleed,
+            bleedPt: options.bleedPt || 0,
+            cropMarks: options.cropMarks
+        };
+        const sizes = pageLayouts.map((_, i) => ({ ...documentSize, ...(pageSizes && pageSizes[i]) }));
+
         // Downsample assets ONCE for the whole job, then reuse across pages.
         // The export-window asset cache (signature-based) ensures we don't
         // re-hydrate them between pages either.
-        const targetMax = Math.max(width || 0, height || 0);
+        const targetMax = Math.max(0, ...sizes.map(size => Math.max(size.width || 0, size.height || 0)));
         const downsampledAssets = await downsampleAssetsForExport(assets, targetMax);
 
         const merged = await PDFDocument.create();
@@ -675,12 +905,15 @@ app.whenReady().then(() => {
                 });
             }
 
+            const { width, height, pageWidthPt, pageHeightPt, bleed, bleedPt = 0, cropMarks } = sizes[i];
             const { data, links } = await renderAndCapture({
                 pageLayout: pageLayouts[i],
                 width,
                 height,
+                bleed,
                 format: 'pdf',
                 settings,
+                masters,
                 assets: downsampledAssets,
                 pageNumber: i + 1
             });
@@ -690,6 +923,10 @@ app.whenReady().then(() => {
             // Load the single-page PDF and copy its page into the merged doc
             const single = await PDFDocument.load(data, { ignoreEncryption: true });
             const copiedPages = await merged.copyPages(single, single.getPageIndices());
+            if (pageWidthPt && pageHeightPt) {
+                fitPdfPagesToSize(copiedPages, pageWidthPt + 2 * bleedPt, pageHeightPt + 2 * bleedPt);
+                applyPrintBoxes(copiedPages, bleedPt, cropMarks);
+            }
             copiedPages.forEach(p => merged.addPage(p));
         }
 
@@ -4,6 +4,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     isElectron: true,
     platform: process.platform,
     openAssets: (options) => ipcRenderer.invoke('dialog:openAssets', options),
+    scanFolder: () => ipcRenderer.invoke('dialog:scanFolder'),
+    hashFiles: (paths) => ipcRenderer.invoke('file:hash', paths),
     openExternal: (url) => ipcRenderer.invoke('app:open-external', url),
     onLongSplit: (callback) => ipcRenderer.on('shortcut:long-split', () => callback()),
     onNewPage: (callback) => ipcRenderer.on('shortcut:new-page', () => callback()),
@@ -15,6 +17,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     saveBinaryFile: (data, path) => ipcRenderer.invoke('file:save-binary', { data, path }),
     saveFileDialog: (data) => ipcRenderer.invoke('file:save-dialog', data),
     readFile: (path) => ipcRenderer.invoke('file:read', path),
+    readClipboardFiles: () => ipcRenderer.invoke('clipboard:read-files'),
     updateDirtyStatus: (isDirty, path) => ipcRenderer.send('update-dirty-status', isDirty, path),
     onOpenFile: (callback) => ipcRenderer.on('file:open', (event, path) => callback(path)),
     onRequestClose: (callback) => ipcRenderer.on('app:request-close', () => callback()),
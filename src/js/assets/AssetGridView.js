@@ -1,10 +1,17 @@
 import { assetManager } from './AssetManager.js';
 import { dragDropService } from '../ui/DragDropService.js';
+import { queryAssets, ASSET_LABELS } from './assetQuery.js';
 
 export class AssetGridView {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.lazyObserver = null;
+        /** @type {import('./assetQuery.js').AssetQuery|null} */
+        this.query = null;
+        /** @type {Set<string>} Selected asset ids, shared with the list view */
+        this.selection = new Set();
+        /** @type {function(): Map<string, Object[]>} Placements of each used asset, see buildUsageIndex */
+        this.getUsageIndex = () => new Map();
         this.setupObserver();
     }
 
@@ -22,7 +29,8 @@ export class AssetGridView {
     refresh() {
         if (!this.container) return;
         this.container.innerHTML = '';
-        assetManager.getAssets().forEach(asset => this.appendAsset(asset));
+        this.usage = this.getUsageIndex();
+        queryAssets(assetManager.getAssets(), this.query, this.usage).forEach(asset => this.appendAsset(asset));
     }
 
     appendAsset(asset) {
@@ -30,11 +38,12 @@ export class AssetGridView {
 
         const item = document.createElement('div');
         item.className = 'asset-item lazy skeleton';
+        item.classList.toggle('is-selected', this.selection.has(asset.id));
         item.dataset.id = asset.id;
-        item.title = asset.name;
+        item.title = describeAsset(asset);
 
         item.addEventListener('pointerdown', (e) => {
-            if (e.target.closest('.remove')) return;
+            if (e.target.closest('.remove, .asset-usage-btn')) return;
             if (e.button !== 0 && e.pointerType === 'mouse') return;
             dragDropService.startDrag({
                 asset: asset.type === 'image' ? asset : undefined,
@@ -77,6 +86,10 @@ export class AssetGridView {
             }
         }
 
+        const badges = createAssetBadges(asset);
+        if (badges) element.appendChild(badges);
+        setUsageBadge(element, asset.id, this.usage?.get(asset.id)?.length || 0);
+
         const actions = document.createElement('div');
         actions.className = 'asset-actions';
 
@@ -99,3 +112,71 @@ export class AssetGridView {
         element.appendChild(actions);
     }
 }
+
+/**
+ * Colour label dot and star rating of an asset
+ * @param {import('./AssetManager.js').Asset} asset
+ * @returns {HTMLElement|null} null when it has neither
+ */
+export function createAssetBadges(asset) {
+    const label = ASSET_LABELS[asset.label];
+    if (!label && !(asset.rating > 0)) return null;
+
+    const badges = document.createElement('span');
+    badges.className = 'asset-badges';
+    if (label) {
+        const dot = document.createElement('span');
+        dot.className = 'asset-label-dot';
+        dot.style.backgroundColor = label.color;
+        dot.title = label.label;
+        badges.appendChild(dot);
+    }
+    if (asset.rating > 0) {
+        const stars = document.createElement('span');
+        stars.className = 'asset-rating';
+        stars.textContent = '★'.repeat(asset.rating);
+        badges.appendChild(stars);
+    }
+    return badges;
+}
+
+/**
+ * Shows how many times an asset is placed, as a button revealing the placements
+ * @param {HTMLElement} host - Grid item or list row
+ * @param {string} assetId
+ * @param {number} count - The badge is removed at 0
+ */
+export function setUsageBadge(host, assetId, count) {
+    let badge = host.querySelector(':scope > .asset-usage-btn');
+    if (count === 0) {
+        badge?.remove();
+        return;
+    }
+    if (!badge) {
+        badge = document.createElement('button');
+        badge.className = 'asset-usage-btn';
+        badge.dataset.id = assetId;
+        const actions = host.querySelector(':scope > .asset-actions, :scope > .list-actions');
+        host.insertBefore(badge, actions);
+    }
+    badge.textContent = `${count}`;
+    badge.title = `Used ${count} time${count > 1 ? 's' : ''}. Click to show where`;
+}
+
+/**
+ * Tooltip text: the name, plus capture details and tags when known
+ * @param {import('./AssetManager.js').Asset} asset
+ * @returns {string}
+ */
+export function describeAsset(asset) {
+    const meta = asset.metadata;
+    const tags = asset.tags?.length ? `\nTags: ${asset.tags.join(', ')}` : '';
+    if (!meta) return asset.name + tags;
+    const details = [
+        meta.capturedAt ? meta.capturedAt.replace('T', ' ') : null,
+        meta.camera,
+        meta.width && meta.height ? `${meta.width} x ${meta.height} px` : null,
+        meta.hasGps ? 'GPS' : null
+    ].filter(Boolean);
+    return (details.length ? `${asset.name}\n${details.join(' · ')}` : asset.name) + tags;
+}
@@ -1,19 +1,29 @@
 import { assetManager } from './AssetManager.js';
 import { dragDropService } from '../ui/DragDropService.js';
 import { showConfirm } from '../core/utils.js';
+import { queryAssets } from './assetQuery.js';
+import { describeAsset, createAssetBadges, setUsageBadge } from './AssetGridView.js';
 
 export class AssetListView {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.collapsedFolders = new Set();
         this.onFolderDelete = null; // Callback for assets.js to handle full page updates
+        /** @type {import('./assetQuery.js').AssetQuery|null} */
+        this.query = null;
+        /** @type {Set<string>} Selected asset ids, shared with the grid view */
+        this.selection = new Set();
+        this.onFolderAutoLayout = null; // Callback for assets.js to open the auto layout dialog
+        /** @type {function(): Map<string, Object[]>} Placements of each used asset, see buildUsageIndex */
+        this.getUsageIndex = () => new Map();
     }
 
     refresh() {
         if (!this.container) return;
         this.container.innerHTML = '';
 
-        const assets = assetManager.getAssets();
+        this.usage = this.getUsageIndex();
+        const assets = queryAssets(assetManager.getAssets(), this.query, this.usage);
         const tree = { __files: [], __folders: {} };
 
         assets.forEach(asset => {
@@ -52,6 +62,9 @@ export class AssetListView {
                 </span>
                 <span class="list-text" title="${fullPath}">${folderName}</span>
                 <div class="list-actions">
+                     <button class="asset-action-btn folder-auto-layout" data-path="${fullPath}" title="Auto Layout Folder">
+                        <span class="icon icon-layout"></span>
+                    </button>
                      <button class="asset-action-btn folder-remove" data-path="${fullPath}" title="Delete Folder">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                             <path d="M16 12H8M12 21C16.9706 21 21 16.9706 21 12C21 7.02944 16.9706 3 12 3C7.02944 3 3 7.02944 3 12C3 16.9706 7.02944 21 12 21Z"/>
@@ -66,6 +79,10 @@ export class AssetListView {
                     this.handleDeleteFolder(fullPath);
                     return;
                 }
+                if (e.target.closest('.folder-auto-layout')) {
+                    this.handleFolderAutoLayout(fullPath);
+                    return;
+                }
 
                 if (this.collapsedFolders.has(fullPath)) {
                     this.collapsedFolders.delete(fullPath);
@@ -81,9 +98,14 @@ export class AssetListView {
             }
         });
 
-        node.__files.sort((a, b) => a.name.localeCompare(b.name)).forEach(({ name, asset }) => {
+        // Capture date orders are kept as queried, otherwise files are listed by name
+        const byDate = this.query?.sort === 'newest' || this.query?.sort === 'oldest';
+        const files = byDate ? node.__files : node.__files.sort((a, b) => a.name.localeCompare(b.name));
+        files.forEach(({ name, asset }) => {
             const fileEl = document.createElement('div');
             fileEl.className = `list-item is-file ${asset.isBroken ? 'is-broken' : ''}`;
+            fileEl.classList.toggle('is-selected', this.selection.has(asset.id));
+            fileEl.dataset.id = asset.id;
             fileEl.style.setProperty('--level', level);
 
             let icon = asset.type === 'text' ? '📄' : '🖼️';
@@ -94,7 +116,7 @@ export class AssetListView {
 
             fileEl.innerHTML = `
                 <span class="list-icon">${icon}</span>
-                <span class="list-text" title="${name}">${name}</span>
+                <span class="list-text">${name}</span>
                 <div class="list-actions no-fade">
                     ${asset.type !== 'text' ? `
                     <button class="asset-action-btn replace small" data-id="${asset.id}" title="Replace">
@@ -107,8 +129,15 @@ export class AssetListView {
                 </div>
             `;
 
+            // Set through the DOM: tags are typed by the user
+            const textEl = fileEl.querySelector('.list-text');
+            textEl.title = describeAsset(asset);
+            const badges = createAssetBadges(asset);
+            if (badges) textEl.after(badges);
+            setUsageBadge(fileEl, asset.id, this.usage.get(asset.id)?.length || 0);
+
             fileEl.addEventListener('pointerdown', (e) => {
-                if (e.target.closest('.remove')) return;
+                if (e.target.closest('.remove, .asset-usage-btn')) return;
                 if (e.button !== 0 && e.pointerType === 'mouse') return;
                 dragDropService.startDrag({
                     asset: asset.type === 'image' ? asset : undefined,
@@ -120,6 +149,14 @@ export class AssetListView {
         });
     }
 
+    handleFolderAutoLayout(path) {
+        const prefix = `${path}/`;
+        const assetIds = queryAssets(assetManager.getAssets(), this.query, this.getUsageIndex())
+            .filter(a => (a.path || a.name).startsWith(prefix))
+            .map(a => a.id);
+        if (this.onFolderAutoLayout) this.onFolderAutoLayout(assetIds);
+    }
+
     async handleDeleteFolder(path) {
         const assets = assetManager.getAssets().filter(a => (a.path || a.name).startsWith(path));
         const count = assets.length;
@@ -1,5 +1,6 @@
-import { MAX_ASSET_DIMENSION, ASSET_THUMBNAIL_QUALITY, MAX_FILE_SIZE_MB } from '../core/constants.js';
+import { MAX_ASSET_DIMENSION, ASSET_THUMBNAIL_QUALITY, MAX_FILE_SIZE_MB, EXIF_SCAN_BYTES } from '../core/constants.js';
 import { getSettings } from '../ui/settings.js';
+import { readImageMetadata, swapsDimensions, bytesFromDataUrl } from './exif.js';
 
 /**
  * @typedef {Object} Asset
@@ -9,8 +10,74 @@ import { getSettings } from '../ui/settings.js';
  * @property {string} fullResData
  * @property {string} [path]
  * @property {string} type 'image' | 'text'
+ * @property {AssetMetadata} [metadata] Images only
+ * @property {string[]} [tags] Lower case, see normalizeTags in assetQuery.js
+ * @property {number} [rating] Stars, 0 to 5
+ * @property {string|null} [label] Colour label, key of ASSET_LABELS in assetQuery.js
+ * @property {string|null} [hash] SHA-256 of the file content, see hashContent
  */
 
+/**
+ * @typedef {Object} AssetMetadata
+ * @property {string|null} capturedAt - Local capture time as `YYYY-MM-DDTHH:MM:SS`
+ * @property {string|null} camera
+ * @property {boolean} hasGps
+ * @property {number} orientation - EXIF orientation of the original file
+ * @property {number} width - Pixel width as displayed (orientation applied)
+ * @property {number} height - Pixel height as displayed
+ */
+
+// JPEG APP1 segment holding a single EXIF orientation tag (6 = rotate 90° clockwise)
+const ORIENTATION_TEST_APP1 = new Uint8Array([
+    0xff, 0xe1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00
+]);
+
+let autoOrientPromise = null;
+
+/**
+ * Content hash identifying the same file imported twice, whatever its name or path.
+ * Images are hashed from their bytes, so a file and its data URL give the same hash.
+ * @param {ArrayBuffer|Uint8Array|string} content - Bytes, or text for text assets
+ * @returns {Promise<string|null>} Hex SHA-256, null where Web Crypto is unavailable (insecure origins)
+ */
+export async function hashContent(content) {
+    if (!globalThis.crypto?.subtle) return null;
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether the image decoder already applies EXIF orientation (recent Chromium does,
+ * and `imageOrientation: 'none'` is no longer honored, so it cannot be turned off).
+ * Tested once by decoding a 2x1 JPEG tagged as turned a quarter.
+ * @returns {Promise<boolean>}
+ */
+function decoderAppliesOrientation() {
+    if (!autoOrientPromise) {
+        autoOrientPromise = (async () => {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = 2;
+                canvas.height = 1;
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg'));
+                const jpeg = new Uint8Array(await blob.arrayBuffer());
+                const tagged = new Blob([jpeg.slice(0, 2), ORIENTATION_TEST_APP1, jpeg.slice(2)], { type: 'image/jpeg' });
+                const bitmap = await createImageBitmap(tagged, { imageOrientation: 'from-image' });
+                const applied = bitmap.width === 1;
+                bitmap.close();
+                return applied;
+            } catch {
+                return true;
+            }
+        })();
+    }
+    return autoOrientPromise;
+}
+
 export class AssetManager extends EventTarget {
     constructor() {
         super();
@@ -49,13 +116,24 @@ export class AssetManager extends EventTarget {
         });
 
         // Use createImageBitmap for off-main-thread decoding (Performance fix)
-        const bitmapPromise = createImageBitmap(file);
+        const bitmapPromise = createImageBitmap(file, { imageOrientation: 'from-image' });
+
+        const metadataPromise = file.slice(0, EXIF_SCAN_BYTES).arrayBuffer()
+            .then(buffer => readImageMetadata(new Uint8Array(buffer)));
+
+        const hashPromise = file.arrayBuffer().then(hashContent);
 
         try {
-            const [fullResData, bitmap] = await Promise.all([base64Promise, bitmapPromise]);
+            const results = await Promise.allSettled([base64Promise, bitmapPromise, metadataPromise, hashPromise]);
+            const failure = results.find(result => result.status === 'rejected');
+            if (failure) {
+                // _processBitmap is not reached: release the decoded image here
+                if (results[1].status === 'fulfilled') results[1].value.close();
+                throw failure.reason;
+            }
+            const [fullResData, bitmap, exif, hash] = results.map(result => result.value);
             const thumbFormat = file.type === 'image/png' || file.type === 'image/gif' || file.type === 'image/webp' ? 'png' : 'jpeg';
-            const lowResData = this._generateThumbnailFromImageSource(bitmap, thumbFormat);
-            bitmap.close(); // verified: release memory
+            const { lowResData, metadata } = await this._processBitmap(bitmap, exif, thumbFormat);
 
             return {
                 id: crypto.randomUUID(),
@@ -64,7 +142,9 @@ export class AssetManager extends EventTarget {
                 fullResData: fullResData,
                 path: path || file.name,
                 isBroken: false,
-                type: 'image'
+                type: 'image',
+                metadata,
+                hash
             };
         } catch (err) {
             throw err;
@@ -82,6 +162,7 @@ export class AssetManager extends EventTarget {
     async processRawImage(name, fullResData, type, path, absolutePath) {
         if (type !== 'image') {
             const lowResData = (type === 'text') ? fullResData.substring(0, 400) : null;
+            const hash = type === 'text' ? await hashContent(fullResData) : null;
             return {
                 id: crypto.randomUUID(),
                 name: name,
@@ -90,7 +171,8 @@ export class AssetManager extends EventTarget {
                 path: path || name,
                 absolutePath: absolutePath, // Always store if available
                 isBroken: false,
-                type: type
+                type: type,
+                hash
             };
         }
 
@@ -98,7 +180,10 @@ export class AssetManager extends EventTarget {
         const useReferences = settings.electron?.useFileReferences === true && !!absolutePath;
 
         // For Base64, we still have to load it to an image to crop/resize
-        const lowResData = await this._createThumbnailFromBase64(fullResData);
+        const [{ lowResData, metadata }, hash] = await Promise.all([
+            this._processDataUrl(fullResData),
+            hashContent(bytesFromDataUrl(fullResData))
+        ]);
 
         return {
             id: crypto.randomUUID(),
@@ -109,19 +194,74 @@ export class AssetManager extends EventTarget {
             absolutePath: absolutePath,
             isReference: useReferences,
             isBroken: false,
-            type: 'image'
+            type: 'image',
+            metadata,
+            hash
         };
     }
 
+    /**
+     * Generates the thumbnail and metadata of a decoded image, then releases it
+     * @private
+     * @param {ImageBitmap} bitmap - Decoded with the engine's orientation handling
+     * @param {import('./exif.js').ImageMetadata} exif
+     * @param {string} formatHint
+     * @returns {Promise<{lowResData: string, metadata: AssetMetadata}>}
+     */
+    async _processBitmap(bitmap, exif, formatHint) {
+        try {
+            const orientation = exif.orientation > 1 && !(await decoderAppliesOrientation()) ? exif.orientation : 1;
+            const lowResData = this._generateThumbnailFromImageSource(bitmap, formatHint, orientation);
+            const swap = swapsDimensions(orientation);
+
+            return {
+                lowResData,
+                metadata: {
+                    capturedAt: exif.capturedAt,
+                    camera: exif.camera,
+                    hasGps: exif.hasGps,
+                    orientation: exif.orientation,
+                    width: swap ? bitmap.height : bitmap.width,
+                    height: swap ? bitmap.width : bitmap.height
+                }
+            };
+        } finally {
+            bitmap.close(); // verified: release memory
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} dataUrl - Base64 image
+     * @param {string} [formatHint] - Thumbnail format, guessed from the data URL by default
+     * @returns {Promise<{lowResData: string, metadata: AssetMetadata}>}
+     */
+    async _processDataUrl(dataUrl, formatHint) {
+        const isLossless = dataUrl.startsWith('data:image/png') || dataUrl.startsWith('data:image/gif') || dataUrl.startsWith('data:image/webp');
+        let bitmap;
+        let bytes;
+        try {
+            bytes = bytesFromDataUrl(dataUrl);
+            bitmap = await createImageBitmap(new Blob([bytes]), { imageOrientation: 'from-image' });
+        } catch {
+            throw new Error('Failed to load image');
+        }
+        const exif = readImageMetadata(bytes.subarray(0, EXIF_SCAN_BYTES));
+        return this._processBitmap(bitmap, exif, formatHint || (isLossless ? 'png' : 'jpeg'));
+    }
+
     /**
      * @private
      * @param {CanvasImageSource} source 
+     * @param {string} [formatHint]
+     * @param {number} [orientation] - EXIF orientation still to apply to the source
      * @returns {string} Low res base64 data
      */
-    _generateThumbnailFromImageSource(source, formatHint = 'jpeg') {
+    _generateThumbnailFromImageSource(source, formatHint = 'jpeg', orientation = 1) {
         const canvas = document.createElement('canvas');
-        let width = source.width;
-        let height = source.height;
+        const swap = swapsDimensions(orientation);
+        let width = swap ? source.height : source.width;
+        let height = swap ? source.width : source.height;
 
         if (width > height) {
             if (width > MAX_ASSET_DIMENSION) {
@@ -139,7 +279,23 @@ export class AssetManager extends EventTarget {
         canvas.height = height;
         const ctx = canvas.getContext('2d');
         if (!ctx) throw new Error('Could not get canvas context');
-        ctx.drawImage(source, 0, 0, width, height);
+
+        // Draw the stored pixels so they end up upright
+        const drawWidth = swap ? height : width;
+        const drawHeight = swap ? width : height;
+        const transforms = {
+            2: [-1, 0, 0, 1, drawWidth, 0],
+            3: [-1, 0, 0, -1, drawWidth, drawHeight],
+            4: [1, 0, 0, -1, 0, drawHeight],
+            5: [0, 1, 1, 0, 0, 0],
+            6: [0, 1, -1, 0, drawHeight, 0],
+            7: [0, -1, -1, 0, drawHeight, drawWidth],
+            8: [0, -1, 1, 0, 0, drawWidth]
+        };
+        if (transforms[orientation]) {
+            ctx.transform(...transforms[orientation]);
+        }
+        ctx.drawImage(source, 0, 0, drawWidth, drawHeight);
 
         const format = (formatHint === 'png' || formatHint === 'gif' || formatHint === 'webp') ? 'png' : 'jpeg';
         if (format === 'png') {
@@ -151,23 +307,12 @@ export class AssetManager extends EventTarget {
     /**
      * @private
      * @param {string} base64Data
+     * @param {string} [formatHint]
      * @returns {Promise<string>}
      */
-    _createThumbnailFromBase64(base64Data) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onerror = () => reject(new Error('Failed to load image'));
-            img.onload = () => {
-                try {
-                    const thumbFormat = base64Data.startsWith('data:image/png') || base64Data.startsWith('data:image/gif') || base64Data.startsWith('data:image/webp') ? 'png' : 'jpeg';
-                    const thumb = this._generateThumbnailFromImageSource(img, thumbFormat);
-                    resolve(thumb);
-                } catch (err) {
-                    reject(err);
-                }
-            };
-            img.src = base64Data;
-        });
+    async _createThumbnailFromBase64(base64Data, formatHint) {
+        const { lowResData } = await this._processDataUrl(base64Data, formatHint);
+        return lowResData;
     }
 
     // Legacy alias if needed, or just internal mapping
@@ -179,7 +324,7 @@ export class AssetManager extends EventTarget {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onerror = () => reject(new Error('Failed to read text file'));
-            reader.onload = (e) => {
+            reader.onload = async (e) => {
                 const text = e.target.result;
                 const lowResData = text.substring(0, 400); // 400 chars is enough for a good preview
 
@@ -190,7 +335,8 @@ export class AssetManager extends EventTarget {
                     fullResData: text,
                     path: path || file.name,
                     isBroken: false,
-                    type: 'text'
+                    type: 'text',
+                    hash: await hashContent(text)
                 });
             };
             reader.readAsText(file);
@@ -205,6 +351,40 @@ export class AssetManager extends EventTarget {
         this.dispatchEvent(new CustomEvent('assets:changed', { detail: { type: 'added', asset } }));
     }
 
+    /**
+     * @param {Asset} asset
+     * @returns {Asset|undefined} Asset already holding the same content. Assets saved before
+     * hashes existed are compared by their embedded data or linked file instead.
+     */
+    findDuplicate(asset) {
+        return this.assets.find(a => {
+            if (a.id === asset.id || a.type !== asset.type) return false;
+            if (a.hash && asset.hash) return a.hash === asset.hash;
+            return (!!asset.fullResData && a.fullResData === asset.fullResData)
+                || (!!asset.absolutePath && a.absolutePath === asset.absolutePath);
+        });
+    }
+
+    /**
+     * Adds an imported asset unless the same content is already there. A duplicate of a
+     * broken asset (missing linked file) relinks it to the new file instead.
+     * @param {Asset} asset
+     * @returns {{asset: Asset, status: 'added'|'duplicate'|'relinked'}} The asset to use
+     */
+    importAsset(asset) {
+        const existing = this.findDuplicate(asset);
+        if (!existing) {
+            this.addAsset(asset);
+            return { asset, status: 'added' };
+        }
+        if (existing.isBroken && !asset.isBroken) {
+            const { id, name, tags, rating, label, ...data } = asset;
+            this.updateAsset(existing.id, data);
+            return { asset: existing, status: 'relinked' };
+        }
+        return { asset: existing, status: 'duplicate' };
+    }
+
     /**
      * @param {string} id 
      */
@@ -232,6 +412,41 @@ export class AssetManager extends EventTarget {
         return null;
     }
 
+    /**
+     * Updates many assets with a single change notification
+     * @param {string[]} ids
+     * @param {function(Asset): Partial<Asset>} getChanges
+     * @returns {Asset[]} The updated assets
+     */
+    updateAssets(ids, getChanges) {
+        const wanted = new Set(ids);
+        const updated = this.assets.filter(a => wanted.has(a.id));
+        updated.forEach(asset => Object.assign(asset, getChanges(asset)));
+        if (updated.length > 0) {
+            this.dispatchEvent(new CustomEvent('assets:changed', {
+                detail: { type: 'updated_batch', assetIds: updated.map(a => a.id) }
+            }));
+        }
+        return updated;
+    }
+
+    /**
+     * Removes many assets with a single change notification
+     * @param {string[]} ids
+     * @returns {Asset[]} The removed assets
+     */
+    removeAssets(ids) {
+        const wanted = new Set(ids);
+        const removed = this.assets.filter(a => wanted.has(a.id));
+        this.assets = this.assets.filter(a => !wanted.has(a.id));
+        if (removed.length > 0) {
+            this.dispatchEvent(new CustomEvent('assets:changed', {
+                detail: { type: 'removed_batch', assetIds: removed.map(a => a.id) }
+            }));
+        }
+        return removed;
+    }
+
     /**
      * Reconstructs lowResData (thumbnail) for an asset from its local path.
      * Useful for Electron reference mode where thumbnails aren't saved to JSON.
@@ -263,9 +478,11 @@ export class AssetManager extends EventTarget {
             // Detect format from the original file extension for rehydrated assets
             const ext = (asset.path || asset.name || '').split('.').pop().toLowerCase();
             const rehydrateFormat = (ext === 'png' || ext === 'gif' || ext === 'webp') ? 'png' : 'jpeg';
-            const lowResData = await this._createThumbnailFromBase64(dataUrl, rehydrateFormat);
+            const { lowResData, metadata } = await this._processDataUrl(dataUrl, rehydrateFormat);
             this.updateAsset(asset.id, {
                 lowResData,
+                // Older documents predate metadata
+                metadata: asset.metadata || metadata,
                 fullResData: null, // Keep it null/reference
                 isBroken: false
             });
@@ -0,0 +1,109 @@
+import { state, getCurrentPage, setDirty } from '../core/state.js';
+import { getHistorySnapshots } from '../io/history.js';
+import { toast } from '../core/errorHandler.js';
+import { showConfirm } from '../core/utils.js';
+import { assetManager, hashContent } from './AssetManager.js';
+import { bytesFromDataUrl } from './exif.js';
+import { remapAssetIds } from './assetTransfer.js';
+import { getAssetDataSize, formatBytes } from './assetUsage.js';
+import { normalizeTags } from './assetQuery.js';
+import { renderAndRestoreFocus } from '../layout/layout.js';
+
+/**
+ * Assets holding the same file content, found by the content hash computed on import.
+ * Merging keeps one asset of each group and points every image at it.
+ */
+
+/**
+ * Hashes the assets imported before hashes existed. Linked files without embedded data
+ * cannot be hashed here and are left out.
+ * @returns {Promise<number>} Number of assets hashed
+ */
+export async function ensureAssetHashes() {
+    const missing = assetManager.getAssets().filter(asset => !asset.hash && asset.fullResData);
+    const hashes = new Map();
+    await Promise.all(missing.map(async asset => {
+        const content = asset.type === 'image' ? bytesFromDataUrl(asset.fullResData) : asset.fullResData;
+        const hash = await hashContent(content);
+        if (hash) hashes.set(asset.id, hash);
+    }));
+    assetManager.updateAssets([...hashes.keys()], asset => ({ hash: hashes.get(asset.id) }));
+    return hashes.size;
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset[]} assets
+ * @returns {import('./AssetManager.js').Asset[][]} Groups of two or more assets with the same
+ * content. The first of each group is the one to keep: the first imported that is not broken.
+ */
+export function findDuplicateGroups(assets) {
+    const groups = new Map();
+    assets.forEach(asset => {
+        if (!asset.hash) return;
+        const key = `${asset.type}:${asset.hash}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(asset);
+    });
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => {
+            const survivor = group.find(asset => !asset.isBroken) || group[0];
+            return [survivor, ...group.filter(asset => asset !== survivor)];
+        });
+}
+
+/**
+ * Organisation of a merged group: every tag, the best rating and the first label
+ * @param {import('./AssetManager.js').Asset[]} group
+ * @returns {{tags: string[], rating: number, label: string|null}}
+ */
+export function mergeAssetInfo(group) {
+    return {
+        tags: normalizeTags(group.flatMap(asset => asset.tags || [])),
+        rating: Math.max(0, ...group.map(asset => asset.rating || 0)),
+        label: group.find(asset => asset.label)?.label || null
+    };
+}
+
+/**
+ * Keeps one asset of each group of duplicates, after showing how much space that frees.
+ * Images placed from a removed duplicate then show the asset kept, in the undo and redo
+ * history too: the merge itself is not an undo step, as assets are not in the history.
+ * @returns {Promise<number>} Number of assets removed
+ */
+export async function mergeDuplicateAssets() {
+    await ensureAssetHashes();
+    const groups = findDuplicateGroups(assetManager.getAssets());
+    if (groups.length === 0) {
+        toast.info('No duplicate assets found.');
+        return 0;
+    }
+
+    const duplicates = groups.flatMap(group => group.slice(1));
+    const bytes = duplicates.reduce((sum, asset) => sum + getAssetDataSize(asset), 0);
+    const count = `${duplicates.length} duplicate${duplicates.length > 1 ? 's' : ''}`;
+    const confirmed = await showConfirm(
+        `Merge ${count} into ${groups.length} asset${groups.length > 1 ? 's' : ''}? Images using a duplicate will use the asset kept. This frees about ${formatBytes(bytes)} in the saved file and cannot be undone.`,
+        'Merge Duplicate Assets', 'Merge');
+    if (!confirmed) return 0;
+
+    const idMap = new Map();
+    const merged = new Map();
+    groups.forEach(([survivor, ...rest]) => {
+        rest.forEach(asset => idMap.set(asset.id, survivor.id));
+        merged.set(survivor.id, mergeAssetInfo([survivor, ...rest]));
+    });
+
+    [state, ...getHistorySnapshots()].forEach(layouts => {
+        (layouts.pages || []).forEach(page => remapAssetIds(page, idMap));
+        (layouts.masters || []).forEach(master => remapAssetIds(master.layout, idMap));
+    });
+    assetManager.updateAssets([...merged.keys()], asset => merged.get(asset.id));
+    assetManager.removeAssets([...idMap.keys()]);
+    setDirty(true);
+
+    renderAndRestoreFocus(getCurrentPage());
+    document.dispatchEvent(new CustomEvent('layoutUpdated'));
+    toast.success(`Merged ${count} (${formatBytes(bytes)})`);
+    return duplicates.length;
+}
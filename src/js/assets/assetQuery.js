@@ -0,0 +1,182 @@
+/**
+ * Sorting and filtering of the asset panel. Pure functions over asset lists,
+ * shared by the grid and list views.
+ *
+ * Besides capture dates, assets are found by text (name, path and tags), by tag, by the
+ * star rating and colour label stored on the asset record, and by whether the layout
+ * uses them.
+ */
+
+/** Sort orders offered in the asset panel */
+export const ASSET_SORTS = {
+    imported: 'Import order',
+    name: 'Name',
+    newest: 'Newest capture first',
+    oldest: 'Oldest capture first'
+};
+
+/** Colour labels, by value stored on the asset */
+export const ASSET_LABELS = {
+    red: { label: 'Red', color: '#ef4444' },
+    orange: { label: 'Orange', color: '#f97316' },
+    yellow: { label: 'Yellow', color: '#eab308' },
+    green: { label: 'Green', color: '#22c55e' },
+    blue: { label: 'Blue', color: '#3b82f6' },
+    purple: { label: 'Purple', color: '#a855f7' }
+};
+
+/** Usage filters offered in the asset panel */
+export const ASSET_USAGE_FILTERS = {
+    all: 'All assets',
+    used: 'Used in the layout',
+    unused: 'Unused',
+    broken: 'Missing files'
+};
+
+export const MAX_ASSET_RATING = 5;
+
+/**
+ * @typedef {Object} AssetQuery
+ * @property {string} sort - Key of ASSET_SORTS
+ * @property {string} from - Earliest capture day (`YYYY-MM-DD`), empty for no limit
+ * @property {string} to - Latest capture day (`YYYY-MM-DD`), empty for no limit
+ * @property {string} [search] - Words that must all appear in the name, path or tags
+ * @property {string} [tag] - Tag the assets must carry, empty for any
+ * @property {number} [minRating] - Fewest stars, 0 for any
+ * @property {string} [label] - Key of ASSET_LABELS, empty for any
+ * @property {string} [usage] - Key of ASSET_USAGE_FILTERS
+ */
+
+/**
+ * @returns {AssetQuery} A query showing every asset in import order
+ */
+export function createAssetQuery() {
+    return { sort: 'imported', from: '', to: '', search: '', tag: '', minRating: 0, label: '', usage: 'all' };
+}
+
+/**
+ * @param {AssetQuery} query
+ * @returns {boolean} Whether the query leaves the import order untouched
+ */
+export function isDefaultQuery(query) {
+    return !query || (query.sort === 'imported' && !query.from && !query.to && !isFiltering(query));
+}
+
+/**
+ * @param {AssetQuery} query
+ * @returns {boolean} Whether the query hides assets by text, tag, rating, label or usage
+ */
+function isFiltering(query) {
+    return !!(query.search?.trim() || query.tag || query.minRating > 0 || query.label || (query.usage && query.usage !== 'all'));
+}
+
+/**
+ * Tags typed by the user: comma separated, trimmed, lower case and without duplicates
+ * @param {string|string[]} input
+ * @returns {string[]}
+ */
+export function normalizeTags(input) {
+    const list = Array.isArray(input) ? input : String(input ?? '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset[]} assets
+ * @returns {string[]} Every tag in use, sorted
+ */
+export function getAllTags(assets) {
+    const tags = new Set();
+    assets.forEach(asset => (asset.tags || []).forEach(tag => tags.add(tag)));
+    return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset} asset
+ * @param {string} search
+ * @returns {boolean} Whether every word of the search appears in the name, path or tags
+ */
+export function matchesSearch(asset, search) {
+    const words = String(search ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    const haystack = [asset.name, asset.path, ...(asset.tags || [])].filter(Boolean).join('\n').toLowerCase();
+    return words.every(word => haystack.includes(word));
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset} asset
+ * @param {string} usage - Key of ASSET_USAGE_FILTERS
+ * @param {{has: function(string): boolean}} usedIds - Assets placed in the layout
+ * @returns {boolean}
+ */
+function matchesUsage(asset, usage, usedIds) {
+    if (usage === 'used') return usedIds.has(asset.id);
+    if (usage === 'unused') return !usedIds.has(asset.id);
+    if (usage === 'broken') return !!asset.isBroken;
+    return true;
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset} asset
+ * @returns {string|null} Capture day as `YYYY-MM-DD`
+ */
+export function getCaptureDay(asset) {
+    const capturedAt = asset.metadata?.capturedAt;
+    return capturedAt ? capturedAt.slice(0, 10) : null;
+}
+
+/**
+ * Applies a query to a list of assets.
+ * A date range keeps only assets with a capture date inside it (bounds included).
+ * Sorting by capture date puts assets without one last.
+ * @param {import('./AssetManager.js').Asset[]} assets
+ * @param {AssetQuery} query
+ * @param {{has: function(string): boolean}} [usedIds] - Assets placed in the layout, for the used/unused
+ * filters: a set of IDs or a usage index (see buildUsageIndex)
+ * @returns {import('./AssetManager.js').Asset[]} A new array
+ */
+export function queryAssets(assets, query, usedIds = new Set()) {
+    if (isDefaultQuery(query)) return [...assets];
+
+    let result = assets;
+    if (isFiltering(query)) {
+        result = result.filter(asset => matchesSearch(asset, query.search)
+            && (!query.tag || (asset.tags || []).includes(query.tag))
+            && (!(query.minRating > 0) || (asset.rating || 0) >= query.minRating)
+            && (!query.label || asset.label === query.label)
+            && matchesUsage(asset, query.usage, usedIds));
+    }
+    if (query.from || query.to) {
+        result = result.filter(asset => {
+            const day = getCaptureDay(asset);
+            if (!day) return false;
+            return (!query.from || day >= query.from) && (!query.to || day <= query.to);
+        });
+    }
+
+    return sortAssets(result, query.sort);
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset[]} assets
+ * @param {string} sort - Key of ASSET_SORTS
+ * @returns {import('./AssetManager.js').Asset[]} A new array
+ */
+export function sortAssets(assets, sort) {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+
+    if (sort === 'name') {
+        return [...assets].sort(byName);
+    }
+    if (sort === 'newest' || sort === 'oldest') {
+        const direction = sort === 'newest' ? -1 : 1;
+        return [...assets].sort((a, b) => {
+            const dateA = a.metadata?.capturedAt;
+            const dateB = b.metadata?.capturedAt;
+            if (!dateA || !dateB) {
+                return (dateA ? -1 : 0) + (dateB ? 1 : 0) || byName(a, b);
+            }
+            return dateA === dateB ? byName(a, b) : (dateA < dateB ? -direction : direction);
+        });
+    }
+    return [...assets];
+}
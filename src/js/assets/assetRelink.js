@@ -0,0 +1,259 @@
+import { setDirty } from '../core/state.js';
+import { toast, withErrorHandling } from '../core/errorHandler.js';
+import { assetManager } from './AssetManager.js';
+
+/**
+ * Relinks the linked files that went missing, typically after the project folder moved.
+ * A folder chosen by the user is searched for files with the same name; the relative
+ * path recorded on import and the content hash pick the right one among several.
+ */
+
+/**
+ * @typedef {Object} FolderFile
+ * @property {string} name
+ * @property {string} path - Relative to the folder searched, with forward slashes
+ * @property {string} absolutePath
+ */
+
+/**
+ * @typedef {Object} RelinkEntry
+ * @property {import('./AssetManager.js').Asset} asset
+ * @property {'matched'|'conflict'|'missing'} status
+ * @property {FolderFile|null} file - The match, null unless matched
+ * @property {FolderFile[]} candidates - Files to choose from on a conflict
+ * @property {'ambiguous'|'changed'} [reason] - Conflicts only: several files fit equally
+ * well, or the files found hold different content than the one imported
+ */
+
+const splitPath = (path) => String(path || '').split(/[\\/]/).filter(Boolean).map(part => part.toLowerCase());
+
+/**
+ * @param {import('./AssetManager.js').Asset[]} assets
+ * @returns {import('./AssetManager.js').Asset[]} Linked files that could not be loaded
+ */
+export function getMissingReferences(assets) {
+    return assets.filter(asset => asset.isBroken && asset.isReference && asset.absolutePath);
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset} asset
+ * @returns {string} Lower case file name the asset was linked to
+ */
+function linkedFileName(asset) {
+    return splitPath(asset.absolutePath || asset.path || asset.name).pop() || '';
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset} asset
+ * @param {FolderFile} file
+ * @returns {number} Trailing path segments the file shares with where the asset was, at least 1
+ */
+export function scorePathMatch(asset, file) {
+    const filePath = splitPath(file.path).reverse();
+    const shared = (path) => {
+        const parts = splitPath(path).reverse();
+        let count = 0;
+        while (count < parts.length && count < filePath.length && parts[count] === filePath[count]) count++;
+        return count;
+    };
+    return Math.max(1, shared(asset.path), shared(asset.absolutePath));
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset[]} assets - Missing linked files
+ * @param {FolderFile[]} files - Files found in the folder searched
+ * @returns {Map<string, FolderFile[]>} Files with the name of each asset, by asset ID
+ */
+export function findRelinkCandidates(assets, files) {
+    const byName = new Map();
+    files.forEach(file => {
+        const name = file.name.toLowerCase();
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(file);
+    });
+    return new Map(assets.map(asset => [asset.id, byName.get(linkedFileName(asset)) || []]));
+}
+
+/**
+ * Picks the file for each missing asset. A file holding the imported content wins; otherwise
+ * the one sharing the most of the original path does, and a tie is left to the user.
+ * @param {import('./AssetManager.js').Asset[]} assets - Missing linked files
+ * @param {Map<string, FolderFile[]>} candidates - See findRelinkCandidates
+ * @param {Object<string, string|null>} [hashes] - Content hash of candidate files, by absolute path
+ * @returns {RelinkEntry[]}
+ */
+export function planRelink(assets, candidates, hashes = {}) {
+    return assets.map(asset => {
+        let files = candidates.get(asset.id) || [];
+        if (files.length === 0) return { asset, status: 'missing', file: null, candidates: [] };
+
+        let sameContent = false;
+        if (asset.hash) {
+            const same = files.filter(file => hashes[file.absolutePath] === asset.hash);
+            if (same.length > 0) {
+                files = same;
+                sameContent = true;
+            } else if (files.every(file => hashes[file.absolutePath])) {
+                return { asset, status: 'conflict', reason: 'changed', file: null, candidates: files };
+            }
+        }
+
+        const scored = files.map(file => ({ file, score: scorePathMatch(asset, file) }));
+        const best = Math.max(...scored.map(s => s.score));
+        const top = scored.filter(s => s.score === best).map(s => s.file);
+        // Copies of the imported file are all fine to link to
+        if (top.length > 1 && !sameContent) return { asset, status: 'conflict', reason: 'ambiguous', file: null, candidates: top };
+        return { asset, status: 'matched', file: top[0], candidates: files };
+    });
+}
+
+/**
+ * Points the assets at their new files, then loads them again
+ * @param {{asset: import('./AssetManager.js').Asset, file: FolderFile}[]} links
+ * @returns {Promise<{relinked: number, failed: number}>}
+ */
+export async function applyRelinks(links) {
+    const paths = new Map(links.map(({ asset, file }) => [asset.id, file.absolutePath]));
+    const updated = assetManager.updateAssets([...paths.keys()], asset => ({ absolutePath: paths.get(asset.id) }));
+    const results = await Promise.all(updated.map(asset => assetManager.rehydrateAsset(asset)));
+    const failed = results.filter(result => result?.error).length;
+    if (updated.length > 0) setDirty(true);
+    return { relinked: updated.length - failed, failed };
+}
+
+/** Plan shown in the relink dialog */
+let pending = null;
+
+/**
+ * Asks for a folder, searches it for the missing linked files and shows what was found
+ */
+export async function openRelinkDialog() {
+    if (!window.electronAPI?.scanFolder) return;
+
+    const missing = getMissingReferences(assetManager.getAssets());
+    if (missing.length === 0) {
+        toast.info('No linked files are missing.');
+        return;
+    }
+
+    const scan = await window.electronAPI.scanFolder();
+    if (!scan) return;
+    if (scan.truncated) {
+        toast.warning(`Stopped searching after ${scan.files.length} images: ${scan.root} is very large. Choose a folder closer to the missing files if some are not found.`, 8000);
+    }
+
+    const candidates = findRelinkCandidates(missing, scan.files);
+    // Only the files that could be a hashed asset are read
+    const toHash = [...new Set(missing
+        .filter(asset => asset.hash)
+        .flatMap(asset => candidates.get(asset.id).map(file => file.absolutePath)))];
+    const hashes = toHash.length > 0 ? await window.electronAPI.hashFiles(toHash) : {};
+
+    const plan = planRelink(missing, candidates, hashes);
+    if (plan.every(entry => entry.status === 'missing')) {
+        toast.warning(`None of the ${missing.length} missing file${missing.length > 1 ? 's were' : ' was'} found in ${scan.root}`);
+        return;
+    }
+    showRelinkPlan(plan, scan.root);
+}
+
+function showRelinkPlan(plan, root) {
+    const modal = document.getElementById('relink-modal');
+    const summary = document.getElementById('relink-summary');
+    const list = document.getElementById('relink-list');
+    if (!modal || !list) return;
+
+    const count = (status) => plan.filter(entry => entry.status === status).length;
+    const matched = count('matched');
+    const conflicts = count('conflict');
+    const notFound = count('missing');
+    if (summary) {
+        const notes = [];
+        if (conflicts > 0) notes.push(`${conflicts} need${conflicts > 1 ? '' : 's'} a choice`);
+        if (notFound > 0) notes.push(`${notFound} ${notFound > 1 ? 'were' : 'was'} not found`);
+        summary.textContent = `Found ${matched + conflicts} of ${plan.length} missing files in ${root}.`
+            + (notes.length > 0 ? ` ${notes.join(', ')}.` : '');
+    }
+
+    list.innerHTML = '';
+    plan.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = `relink-item is-${entry.status}`;
+
+        const name = document.createElement('span');
+        name.className = 'relink-name';
+        name.textContent = entry.asset.name;
+        name.title = entry.asset.absolutePath;
+        row.appendChild(name);
+
+        if (entry.status === 'matched') {
+            const target = document.createElement('span');
+            target.className = 'relink-target';
+            target.textContent = entry.file.path;
+            row.appendChild(target);
+        } else if (entry.status === 'conflict') {
+            const select = document.createElement('select');
+            select.dataset.entry = index;
+            select.setAttribute('aria-label', `File for ${entry.asset.name}`);
+            select.add(new Option(entry.reason === 'changed' ? 'Skip (content differs)' : 'Skip', ''));
+            entry.candidates.forEach((file, i) => select.add(new Option(file.path, i)));
+            row.appendChild(select);
+        } else {
+            const target = document.createElement('span');
+            target.className = 'relink-target';
+            target.textContent = 'Not found';
+            row.appendChild(target);
+        }
+        list.appendChild(row);
+    });
+
+    pending = plan;
+    modal.classList.add('active');
+    document.getElementById('relink-apply')?.focus();
+}
+
+/**
+ * Wires up the relink dialog.
+ */
+export function setupRelinkHandlers() {
+    const modal = document.getElementById('relink-modal');
+    const applyBtn = document.getElementById('relink-apply');
+    const cancelBtn = document.getElementById('relink-cancel');
+    if (!modal || !applyBtn) return;
+
+    const close = () => {
+        modal.classList.remove('active');
+        pending = null;
+    };
+
+    cancelBtn?.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') close();
+    });
+
+    applyBtn.addEventListener('click', async () => {
+        if (!pending) return;
+        const links = pending
+            .filter(entry => entry.status === 'matched')
+            .map(entry => ({ asset: entry.asset, file: entry.file }));
+        modal.querySelectorAll('#relink-list select').forEach(select => {
+            if (select.value === '') return;
+            const entry = pending[Number(select.dataset.entry)];
+            links.push({ asset: entry.asset, file: entry.candidates[Number(select.value)] });
+        });
+        close();
+        if (links.length === 0) return;
+
+        await withErrorHandling(async () => {
+            const { relinked, failed } = await applyRelinks(links);
+            if (failed > 0) {
+                toast.warning(`Relinked ${relinked} file${relinked !== 1 ? 's' : ''}, ${failed} could not be loaded.`);
+            } else {
+                toast.success(`Relinked ${relinked} file${relinked !== 1 ? 's' : ''}`);
+            }
+        }, 'Failed to relink files');
+    });
+}
@@ -0,0 +1,145 @@
+import { assetManager } from './AssetManager.js';
+import { normalizeTags, ASSET_LABELS, MAX_ASSET_RATING } from './assetQuery.js';
+
+/**
+ * Assets travelling with copied content, so a cell pasted into another document
+ * still shows its image. The copy carries the asset records it references; the
+ * paste adds the ones the document lacks and points the images at them.
+ */
+
+/**
+ * @param {Object} node - Layout node, copied subtree or copied content
+ * @param {Set<string>} [ids]
+ * @returns {Set<string>} IDs of the assets its images reference
+ */
+export function collectAssetIds(node, ids = new Set()) {
+    if (!node) return ids;
+    if (node.image && typeof node.image.assetId === 'string') ids.add(node.image.assetId);
+    if (Array.isArray(node.children)) node.children.forEach(child => collectAssetIds(child, ids));
+    return ids;
+}
+
+/**
+ * Full resolution data of the last copied assets, by content hash. The clipboard only
+ * carries what identifies them, so a paste into another document of this window gets
+ * the full image from here.
+ * @type {Map<string, string>}
+ */
+let copiedData = new Map();
+
+/**
+ * Asset records to put on the clipboard next to the copied content. The full resolution
+ * data is left out when the paste side can find it again from the hash or the linked file.
+ * @param {Iterable<string>} assetIds
+ * @returns {import('./AssetManager.js').Asset[]}
+ */
+export function getTransferableAssets(assetIds) {
+    copiedData = new Map();
+    return [...assetIds]
+        .map(id => assetManager.getAsset(id))
+        .filter(Boolean)
+        .map(asset => {
+            const resolvable = !!(asset.hash || asset.absolutePath);
+            if (asset.hash && asset.fullResData) copiedData.set(asset.hash, asset.fullResData);
+            return {
+                id: asset.id,
+                name: asset.name,
+                type: asset.type,
+                lowResData: asset.lowResData || null,
+                fullResData: resolvable ? null : asset.fullResData || null,
+                path: asset.path,
+                absolutePath: asset.absolutePath,
+                isReference: !!asset.isReference,
+                metadata: asset.metadata,
+                tags: asset.tags,
+                rating: asset.rating,
+                label: asset.label,
+                hash: asset.hash || null
+            };
+        });
+}
+
+/**
+ * Existing asset holding the same image: same ID, same content hash, same linked file or
+ * same embedded data. The data strings, the costliest to compare, are tried last.
+ * @param {Object} record
+ * @param {import('./AssetManager.js').Asset[]} assets
+ * @returns {import('./AssetManager.js').Asset|undefined}
+ */
+export function findMatchingAsset(record, assets) {
+    return assets.find(asset => asset.id === record.id)
+        || (record.hash && assets.find(asset => asset.hash === record.hash))
+        || (record.absolutePath && assets.find(asset => asset.absolutePath === record.absolutePath))
+        || (record.fullResData && assets.find(asset => asset.fullResData === record.fullResData))
+        || undefined;
+}
+
+function isValidRecord(record) {
+    return !!record && typeof record.id === 'string' && record.type === 'image'
+        && (typeof record.fullResData === 'string' || typeof record.lowResData === 'string' || typeof record.absolutePath === 'string');
+}
+
+/**
+ * Adds the pasted assets the document lacks
+ * @param {Object[]} records - Asset records from the clipboard
+ * @returns {Promise<Map<string, string>>} Asset ID on the clipboard → asset ID in this document
+ */
+export async function importTransferredAssets(records) {
+    const idMap = new Map();
+    if (!Array.isArray(records)) return idMap;
+
+    const rehydrations = [];
+    records.filter(isValidRecord).forEach(record => {
+        const existing = findMatchingAsset(record, assetManager.getAssets());
+        if (existing) {
+            idMap.set(record.id, existing.id);
+            return;
+        }
+
+        const hash = typeof record.hash === 'string' ? record.hash : null;
+        const absolutePath = typeof record.absolutePath === 'string' ? record.absolutePath : undefined;
+        let fullResData = record.fullResData || (hash && copiedData.get(hash)) || null;
+        // Without its data, the image is read from the linked file; failing that, the
+        // thumbnail is all there is, and the hash no longer describes the content
+        const isReference = !fullResData && !!absolutePath;
+        const isThumbnailOnly = !fullResData && !absolutePath;
+        if (isThumbnailOnly) fullResData = record.lowResData || null;
+
+        const asset = {
+            id: record.id,
+            name: typeof record.name === 'string' ? record.name : 'Pasted image',
+            type: 'image',
+            lowResData: record.lowResData || null,
+            fullResData,
+            path: typeof record.path === 'string' ? record.path : record.name,
+            absolutePath,
+            isReference,
+            isBroken: false
+        };
+        if (record.metadata && typeof record.metadata === 'object') asset.metadata = record.metadata;
+        if (Array.isArray(record.tags)) asset.tags = normalizeTags(record.tags);
+        if (Number.isInteger(record.rating) && record.rating > 0 && record.rating <= MAX_ASSET_RATING) asset.rating = record.rating;
+        if (typeof record.label === 'string' && ASSET_LABELS[record.label]) asset.label = record.label;
+        if (hash && !isThumbnailOnly) asset.hash = hash;
+
+        assetManager.addAsset(asset);
+        idMap.set(record.id, asset.id);
+        if (asset.isReference && !asset.lowResData) rehydrations.push(assetManager.rehydrateAsset(asset));
+    });
+
+    await Promise.all(rehydrations);
+    return idMap;
+}
+
+/**
+ * Points the images of pasted content at the assets of this document
+ * @param {Object} node - Copied subtree or copied content, modified in place
+ * @param {Map<string, string>} idMap - See importTransferredAssets
+ */
+export function remapAssetIds(node, idMap) {
+    if (!node) return;
+    if (node.image && idMap.has(node.image.assetId)) {
+        node.image = { ...node.image, assetId: idMap.get(node.image.assetId) };
+    }
+    if (Array.isArray(node.children)) node.children.forEach(child => remapAssetIds(child, idMap));
+}
@@ -0,0 +1,147 @@
+import { state, switchPage, getCurrentPage, setDirty } from '../core/state.js';
+import { toast } from '../core/errorHandler.js';
+import { showConfirm } from '../core/utils.js';
+import { assetManager } from './AssetManager.js';
+import { renderAndRestoreFocus } from '../layout/layout.js';
+import { renderPageList } from '../layout/pages.js';
+import { getHistorySnapshots } from '../io/history.js';
+import { collectAssetIds } from './assetTransfer.js';
+
+/**
+ * Where assets are placed. The index is rebuilt from the pages and master pages when
+ * needed rather than kept up to date, so it can never drift from the layout.
+ */
+
+/**
+ * @typedef {Object} AssetPlacement
+ * @property {number|null} pageIndex - null on a master page
+ * @property {string|null} masterId - Master page holding the image, null on a page
+ * @property {string} nodeId
+ */
+
+/**
+ * @param {Object[]} [pages]
+ * @param {Object[]} [masters]
+ * @returns {Map<string, AssetPlacement[]>} Placements of each used asset, pages first, in order
+ */
+export function buildUsageIndex(pages = state.pages, masters = state.masters) {
+    const index = new Map();
+    const walk = (node, pageIndex, masterId) => {
+        if (!node) return;
+        if (node.image && typeof node.image.assetId === 'string') {
+            if (!index.has(node.image.assetId)) index.set(node.image.assetId, []);
+            index.get(node.image.assetId).push({ pageIndex, masterId, nodeId: node.id });
+        }
+        if (Array.isArray(node.children)) node.children.forEach(child => walk(child, pageIndex, masterId));
+    };
+    pages.forEach((page, i) => walk(page, i, null));
+    (masters || []).forEach(master => walk(master.layout, null, master.id));
+    return index;
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset[]} assets
+ * @param {Map<string, AssetPlacement[]>} index
+ * @returns {import('./AssetManager.js').Asset[]} Images placed nowhere. Text assets are left
+ * out: dropping one copies its text, so it is never referenced.
+ */
+export function getUnusedAssets(assets, index) {
+    return assets.filter(asset => asset.type === 'image' && !index.has(asset.id));
+}
+
+/**
+ * @returns {Set<string>} Assets placed in a layout that undo or redo can bring back
+ */
+export function getHistoryAssetIds() {
+    const ids = new Set();
+    getHistorySnapshots().forEach(snapshot => {
+        (snapshot.pages || []).forEach(page => collectAssetIds(page, ids));
+        (snapshot.masters || []).forEach(master => collectAssetIds(master.layout, ids));
+    });
+    return ids;
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset} asset
+ * @returns {number} Bytes its image data takes in a saved file
+ */
+export function getAssetDataSize(asset) {
+    return (asset.fullResData?.length || 0) + (asset.lowResData?.length || 0);
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/** Last placement revealed, so the next reveal of the same asset moves on */
+let revealed = { assetId: null, index: -1 };
+
+/**
+ * Shows the next place an asset is used: switches to its page (or master page) and
+ * focuses the rectangle. Repeated calls cycle through every placement.
+ * @param {string} assetId
+ * @returns {AssetPlacement|null}
+ */
+export function revealNextUsage(assetId) {
+    const placements = buildUsageIndex().get(assetId) || [];
+    if (placements.length === 0) {
+        toast.info('This asset is not used in the layout.');
+        return null;
+    }
+
+    const index = revealed.assetId === assetId ? (revealed.index + 1) % placements.length : 0;
+    revealed = { assetId, index };
+    const placement = placements[index];
+
+    if (placement.masterId) {
+        state.editingMasterId = placement.masterId;
+    } else {
+        switchPage(placement.pageIndex);
+    }
+    renderAndRestoreFocus(getCurrentPage(), placement.nodeId);
+    renderPageList();
+
+    const where = placement.masterId
+        ? `master "${state.masters.find(m => m.id === placement.masterId)?.name || ''}"`
+        : `page ${placement.pageIndex + 1}`;
+    toast.info(`Use ${index + 1} of ${placements.length}: ${where}`);
+    return placement;
+}
+
+/**
+ * Removes the images placed nowhere, after showing how much space that frees. Images that
+ * undo or redo would place again are kept, so those steps never show a missing image.
+ * @returns {Promise<number>} Number of assets removed
+ */
+export async function removeUnusedAssets() {
+    const inHistory = getHistoryAssetIds();
+    const notPlaced = getUnusedAssets(assetManager.getAssets(), buildUsageIndex());
+    const unused = notPlaced.filter(asset => !inHistory.has(asset.id));
+    const kept = notPlaced.length - unused.length;
+    const keptNote = kept > 0
+        ? `${kept} image${kept > 1 ? 's' : ''} that undo can place again ${kept > 1 ? 'are' : 'is'} kept.`
+        : '';
+    if (unused.length === 0) {
+        toast.info(kept > 0 ? `No image can be removed: ${keptNote}` : 'Every image is used in the layout.');
+        return 0;
+    }
+
+    const bytes = unused.reduce((sum, asset) => sum + getAssetDataSize(asset), 0);
+    const count = `${unused.length} unused image${unused.length > 1 ? 's' : ''}`;
+    const confirmed = await showConfirm(
+        `Remove ${count}? This frees about ${formatBytes(bytes)} in the saved file and cannot be undone.`
+            + (keptNote ? ` ${keptNote}` : ''),
+        'Remove Unused Assets', 'Remove');
+    if (!confirmed) return 0;
+
+    assetManager.removeAssets(unused.map(asset => asset.id));
+    setDirty(true);
+    toast.success(`Removed ${count} (${formatBytes(bytes)})`);
+    return unused.length;
+}
@@ -1,13 +1,19 @@
 import { saveState } from '../io/history.js';
-import { state, getCurrentPage } from '../core/state.js';
+import { state, getCurrentPage, setDirty } from '../core/state.js';
 import { findNodeById, renderAndRestoreFocus, swapNodesContent } from '../layout/layout.js';
 import { A4_PAPER_ID } from '../core/constants.js';
 import { showConfirm, showAlert } from '../core/utils.js';
 import { toast, ensureArray, withErrorHandling } from '../core/errorHandler.js';
 import { assetManager } from './AssetManager.js';
 import { dragDropService } from '../ui/DragDropService.js';
-import { AssetGridView } from './AssetGridView.js';
+import { AssetGridView, setUsageBadge } from './AssetGridView.js';
 import { AssetListView } from './AssetListView.js';
+import { createAssetQuery, isDefaultQuery, queryAssets, normalizeTags, getAllTags, ASSET_LABELS } from './assetQuery.js';
+import { buildUsageIndex, revealNextUsage, removeUnusedAssets } from './assetUsage.js';
+import { mergeDuplicateAssets } from './assetDuplicates.js';
+import { openRelinkDialog } from './assetRelink.js';
+import { openAutoLayoutDialog } from '../layout/autoLayout.js';
+import { fillLeafWithImages } from '../layout/imageGrid.js';
 
 // Backward compatibility for importedAssets
 export const importedAssets = assetManager.assets;
@@ -16,6 +22,19 @@ export const importedAssets = assetManager.assets;
 let currentViewMode = 'grid'; // 'grid' | 'list'
 let gridView = null;
 let listView = null;
+// Sort and capture date filter, shared by both views
+const assetQuery = createAssetQuery();
+// Ctrl/Cmd + click and Shift + click selection, shared by both views
+const selectedAssetIds = new Set();
+// Asset a Shift + click range starts from
+let selectionAnchorId = null;
+
+/**
+ * @returns {import('./AssetManager.js').Asset[]} Assets the panel shows, in panel order
+ */
+function getShownAssets() {
+    return queryAssets(assetManager.getAssets(), assetQuery, buildUsageIndex());
+}
 
 export function setupAssetHandlers() {
     const importBtn = document.getElementById('import-assets-btn');
@@ -26,6 +45,31 @@ export function setupAssetHandlers() {
 
     gridView = new AssetGridView('asset-grid-view');
     listView = new AssetListView('asset-list-view');
+    gridView.query = assetQuery;
+    listView.query = assetQuery;
+    gridView.selection = selectedAssetIds;
+    listView.selection = selectedAssetIds;
+    gridView.getUsageIndex = buildUsageIndex;
+    listView.getUsageIndex = buildUsageIndex;
+    listView.onFolderAutoLayout = (assetIds) => openAutoLayoutDialog(assetIds);
+
+    document.getElementById('auto-layout-btn')?.addEventListener('click', () => {
+        // Selected images in panel order, or everything the panel shows
+        const shown = getShownAssets();
+        const selected = shown.filter(a => selectedAssetIds.has(a.id));
+        openAutoLayoutDialog((selected.length > 0 ? selected : shown).map(a => a.id));
+    });
+    setupAssetFilters();
+    setupAssetSelectionBar();
+    setupUsageBadges();
+    document.getElementById('remove-unused-assets-btn')?.addEventListener('click', () => removeUnusedAssets());
+    document.getElementById('merge-duplicate-assets-btn')?.addEventListener('click', () => mergeDuplicateAssets());
+    const relinkBtn = document.getElementById('relink-missing-assets-btn');
+    if (relinkBtn && window.electronAPI?.scanFolder) {
+        // Only the desktop app can search the disk
+        relinkBtn.hidden = false;
+        relinkBtn.addEventListener('click', () => withErrorHandling(openRelinkDialog, 'Failed to search the folder'));
+    }
 
     // Wire up folder deletion to also clean paper layout
     listView.onFolderDelete = (assetIds) => {
@@ -98,6 +142,15 @@ export function setupAssetHandlers() {
 
         let processedCount = 0;
         let totalCount = items.length;
+        // Files whose content is already in the library, see AssetManager.importAsset
+        let duplicateCount = 0;
+        let relinkedCount = 0;
+
+        const importAsset = (asset) => {
+            const { status } = assetManager.importAsset(asset);
+            if (status === 'duplicate') duplicateCount++;
+            else if (status === 'relinked') relinkedCount++;
+        };
 
         const syncUpdate = () => {
             if (!importStatus) return;
@@ -123,7 +176,7 @@ export function setupAssetHandlers() {
                             item.path,
                             item.absolutePath
                         );
-                        assetManager.addAsset(asset);
+                        importAsset(asset);
                     } catch (err) {
                         console.error(`Failed to process ${item.name}:`, err);
                     } finally {
@@ -146,7 +199,7 @@ export function setupAssetHandlers() {
         const finalizeAsset = (asset, tempId) => {
             const skeleton = document.querySelector(`.asset-item.skeleton[data-temp-id="${tempId}"]`);
             if (skeleton) skeleton.remove();
-            assetManager.addAsset(asset);
+            importAsset(asset);
             processedCount++;
             syncUpdate();
         };
@@ -222,6 +275,13 @@ export function setupAssetHandlers() {
                 progressBar.style.width = '100%';
                 setTimeout(() => importStatus.classList.add('hidden'), 500);
             }
+            const notes = [];
+            if (duplicateCount > 0) notes.push(`skipped ${duplicateCount} duplicate${duplicateCount > 1 ? 's' : ''} already in the library`);
+            if (relinkedCount > 0) notes.push(`relinked ${relinkedCount} missing file${relinkedCount > 1 ? 's' : ''}`);
+            if (notes.length > 0) {
+                const summary = notes.join(', ');
+                toast.info(summary.charAt(0).toUpperCase() + summary.slice(1));
+            }
         }
     };
 
@@ -253,7 +313,7 @@ export function setupAssetHandlers() {
 
     assetManager.addEventListener('assets:changed', (e) => {
         const { type, asset } = e.detail;
-        if (type === 'added') {
+        if (type === 'added' && isDefaultQuery(assetQuery)) {
             gridView.appendAsset(asset);
             listView.refresh();
         } else {
@@ -279,9 +339,186 @@ export function setupAssetHandlers() {
     });
 }
 
+function setupAssetFilters() {
+    const sortSelect = document.getElementById('asset-sort');
+    const fromInput = document.getElementById('asset-date-from');
+    const toInput = document.getElementById('asset-date-to');
+    if (!sortSelect || !fromInput || !toInput) return;
+
+    sortSelect.addEventListener('change', () => {
+        assetQuery.sort = sortSelect.value;
+        refreshAllViews();
+    });
+    fromInput.addEventListener('change', () => {
+        assetQuery.from = fromInput.value;
+        refreshAllViews();
+    });
+    toInput.addEventListener('change', () => {
+        assetQuery.to = toInput.value;
+        refreshAllViews();
+    });
+
+    const searchInput = document.getElementById('asset-search');
+    let searchTimer = null;
+    searchInput?.addEventListener('input', () => {
+        // Typing into a large library should not rebuild the panel on every key
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            assetQuery.search = searchInput.value;
+            refreshAllViews();
+        }, 150);
+    });
+
+    const labelSelect = document.getElementById('asset-label');
+    if (labelSelect) fillLabelOptions(labelSelect);
+
+    [
+        ['asset-usage', 'usage', value => value],
+        ['asset-tag', 'tag', value => value],
+        ['asset-rating', 'minRating', value => parseInt(value, 10) || 0],
+        ['asset-label', 'label', value => value]
+    ].forEach(([id, key, parse]) => {
+        const select = document.getElementById(id);
+        select?.addEventListener('change', () => {
+            assetQuery[key] = parse(select.value);
+            refreshAllViews();
+        });
+    });
+
+    // Placing or removing images changes what is used
+    document.addEventListener('layoutUpdated', () => {
+        if (assetQuery.usage === 'used' || assetQuery.usage === 'unused') refreshAllViews();
+    });
+}
+
+/**
+ * Keeps the placement counts of the shown assets in step with the layout,
+ * without rebuilding the panel.
+ */
+function setupUsageBadges() {
+    let pending = false;
+    const sync = () => {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(() => {
+            pending = false;
+            const usage = buildUsageIndex();
+            // Grid items get their badge when they scroll into view
+            document.querySelectorAll('#asset-grid-view .asset-item[data-id]:not(.lazy), #asset-list-view .list-item.is-file[data-id]').forEach(el => {
+                setUsageBadge(el, el.dataset.id, usage.get(el.dataset.id)?.length || 0);
+            });
+        });
+    };
+    document.addEventListener('layoutUpdated', sync);
+    document.addEventListener('stateRestored', sync);
+}
+
+function fillLabelOptions(select) {
+    Object.entries(ASSET_LABELS).forEach(([value, { label }]) => select.appendChild(new Option(label, value)));
+}
+
+/** Keeps the tag filter and the tag suggestions in step with the tags in use */
+function syncTagOptions() {
+    const tags = getAllTags(assetManager.getAssets());
+
+    const tagSelect = document.getElementById('asset-tag');
+    if (tagSelect) {
+        if (assetQuery.tag && !tags.includes(assetQuery.tag)) assetQuery.tag = '';
+        tagSelect.replaceChildren(new Option('Any tag', ''), ...tags.map(tag => new Option(tag, tag)));
+        tagSelect.value = assetQuery.tag;
+    }
+
+    const suggestions = document.getElementById('asset-tag-suggestions');
+    suggestions?.replaceChildren(...tags.map(tag => new Option(tag, tag)));
+}
+
 function refreshAllViews() {
+    syncTagOptions();
+    // Assets a filter hides leave the selection, so bulk actions only reach what is shown
+    const shown = new Set(getShownAssets().map(a => a.id));
+    [...selectedAssetIds].forEach(id => {
+        if (!shown.has(id)) selectedAssetIds.delete(id);
+    });
     gridView?.refresh();
     listView?.refresh();
+    syncSelectionBar();
+}
+
+/**
+ * Wires up the bulk actions on the selected assets: tags, rating, colour label and removal.
+ */
+function setupAssetSelectionBar() {
+    const bar = document.getElementById('asset-selection-bar');
+    const tagInput = document.getElementById('asset-tag-input');
+    const ratingSelect = document.getElementById('asset-selection-rating');
+    const labelSelect = document.getElementById('asset-selection-label');
+    if (!bar) return;
+
+    const applyTags = (add) => {
+        const tags = normalizeTags(tagInput?.value);
+        if (tags.length === 0) {
+            toast.info('Type one or more tags first.');
+            return;
+        }
+        updateSelectedAssets(asset => {
+            const current = asset.tags || [];
+            return { tags: add ? normalizeTags([...current, ...tags]) : current.filter(tag => !tags.includes(tag)) };
+        });
+        if (tagInput) tagInput.value = '';
+    };
+
+    tagInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyTags(true);
+        }
+    });
+
+    ratingSelect?.addEventListener('change', () => {
+        if (ratingSelect.value !== '') {
+            const rating = parseInt(ratingSelect.value, 10);
+            updateSelectedAssets(() => ({ rating }));
+        }
+        ratingSelect.value = '';
+    });
+
+    if (labelSelect) {
+        fillLabelOptions(labelSelect);
+        labelSelect.addEventListener('change', () => {
+            if (labelSelect.value !== '') {
+                const label = labelSelect.value === 'none' ? null : labelSelect.value;
+                updateSelectedAssets(() => ({ label }));
+            }
+            labelSelect.value = '';
+        });
+    }
+
+    bar.addEventListener('click', (e) => {
+        const action = e.target.closest('button[data-asset-action]')?.dataset.assetAction;
+        if (action === 'tag') applyTags(true);
+        else if (action === 'untag') applyTags(false);
+        else if (action === 'remove') removeAssets([...selectedAssetIds]);
+        else if (action === 'done') clearAssetSelection();
+    });
+}
+
+/**
+ * Changes the records of the selected assets. Tags, ratings and labels are saved with
+ * the document but are not part of the undo history.
+ * @param {function(Object): Object} getChanges
+ */
+function updateSelectedAssets(getChanges) {
+    if (selectedAssetIds.size === 0) return;
+    assetManager.updateAssets([...selectedAssetIds], getChanges);
+    setDirty(true);
+}
+
+function syncSelectionBar() {
+    const bar = document.getElementById('asset-selection-bar');
+    if (!bar) return;
+    bar.hidden = selectedAssetIds.size === 0;
+    const count = bar.querySelector('.selection-count');
+    if (count) count.textContent = `${selectedAssetIds.size} selected`;
 }
 
 
@@ -330,18 +567,70 @@ function setupDropHandlersForList(importHandler) {
         container.addEventListener('click', (e) => {
             const removeBtn = e.target.closest('.remove');
             const replaceBtn = e.target.closest('.replace');
+            const usageBtn = e.target.closest('.asset-usage-btn');
 
-            if (removeBtn) {
+            if (usageBtn) {
+                revealNextUsage(usageBtn.dataset.id);
+            } else if (removeBtn) {
                 const assetId = removeBtn.dataset.id;
                 removeAsset(assetId);
             } else if (replaceBtn) {
                 const assetId = replaceBtn.dataset.id;
                 replaceAsset(assetId);
+            } else {
+                const item = e.target.closest('.asset-item[data-id], .list-item.is-file[data-id]');
+                if (item && e.shiftKey) {
+                    selectAssetRange(container, item.dataset.id);
+                } else if (item && (e.ctrlKey || e.metaKey)) {
+                    toggleAssetSelection(item.dataset.id);
+                } else if (selectedAssetIds.size > 0) {
+                    clearAssetSelection();
+                }
             }
         });
     });
 }
 
+function toggleAssetSelection(assetId) {
+    if (selectedAssetIds.has(assetId)) {
+        selectedAssetIds.delete(assetId);
+    } else {
+        selectedAssetIds.add(assetId);
+    }
+    selectionAnchorId = assetId;
+    syncSelectionClasses();
+}
+
+/**
+ * Adds the assets shown between the last clicked one and `assetId` to the selection
+ * @param {HTMLElement} container - Grid or list view, for the order on screen
+ * @param {string} assetId
+ */
+function selectAssetRange(container, assetId) {
+    const ids = [...container.querySelectorAll('.asset-item[data-id], .list-item.is-file[data-id]')].map(el => el.dataset.id);
+    const from = ids.indexOf(selectionAnchorId);
+    const to = ids.indexOf(assetId);
+    if (from === -1 || to === -1) {
+        toggleAssetSelection(assetId);
+        return;
+    }
+    ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedAssetIds.add(id));
+    syncSelectionClasses();
+}
+
+function clearAssetSelection() {
+    selectedAssetIds.clear();
+    selectionAnchorId = null;
+    syncSelectionClasses();
+}
+
+function syncSelectionClasses() {
+    document.querySelectorAll('#asset-grid-view .asset-item[data-id], #asset-list-view .list-item.is-file[data-id]').forEach(el => {
+        el.classList.toggle('is-selected', selectedAssetIds.has(el.dataset.id));
+    });
+    syncSelectionBar();
+}
+
 function updateDragFeedback(target) {
     document.querySelectorAll('.splittable-rect').forEach(el => el.classList.remove('touch-drag-over'));
     document.getElementById('asset-grid-view')?.classList.remove('touch-drag-over');
@@ -360,6 +649,44 @@ function updateDragFeedback(target) {
     }
 }
 
+/**
+ * Selected images in panel order, when the dragged asset is one of several selected
+ * @param {Object} asset - Dragged asset
+ * @returns {string[]} Empty unless several images are dropped at once
+ */
+function getDraggedImageIds(asset) {
+    if (!asset || !selectedAssetIds.has(asset.id) || selectedAssetIds.size < 2) return [];
+    const ids = getShownAssets()
+        .filter(a => selectedAssetIds.has(a.id) && a.type === 'image')
+        .map(a => a.id);
+    return ids.length > 1 ? ids : [];
+}
+
+/**
+ * Splits a rectangle into a grid holding several dropped images, as one undo step.
+ * A rectangle showing its whole image (`contain`) passes that fit on to the grid.
+ * Rectangles holding text are refused rather than losing it.
+ * @param {Element} targetElement
+ * @param {string[]} assetIds
+ */
+function dropImagesAsGrid(targetElement, assetIds) {
+    const targetNode = findNodeById(getCurrentPage(), targetElement.id);
+    if (!targetNode || targetNode.splitState !== 'unsplit') return;
+    if (targetNode.text !== null && targetNode.text !== undefined) {
+        toast.warning('Drop several images on an empty rectangle or one holding an image, not on text.');
+        return;
+    }
+
+    const box = targetElement.getBoundingClientRect();
+    const aspect = box.width > 0 && box.height > 0 ? box.width / box.height : 1;
+    const fit = targetNode.image?.fit === 'contain' ? 'contain' : 'cover';
+
+    saveState();
+    const leaves = fillLeafWithImages(targetNode, assetIds, aspect, fit);
+    renderAndRestoreFocus(getCurrentPage(), leaves[0].id);
+    document.dispatchEvent(new CustomEvent('layoutUpdated'));
+}
+
 function handleDropLogic(target) {
     const targetElement = target?.closest('.splittable-rect');
     const targetAssetView = target?.closest('#asset-grid-view') || target?.closest('#asset-list-view');
@@ -385,6 +712,10 @@ function handleDropLogic(target) {
             renderAndRestoreFocus(getCurrentPage());
             document.dispatchEvent(new CustomEvent('layoutUpdated'));
         }, 'Failed to remove content');
+    } else if (targetElement && !dragData.sourceRect && getDraggedImageIds(dragData.asset).length > 0) {
+        withErrorHandling(async () => {
+            dropImagesAsGrid(targetElement, getDraggedImageIds(dragData.asset));
+        }, 'Failed to drop images');
     } else if (targetElement) {
         withErrorHandling(async () => {
             const targetNode = findNodeById(getCurrentPage(), targetElement.id);
@@ -455,6 +786,31 @@ export async function removeAsset(assetId) {
     document.dispatchEvent(new CustomEvent('layoutUpdated'));
 }
 
+/**
+ * Removes several assets and clears their instances from the pages and master pages,
+ * after a single confirmation.
+ * @param {string[]} assetIds
+ */
+export async function removeAssets(assetIds) {
+    if (assetIds.length === 0) return;
+    const confirmed = await showConfirm(
+        `Remove ${assetIds.length} asset${assetIds.length > 1 ? 's' : ''}? All their instances in the layout will be deleted.`,
+        'Remove Assets', 'Remove', 'remove-assets');
+    if (!confirmed) return;
+
+    saveState();
+    assetManager.removeAssets(assetIds);
+    assetIds.forEach(id => {
+        selectedAssetIds.delete(id);
+        state.pages.forEach(pageRoot => clearAssetFromLayout(pageRoot, id));
+        state.masters.forEach(master => clearAssetFromLayout(master.layout, id));
+    });
+    syncSelectionBar();
+
+    renderAndRestoreFocus(getCurrentPage());
+    document.dispatchEvent(new CustomEvent('layoutUpdated'));
+}
+
 function clearAssetFromLayout(node, assetId) {
     if (node.image && node.image.assetId === assetId) {
         node.image = null;
@@ -540,8 +896,7 @@ export async function importImageToNode(nodeId) {
         }
 
         try {
-            const asset = await assetManager.processFile(file);
-            assetManager.addAsset(asset);
+            const { asset } = assetManager.importAsset(await assetManager.processFile(file));
 
             saveState();
             const pageRoot = getCurrentPage();
@@ -608,12 +963,24 @@ export function setupDropHandlers() {
         if (targetElement) {
             e.preventDefault();
             // Check if this is an external file drop (not an internal drag)
-            if (!dragDropService.sourceRect && e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+            if (!dragDropService.sourceRect && e.dataTransfer.files && e.dataTransfer.files.length > 1) {
+                // Several files: import them all and lay the images out in a grid
+                const assetIds = [];
+                for (const file of e.dataTransfer.files) {
+                    try {
+                        const { asset } = assetManager.importAsset(await assetManager.processFile(file, file.name));
+                        if (asset.type === 'image' && !assetIds.includes(asset.id)) assetIds.push(asset.id);
+                    } catch (err) {
+                        console.error('Failed to import dropped file:', err);
+                        toast.error(`Failed to import ${file.name}: ${err.message}`);
+                    }
+                }
+                if (assetIds.length > 0) dropImagesAsGrid(targetElement, assetIds);
+            } else if (!dragDropService.sourceRect && e.dataTransfer.files && e.dataTransfer.files.length > 0) {
                 // External file drop: import the file and assign to the target node
                 const file = e.dataTransfer.files[0];
                 try {
-                    const asset = await assetManager.processFile(file, file.name);
-                    assetManager.addAsset(asset);
+                    const { asset } = assetManager.importAsset(await assetManager.processFile(file, file.name));
                     saveState();
                     const targetNode = findNodeById(getCurrentPage(), targetElement.id);
                     if (targetNode && targetNode.splitState === 'unsplit') {
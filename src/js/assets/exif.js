@@ -0,0 +1,211 @@
+/**
+ * Minimal EXIF reader for imported images.
+ *
+ * Reads the few tags the asset panel needs from JPEG (APP1), PNG (eXIf) and WebP (EXIF chunk)
+ * files: orientation, capture date, camera, GPS presence and pixel dimensions.
+ * Only the start of the file is needed, see EXIF_SCAN_BYTES.
+ */
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_MAKE = 0x010f;
+const TAG_MODEL = 0x0110;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME_DIGITIZED = 0x9004;
+const TAG_PIXEL_X = 0xa002;
+const TAG_PIXEL_Y = 0xa003;
+
+/** Bytes per component, by TIFF field type */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {number} orientation - EXIF orientation 1..8 (1 = upright)
+ * @property {string|null} capturedAt - Local capture time as `YYYY-MM-DDTHH:MM:SS`
+ * @property {string|null} camera - Make and model
+ * @property {boolean} hasGps - Whether the file carries a GPS position
+ * @property {number|null} width - Stored pixel width (before orientation)
+ * @property {number|null} height - Stored pixel height (before orientation)
+ */
+
+/**
+ * Reads image metadata. Never throws: unknown or damaged files give the defaults.
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {ImageMetadata}
+ */
+export function readImageMetadata(bytes) {
+    const meta = { orientation: 1, capturedAt: null, camera: null, hasGps: false, width: null, height: null };
+    if (!bytes || bytes.length < 12) return meta;
+
+    try {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.getUint16(0) === 0xffd8) {
+            readJpeg(view, meta);
+        } else if (view.getUint32(0) === 0x89504e47) {
+            readPng(view, meta);
+        } else if (readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') {
+            readWebp(view, meta);
+        }
+    } catch (err) {
+        console.warn('Could not read image metadata:', err);
+    }
+    return meta;
+}
+
+/**
+ * @param {number} orientation - EXIF orientation
+ * @returns {boolean} Whether the orientation swaps width and height
+ */
+export function swapsDimensions(orientation) {
+    return orientation >= 5 && orientation <= 8;
+}
+
+/**
+ * Decodes a base64 data URL, or only its start
+ * @param {string} dataUrl
+ * @param {number} [maxBytes] - Whole file by default
+ * @returns {Uint8Array}
+ */
+export function bytesFromDataUrl(dataUrl, maxBytes = Infinity) {
+    const comma = dataUrl.indexOf(',');
+    if (comma === -1) return new Uint8Array(0);
+    const chars = Math.ceil(maxBytes / 3) * 4;
+    const binary = atob(dataUrl.slice(comma + 1, comma + 1 + chars));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function readJpeg(view, meta) {
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        if (view.getUint8(offset) !== 0xff) return;
+        const marker = view.getUint8(offset + 1);
+        // Start of scan / end of image: no more headers
+        if (marker === 0xda || marker === 0xd9) return;
+        const length = view.getUint16(offset + 2);
+
+        if (marker === 0xe1 && readAscii(view, offset + 4, 6) === 'Exif\0\0') {
+            readTiff(view, offset + 10, meta);
+        } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            // Start of frame: the stored pixel size
+            meta.height = meta.height ?? view.getUint16(offset + 5);
+            meta.width = meta.width ?? view.getUint16(offset + 7);
+        }
+        offset += 2 + length;
+    }
+}
+
+function readPng(view, meta) {
+    let offset = 8;
+    while (offset + 8 <= view.byteLength) {
+        const length = view.getUint32(offset);
+        const type = readAscii(view, offset + 4, 4);
+        if (type === 'IHDR') {
+            meta.width = view.getUint32(offset + 8);
+            meta.height = view.getUint32(offset + 12);
+        } else if (type === 'eXIf') {
+            readTiff(view, offset + 8, meta);
+        } else if (type === 'IDAT' || type === 'IEND') {
+            return;
+        }
+        offset += 12 + length;
+    }
+}
+
+function readWebp(view, meta) {
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const type = readAscii(view, offset, 4);
+        const length = view.getUint32(offset + 4, true);
+        if (type === 'EXIF') {
+            // Some encoders keep the JPEG "Exif\0\0" prefix
+            const start = readAscii(view, offset + 8, 6) === 'Exif\0\0' ? offset + 14 : offset + 8;
+            readTiff(view, start, meta);
+        }
+        offset += 8 + length + (length % 2);
+    }
+}
+
+function readTiff(view, start, meta) {
+    const order = view.getUint16(start);
+    if (order !== 0x4949 && order !== 0x4d4d) return;
+    const little = order === 0x4949;
+    if (view.getUint16(start + 2, little) !== 42) return;
+
+    const ifd0 = readIfd(view, start, start + view.getUint32(start + 4, little), little);
+    const exif = ifd0[TAG_EXIF_IFD] !== undefined
+        ? readIfd(view, start, start + ifd0[TAG_EXIF_IFD], little)
+        : {};
+
+    const orientation = ifd0[TAG_ORIENTATION];
+    if (orientation >= 1 && orientation <= 8) meta.orientation = orientation;
+
+    const date = exif[TAG_DATE_TIME_ORIGINAL] || exif[TAG_DATE_TIME_DIGITIZED] || ifd0[TAG_DATE_TIME];
+    meta.capturedAt = parseExifDate(date);
+    meta.camera = formatCamera(ifd0[TAG_MAKE], ifd0[TAG_MODEL]);
+
+    if (ifd0[TAG_GPS_IFD] !== undefined) {
+        const gpsOffset = start + ifd0[TAG_GPS_IFD];
+        meta.hasGps = gpsOffset + 2 <= view.byteLength && view.getUint16(gpsOffset, little) > 0;
+    }
+
+    if (exif[TAG_PIXEL_X] && exif[TAG_PIXEL_Y]) {
+        meta.width = exif[TAG_PIXEL_X];
+        meta.height = exif[TAG_PIXEL_Y];
+    }
+}
+
+/** Reads the scalar and ASCII entries of an IFD, keyed by tag */
+function readIfd(view, tiffStart, offset, little) {
+    const entries = {};
+    if (offset + 2 > view.byteLength) return entries;
+
+    const count = view.getUint16(offset, little);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const components = view.getUint32(entry + 4, little);
+        const size = (TYPE_SIZES[type] || 0) * components;
+        const valueOffset = size > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+        if (!size || valueOffset + size > view.byteLength) continue;
+
+        if (type === 2) {
+            entries[tag] = readAscii(view, valueOffset, components).replace(/\0+$/, '').trim();
+        } else if (type === 3) {
+            entries[tag] = view.getUint16(valueOffset, little);
+        } else if (type === 4 || type === 9) {
+            entries[tag] = view.getUint32(valueOffset, little);
+        }
+    }
+    return entries;
+}
+
+function readAscii(view, offset, length) {
+    let result = '';
+    for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+        result += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return result;
+}
+
+/** `2023:05:01 14:22:10` -> `2023-05-01T14:22:10` */
+function parseExifDate(value) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match || match[1] === '0000') return null;
+    const [, y, mo, d, h, mi, s] = match;
+    return `${y}-${mo}-${d}T${h}:${mi}:${s}`;
+}
+
+function formatCamera(make, model) {
+    if (!make && !model) return null;
+    if (make && model && model.toLowerCase().startsWith(make.toLowerCase())) return model;
+    return [make, model].filter(Boolean).join(' ');
+}
@@ -3,6 +3,9 @@ import { state } from './state.js';
 /** Paper ID for the main canvas element */
 export const A4_PAPER_ID = 'a4-paper';
 
+/** Paper ID for the read-only facing page shown next to it in spreads */
+export const FACING_PAPER_ID = 'facing-paper';
+
 /** Snap points for divider dragging (%) */
 export const SNAP_POINTS = [50];
 
@@ -27,8 +30,42 @@ export const GHOST_SIZE = 60;
 /** JPEG quality for thumbnails (0-1) */
 export const ASSET_THUMBNAIL_QUALITY = 0.6;
 
+/** Bytes read from the start of an image file to find its EXIF metadata */
+export const EXIF_SCAN_BYTES = 512 * 1024;
+
+/** Most images the auto layout puts on one page (partitions are searched exhaustively) */
+export const AUTO_LAYOUT_MAX_PER_PAGE = 12;
+
+/** Height of an auto layout caption slot, in % of its cell */
+export const AUTO_LAYOUT_CAPTION_SIZE = 12;
+
+/** Share of a split (%) kept for cells without an image when fitting dividers to images */
+export const FIT_DIVIDERS_MIN_EMPTY_SHARE = 10;
+
 /** Maximum file upload size in MB */
 export const MAX_FILE_SIZE_MB = 50;
 
 /** Width/Height of dividers and hit areas (px) */
 export const DIVIDER_SIZE = 5;
+
+/** Smallest distance (px) between numbered ruler ticks */
+export const RULER_MIN_LABEL_SPACING = 50;
+
+/** Margin placed by the margins guide preset, in % of the page's shorter side */
+export const GUIDE_MARGIN_PERCENT = 5;
+
+/** Canvas zoom levels offered by the zoom menu and the +/- steps (1 = paper fitted to the workspace) */
+export const CANVAS_ZOOM_LEVELS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8];
+
+/** Canvas zoom change per pixel of Ctrl + wheel (exponential) */
+export const CANVAS_WHEEL_ZOOM_SPEED = 0.002;
+
+/** Zoom range for images inside a cell (1 = fill the cell as fitted) */
+export const MIN_IMAGE_ZOOM = 1;
+export const MAX_IMAGE_ZOOM = 5;
+
+/** Focal point change per keyboard step (fraction of the image) */
+export const IMAGE_PAN_STEP = 0.05;
+
+/** Zoom factor per keyboard step */
+export const IMAGE_ZOOM_STEP = 1.1;
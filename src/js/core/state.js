@@ -3,11 +3,17 @@ export let state = {
     activeDivider: null,
     startX: 0,
     startY: 0,
+    startScroll: { left: 0, top: 0 }, // Workspace scroll when a divider drag starts
     startSizeA: 0,
     startSizeB: 0,
     // Multi-page support
     pages: [], // Array of layout objects
     currentPageIndex: 0,
+    // Master pages: { id, name, layout } where one leaf of the layout is the page area
+    masters: [],
+    editingMasterId: null, // Set while a master is edited in place of the current page
+    // Guides shown on every page: { orientation, position } with position in % of the page
+    guides: [],
     hoveredRectId: null,
     lastFocusedRectId: null,
     nodeMap: new Map(), // O(1) lookup for current page
@@ -29,13 +35,38 @@ export function updateCurrentId(val) {
     state.currentId = val;
 }
 
-// Helper to get current page layout
+/** Page settings stored on a page's root node, kept when the root is replaced */
+export const PAGE_PROPERTIES = ['masterId', 'paper', 'guides'];
+
+/**
+ * Moves the page settings of a replaced root node to the new root
+ * @param {Object} from
+ * @param {Object} to
+ */
+export function movePageProperties(from, to) {
+    PAGE_PROPERTIES.forEach(key => {
+        if (from[key] !== undefined) to[key] = from[key];
+        delete from[key];
+    });
+}
+
+/**
+ * @returns {Object|null} The master being edited, if any
+ */
+export function getEditedMaster() {
+    if (!state.editingMasterId) return null;
+    return state.masters.find(m => m.id === state.editingMasterId) || null;
+}
+
+// Helper to get current page layout (the master's layout while one is edited)
 export function getCurrentPage() {
-    return state.pages[state.currentPageIndex];
+    const master = getEditedMaster();
+    return master ? master.layout : state.pages[state.currentPageIndex];
 }
 
 // Helpers for multi-page management
 export function addPage() {
+    state.editingMasterId = null;
     state.currentId++;
     const newPage = {
         id: `rect-${state.currentId}`,
@@ -53,6 +84,7 @@ export function addPage() {
 export function switchPage(index) {
     if (index >= 0 && index < state.pages.length) {
         state.currentPageIndex = index;
+        state.editingMasterId = null;
     }
 }
 
@@ -60,6 +92,7 @@ export function deletePage(index) {
     if (state.pages.length <= 1) return;
 
     state.pages.splice(index, 1);
+    state.editingMasterId = null;
 
     if (state.currentPageIndex >= state.pages.length) {
         state.currentPageIndex = state.pages.length - 1;
@@ -68,6 +101,7 @@ export function deletePage(index) {
 
 export function duplicatePage(index) {
     if (index < 0 || index >= state.pages.length) return;
+    state.editingMasterId = null;
 
     // Deep clone the page
     const originalPage = state.pages[index];
@@ -117,7 +151,12 @@ export function reorderPage(fromIndex, toIndex) {
 }
 
 export function updateLayout(newLayout) {
-    state.pages[state.currentPageIndex] = newLayout;
+    const master = getEditedMaster();
+    if (master) {
+        master.layout = newLayout;
+    } else {
+        state.pages[state.currentPageIndex] = newLayout;
+    }
     syncNodeMap();
 }
 
@@ -0,0 +1,70 @@
+/**
+ * Physical unit helpers for page sizes.
+ * PDF pages are measured in points (1/72 in), raster exports in pixels at a given DPI.
+ */
+
+/** Points per unit */
+export const POINTS_PER_UNIT = {
+    mm: 72 / 25.4,
+    cm: 72 / 2.54,
+    in: 72,
+    pt: 1
+};
+
+/** Units offered in the page size settings */
+export const PAGE_UNITS = ['mm', 'cm', 'in', 'pt'];
+
+/** Common paper sizes (portrait) */
+export const PAGE_PRESETS = {
+    a3: { label: 'A3 (297 x 420 mm)', width: 297, height: 420, unit: 'mm' },
+    a4: { label: 'A4 (210 x 297 mm)', width: 210, height: 297, unit: 'mm' },
+    a5: { label: 'A5 (148 x 210 mm)', width: 148, height: 210, unit: 'mm' },
+    letter: { label: 'US Letter (8.5 x 11 in)', width: 8.5, height: 11, unit: 'in' },
+    legal: { label: 'US Legal (8.5 x 14 in)', width: 8.5, height: 14, unit: 'in' },
+    tabloid: { label: 'Tabloid (11 x 17 in)', width: 11, height: 17, unit: 'in' },
+    photo8x10: { label: 'Photo 8 x 10 in', width: 8, height: 10, unit: 'in' },
+    photo5x7: { label: 'Photo 5 x 7 in', width: 5, height: 7, unit: 'in' },
+    photo4x6: { label: 'Photo 4 x 6 in', width: 4, height: 6, unit: 'in' }
+};
+
+/**
+ * Converts a length to points.
+ * @param {number} value
+ * @param {string} unit 'mm' | 'cm' | 'in' | 'pt'
+ * @returns {number}
+ */
+export function toPoints(value, unit) {
+    return value * (POINTS_PER_UNIT[unit] || POINTS_PER_UNIT.mm);
+}
+
+/**
+ * Converts a length in points to another unit.
+ * @param {number} points
+ * @param {string} unit
+ * @returns {number}
+ */
+export function fromPoints(points, unit) {
+    return points / (POINTS_PER_UNIT[unit] || POINTS_PER_UNIT.mm);
+}
+
+/**
+ * Converts a length to a whole number of pixels at a given DPI.
+ * @param {number} value
+ * @param {string} unit
+ * @param {number} dpi
+ * @returns {number}
+ */
+export function toPixels(value, unit, dpi) {
+    return Math.max(1, Math.round(toPoints(value, unit) / 72 * dpi));
+}
+
+/**
+ * Formats a length for display, trimming insignificant decimals.
+ * @param {number} value
+ * @param {string} unit
+ * @returns {string}
+ */
+export function formatLength(value, unit) {
+    const decimals = unit === 'mm' || unit === 'pt' ? 1 : 2;
+    return `${Number(value.toFixed(decimals))} ${unit}`;
+}
@@ -1,7 +1,9 @@
 import JSZip from 'jszip';
 import { assetManager } from '../assets/AssetManager.js';
 import { renderLayout } from '../layout/renderer.js';
-import { loadSettings, applySettings, calculatePaperDimensions, getSettings } from '../ui/settings.js';
+import { getImageView, getImageTransform, isQuarterTurn } from '../layout/imageView.js';
+import { loadSettings, applySettings, calculateExportDimensions, getPhysicalPageSize, getSettings } from '../ui/settings.js';
+import { formatLength } from '../core/units.js';
 import { state } from '../core/state.js';
 import { showPublishSuccess, showAlert } from '../core/utils.js';
 import { toast } from '../core/errorHandler.js';
@@ -48,7 +50,9 @@ export async function initializeExportMode() {
     // any URL reload. Each call replaces the DOM atomically.
     if (window.electronAPI && window.electronAPI.onRenderContent) {
         window.electronAPI.onRenderContent(async (data) => {
-            const { requestId, pageLayout, pageLayouts, width, height, settings, assets, pageNumber: explicitPageNumber } = data;
+            const { requestId, pageLayout, pageLayouts, width, height, settings, assets, masters, pageNumber: explicitPageNumber } = data;
+            // Bleed (px) is included in width/height; the layout itself is rendered at trim size
+            const bleed = Math.max(0, Math.round(data.bleed || 0));
             try {
                 // Clear existing content for window reuse case
                 paper.innerHTML = '';
@@ -59,6 +63,9 @@ export async function initializeExportMode() {
                     applySettings();
                 }
 
+                // Master pages are composited by renderLayout
+                state.masters = Array.isArray(masters) ? masters : [];
+
                 // 2. Hydrate Assets - but skip if signature matches the last hydration.
                 // This is a major win when rendering many pages back-to-back, since
                 // hydration is expensive (data URLs, image decode, etc).
@@ -95,8 +102,8 @@ export async function initializeExportMode() {
                     pageWrapper.id = `export-page-${i}`;
 
                     // Set explicit dimensions (integer pixels)
-                    const intW = Math.round(width);
-                    const intH = Math.round(height);
+                    const intW = Math.round(width) - 2 * bleed;
+                    const intH = Math.round(height) - 2 * bleed;
                     pageWrapper.style.width = intW + 'px';
                     pageWrapper.style.height = intH + 'px';
                     pageWrapper.style.setProperty('--paper-current-width', `${intW}px`);
@@ -108,12 +115,27 @@ export async function initializeExportMode() {
                     pageWrapper.style.margin = '0';
                     pageWrapper.style.boxShadow = 'none';
 
+                    // With a bleed, the trimmed page sits centered in a larger sheet
+                    let sheet = pageWrapper;
+                    if (bleed > 0) {
+                        sheet = document.createElement('div');
+                        sheet.className = 'export-bleed-sheet';
+                        sheet.style.position = 'relative';
+                        sheet.style.overflow = 'hidden';
+                        sheet.style.width = `${intW + 2 * bleed}px`;
+                        sheet.style.height = `${intH + 2 * bleed}px`;
+                        pageWrapper.style.position = 'absolute';
+                        pageWrapper.style.left = `${bleed}px`;
+                        pageWrapper.style.top = `${bleed}px`;
+                        sheet.appendChild(pageWrapper);
+                    }
+
                     if (i < layouts.length - 1) {
-                        pageWrapper.style.breakAfter = 'page';
-                        pageWrapper.style.pageBreakAfter = 'always';
+                        sheet.style.breakAfter = 'page';
+                        sheet.style.pageBreakAfter = 'always';
                     }
 
-                    paper.appendChild(pageWrapper);
+                    paper.appendChild(sheet);
 
                     await renderLayout(pageWrapper, layout, {
                         useHighResImages: true,
@@ -134,6 +156,12 @@ export async function initializeExportMode() {
                     snapLayoutToIntegerPixels(wrapper);
                 });
 
+                if (bleed > 0) {
+                    for (const wrapper of wrappers) {
+                        await extendPageIntoBleed(wrapper, bleed);
+                    }
+                }
+
                 // Force a reflow + extra paint frame so the snapped layout is committed
                 // before the main process captures.
                 void paper.offsetHeight;
@@ -283,6 +311,193 @@ export function snapLayoutToIntegerPixels(root) {
     });
 }
 
+/**
+ * Fills the bleed area around an exported page.
+ *
+ * The sheet takes the colour found at the trim edge (the layout border when it is
+ * shown, the paper otherwise). Images that touch the trim edge are continued into
+ * the bleed: the image is scaled just enough to cover its extended box, and both
+ * the original element and a copy placed behind the page use that same geometry,
+ * so the picture stays continuous across the cut line.
+ *
+ * @param {HTMLElement} pageWrapper - The .a4-paper export page, inside its bleed sheet
+ * @param {number} bleed - Bleed width in pixels
+ */
+export async function extendPageIntoBleed(pageWrapper, bleed) {
+    const sheet = pageWrapper.parentElement;
+    if (!sheet) return;
+
+    const cs = getComputedStyle(pageWrapper);
+    sheet.style.backgroundColor = parseFloat(cs.borderTopWidth) > 0 ? cs.borderTopColor : cs.backgroundColor;
+
+    const trim = pageWrapper.getBoundingClientRect();
+    const sheetRect = sheet.getBoundingClientRect();
+    const touches = (a, b) => Math.abs(a - b) < 1;
+
+    const candidates = pageWrapper.querySelectorAll('.paper-bg-image, .image-layer');
+    for (const el of candidates) {
+        const url = extractBackgroundUrl(el.style.backgroundImage);
+        if (!url || el.style.backgroundSize !== 'cover') continue;
+
+        // Cell images are laid out against their frame; the layer itself may be turned
+        const framed = el.classList.contains('framed-image');
+        const boxRect = (framed ? el.parentElement : el).getBoundingClientRect();
+        const { left, top, width, height } = boxRect;
+
+        const edges = {
+            left: touches(left, trim.left) ? bleed : 0,
+            top: touches(top, trim.top) ? bleed : 0,
+            right: touches(left + width, trim.right) ? bleed : 0,
+            bottom: touches(top + height, trim.bottom) ? bleed : 0
+        };
+        if (!edges.left && !edges.top && !edges.right && !edges.bottom) continue;
+
+        const imageSize = await loadImageSize(url);
+        if (!imageSize) continue;
+
+        // Work in image space: undo the rotation, then the mirrors
+        const turn = {
+            rotation: parseFloat(el.dataset.rotation ?? 0),
+            flip: el.dataset.flipX === 'true',
+            flipY: el.dataset.flipY === 'true'
+        };
+        const imageEdges = screenToImageEdges(edges, turn);
+        const imageBox = isQuarterTurn(turn) ? { width: height, height: width } : { width, height };
+        const view = {
+            focalX: parseFloat(el.dataset.focalX ?? 0.5),
+            focalY: parseFloat(el.dataset.focalY ?? 0.5),
+            zoom: parseFloat(el.dataset.zoom ?? 1)
+        };
+
+        const geometry = computeBleedExtension(imageBox, imageEdges, imageSize, view);
+        const size = `${geometry.imageWidth}px ${geometry.imageHeight}px`;
+        // Centered like a framed image, turned and mirrored but no longer zoomed
+        const transform = getImageTransform(turn);
+
+        // The explicit geometry replaces focal point and zoom
+        el.style.backgroundSize = size;
+        el.style.backgroundPosition = `${geometry.x}px ${geometry.y}px`;
+        if (framed) {
+            el.style.transform = transform;
+        }
+
+        const extension = document.createElement('div');
+        extension.className = 'export-bleed-extension';
+        extension.style.position = 'absolute';
+        extension.style.left = `${left - sheetRect.left - edges.left}px`;
+        extension.style.top = `${top - sheetRect.top - edges.top}px`;
+        extension.style.width = `${width + edges.left + edges.right}px`;
+        extension.style.height = `${height + edges.top + edges.bottom}px`;
+        if (el.style.opacity) extension.style.opacity = el.style.opacity;
+
+        const layer = document.createElement('div');
+        layer.style.position = 'absolute';
+        layer.style.left = '50%';
+        layer.style.top = '50%';
+        layer.style.width = `${geometry.extension.width}px`;
+        layer.style.height = `${geometry.extension.height}px`;
+        layer.style.backgroundImage = el.style.backgroundImage;
+        layer.style.backgroundRepeat = 'no-repeat';
+        layer.style.backgroundSize = size;
+        layer.style.backgroundPosition = `${geometry.extension.x}px ${geometry.extension.y}px`;
+        layer.style.transform = transform;
+        // Resolved against the cell, as the copy sits outside the image frame
+        layer.style.filter = getComputedStyle(el).filter;
+        extension.appendChild(layer);
+
+        sheet.insertBefore(extension, pageWrapper);
+    }
+}
+
+/**
+ * Maps growth per screen side onto the sides of a rotated and/or mirrored image.
+ * @param {{left: number, top: number, right: number, bottom: number}} edges - Screen space
+ * @param {Object} image - node.image-like `{rotation, flip, flipY}`
+ * @returns {{left: number, top: number, right: number, bottom: number}} Image space
+ */
+export function screenToImageEdges(edges, image) {
+    const { rotation, flipX, flipY } = getImageView(image);
+    const sides = ['top', 'right', 'bottom', 'left'];
+    const steps = rotation / 90;
+
+    // A clockwise quarter turn moves each image side onto the next screen side
+    const turned = {};
+    sides.forEach((side, i) => {
+        turned[side] = edges[sides[(i + steps) % 4]];
+    });
+
+    return {
+        left: flipX ? turned.right : turned.left,
+        right: flipX ? turned.left : turned.right,
+        top: flipY ? turned.bottom : turned.top,
+        bottom: flipY ? turned.top : turned.bottom
+    };
+}
+
+/**
+ * Computes the background geometry that lets an image continue into the bleed.
+ *
+ * The image is framed as in the editor (cover, focal point, zoom), then the point
+ * shown at the center of the box is kept there while the image is scaled up just
+ * enough to cover the box grown by the given edges.
+ *
+ * @param {{width: number, height: number}} box - Element size in px
+ * @param {{left: number, top: number, right: number, bottom: number}} edges - Growth per side in px, in image space
+ * @param {{width: number, height: number}} imageSize - Natural image size
+ * @param {{focalX?: number, focalY?: number, zoom?: number}} [view] - Image framing, centered and unzoomed by default
+ * @returns {{imageWidth: number, imageHeight: number, x: number, y: number, extension: {width: number, height: number, x: number, y: number}}}
+ */
+export function computeBleedExtension(box, edges, imageSize, view = {}) {
+    const { focalX = 0.5, focalY = 0.5, zoom = 1 } = view;
+
+    // Framing inside the box, matching object-position/background-position percentages
+    const fitScale = Math.max(box.width / imageSize.width, box.height / imageSize.height) * zoom;
+    const baseWidth = imageSize.width * fitScale;
+    const baseHeight = imageSize.height * fitScale;
+    const baseX = focalX * (box.width - baseWidth);
+    const baseY = focalY * (box.height - baseHeight);
+
+    // Fraction of the image shown at the box center
+    const u = (box.width / 2 - baseX) / baseWidth;
+    const v = (box.height / 2 - baseY) / baseHeight;
+
+    const neededWidth = Math.max(baseWidth, (box.width / 2 + edges.left) / u, (box.width / 2 + edges.right) / (1 - u));
+    const neededHeight = Math.max(baseHeight, (box.height / 2 + edges.top) / v, (box.height / 2 + edges.bottom) / (1 - v));
+    const grow = Math.max(neededWidth / baseWidth, neededHeight / baseHeight);
+
+    const imageWidth = baseWidth * grow;
+    const imageHeight = baseHeight * grow;
+    const x = box.width / 2 - u * imageWidth;
+    const y = box.height / 2 - v * imageHeight;
+
+    return {
+        imageWidth,
+        imageHeight,
+        x,
+        y,
+        extension: {
+            width: box.width + edges.left + edges.right,
+            height: box.height + edges.top + edges.bottom,
+            x: x + edges.left,
+            y: y + edges.top
+        }
+    };
+}
+
+function extractBackgroundUrl(backgroundImage) {
+    const match = /^url\(["']?(.*?)["']?\)$/.exec(backgroundImage || '');
+    return match ? match[1] : null;
+}
+
+function loadImageSize(url) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(img.naturalWidth ? { width: img.naturalWidth, height: img.naturalHeight } : null);
+        img.onerror = () => resolve(null);
+        img.src = url;
+    });
+}
+
 export function extractLinksForExport(container) {
     const links = [];
     const containerRect = container.getBoundingClientRect();
@@ -367,14 +582,28 @@ export function setupExportHandlers() {
 
     if (!exportBtn || !modal) return;
 
+    const physicalInfo = document.getElementById('export-physical-info');
+    const physicalSizeText = document.getElementById('export-physical-size');
+
     function updateDimensions() {
         const quality = parseInt(qualitySlider.value);
-        if (qualityValue) qualityValue.textContent = `${quality}%`;
-        const multiplier = quality / 100;
+        const physical = getPhysicalPageSize();
 
-        const { width: layoutWidth, height: layoutHeight } = calculatePaperDimensions();
-        const width = Math.round(layoutWidth * multiplier);
-        const height = Math.round(layoutHeight * multiplier);
+        // Physical page sizes export at their DPI, so the percent slider does not apply
+        if (qualitySlider) qualitySlider.style.display = physical ? 'none' : '';
+        if (physicalInfo) physicalInfo.style.display = physical ? '' : 'none';
+
+        if (physical) {
+            if (qualityValue) qualityValue.textContent = `${physical.dpi} DPI`;
+            if (physicalSizeText) {
+                const bleedText = physical.bleed > 0 ? ` + ${formatLength(physical.bleed, physical.unit)} bleed (PDF)` : '';
+                physicalSizeText.textContent = `${formatLength(physical.width, physical.unit)} x ${formatLength(physical.height, physical.unit)}${bleedText} @ ${physical.dpi} DPI`;
+            }
+        } else if (qualityValue) {
+            qualityValue.textContent = `${quality}%`;
+        }
+
+        const { width, height } = calculateExportDimensions(quality / 100);
         if (dimensionsText) dimensionsText.textContent = `${width} x ${height} px`;
     }
 
@@ -472,20 +701,38 @@ export function setupExportHandlers() {
     }
 }
 
+/**
+ * PDF size of a page, with its bleed and printer's marks
+ * @param {number} qualityMultiplier
+ * @param {Object} page - Page root node
+ * @returns {{width: number, height: number, pageWidthPt: number|null, pageHeightPt: number|null, bleed: number, bleedPt: number, cropMarks: boolean}}
+ */
+function getPdfPageSize(qualityMultiplier, page) {
+    const { width, height, pageWidthPt, pageHeightPt, bleed, bleedPt } = calculateExportDimensions(qualityMultiplier, page);
+    return {
+        width: width + 2 * bleed,
+        height: height + 2 * bleed,
+        pageWidthPt,
+        pageHeightPt,
+        bleed,
+        bleedPt,
+        cropMarks: Boolean(pageWidthPt && getSettings().paper.cropMarks)
+    };
+}
+
 async function performExport(format, qualityMultiplier) {
     const loadingOverlay = document.getElementById('export-loading');
     const loadingStatus = document.getElementById('loading-status');
     const progressText = document.getElementById('loading-progress');
 
-    const { width: layoutWidth, height: layoutHeight } = calculatePaperDimensions();
-    const width = Math.round(layoutWidth * qualityMultiplier);
-    const height = Math.round(layoutHeight * qualityMultiplier);
-
     if (!state.pages || state.pages.length === 0) {
         toast.error('No pages to export.');
         return;
     }
 
+    // Bleed and printer's marks only apply to PDFs, which is what goes to print
+    const pdfPageSizes = state.pages.map(page => getPdfPageSize(qualityMultiplier, page));
+
     // Derive export filename from the saved layout name, or fall back to timestamped default
     const baseName = state.currentFilePath
         ? state.currentFilePath.replace(/\\/g, '/').split('/').pop().replace(/\.broco$/i, '')
@@ -553,23 +800,25 @@ async function performExport(format, qualityMultiplier) {
 
             let result;
             try {
-                if (state.pages.length > 1 && window.electronAPI.renderExportPdfStreaming) {
+                if (state.pages.length > 1) {
                     // Streaming path - bounded memory, per-page rendering.
+                    // Pages can differ in size, so each one gets its own
                     result = await window.electronAPI.renderExportPdfStreaming({
                         pageLayouts: state.pages,
-                        width,
-                        height,
+                        ...pdfPageSizes[0],
+                        pageSizes: pdfPageSizes,
                         settings: getSettings(),
+                        masters: state.masters,
                         assets: assetManager.getAssets()
                     });
                 } else {
-                    // Single-page or fallback path.
+                    // Single page: the one size applies to the whole render
                     result = await window.electronAPI.renderExport({
                         pageLayouts: state.pages,
-                        width,
-                        height,
+                        ...pdfPageSizes[0],
                         format: 'pdf',
                         settings: getSettings(),
+                        masters: state.masters,
                         assets: assetManager.getAssets()
                     });
                 }
@@ -600,12 +849,14 @@ async function performExport(format, qualityMultiplier) {
                 }
 
                 const pageLayout = state.pages[i];
+                const { width, height } = calculateExportDimensions(qualityMultiplier, pageLayout);
                 const result = await window.electronAPI.renderExport({
                     pageLayout,
                     width,
                     height,
                     format: format,
                     settings: getSettings(),
+                    masters: state.masters,
                     assets: assetManager.getAssets(),
                     pageNumber: i + 1
                 });
@@ -668,10 +919,6 @@ async function performPublishFlipbook(qualityMultiplier) {
         if (loadingStatus) loadingStatus.textContent = 'Publishing Flipbook...';
     }
 
-    const { width: layoutWidth, height: layoutHeight } = calculatePaperDimensions();
-    const width = Math.round(layoutWidth * qualityMultiplier);
-    const height = Math.round(layoutHeight * qualityMultiplier);
-
     const apiPages = [];
     const bookmarks = extractBookmarksForApi(state.pages);
 
@@ -682,6 +929,7 @@ async function performPublishFlipbook(qualityMultiplier) {
             }
 
             const pageLayout = state.pages[i];
+            const { width, height } = calculateExportDimensions(qualityMultiplier, pageLayout);
 
             const result = await window.electronAPI.renderExport({
                 pageLayout,
@@ -689,6 +937,7 @@ async function performPublishFlipbook(qualityMultiplier) {
                 height,
                 format: 'jpeg',
                 settings: getSettings(),
+                masters: state.masters,
                 assets: assetManager.getAssets(),
                     pageNumber: i + 1
                 });
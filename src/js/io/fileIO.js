@@ -68,6 +68,8 @@ async function prepareSaveData() {
     return {
         version: '1.0',
         pages: state.pages,
+        masters: state.masters,
+        guides: state.guides,
         currentPageIndex: state.currentPageIndex,
         currentId: state.currentId,
         assets: assets,
@@ -279,6 +281,10 @@ export async function openLayout(forcedPath = null) {
             }
 
             state.pages = data.pages;
+            // Layouts saved before master pages have none
+            state.masters = Array.isArray(data.masters) ? data.masters : [];
+            state.guides = Array.isArray(data.guides) ? data.guides : [];
+            state.editingMasterId = null;
             state.currentPageIndex = data.currentPageIndex || 0;
             updateCurrentId(data.currentId || 1);
 
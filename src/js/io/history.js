@@ -20,6 +20,8 @@ function cloneState(obj) {
 export function saveState() {
     undoStack.push({
         pages: cloneState(state.pages),
+        masters: cloneState(state.masters),
+        guides: cloneState(state.guides),
         currentPageIndex: state.currentPageIndex,
         currentId: state.currentId
     });
@@ -30,6 +32,15 @@ export function saveState() {
     setDirty(true);
 }
 
+/**
+ * Snapshots kept for undo and redo, oldest first. They are the live records: a caller
+ * rewriting references in the document (asset IDs) can rewrite them here too.
+ * @returns {{pages: Object[], masters: Object[]}[]}
+ */
+export function getHistorySnapshots() {
+    return [...undoStack, ...redoStack];
+}
+
 export function clearHistory() {
     undoStack = [];
     redoStack = [];
@@ -40,6 +51,8 @@ export function undo(rebindCallback) {
 
     redoStack.push({
         pages: cloneState(state.pages),
+        masters: cloneState(state.masters),
+        guides: cloneState(state.guides),
         currentPageIndex: state.currentPageIndex,
         currentId: state.currentId
     });
@@ -53,6 +66,8 @@ export function redo(rebindCallback) {
 
     undoStack.push({
         pages: cloneState(state.pages),
+        masters: cloneState(state.masters),
+        guides: cloneState(state.guides),
         currentPageIndex: state.currentPageIndex,
         currentId: state.currentId
     });
@@ -63,6 +78,11 @@ export function redo(rebindCallback) {
 
 function restoreState(snapshot, rebindCallback) {
     state.pages = snapshot.pages;
+    state.masters = snapshot.masters || [];
+    state.guides = snapshot.guides || [];
+    if (!state.masters.some(m => m.id === state.editingMasterId)) {
+        state.editingMasterId = null;
+    }
     state.currentPageIndex = snapshot.currentPageIndex;
     updateCurrentId(snapshot.currentId);
     if (rebindCallback) rebindCallback();
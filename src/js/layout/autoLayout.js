@@ -0,0 +1,308 @@
+import { state, getCurrentPage } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { toast } from '../core/errorHandler.js';
+import { AUTO_LAYOUT_MAX_PER_PAGE, AUTO_LAYOUT_CAPTION_SIZE } from '../core/constants.js';
+import { assetManager } from '../assets/AssetManager.js';
+import { calculatePaperDimensions } from '../ui/settings.js';
+import { renderAndRestoreFocus } from './internal/focusManager.js';
+import { renderPageList } from './pages.js';
+
+/**
+ * Auto layout: builds pages of justified rows (or columns) from a list of images.
+ *
+ * Within a page every cell of a row shares the row height and gets a width proportional
+ * to its image's aspect ratio, then all rows are stretched to fill the page height.
+ * That stretch is the same for every cell, so a page is scored by a single distortion
+ * factor; the partition into rows (or columns) that keeps it closest to 1 wins.
+ * The result is made of ordinary split and leaf nodes, so it stays editable.
+ */
+
+/** Default generator options */
+export const AUTO_LAYOUT_DEFAULTS = {
+    perPage: 6,
+    maxCrop: 15, // % of an image that may be cut off by `cover`
+    captions: false
+};
+
+const round = (value) => Number(value.toFixed(4));
+
+/**
+ * Share of an image lost when it covers a cell whose aspect ratio is off by `distortion`
+ * @param {number} distortion - Cell aspect / image aspect
+ * @returns {number} 0..1
+ */
+export function cropForDistortion(distortion) {
+    return 1 - 1 / Math.max(distortion, 1 / distortion);
+}
+
+/**
+ * Finds the best split of a page's images into contiguous rows (or, transposed, columns).
+ * @param {number[]} aspects - Width / height of each cell's content
+ * @param {number} pageAspect - Width / height of the page
+ * @returns {{mode: 'rows'|'columns', groups: number[][], distortion: number, crop: number}}
+ */
+export function findBestArrangement(aspects, pageAspect) {
+    let best = null;
+
+    for (const mode of ['rows', 'columns']) {
+        // Columns are rows of the transposed page
+        const items = mode === 'rows' ? aspects : aspects.map(a => 1 / a);
+        const page = mode === 'rows' ? pageAspect : 1 / pageAspect;
+        const n = items.length;
+
+        // Every way of cutting the sequence: bit i set = new group after item i
+        for (let mask = 0; mask < (1 << (n - 1)); mask++) {
+            const groups = [[0]];
+            for (let i = 1; i < n; i++) {
+                if (mask & (1 << (i - 1))) groups.push([]);
+                groups[groups.length - 1].push(i);
+            }
+
+            // Natural height of each row at full page width, in page heights
+            const height = groups.reduce((sum, g) => sum + page / g.reduce((s, i) => s + items[i], 0), 0);
+            const counts = groups.map(g => g.length);
+            // Prefer even rows when the fit is equally good
+            const cost = Math.abs(Math.log(height)) + 0.01 * (Math.max(...counts) - Math.min(...counts));
+
+            if (!best || cost < best.cost) {
+                best = { mode, groups, distortion: height, cost };
+            }
+        }
+    }
+
+    return {
+        mode: best.mode,
+        groups: best.groups,
+        distortion: best.distortion,
+        crop: cropForDistortion(best.distortion)
+    };
+}
+
+/**
+ * Splits images into pages, filling each page with as many images as the crop tolerance allows.
+ * Pages are balanced so the last one is not left with a single image.
+ * @param {number[]} aspects - Image width / height, in order
+ * @param {number} pageAspect
+ * @param {Object} [options] - See AUTO_LAYOUT_DEFAULTS
+ * @returns {{start: number, mode: string, groups: number[][], crop: number}[]} Groups hold indices into `aspects`
+ */
+export function planAutoLayout(aspects, pageAspect, options = {}) {
+    const { perPage, maxCrop, captions } = { ...AUTO_LAYOUT_DEFAULTS, ...options };
+    const limit = Math.min(AUTO_LAYOUT_MAX_PER_PAGE, Math.max(1, Math.round(perPage)));
+    const tolerance = Math.max(0, maxCrop) / 100;
+    // A caption under each image makes its cell taller than the picture
+    const cellAspects = aspects.map(a => captions ? a * (1 - AUTO_LAYOUT_CAPTION_SIZE / 100) : a);
+
+    const pages = [];
+    let start = 0;
+    while (start < cellAspects.length) {
+        const remaining = cellAspects.length - start;
+        const pagesLeft = Math.ceil(remaining / limit);
+        let count = Math.ceil(remaining / pagesLeft);
+
+        let arrangement = findBestArrangement(cellAspects.slice(start, start + count), pageAspect);
+        while (count > 1 && arrangement.crop > tolerance) {
+            count--;
+            arrangement = findBestArrangement(cellAspects.slice(start, start + count), pageAspect);
+        }
+
+        pages.push({
+            start,
+            mode: arrangement.mode,
+            groups: arrangement.groups.map(g => g.map(i => i + start)),
+            crop: arrangement.crop
+        });
+        start += count;
+    }
+    return pages;
+}
+
+function newId() {
+    return `rect-${++state.currentId}`;
+}
+
+function buildCell(assetId, captions) {
+    const image = { assetId, fit: 'cover' };
+    if (!captions) {
+        return { id: newId(), splitState: 'unsplit', image, text: null };
+    }
+    return {
+        id: newId(),
+        splitState: 'split',
+        orientation: 'horizontal',
+        children: [
+            { id: newId(), splitState: 'unsplit', image, text: null, size: `${100 - AUTO_LAYOUT_CAPTION_SIZE}%` },
+            { id: newId(), splitState: 'unsplit', image: null, text: '', size: `${AUTO_LAYOUT_CAPTION_SIZE}%` }
+        ]
+    };
+}
+
+/**
+ * Lays cells out along one axis, or returns the single cell
+ * @param {Object[]} cells
+ * @param {number[]} weights - Relative sizes
+ * @param {'vertical'|'horizontal'} orientation - Divider orientation ('vertical' = side by side)
+ */
+function buildGroup(cells, weights, orientation) {
+    if (cells.length === 1) return cells[0];
+    const total = weights.reduce((a, b) => a + b, 0);
+    cells.forEach((cell, i) => {
+        cell.size = `${round(weights[i] / total * 100)}%`;
+    });
+    return { id: newId(), splitState: 'split', orientation, children: cells };
+}
+
+/**
+ * Builds the layout tree of one planned page, with fresh IDs from state.currentId
+ * @param {{mode: string, groups: number[][]}} pagePlan
+ * @param {{assetId: string, aspect: number}[]} images - Same order as the plan indices
+ * @param {boolean} [captions]
+ * @returns {Object} Page root node
+ */
+export function buildAutoLayoutPage(pagePlan, images, captions = false) {
+    const rows = pagePlan.mode === 'rows';
+    // Along a row cells are sized by aspect; rows by the inverse of their summed aspect
+    const along = (i) => rows ? images[i].aspect : 1 / images[i].aspect;
+
+    const groups = pagePlan.groups.map(group => buildGroup(
+        group.map(i => buildCell(images[i].assetId, captions)),
+        group.map(along),
+        rows ? 'vertical' : 'horizontal'
+    ));
+    const groupWeights = pagePlan.groups.map(group => 1 / group.reduce((sum, i) => sum + along(i), 0));
+
+    const root = buildGroup(groups, groupWeights, rows ? 'horizontal' : 'vertical');
+    delete root.size;
+    return root;
+}
+
+/**
+ * Width / height of an image asset, from its metadata or its thumbnail
+ * @param {import('../assets/AssetManager.js').Asset} asset
+ * @returns {Promise<number>}
+ */
+export function getAssetAspect(asset) {
+    const meta = asset.metadata;
+    if (meta?.width && meta?.height) return Promise.resolve(meta.width / meta.height);
+
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(img.naturalWidth && img.naturalHeight ? img.naturalWidth / img.naturalHeight : 1);
+        img.onerror = () => resolve(1);
+        img.src = asset.lowResData;
+    });
+}
+
+function isEmptyPage(page) {
+    return page.splitState !== 'split' && !page.image && (page.text === null || page.text === undefined);
+}
+
+/**
+ * Generates pages from image assets, after the current page.
+ * An empty current page is reused for the first generated page.
+ * @param {string[]} assetIds
+ * @param {Object} [options] - See AUTO_LAYOUT_DEFAULTS
+ * @returns {Promise<number>} Number of pages created or filled
+ */
+export async function generateAutoLayout(assetIds, options = {}) {
+    const assets = assetIds
+        .map(id => assetManager.getAsset(id))
+        .filter(asset => asset && asset.type === 'image');
+    if (assets.length === 0) {
+        toast.warning('Select some images to lay out.');
+        return 0;
+    }
+
+    const images = await Promise.all(assets.map(async asset => ({
+        assetId: asset.id,
+        aspect: await getAssetAspect(asset)
+    })));
+
+    const paper = calculatePaperDimensions();
+    const settings = { ...AUTO_LAYOUT_DEFAULTS, ...options };
+    const plan = planAutoLayout(images.map(img => img.aspect), paper.width / paper.height, settings);
+
+    saveState();
+    state.editingMasterId = null;
+    let insertAt = state.currentPageIndex;
+    plan.forEach((pagePlan, i) => {
+        const root = buildAutoLayoutPage(pagePlan, images, settings.captions);
+        if (i === 0 && isEmptyPage(getCurrentPage())) {
+            state.pages[insertAt] = root;
+        } else {
+            insertAt++;
+            state.pages.splice(insertAt, 0, root);
+        }
+    });
+
+    state.currentPageIndex = insertAt - plan.length + 1;
+    renderAndRestoreFocus(getCurrentPage());
+    renderPageList();
+    document.dispatchEvent(new CustomEvent('layoutUpdated'));
+
+    toast.success(`Laid out ${assets.length} image${assets.length > 1 ? 's' : ''} on ${plan.length} page${plan.length > 1 ? 's' : ''}`);
+    return plan.length;
+}
+
+// ----------------------------------------------------------------------
+// UI
+// ----------------------------------------------------------------------
+
+let pendingAssetIds = [];
+
+/**
+ * Opens the auto layout dialog for a set of assets
+ * @param {string[]} assetIds
+ */
+export function openAutoLayoutDialog(assetIds) {
+    const modal = document.getElementById('auto-layout-modal');
+    const summary = document.getElementById('auto-layout-summary');
+    if (!modal) return;
+
+    pendingAssetIds = assetIds.filter(id => assetManager.getAsset(id)?.type === 'image');
+    if (pendingAssetIds.length === 0) {
+        toast.warning('There are no images to lay out.');
+        return;
+    }
+
+    if (summary) {
+        summary.textContent = `${pendingAssetIds.length} image${pendingAssetIds.length > 1 ? 's' : ''} will be placed on new pages after the current one.`;
+    }
+    modal.classList.add('active');
+    document.getElementById('auto-layout-generate')?.focus();
+}
+
+/**
+ * Wires up the auto layout dialog.
+ */
+export function setupAutoLayoutHandlers() {
+    const modal = document.getElementById('auto-layout-modal');
+    const perPageInput = document.getElementById('auto-layout-per-page');
+    const maxCropInput = document.getElementById('auto-layout-max-crop');
+    const captionsToggle = document.getElementById('auto-layout-captions');
+    const generateBtn = document.getElementById('auto-layout-generate');
+    const cancelBtn = document.getElementById('auto-layout-cancel');
+
+    if (!modal || !generateBtn) return;
+
+    const close = () => modal.classList.remove('active');
+
+    cancelBtn?.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') close();
+    });
+
+    generateBtn.addEventListener('click', async () => {
+        const perPage = parseInt(perPageInput?.value, 10);
+        const maxCrop = parseFloat(maxCropInput?.value);
+        close();
+        await generateAutoLayout(pendingAssetIds, {
+            perPage: Number.isFinite(perPage) ? perPage : AUTO_LAYOUT_DEFAULTS.perPage,
+            maxCrop: Number.isFinite(maxCrop) ? maxCrop : AUTO_LAYOUT_DEFAULTS.maxCrop,
+            captions: !!captionsToggle?.checked
+        });
+    });
+}
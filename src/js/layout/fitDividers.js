@@ -0,0 +1,245 @@
+import { state, getCurrentPage } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { toast } from '../core/errorHandler.js';
+import { FIT_DIVIDERS_MIN_EMPTY_SHARE } from '../core/constants.js';
+import { assetManager } from '../assets/AssetManager.js';
+import { calculatePaperDimensions, getSettings } from '../ui/settings.js';
+import { findNodeById, findParentNode } from './internal/treeUtils.js';
+import { renderAndRestoreFocus } from './internal/focusManager.js';
+import { cropForDistortion, getAssetAspect } from './autoLayout.js';
+import { getPageMaster, findPageArea } from './masters.js';
+import { isQuarterTurn } from './imageView.js';
+
+/**
+ * Fit dividers to images: moves the dividers of a subtree so that every image cell
+ * gets its image's aspect ratio, keeping the tree structure.
+ *
+ * Each subtree whose cells all hold images has a natural shape: at a given height it wants
+ * a given width, and with dividers of fixed thickness that relation is affine
+ * (width = alpha * height + beta). Children are sized from these shapes top-down, so a
+ * subtree whose container matches its shape fits with no crop at all. When the container
+ * cannot match, the remaining distortion is shared by the children in proportion rather
+ * than pushed onto a single image. Cells without an image take whatever space is left.
+ */
+
+/** Residual crop below which a cell counts as fitted */
+const FIT_TOLERANCE = 0.005;
+
+const round = (value) => Number(value.toFixed(4));
+
+/**
+ * Natural shape of a subtree, or null when it contains a cell without an image
+ * @param {Object} node
+ * @param {function(Object): (number|null)} aspectOf - Image aspect (width / height) of a leaf
+ * @param {number} gap - Divider thickness
+ * @returns {{alpha: number, beta: number}|null} width = alpha * height + beta
+ */
+export function measureShape(node, aspectOf, gap = 0) {
+    if (node.splitState !== 'split') {
+        const aspect = aspectOf(node);
+        return aspect ? { alpha: aspect, beta: 0 } : null;
+    }
+
+    const shapes = node.children.map(child => measureShape(child, aspectOf, gap));
+    if (shapes.some(shape => !shape)) return null;
+    const dividers = (node.children.length - 1) * gap;
+
+    if (node.orientation === 'vertical') {
+        // Side by side: common height, widths add up
+        return {
+            alpha: shapes.reduce((sum, s) => sum + s.alpha, 0),
+            beta: shapes.reduce((sum, s) => sum + s.beta, 0) + dividers
+        };
+    }
+
+    // Stacked: common width, heights add up
+    const alpha = 1 / shapes.reduce((sum, s) => sum + 1 / s.alpha, 0);
+    return {
+        alpha,
+        beta: alpha * (shapes.reduce((sum, s) => sum + s.beta / s.alpha, 0) - dividers)
+    };
+}
+
+/**
+ * Sets the sizes of every split in a subtree to fit its images.
+ * @param {Object} node - Subtree root, modified in place
+ * @param {number} width - Size of the subtree on the page
+ * @param {number} height
+ * @param {function(Object): (number|null)} aspectOf - Image aspect (width / height) of a leaf
+ * @param {number} [gap] - Divider thickness, in the same unit as width and height
+ * @returns {{id: string, crop: number}[]} Residual crop (0..1) of each image cell
+ */
+export function fitDividers(node, width, height, aspectOf, gap = 0) {
+    const report = [];
+    allocate(node, width, height, aspectOf, gap, report);
+    return report;
+}
+
+function allocate(node, width, height, aspectOf, gap, report) {
+    if (node.splitState !== 'split') {
+        const aspect = aspectOf(node);
+        if (aspect && width > 0 && height > 0) {
+            report.push({ id: node.id, crop: cropForDistortion(width / height / aspect) });
+        }
+        return;
+    }
+
+    const sideBySide = node.orientation === 'vertical';
+    const available = (sideBySide ? width : height) - (node.children.length - 1) * gap;
+    const cross = sideBySide ? height : width;
+    if (available <= 0 || cross <= 0) return;
+
+    // Length each child wants along the split, null for children without a shape
+    const minLength = available / 100;
+    const desired = node.children.map(child => {
+        const shape = measureShape(child, aspectOf, gap);
+        if (!shape) return null;
+        const length = sideBySide ? shape.alpha * cross + shape.beta : (cross - shape.beta) / shape.alpha;
+        return Math.max(minLength, length);
+    });
+
+    const flexible = desired.filter(length => length === null).length;
+    const fixedTotal = desired.reduce((sum, length) => sum + (length || 0), 0);
+
+    let flexLength = 0;
+    if (flexible > 0) {
+        const minShare = available * FIT_DIVIDERS_MIN_EMPTY_SHARE / 100;
+        flexLength = fixedTotal > 0
+            ? Math.max(minShare, (available - fixedTotal) / flexible)
+            : available / flexible;
+    }
+    const scale = fixedTotal > 0 ? (available - flexible * flexLength) / fixedTotal : 0;
+    const lengths = desired.map(length => length === null ? flexLength : length * scale);
+
+    node.children.forEach((child, i) => {
+        child.size = `${round(lengths[i] / available * 100)}%`;
+        if (sideBySide) {
+            allocate(child, lengths[i], height, aspectOf, gap, report);
+        } else {
+            allocate(child, width, lengths[i], aspectOf, gap, report);
+        }
+    });
+}
+
+/**
+ * Size of a node on the page, following the split sizes from the root
+ * @param {Object} root - Page root
+ * @param {string} id
+ * @param {number} width - Page width
+ * @param {number} height - Page height
+ * @param {number} [gap] - Divider thickness
+ * @returns {{width: number, height: number}|null}
+ */
+export function getNodeBox(root, id, width, height, gap = 0) {
+    if (root.id === id) return { width, height };
+    if (root.splitState !== 'split' || !root.children) return null;
+
+    const sideBySide = root.orientation === 'vertical';
+    const available = (sideBySide ? width : height) - (root.children.length - 1) * gap;
+    const grows = root.children.map(child => parseFloat(child.size) || 100 / root.children.length);
+    const total = grows.reduce((a, b) => a + b, 0);
+
+    for (let i = 0; i < root.children.length; i++) {
+        const length = available * grows[i] / total;
+        const box = sideBySide
+            ? getNodeBox(root.children[i], id, length, height, gap)
+            : getNodeBox(root.children[i], id, width, length, gap);
+        if (box) return box;
+    }
+    return null;
+}
+
+/**
+ * Size of the current page on the canvas and of the part its layout fills,
+ * in the pixels of calculatePaperDimensions
+ * @param {Object} page - Layout being edited (getCurrentPage)
+ * @returns {{paper: {width: number, height: number}, area: {width: number, height: number}, gap: number}}
+ *   `gap` is the divider thickness
+ */
+export function getLayoutGeometry(page) {
+    const pageRoot = state.pages[state.currentPageIndex];
+    const paper = calculatePaperDimensions(pageRoot);
+    const gap = Math.max(paper.width, paper.height) * getSettings().dividers.width / 1000;
+    // A page drawn in a master only gets the master's page area
+    const master = page === pageRoot ? getPageMaster(page) : null;
+    const area = master
+        ? getNodeBox(master.layout, findPageArea(master.layout).id, paper.width, paper.height, gap)
+        : paper;
+    return { paper, area, gap };
+}
+
+function collectImageLeaves(node, leaves = []) {
+    if (node.splitState === 'split') {
+        node.children.forEach(child => collectImageLeaves(child, leaves));
+    } else if (node.image && assetManager.getAsset(node.image.assetId)) {
+        leaves.push(node);
+    }
+    return leaves;
+}
+
+/**
+ * Fits the dividers of a split node (or of the whole page) to the images it contains.
+ * One undo step. Cells that cannot fit exactly are reported with their residual crop.
+ * @param {string|null} [nodeId] - Split node, or a leaf to fit its parent split; the page when omitted
+ * @returns {Promise<{id: string, crop: number}[]|null>} The per-cell report, null if nothing was fitted
+ */
+export async function fitDividersToImages(nodeId = null) {
+    const page = getCurrentPage();
+    let target = nodeId ? findNodeById(page, nodeId) : page;
+    if (target && target.splitState !== 'split') {
+        target = findParentNode(page, target.id);
+    }
+    if (!target) {
+        toast.info('There are no dividers to fit here.');
+        return null;
+    }
+
+    const leaves = collectImageLeaves(target);
+    if (leaves.length === 0) {
+        toast.info('There are no images to fit the dividers to.');
+        return null;
+    }
+
+    const aspects = new Map();
+    await Promise.all(leaves.map(async leaf => {
+        const aspect = await getAssetAspect(assetManager.getAsset(leaf.image.assetId));
+        aspects.set(leaf.id, isQuarterTurn(leaf.image) ? 1 / aspect : aspect);
+    }));
+    // The page may have changed while images were measured
+    if (getCurrentPage() !== page) return null;
+
+    const { area, gap } = getLayoutGeometry(page);
+    const box = getNodeBox(page, target.id, area.width, area.height, gap);
+    if (!box) return null;
+
+    saveState();
+    const report = fitDividers(target, box.width, box.height, node => aspects.get(node.id) || null, gap);
+    renderAndRestoreFocus(page, state.lastFocusedRectId);
+    showFitReport(page, report);
+    return report;
+}
+
+/** Summarises the result and labels every cell that still does not fit */
+function showFitReport(page, report) {
+    const cropped = report.filter(cell => cell.crop >= FIT_TOLERANCE);
+    if (cropped.length === 0) {
+        toast.success('Dividers fitted: every image shows in full.');
+        return;
+    }
+
+    const worst = Math.max(...cropped.map(cell => cell.crop));
+    toast.info(`No exact fit for ${cropped.length} of ${report.length} images (up to ${Math.round(worst * 100)}% off).`);
+
+    // Badges live until the next render
+    cropped.forEach(cell => {
+        const el = document.getElementById(cell.id);
+        const node = findNodeById(page, cell.id);
+        if (!el || !node?.image) return;
+        // `contain` shows the whole image, so the mismatch becomes empty bands instead
+        const effect = node.image.fit === 'contain' ? 'letterboxed' : 'cropped';
+        const badge = document.createElement('span');
+        badge.className = 'fit-report-badge';
+        badge.textContent = `${Math.max(1, Math.round(cell.crop * 100))}% ${effect}`;
+        el.appendChild(badge);
+    });
+}
@@ -0,0 +1,418 @@
+import { state } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { A4_PAPER_ID, RULER_MIN_LABEL_SPACING, GUIDE_MARGIN_PERCENT } from '../core/constants.js';
+import { getSettings, updateSetting, calculatePaperDimensions, getPhysicalPageSize } from '../ui/settings.js';
+import { showConfirm } from '../core/utils.js';
+
+/**
+ * Rulers and guides.
+ *
+ * A guide is `{ orientation, position }`: a 'vertical' guide is a vertical line at
+ * `position` % of the page width, a 'horizontal' one a horizontal line at `position` %
+ * of its height (the same naming as dividers). Guides on `state.guides` are shown on
+ * every page, those on a page root's `guides` only on that page. Shift + dragging a
+ * divider or an edge snaps it to the visible guides (see calculateDynamicSnaps).
+ *
+ * Rulers and guides are drawn in a layer added to the canvas after each render.
+ * Dragging from a ruler adds a guide, dragging a guide off the page removes it.
+ */
+
+/** Guide presets, by menu value */
+export const GUIDE_PRESETS = {
+    margins: 'Margins',
+    thirds: 'Rule of thirds',
+    golden: 'Golden ratio',
+    columns: 'Columns'
+};
+
+const GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
+
+const round = (value) => Number(value.toFixed(3));
+
+/** Scope of guides added from the rulers and presets: 'document' or 'page' */
+let newGuideScope = 'document';
+
+/**
+ * @returns {boolean} Whether rulers and guides are shown (and guides snap)
+ */
+export function areGuidesShown() {
+    return !!getSettings().layout.showGuides;
+}
+
+/**
+ * Page whose guides are shown: none while a master is edited
+ * @returns {Object|null}
+ */
+function getGuidePage() {
+    return state.editingMasterId ? null : state.pages[state.currentPageIndex] || null;
+}
+
+/**
+ * Scope of new guides: page guides can only be added while a page is shown
+ * @returns {'document'|'page'}
+ */
+function getNewGuideScope() {
+    return getGuidePage() ? newGuideScope : 'document';
+}
+
+/**
+ * All guides of a page, document guides first
+ * @param {Object|null} [page] - Page root node
+ * @returns {{orientation: string, position: number, scope: string, index: number}[]}
+ */
+export function getGuides(page = getGuidePage()) {
+    const documentGuides = (state.guides || []).map((guide, index) => ({ ...guide, scope: 'document', index }));
+    const pageGuides = (page?.guides || []).map((guide, index) => ({ ...guide, scope: 'page', index }));
+    return [...documentGuides, ...pageGuides];
+}
+
+/**
+ * Guides that dividers snap to
+ * @returns {{orientation: string, position: number}[]}
+ */
+export function getSnapGuides() {
+    return areGuidesShown() ? getGuides() : [];
+}
+
+/**
+ * The guide list of a scope, created on the current page when missing
+ * @param {'document'|'page'} scope
+ * @returns {Object[]}
+ */
+function getGuideList(scope) {
+    if (scope === 'document') return state.guides;
+    const page = getGuidePage();
+    if (!page.guides) page.guides = [];
+    return page.guides;
+}
+
+/**
+ * Adds guides to a list, skipping the ones already there
+ * @param {Object[]} list
+ * @param {{orientation: string, position: number}[]} guides
+ * @returns {number} Number of guides added
+ */
+export function addGuides(list, guides) {
+    let added = 0;
+    guides.forEach(guide => {
+        const position = round(guide.position);
+        if (position < 0 || position > 100) return;
+        const exists = list.some(g => g.orientation === guide.orientation && Math.abs(g.position - position) < 0.01);
+        if (!exists) {
+            list.push({ orientation: guide.orientation, position });
+            added++;
+        }
+    });
+    return added;
+}
+
+/**
+ * Guides of a preset
+ * @param {string} preset - Key of GUIDE_PRESETS
+ * @param {{aspect?: number, columns?: number}} [options] - Page width / height, column count
+ * @returns {{orientation: string, position: number}[]}
+ */
+export function createPresetGuides(preset, { aspect = 1, columns = 3 } = {}) {
+    const both = (positions) => ['vertical', 'horizontal'].flatMap(orientation =>
+        positions.map(position => ({ orientation, position: round(position) }))
+    );
+
+    switch (preset) {
+        case 'margins': {
+            // The same distance from every edge: a share of the shorter side
+            const x = GUIDE_MARGIN_PERCENT * Math.min(1, 1 / aspect);
+            const y = GUIDE_MARGIN_PERCENT * Math.min(1, aspect);
+            return [
+                { orientation: 'vertical', position: round(x) },
+                { orientation: 'vertical', position: round(100 - x) },
+                { orientation: 'horizontal', position: round(y) },
+                { orientation: 'horizontal', position: round(100 - y) }
+            ];
+        }
+        case 'thirds':
+            return both([100 / 3, 200 / 3]);
+        case 'golden':
+            return both([100 - 100 / GOLDEN_RATIO, 100 / GOLDEN_RATIO]);
+        case 'columns': {
+            const count = Math.max(2, Math.round(columns) || 2);
+            return Array.from({ length: count - 1 }, (_, i) => ({
+                orientation: 'vertical',
+                position: round((i + 1) * 100 / count)
+            }));
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Distance between numbered ruler ticks: 1, 2 or 5 times a power of ten
+ * @param {number} pixelLength - Size of the page on screen
+ * @param {number} length - Size of the page in ruler units
+ * @param {number} [minSpacing] - Smallest distance between numbered ticks, in pixels
+ * @returns {number|null}
+ */
+export function getRulerStep(pixelLength, length, minSpacing = RULER_MIN_LABEL_SPACING) {
+    if (!(pixelLength > 0) || !(length > 0)) return null;
+    const pixelsPerUnit = pixelLength / length;
+    let magnitude = Math.pow(10, Math.floor(Math.log10(minSpacing / pixelsPerUnit)));
+    for (;;) {
+        for (const multiple of [1, 2, 5]) {
+            if (multiple * magnitude * pixelsPerUnit >= minSpacing) return multiple * magnitude;
+        }
+        magnitude *= 10;
+    }
+}
+
+/**
+ * Size of the current page in ruler units: its physical size, or % for ratio-only pages
+ * @returns {{width: number, height: number, unit: string}}
+ */
+function getRulerMeasure() {
+    const physical = getPhysicalPageSize(state.pages[state.currentPageIndex]);
+    return physical
+        ? { width: physical.width, height: physical.height, unit: physical.unit }
+        : { width: 100, height: 100, unit: '%' };
+}
+
+// ----------------------------------------------------------------------
+// Rendering
+// ----------------------------------------------------------------------
+
+/**
+ * @param {'horizontal'|'vertical'} axis - 'horizontal' runs along the top edge
+ * @param {number} pixelLength
+ * @param {number} length - In ruler units
+ */
+function createRuler(axis, pixelLength, length) {
+    const ruler = document.createElement('div');
+    ruler.className = `paper-ruler paper-ruler-${axis}`;
+    // Dragging from the top ruler brings down a horizontal guide, and the other way around
+    ruler.dataset.guideOrientation = axis === 'horizontal' ? 'horizontal' : 'vertical';
+    ruler.title = 'Drag onto the page to add a guide';
+
+    const step = getRulerStep(pixelLength, length);
+    if (!step) return ruler;
+
+    // Minor ticks are a gradient, numbered ones are elements
+    ruler.style.setProperty('--ruler-minor-step', `${(step / 5) / length * 100}%`);
+    const decimals = step < 1 ? Math.ceil(-Math.log10(step)) : 0;
+    for (let i = 0; i * step <= length + step / 1000; i++) {
+        const value = i * step;
+        const tick = document.createElement('span');
+        tick.className = 'paper-ruler-tick';
+        tick.style.setProperty('--tick-position', `${value / length * 100}%`);
+        tick.textContent = value.toFixed(decimals);
+        ruler.appendChild(tick);
+    }
+    return ruler;
+}
+
+function createGuideElement(guide) {
+    const line = document.createElement('div');
+    line.className = `paper-guide paper-guide-${guide.orientation} ${guide.scope === 'page' ? 'is-page-guide' : ''}`;
+    line.dataset.scope = guide.scope;
+    line.dataset.index = guide.index;
+    line.dataset.guideOrientation = guide.orientation;
+    line.style.setProperty('--guide-position', `${guide.position}%`);
+    line.title = `${guide.scope === 'page' ? 'Page' : 'Document'} guide: drag to move, drag off the page or double-click to remove`;
+    return line;
+}
+
+/**
+ * Draws the rulers and guides on the canvas, or removes them when they are hidden.
+ */
+export function renderGuides() {
+    const paper = document.getElementById(A4_PAPER_ID);
+    if (!paper) return;
+    paper.querySelector('.paper-guides-layer')?.remove();
+    if (!areGuidesShown()) return;
+
+    const layer = document.createElement('div');
+    layer.className = 'paper-guides-layer';
+    layer.setAttribute('aria-hidden', 'true');
+
+    const bounds = paper.getBoundingClientRect();
+    const measure = getRulerMeasure();
+    layer.appendChild(createRuler('horizontal', bounds.width, measure.width));
+    layer.appendChild(createRuler('vertical', bounds.height, measure.height));
+
+    const corner = document.createElement('div');
+    corner.className = 'paper-ruler-corner';
+    corner.textContent = measure.unit;
+    layer.appendChild(corner);
+
+    getGuides().forEach(guide => layer.appendChild(createGuideElement(guide)));
+
+    // Keep the canvas handlers (splits, divider drags) away from the rulers and guides
+    ['mousedown', 'touchstart', 'click', 'dblclick'].forEach(type => {
+        layer.addEventListener(type, (e) => e.stopPropagation());
+    });
+    layer.addEventListener('pointerdown', onLayerPointerDown);
+    layer.addEventListener('dblclick', onLayerDoubleClick);
+
+    paper.appendChild(layer);
+}
+
+// ----------------------------------------------------------------------
+// Editing
+// ----------------------------------------------------------------------
+
+/**
+ * Moves, adds or removes a guide as one undo step
+ * @param {{scope: string, index: number}|null} existing - Null to add a guide
+ * @param {string} orientation
+ * @param {number|null} position - Null to remove the guide
+ */
+function commitGuide(existing, orientation, position) {
+    saveState();
+    const list = getGuideList(existing ? existing.scope : getNewGuideScope());
+    if (existing) list.splice(existing.index, 1);
+    if (position !== null) list.push({ orientation, position: round(position) });
+    renderGuides();
+}
+
+function onLayerPointerDown(e) {
+    if (e.button !== 0) return;
+    const guideEl = e.target.closest('.paper-guide');
+    const ruler = e.target.closest('.paper-ruler');
+    if (!guideEl && !ruler) return;
+
+    e.preventDefault();
+    const paper = document.getElementById(A4_PAPER_ID);
+    const bounds = paper.getBoundingClientRect();
+    const orientation = (guideEl || ruler).dataset.guideOrientation;
+    const existing = guideEl ? { scope: guideEl.dataset.scope, index: parseInt(guideEl.dataset.index, 10) } : null;
+    const startPosition = guideEl ? parseFloat(guideEl.style.getPropertyValue('--guide-position')) : null;
+
+    // A new guide follows the pointer from the ruler
+    const line = guideEl || createGuideElement({ orientation, scope: getNewGuideScope(), index: -1, position: -100 });
+    if (!guideEl) paper.querySelector('.paper-guides-layer')?.appendChild(line);
+    line.classList.add('is-dragging');
+
+    const toPosition = (ev) => orientation === 'vertical'
+        ? (ev.clientX - bounds.left) / bounds.width * 100
+        : (ev.clientY - bounds.top) / bounds.height * 100;
+    const isOffPage = (position) => position < 0 || position > 100;
+
+    const onMove = (ev) => {
+        const position = toPosition(ev);
+        line.style.setProperty('--guide-position', `${position}%`);
+        line.classList.toggle('is-removing', isOffPage(position));
+    };
+    const onUp = (ev) => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+        document.removeEventListener('pointercancel', onUp);
+
+        const position = ev.type === 'pointercancel' ? startPosition : toPosition(ev);
+        if (position === null || (existing && Math.abs(position - startPosition) < 0.01)) {
+            renderGuides();
+            return;
+        }
+        if (isOffPage(position)) {
+            if (existing) {
+                commitGuide(existing, orientation, null);
+            } else {
+                renderGuides();
+            }
+            return;
+        }
+        commitGuide(existing, orientation, position);
+    };
+
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+    document.addEventListener('pointercancel', onUp);
+}
+
+function onLayerDoubleClick(e) {
+    const guideEl = e.target.closest('.paper-guide');
+    if (!guideEl) return;
+    commitGuide({ scope: guideEl.dataset.scope, index: parseInt(guideEl.dataset.index, 10) }, guideEl.dataset.guideOrientation, null);
+}
+
+/**
+ * Adds the guides of a preset to the current scope, as one undo step
+ * @param {string} preset - Key of GUIDE_PRESETS
+ * @param {{columns?: number}} [options]
+ * @returns {number} Number of guides added
+ */
+export function applyGuidePreset(preset, options = {}) {
+    const { width, height } = calculatePaperDimensions(state.pages[state.currentPageIndex]);
+    const guides = createPresetGuides(preset, { ...options, aspect: width / height });
+    const scope = getNewGuideScope();
+
+    // Check for new guides on a copy so that nothing is saved when there are none
+    const current = scope === 'document' ? state.guides : getGuidePage().guides || [];
+    if (addGuides([...current], guides) === 0) return 0;
+
+    saveState();
+    const added = addGuides(getGuideList(scope), guides);
+    if (!areGuidesShown()) {
+        updateSetting('layout', 'showGuides', true);
+    }
+    renderGuides();
+    return added;
+}
+
+/**
+ * Removes the guides of the current scope, as one undo step
+ */
+export function clearGuides() {
+    const page = getGuidePage();
+    const scope = getNewGuideScope();
+    const list = scope === 'document' ? state.guides : page.guides;
+    if (!list || list.length === 0) return;
+
+    saveState();
+    list.length = 0;
+    if (scope === 'page') delete page.guides;
+    renderGuides();
+}
+
+// ----------------------------------------------------------------------
+// UI
+// ----------------------------------------------------------------------
+
+/**
+ * Wires up the guide controls in the layout settings and keeps the rulers in sync with the canvas.
+ */
+export function setupGuideHandlers() {
+    const scopeSelect = document.getElementById('guide-scope-select');
+    const presetSelect = document.getElementById('guide-preset-select');
+    const columnsInput = document.getElementById('guide-columns-input');
+    const addPresetBtn = document.getElementById('guide-preset-add');
+    const clearBtn = document.getElementById('guides-clear-btn');
+
+    if (presetSelect) {
+        Object.entries(GUIDE_PRESETS).forEach(([value, label]) => presetSelect.appendChild(new Option(label, value)));
+        const syncColumns = () => {
+            if (columnsInput) columnsInput.style.display = presetSelect.value === 'columns' ? '' : 'none';
+        };
+        presetSelect.addEventListener('change', syncColumns);
+        syncColumns();
+    }
+
+    scopeSelect?.addEventListener('change', () => {
+        newGuideScope = scopeSelect.value === 'page' ? 'page' : 'document';
+    });
+
+    addPresetBtn?.addEventListener('click', () => {
+        applyGuidePreset(presetSelect?.value, { columns: parseInt(columnsInput?.value, 10) });
+    });
+
+    clearBtn?.addEventListener('click', async () => {
+        const scopeName = newGuideScope === 'page' ? 'this page' : 'every page';
+        const confirmed = await showConfirm(`Remove the guides shown on ${scopeName}?`, 'Clear guides?', 'Clear');
+        if (confirmed) clearGuides();
+    });
+
+    // The rulers are numbered for the paper's size on screen
+    document.addEventListener('layoutUpdated', renderGuides);
+    document.addEventListener('canvasZoomChanged', renderGuides);
+    document.addEventListener('settingsUpdated', renderGuides);
+    window.addEventListener('resize', renderGuides);
+
+    renderGuides();
+}
@@ -0,0 +1,303 @@
+import { getCurrentPage } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { findNodeById } from './internal/treeUtils.js';
+
+/**
+ * Non-destructive colour adjustments per image placement.
+ *
+ * Stored on `node.image.adjustments` and rendered as a CSS filter on the framed image
+ * element, so the editor, thumbnails and the export window all bake them the same way.
+ * The asset itself is never modified. Blur is measured in thousandths of the cell's
+ * shorter side (`cqmin` of the image frame) so it scales with the page on export.
+ */
+
+/** Adjustment definitions, in the order they are applied */
+export const IMAGE_ADJUSTMENTS = {
+    grayscale: { label: 'Grayscale', min: 0, max: 100, step: 1, default: 0 },
+    sepia: { label: 'Sepia', min: 0, max: 100, step: 1, default: 0 },
+    saturation: { label: 'Saturation', min: 0, max: 200, step: 1, default: 100 },
+    brightness: { label: 'Brightness', min: 0, max: 200, step: 1, default: 100 },
+    contrast: { label: 'Contrast', min: 0, max: 200, step: 1, default: 100 },
+    blur: { label: 'Blur', min: 0, max: 20, step: 0.5, default: 0 },
+    opacity: { label: 'Opacity', min: 0, max: 100, step: 1, default: 100 }
+};
+
+const FILTER_FUNCTIONS = {
+    grayscale: (v) => `grayscale(${v}%)`,
+    sepia: (v) => `sepia(${v}%)`,
+    saturation: (v) => `saturate(${v}%)`,
+    brightness: (v) => `brightness(${v}%)`,
+    contrast: (v) => `contrast(${v}%)`,
+    blur: (v) => `blur(${v / 10}cqmin)`
+};
+
+/**
+ * Returns every adjustment of an image, with defaults for missing or invalid values
+ * @param {Object} image - node.image
+ * @returns {Object<string, number>}
+ */
+export function getImageAdjustments(image) {
+    const stored = image?.adjustments || {};
+    const result = {};
+    for (const [key, def] of Object.entries(IMAGE_ADJUSTMENTS)) {
+        const value = Number(stored[key]);
+        result[key] = Number.isFinite(value) ? Math.min(def.max, Math.max(def.min, value)) : def.default;
+    }
+    return result;
+}
+
+/**
+ * @param {Object} image - node.image
+ * @returns {boolean} Whether any adjustment differs from its default
+ */
+export function hasImageAdjustments(image) {
+    const values = getImageAdjustments(image);
+    return Object.keys(IMAGE_ADJUSTMENTS).some(key => values[key] !== IMAGE_ADJUSTMENTS[key].default);
+}
+
+/**
+ * Builds the CSS filter for an image's adjustments (opacity is applied separately)
+ * @param {Object} image - node.image
+ * @returns {string} Empty when nothing is adjusted
+ */
+export function getImageFilter(image) {
+    const values = getImageAdjustments(image);
+    return Object.keys(FILTER_FUNCTIONS)
+        .filter(key => values[key] !== IMAGE_ADJUSTMENTS[key].default)
+        .map(key => FILTER_FUNCTIONS[key](values[key]))
+        .join(' ');
+}
+
+/**
+ * Applies an image's adjustments to the element showing it
+ * @param {HTMLElement} element - Framed `<img>` or background layer
+ * @param {Object} image - node.image
+ */
+export function applyImageAdjustments(element, image) {
+    const { opacity } = getImageAdjustments(image);
+    element.style.filter = getImageFilter(image);
+    element.style.opacity = opacity < 100 ? String(opacity / 100) : '';
+}
+
+function setImageAdjustment(image, key, value) {
+    image.adjustments = { ...getImageAdjustments(image), [key]: value };
+    if (!hasImageAdjustments(image)) {
+        delete image.adjustments;
+    }
+}
+
+// ----------------------------------------------------------------------
+// Adjustments panel for the focused cell
+// ----------------------------------------------------------------------
+
+let panel = null;
+let panelRectId = null;
+
+/**
+ * @param {string} rectId
+ * @returns {boolean} Whether the adjustments panel is open for the cell
+ */
+export function isAdjustmentsPanelOpen(rectId) {
+    return panelRectId !== null && panelRectId === rectId;
+}
+
+/**
+ * Opens the adjustments panel for a cell, or closes it if already open there
+ * @param {string} rectId
+ */
+export function toggleAdjustmentsPanel(rectId) {
+    if (isAdjustmentsPanelOpen(rectId)) {
+        closeAdjustmentsPanel();
+    } else {
+        openAdjustmentsPanel(rectId);
+    }
+}
+
+/**
+ * Closes the adjustments panel, if open
+ * @returns {boolean} Whether a panel was open
+ */
+export function closeAdjustmentsPanel() {
+    if (!panel) return false;
+    const rectId = panelRectId;
+    panel.remove();
+    panel = null;
+    panelRectId = null;
+    syncToggleButtons();
+
+    const cell = document.getElementById(rectId);
+    if (cell) cell.focus({ preventScroll: true });
+    return true;
+}
+
+function openAdjustmentsPanel(rectId) {
+    const node = findNodeById(getCurrentPage(), rectId);
+    if (!node || !node.image) return;
+
+    if (panel) panel.remove();
+    panelRectId = rectId;
+    panel = buildPanel();
+    document.body.appendChild(panel);
+    syncPanel();
+    positionPanel();
+    syncToggleButtons();
+    panel.querySelector('input').focus();
+}
+
+function getPanelNode() {
+    const node = panelRectId && findNodeById(getCurrentPage(), panelRectId);
+    return node && node.image ? node : null;
+}
+
+function buildPanel() {
+    const el = document.createElement('div');
+    el.className = 'image-adjust-panel';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-label', 'Image adjustments');
+
+    const title = document.createElement('div');
+    title.className = 'image-adjust-title';
+    title.textContent = 'Adjustments';
+    el.appendChild(title);
+
+    // One undo step per slider gesture
+    let gestureSaved = false;
+
+    for (const [key, def] of Object.entries(IMAGE_ADJUSTMENTS)) {
+        const row = document.createElement('label');
+        row.className = 'image-adjust-row';
+
+        const name = document.createElement('span');
+        name.textContent = def.label;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.className = 'settings-slider';
+        input.min = def.min;
+        input.max = def.max;
+        input.step = def.step;
+        input.dataset.adjustment = key;
+
+        const output = document.createElement('span');
+        output.className = 'image-adjust-value';
+
+        input.addEventListener('input', () => {
+            const node = getPanelNode();
+            if (!node) return;
+            if (!gestureSaved) {
+                saveState();
+                gestureSaved = true;
+            }
+            setImageAdjustment(node.image, key, parseFloat(input.value));
+            output.textContent = input.value;
+            applyToCell(node);
+        });
+        input.addEventListener('change', () => {
+            gestureSaved = false;
+            document.dispatchEvent(new CustomEvent('layoutUpdated'));
+        });
+
+        row.append(name, input, output);
+        el.appendChild(row);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'image-adjust-actions';
+
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.className = 'btn-secondary btn-mini';
+    resetBtn.textContent = 'Reset';
+    resetBtn.addEventListener('click', () => {
+        const node = getPanelNode();
+        if (!node || !hasImageAdjustments(node.image)) return;
+        saveState();
+        delete node.image.adjustments;
+        syncPanel();
+        applyToCell(node);
+        document.dispatchEvent(new CustomEvent('layoutUpdated'));
+    });
+
+    const doneBtn = document.createElement('button');
+    doneBtn.type = 'button';
+    doneBtn.className = 'btn-primary btn-mini';
+    doneBtn.textContent = 'Done';
+    doneBtn.addEventListener('click', () => closeAdjustmentsPanel());
+
+    actions.append(resetBtn, doneBtn);
+    el.appendChild(actions);
+
+    el.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            closeAdjustmentsPanel();
+        }
+    });
+
+    return el;
+}
+
+function applyToCell(node) {
+    const cell = document.getElementById(node.id);
+    const element = cell && cell.querySelector('.framed-image');
+    if (element) applyImageAdjustments(element, node.image);
+}
+
+/** Reflects the stored values in the sliders, or closes the panel if its image is gone */
+function syncPanel() {
+    if (!panel) return;
+    const node = getPanelNode();
+    if (!node) {
+        closeAdjustmentsPanel();
+        return;
+    }
+    const values = getImageAdjustments(node.image);
+    panel.querySelectorAll('input[data-adjustment]').forEach(input => {
+        input.value = values[input.dataset.adjustment];
+        input.nextElementSibling.textContent = input.value;
+    });
+}
+
+/** Places the panel under the cell, kept inside the viewport */
+function positionPanel() {
+    const cell = panel && document.getElementById(panelRectId);
+    if (!cell) return;
+    const rect = cell.getBoundingClientRect();
+    const margin = 8;
+    const width = panel.offsetWidth;
+    const height = panel.offsetHeight;
+
+    let top = rect.bottom + margin;
+    if (top + height > window.innerHeight - margin) {
+        top = Math.max(margin, rect.top - height - margin);
+    }
+    const left = Math.min(Math.max(margin, rect.left), window.innerWidth - width - margin);
+
+    panel.style.left = `${left}px`;
+    panel.style.top = `${top}px`;
+}
+
+function syncToggleButtons() {
+    document.querySelectorAll('.image-filters-btn').forEach(btn => {
+        btn.setAttribute('aria-pressed', String(btn.id === `filters-btn-${panelRectId}`));
+    });
+}
+
+// Undo/redo and page changes re-render the layout: follow the stored values
+document.addEventListener('layoutUpdated', () => {
+    syncPanel();
+    syncToggleButtons();
+    positionPanel();
+});
+
+window.addEventListener('resize', () => positionPanel());
+document.addEventListener('scroll', () => positionPanel(), true);
+
+// Pressing outside both the panel and its cell closes it
+document.addEventListener('pointerdown', (e) => {
+    if (!panel || panel.contains(e.target)) return;
+    const cell = document.getElementById(panelRectId);
+    if (cell && cell.contains(e.target)) return;
+    closeAdjustmentsPanel();
+});
@@ -0,0 +1,70 @@
+import { createEqualChildren } from './internal/treeUtils.js';
+
+/**
+ * Grid for several images dropped onto one rectangle. Columns are chosen so the cells
+ * come out as close to square as the rectangle allows; a last row that is not full
+ * shares its width between fewer, wider cells instead of leaving holes.
+ */
+
+/**
+ * @param {number} count - Number of images, at least 1
+ * @param {number} aspect - Width / height of the rectangle
+ * @returns {number[]} Number of cells in each row, top to bottom
+ */
+export function planImageGrid(count, aspect) {
+    let best = null;
+    for (let columns = 1; columns <= count; columns++) {
+        const rows = Math.ceil(count / columns);
+        const cellAspect = (aspect / columns) * rows;
+        // Fewer holes in the last row break ties
+        const cost = Math.abs(Math.log(cellAspect)) + 0.01 * (rows * columns - count);
+        if (!best || cost < best.cost) best = { columns, rows, cost };
+    }
+
+    const rowCounts = Array(best.rows).fill(best.columns);
+    rowCounts[best.rows - 1] = count - best.columns * (best.rows - 1);
+    return rowCounts;
+}
+
+/**
+ * Splits a leaf into a grid with one image per cell. The leaf keeps its ID and size; an
+ * image it showed is replaced. Text is not carried over, so callers keep text cells out.
+ * @param {Object} node - Leaf without text, modified in place
+ * @param {string[]} assetIds - Images, in reading order
+ * @param {number} aspect - Width / height of the rectangle
+ * @param {'cover'|'contain'} [fit]
+ * @returns {Object[]} The new leaves, in reading order
+ */
+export function fillLeafWithImages(node, assetIds, aspect, fit = 'cover') {
+    const rowCounts = planImageGrid(assetIds.length, aspect);
+    const leaves = [];
+
+    const fillRow = (row, count) => {
+        row.splitState = 'split';
+        row.orientation = 'vertical';
+        row.children = createEqualChildren(count);
+        leaves.push(...row.children);
+    };
+
+    node.image = null;
+    node.text = null;
+    node.textAlign = null;
+    if (assetIds.length === 1) {
+        leaves.push(node);
+    } else if (rowCounts.length === 1) {
+        fillRow(node, rowCounts[0]);
+    } else {
+        node.splitState = 'split';
+        node.orientation = 'horizontal';
+        node.children = createEqualChildren(rowCounts.length);
+        node.children.forEach((row, i) => {
+            if (rowCounts[i] > 1) fillRow(row, rowCounts[i]);
+            else leaves.push(row);
+        });
+    }
+
+    leaves.forEach((leaf, i) => {
+        leaf.image = { assetId: assetIds[i], fit };
+    });
+    return leaves;
+}
@@ -0,0 +1,342 @@
+import { getCurrentPage } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { MIN_IMAGE_ZOOM, MAX_IMAGE_ZOOM, IMAGE_PAN_STEP } from '../core/constants.js';
+import { findNodeById } from './internal/treeUtils.js';
+import { renderAndRestoreFocus } from './internal/focusManager.js';
+import { applyImageAdjustments } from './imageAdjustments.js';
+
+/**
+ * Image framing inside a cell.
+ *
+ * `node.image.focalX` / `focalY` (0..1) pick the point of the image that stays anchored,
+ * using the same semantics as CSS `object-position` / `background-position` percentages.
+ * `node.image.zoom` (>= 1) scales the fitted image around that point.
+ * `node.image.rotation` (0/90/180/270, clockwise) and the `flip` / `flipY` mirrors are
+ * stored in image space: the picture is mirrored first, then rotated.
+ * Missing values mean a centered, unzoomed, upright image, so older documents render unchanged.
+ *
+ * The image element sits centered in an `.image-frame` size container, so a quarter
+ * turn can swap its width and height (`100cqh` x `100cqw`) before it is rotated,
+ * and cover/contain fit against the rotated aspect ratio.
+ */
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Normalizes a rotation to 0, 90, 180 or 270 degrees
+ * @param {number} rotation
+ * @returns {number}
+ */
+export function normalizeRotation(rotation) {
+    const quarter = Math.round((Number(rotation) || 0) / 90);
+    return (((quarter % 4) + 4) % 4) * 90;
+}
+
+/**
+ * Returns the normalized view of an image node
+ * @param {Object} image - node.image
+ * @returns {{focalX: number, focalY: number, zoom: number, rotation: number, flipX: boolean, flipY: boolean}}
+ */
+export function getImageView(image) {
+    const focalX = Number(image?.focalX);
+    const focalY = Number(image?.focalY);
+    const zoom = Number(image?.zoom);
+    return {
+        focalX: Number.isFinite(focalX) ? clamp(focalX, 0, 1) : 0.5,
+        focalY: Number.isFinite(focalY) ? clamp(focalY, 0, 1) : 0.5,
+        zoom: Number.isFinite(zoom) ? clamp(zoom, MIN_IMAGE_ZOOM, MAX_IMAGE_ZOOM) : 1,
+        rotation: normalizeRotation(image?.rotation),
+        flipX: Boolean(image?.flip),
+        flipY: Boolean(image?.flipY)
+    };
+}
+
+/**
+ * @param {Object} image - node.image
+ * @returns {boolean} Whether the image is turned a quarter, swapping its aspect ratio
+ */
+export function isQuarterTurn(image) {
+    return getImageView(image).rotation % 180 === 90;
+}
+
+/**
+ * Builds the CSS transform for an image element centered in its frame.
+ * Applied right to left: zoom around the focal point, mirror, rotate, then center.
+ * @param {Object} image - node.image
+ * @returns {string}
+ */
+export function getImageTransform(image) {
+    const { focalX, focalY, zoom, rotation, flipX, flipY } = getImageView(image);
+    const parts = ['translate(-50%, -50%)'];
+    if (rotation) {
+        parts.push(`rotate(${rotation}deg)`);
+    }
+    if (flipX || flipY) {
+        parts.push(`scale(${flipX ? -1 : 1}, ${flipY ? -1 : 1})`);
+    }
+    if (zoom !== 1) {
+        const ox = (focalX - 0.5) * 100;
+        const oy = (focalY - 0.5) * 100;
+        parts.push(`translate(${ox}%, ${oy}%)`, `scale(${zoom})`, `translate(${-ox}%, ${-oy}%)`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Applies fit, focal point, zoom, rotation and flips to an element showing the image.
+ * `<img>` elements use object-fit/object-position, anything else is treated as a
+ * background layer, so the editor, presentation and export paths frame identically.
+ * @param {HTMLElement} element - Child of an `.image-frame`
+ * @param {Object} image - node.image
+ */
+export function applyImageView(element, image) {
+    const view = getImageView(image);
+    const fit = image?.fit || 'cover';
+    const position = `${view.focalX * 100}% ${view.focalY * 100}%`;
+
+    if (element.tagName === 'IMG') {
+        element.style.objectFit = fit;
+        element.style.objectPosition = position;
+    } else {
+        element.style.backgroundSize = fit;
+        element.style.backgroundPosition = position;
+    }
+
+    const quarter = view.rotation % 180 === 90;
+    element.style.width = quarter ? '100cqh' : '100cqw';
+    element.style.height = quarter ? '100cqw' : '100cqh';
+    element.style.transform = getImageTransform(image);
+
+    // Read back by the export bleed step
+    element.dataset.focalX = view.focalX;
+    element.dataset.focalY = view.focalY;
+    element.dataset.zoom = view.zoom;
+    element.dataset.rotation = view.rotation;
+    element.dataset.flipX = view.flipX;
+    element.dataset.flipY = view.flipY;
+}
+
+/**
+ * Wraps an image element in the frame it is laid out against, with its adjustments applied
+ * @param {HTMLElement} element - `<img>` or background layer
+ * @param {Object} image - node.image
+ * @returns {HTMLElement} The frame
+ */
+export function createImageFrame(element, image) {
+    const frame = document.createElement('div');
+    frame.className = 'image-frame';
+    element.classList.add('framed-image');
+    applyImageView(element, image);
+    applyImageAdjustments(element, image);
+    frame.appendChild(element);
+    return frame;
+}
+
+/**
+ * Converts a movement on screen into the image's own axes (undoing rotation, then mirrors)
+ * @param {Object} image - node.image
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {{dx: number, dy: number}}
+ */
+export function screenToImageDelta(image, dx, dy) {
+    const { rotation, flipX, flipY } = getImageView(image);
+    const rad = -rotation * Math.PI / 180;
+    const cos = Math.round(Math.cos(rad));
+    const sin = Math.round(Math.sin(rad));
+    const x = dx * cos - dy * sin;
+    const y = dx * sin + dy * cos;
+    return { dx: flipX ? -x : x, dy: flipY ? -y : y };
+}
+
+/**
+ * Computes the focal point after dragging the displayed image by (dx, dy) pixels,
+ * so the picture follows the pointer. Axes where the image does not overflow the
+ * cell cannot be panned.
+ * @param {Object} image - node.image
+ * @param {{width: number, height: number}} box - Cell size in px
+ * @param {{width: number, height: number}} naturalSize - Image size in px
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {{focalX: number, focalY: number}}
+ */
+export function panImageFocus(image, box, naturalSize, dx, dy) {
+    const { focalX, focalY, zoom } = getImageView(image);
+    if (!naturalSize.width || !naturalSize.height) return { focalX, focalY };
+
+    // The image is laid out in its own (possibly turned) frame
+    const frame = isQuarterTurn(image) ? { width: box.height, height: box.width } : box;
+    const move = screenToImageDelta(image, dx, dy);
+
+    const fitScale = (image?.fit === 'contain' ? Math.min : Math.max)(
+        frame.width / naturalSize.width,
+        frame.height / naturalSize.height
+    );
+    const overflowX = frame.width - naturalSize.width * fitScale * zoom;
+    const overflowY = frame.height - naturalSize.height * fitScale * zoom;
+
+    return {
+        focalX: Math.abs(overflowX) > 0.5 ? clamp(focalX + move.dx / overflowX, 0, 1) : focalX,
+        focalY: Math.abs(overflowY) > 0.5 ? clamp(focalY + move.dy / overflowY, 0, 1) : focalY
+    };
+}
+
+function setImageView(image, changes) {
+    const next = getImageView({ ...image, ...changes });
+    image.focalX = next.focalX;
+    image.focalY = next.focalY;
+    image.zoom = next.zoom;
+}
+
+/**
+ * Keyboard framing: moves the focal point in screen directions and/or zooms.
+ * @param {string} rectId
+ * @param {{dx?: number, dy?: number, zoomBy?: number}} change - dx/dy in steps, zoomBy as a factor
+ */
+export function nudgeImageView(rectId, { dx = 0, dy = 0, zoomBy = 1 }) {
+    const node = findNodeById(getCurrentPage(), rectId);
+    if (!node || !node.image) return;
+
+    const view = getImageView(node.image);
+    const move = screenToImageDelta(node.image, dx, dy);
+    saveState();
+    setImageView(node.image, {
+        focalX: view.focalX + move.dx * IMAGE_PAN_STEP,
+        focalY: view.focalY + move.dy * IMAGE_PAN_STEP,
+        zoom: view.zoom * zoomBy
+    });
+    renderAndRestoreFocus(getCurrentPage(), rectId);
+}
+
+/**
+ * Restores a centered, unzoomed image
+ * @param {string} rectId
+ */
+export function resetImageView(rectId) {
+    const node = findNodeById(getCurrentPage(), rectId);
+    if (!node || !node.image) return;
+
+    saveState();
+    delete node.image.focalX;
+    delete node.image.focalY;
+    delete node.image.zoom;
+    renderAndRestoreFocus(getCurrentPage(), rectId);
+}
+
+// ----------------------------------------------------------------------
+// Reposition mode: dragging pans, the wheel zooms
+// ----------------------------------------------------------------------
+
+let adjustingRectId = null;
+
+/**
+ * @param {string} rectId
+ * @returns {boolean} Whether the cell is in reposition mode
+ */
+export function isAdjustingImage(rectId) {
+    return adjustingRectId !== null && adjustingRectId === rectId;
+}
+
+function setAdjustingRect(rectId) {
+    const previous = adjustingRectId && document.getElementById(adjustingRectId);
+    if (previous) previous.classList.remove('is-adjusting-image');
+
+    adjustingRectId = rectId;
+
+    const current = rectId && document.getElementById(rectId);
+    if (current) current.classList.add('is-adjusting-image');
+    document.querySelectorAll('.adjust-image-btn').forEach(btn => {
+        btn.setAttribute('aria-pressed', String(btn.id === `adjust-btn-${rectId}`));
+    });
+}
+
+/**
+ * Enters or leaves reposition mode for a cell
+ * @param {string} rectId
+ */
+export function toggleImageAdjust(rectId) {
+    setAdjustingRect(adjustingRectId === rectId ? null : rectId);
+}
+
+/**
+ * Leaves reposition mode, if active
+ * @returns {boolean} Whether a cell was in reposition mode
+ */
+export function stopImageAdjust() {
+    if (adjustingRectId === null) return false;
+    setAdjustingRect(null);
+    return true;
+}
+
+/**
+ * Wires pan/zoom gestures on a rendered image cell. They only act in reposition
+ * mode, where they take precedence over dragging the image to another cell.
+ * @param {HTMLElement} container - The leaf element
+ * @param {HTMLImageElement} img
+ * @param {Object} node - Layout node owning the image
+ */
+export function attachImageAdjustHandlers(container, img, node) {
+    container.classList.toggle('is-adjusting-image', isAdjustingImage(node.id));
+
+    container.addEventListener('pointerdown', (e) => {
+        if (!isAdjustingImage(node.id) || e.target.closest('button')) return;
+        if (e.button !== 0 && e.pointerType === 'mouse') return;
+        // Capture phase: keep the image drag-and-drop handler from starting
+        e.stopPropagation();
+        e.preventDefault();
+
+        const startX = e.clientX;
+        const startY = e.clientY;
+        const start = { ...node.image };
+        const box = { width: container.clientWidth, height: container.clientHeight };
+        const naturalSize = { width: img.naturalWidth, height: img.naturalHeight };
+        // The undo step is taken on the first move that pans, so a plain click adds none
+        let moved = false;
+
+        const onMove = (ev) => {
+            const focus = panImageFocus(start, box, naturalSize, ev.clientX - startX, ev.clientY - startY);
+            const current = getImageView(node.image);
+            if (focus.focalX === current.focalX && focus.focalY === current.focalY) return;
+            if (!moved) {
+                saveState();
+                moved = true;
+            }
+            setImageView(node.image, focus);
+            applyImageView(img, node.image);
+        };
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            if (moved) document.dispatchEvent(new CustomEvent('layoutUpdated'));
+        };
+
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }, true);
+
+    // One undo step per burst of wheel events
+    let wheelTimer = null;
+    container.addEventListener('wheel', (e) => {
+        if (!isAdjustingImage(node.id)) return;
+        e.preventDefault();
+        if (!wheelTimer) saveState();
+        clearTimeout(wheelTimer);
+        wheelTimer = setTimeout(() => {
+            wheelTimer = null;
+            document.dispatchEvent(new CustomEvent('layoutUpdated'));
+        }, 400);
+
+        const view = getImageView(node.image);
+        setImageView(node.image, { zoom: view.zoom * Math.exp(-e.deltaY * 0.0015) });
+        applyImageView(img, node.image);
+    }, { passive: false });
+}
+
+// Pressing anywhere outside the cell being repositioned ends the mode
+document.addEventListener('pointerdown', (e) => {
+    if (adjustingRectId === null) return;
+    const cell = document.getElementById(adjustingRectId);
+    if (!cell || !cell.contains(e.target)) stopImageAdjust();
+}, true);
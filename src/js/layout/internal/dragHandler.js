@@ -1,4 +1,4 @@
-import { state, getCurrentPage, updateLayout } from '../../core/state.js';
+import { state, getCurrentPage, updateLayout, movePageProperties } from '../../core/state.js';
 import { saveState } from '../../io/history.js';
 import { SNAP_THRESHOLD, MIN_AREA_PERCENT, LAPTOP_BREAKPOINT } from '../../core/constants.js';
 import { renderLayout } from '../renderer.js';
@@ -7,6 +7,7 @@ import { calculateDynamicSnaps } from './snapping.js';
 import { renderAndRestoreFocus } from './focusManager.js';
 import { toast } from '../../core/errorHandler.js';
 import { SNAP_TYPES } from './snapping.js';
+import { getCanvasScroll } from '../../ui/canvasZoom.js';
 
 /**
  * Starts the drag operation for a divider
@@ -34,6 +35,8 @@ export function startDrag(event, dividerElement = null) {
     const isTouch = event.touches && event.touches.length > 0;
     state.startX = isTouch ? event.touches[0].clientX : event.clientX;
     state.startY = isTouch ? event.touches[0].clientY : event.clientY;
+    // A zoomed-in canvas may scroll during the drag, moving the rects under the pointer
+    state.startScroll = getCanvasScroll();
 
     const parentRect = parent.getBoundingClientRect();
     const rectARect = rectA.getBoundingClientRect();
@@ -58,6 +61,10 @@ export function startDrag(event, dividerElement = null) {
         state.parentFullSize = parentRect.height;
     }
 
+    // Flex-grow shared by the pair; siblings in an N-way split keep their own values,
+    // so the pair must stay on the same scale while dragging.
+    state.pairFlexGrow = (parseFloat(rectA.style.flexGrow) || 0) + (parseFloat(rectB.style.flexGrow) || 0) || state.availableSpace;
+
     // Cache dynamic snap points (percentages) for proportional snapping
     state.cachedSnapPoints = event.noSnap ? [] : calculateDynamicSnaps(divider, orientation);
 
@@ -117,6 +124,7 @@ export function startEdgeDrag(event, edge) {
     // Old layout wrapped - gets remaining space
     const oldLayoutNode = { ...oldLayout };
     oldLayoutNode.size = `${100 - MIN_EDGE_SIZE}%`;
+    movePageProperties(oldLayoutNode, newRoot);
 
     if (edge === 'left' || edge === 'top') {
         newRoot.children = [newRect, oldLayoutNode];
@@ -151,7 +159,10 @@ function onDrag(event) {
     const clientX = isTouch ? event.touches[0].clientX : event.clientX;
     const clientY = isTouch ? event.touches[0].clientY : event.clientY;
 
-    let delta = (orientation === 'vertical') ? (clientX - state.startX) : (clientY - state.startY);
+    const scroll = getCanvasScroll();
+    let delta = (orientation === 'vertical')
+        ? (clientX - state.startX) + (scroll.left - state.startScroll.left)
+        : (clientY - state.startY) + (scroll.top - state.startScroll.top);
 
     let newSizeA = state.startSizeA + delta;
     let newSizeB = state.availableSpace - newSizeA;
@@ -205,8 +216,9 @@ function onDrag(event) {
         state.lastSnapId = null;
     }
 
-    rectA.style.flexGrow = newSizeA;
-    rectB.style.flexGrow = newSizeB;
+    const scale = state.availableSpace > 0 ? state.pairFlexGrow / state.availableSpace : 1;
+    rectA.style.flexGrow = newSizeA * scale;
+    rectB.style.flexGrow = newSizeB * scale;
 }
 
 /**
@@ -223,13 +235,20 @@ export function stopDrag() {
     const fB = parseFloat(rectB.style.flexGrow);
     const total = fA + fB;
 
-    const pA = (fA / total) * 100;
-    const pB = (fB / total) * 100;
+    // The dragged pair only owns its combined share of the parent (100% in a binary split,
+    // less in an N-way split), so the new sizes are distributed within that share.
+    let pA = (fA / total) * 100;
+    let pB = (fB / total) * 100;
 
     const parentNode = findNodeById(getCurrentPage(), divider.parentId);
     if (parentNode && parentNode.children) {
         const nodeA = findNodeById(parentNode, divider.rectAId);
         const nodeB = findNodeById(parentNode, divider.rectBId);
+        if (nodeA && nodeB && parentNode.children.length > 2) {
+            const pairShare = (parseFloat(nodeA.size) || 0) + (parseFloat(nodeB.size) || 0);
+            pA = (fA / total) * pairShare;
+            pB = (fB / total) * pairShare;
+        }
         if (nodeA) nodeA.size = `${pA}%`;
         if (nodeB) nodeB.size = `${pB}%`;
     }
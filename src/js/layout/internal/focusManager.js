@@ -70,7 +70,7 @@ export function renderAndRestoreFocus(page, explicitFocusId = null, options = {}
 
         // 3. Final Fallback: First leaf in layout
         if (!focusRestored) {
-            const firstLeaf = document.querySelector('.splittable-rect[data-split-state="unsplit"]');
+            const firstLeaf = document.getElementById(A4_PAPER_ID)?.querySelector('.splittable-rect[data-split-state="unsplit"]');
             if (firstLeaf && firstLeaf.getAttribute('role') === 'button') {
                 firstLeaf.focus({ preventScroll: true });
             }
@@ -1,7 +1,9 @@
-import { SNAP_POINTS, SNAP_THRESHOLD, MIN_AREA_PERCENT } from '../../core/constants.js';
+import { SNAP_POINTS, SNAP_THRESHOLD, MIN_AREA_PERCENT, A4_PAPER_ID, FACING_PAPER_ID } from '../../core/constants.js';
 import { state, getCurrentPage } from '../../core/state.js';
 import { saveState } from '../../io/history.js';
-import { findNodeById, findParentNode, countParallelLeaves } from './treeUtils.js';
+import { getCanvasZoom } from '../../ui/canvasZoom.js';
+import { getSnapGuides } from '../guides.js';
+import { findNodeById, findParentNode, countParallelLeaves, findChildIndexContaining } from './treeUtils.js';
 import { toast } from '../../core/errorHandler.js';
 import { getSettings } from '../../ui/settings.js';
 
@@ -13,6 +15,8 @@ export const SNAP_TYPES = {
     SIZE_MATCH: 'Size Match',
     SUBDIVISION: 'Proportional',
     GLOBAL: 'Global Alignment',
+    SPREAD: 'Spread Alignment',
+    GUIDE: 'Guide',
     BOUNDARY: 'Edge Limit'
 };
 
@@ -44,12 +48,14 @@ function collectAllLeafDimensions(excludeRootId = null, dividerOrientation = 've
             }
 
             const r = el.getBoundingClientRect();
+            // Slivers are ignored; their screen size grows with the canvas zoom
+            const minSize = 5 * getCanvasZoom();
             // A vertical divider moves horizontally, splitting widths.
             // A horizontal divider moves vertically, splitting heights.
             if (dividerOrientation === 'vertical') {
-                if (r.width > 5) dims.add(roundDecimals(r.width));
+                if (r.width > minSize) dims.add(roundDecimals(r.width));
             } else {
-                if (r.height > 5) dims.add(roundDecimals(r.height));
+                if (r.height > minSize) dims.add(roundDecimals(r.height));
             }
         }
     });
@@ -132,34 +138,77 @@ export function calculateDynamicSnaps(divider, orientation) {
         dynamicSnaps.push({ value: 50, type: SNAP_TYPES.GRID });
     }
 
-    // Physical bounds for size/global match logic
-    const parentEl = divider.parentElement;
-    if (parentEl) {
-        const parentRect = parentEl.getBoundingClientRect();
-        const parentStyle = window.getComputedStyle(parentEl);
+    // Physical bounds for size/global match logic.
+    // Percentages are relative to the two rects on either side of the divider,
+    // which span the whole parent in a binary split but only part of it in an N-way split.
+    const rectAEl = document.getElementById(divider.getAttribute('data-rect-a-id'));
+    const rectBEl = document.getElementById(divider.getAttribute('data-rect-b-id'));
+    if (rectAEl && rectBEl) {
+        const rectA = rectAEl.getBoundingClientRect();
+        const rectB = rectBEl.getBoundingClientRect();
         const movingDivSize = (orientation === 'vertical' ? divider.offsetWidth : divider.offsetHeight);
-        const parentSize = (orientation === 'vertical' ? parentRect.width : parentRect.height);
-        const startBorder = (orientation === 'vertical' ? parseFloat(parentStyle.borderLeftWidth) : parseFloat(parentStyle.borderTopWidth)) || 0;
-        const endBorder = (orientation === 'vertical' ? parseFloat(parentStyle.borderRightWidth) : parseFloat(parentStyle.borderBottomWidth)) || 0;
-        const parentStart = (orientation === 'vertical' ? parentRect.left : parentRect.top);
+        const pairStart = (orientation === 'vertical' ? rectA.left : rectA.top);
 
-        const availableFlexSpace = parentSize - startBorder - endBorder - movingDivSize;
+        const availableFlexSpace = (orientation === 'vertical' ? rectA.width + rectB.width : rectA.height + rectB.height);
 
         if (availableFlexSpace > 0) {
             // 2. Global Alignment Snaps
             const otherDividers = Array.from(document.querySelectorAll(`.divider[data-orientation="${orientation}"]`));
             otherDividers.forEach(div => {
-                if (div === divider) return;
+                if (div === divider || div.closest(`#${FACING_PAPER_ID}`)) return;
                 const divRect = div.getBoundingClientRect();
                 const divCenter = (orientation === 'vertical' ? divRect.left + divRect.width / 2 : divRect.top + divRect.height / 2);
-                const relCenter = divCenter - parentStart;
-                const flexPos = relCenter - startBorder - (movingDivSize / 2);
+                const flexPos = divCenter - pairStart - (movingDivSize / 2);
                 const relPct = roundDecimals((flexPos / availableFlexSpace) * 100);
                 if (relPct >= 0 && relPct <= 100) {
                     dynamicSnaps.push({ value: relPct, type: SNAP_TYPES.GLOBAL });
                 }
             });
 
+            // Snap point for a divider centred at a screen position
+            const addSnapAt = (center, type) => {
+                const relPct = roundDecimals(((center - pairStart - movingDivSize / 2) / availableFlexSpace) * 100);
+                if (relPct >= 0 && relPct <= 100) {
+                    dynamicSnaps.push({ value: relPct, type });
+                }
+            };
+            const paper = document.getElementById(A4_PAPER_ID);
+
+            // 2b. Spread Alignment: dividers of the facing page, across the spine
+            const facingPaper = document.getElementById(FACING_PAPER_ID);
+            if (paper && facingPaper) {
+                const paperRect = paper.getBoundingClientRect();
+                const facingRect = facingPaper.getBoundingClientRect();
+                const facingIsLeft = facingRect.left < paperRect.left;
+                const addSpreadSnap = (center) => addSnapAt(center, SNAP_TYPES.SPREAD);
+
+                facingPaper.querySelectorAll(`.divider[data-orientation="${orientation}"]`).forEach(div => {
+                    const divRect = div.getBoundingClientRect();
+                    if (orientation === 'horizontal') {
+                        // Rows line up straight across
+                        addSpreadSnap(divRect.top + divRect.height / 2);
+                        return;
+                    }
+                    // Columns: the same distance from the spine (mirrored) or from the left edge (repeated)
+                    const center = divRect.left + divRect.width / 2;
+                    const fromSpine = facingIsLeft ? facingRect.right - center : center - facingRect.left;
+                    addSpreadSnap(facingIsLeft ? paperRect.left + fromSpine : paperRect.right - fromSpine);
+                    addSpreadSnap(paperRect.left + (center - facingRect.left) / facingRect.width * paperRect.width);
+                });
+            }
+
+            // 2c. User guides, in % of the page
+            const guides = paper ? getSnapGuides().filter(guide => guide.orientation === orientation) : [];
+            if (guides.length > 0) {
+                const paperRect = paper.getBoundingClientRect();
+                guides.forEach(guide => {
+                    const center = orientation === 'vertical'
+                        ? paperRect.left + guide.position / 100 * paperRect.width
+                        : paperRect.top + guide.position / 100 * paperRect.height;
+                    addSnapAt(center, SNAP_TYPES.GUIDE);
+                });
+            }
+
             // 3. Physical Size Match Logic
             const physicalDims = collectAllLeafDimensions(parentNodeId, orientation);
             physicalDims.forEach(dim => {
@@ -181,21 +230,24 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
     let targetParent = null;
     let targetDividerOrientation = (direction === 'ArrowLeft' || direction === 'ArrowRight') ? 'vertical' : 'horizontal';
 
+    let nodeA = null;
+    let nodeB = null;
+
     let searchNodeId = currentNodeId;
     while (searchNodeId) {
         const parent = findParentNode(page, searchNodeId);
         if (!parent) break;
 
         if (parent.orientation === targetDividerOrientation) {
-            const isFirstChild = parent.children[0].id === searchNodeId ||
-                (parent.children[0].children && findNodeById(parent.children[0], searchNodeId));
-
-            const isSecondChild = parent.children[1].id === searchNodeId ||
-                (parent.children[1].children && findNodeById(parent.children[1], searchNodeId));
+            // The divider to move is the one between our branch and its neighbour in that direction
+            const index = findChildIndexContaining(parent, searchNodeId);
+            const isForward = (direction === 'ArrowRight' || direction === 'ArrowDown');
+            const neighborIndex = isForward ? index + 1 : index - 1;
 
-            if ((isFirstChild && (direction === 'ArrowRight' || direction === 'ArrowDown')) ||
-                (isSecondChild && (direction === 'ArrowLeft' || direction === 'ArrowUp'))) {
+            if (index !== -1 && parent.children[neighborIndex]) {
                 targetParent = parent;
+                nodeA = parent.children[Math.min(index, neighborIndex)];
+                nodeB = parent.children[Math.max(index, neighborIndex)];
                 break;
             }
         }
@@ -204,11 +256,13 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
 
     if (!targetParent) return;
 
-    const nodeA = targetParent.children[0];
-    const nodeB = targetParent.children[1];
-
-    const currentPct = parseFloat(nodeA.size);
-    if (isNaN(currentPct)) return;
+    // Work in percentages of the pair's combined space (100% for a binary split)
+    const sizeA = parseFloat(nodeA.size);
+    const sizeB = parseFloat(nodeB.size);
+    if (isNaN(sizeA) || isNaN(sizeB)) return;
+    const pairTotal = sizeA + sizeB;
+    if (pairTotal <= 0) return;
+    const currentPct = (sizeA / pairTotal) * 100;
 
     const coarseCandidates = [];
     const fineCandidates = [];
@@ -228,7 +282,7 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
     if (movingDivider) {
         const dynamicSnaps = calculateDynamicSnaps(movingDivider, targetDividerOrientation);
         dynamicSnaps.forEach(snap => {
-            if (snap.type === SNAP_TYPES.GLOBAL) {
+            if (snap.type === SNAP_TYPES.GLOBAL || snap.type === SNAP_TYPES.SPREAD || snap.type === SNAP_TYPES.GUIDE) {
                 addFine(snap.value, snap.type);
             } else {
                 addCoarse(snap.value, snap.type);
@@ -282,13 +336,16 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
             toast.info(`Snapped: ${snapType}`, 1500);
         }
 
-        if (targetPct <= MIN_AREA_PERCENT) {
+        const targetSizeA = pairTotal * targetPct / 100;
+        const targetSizeB = pairTotal - targetSizeA;
+
+        if (targetSizeA <= MIN_AREA_PERCENT) {
             deleteCallback(document.getElementById(nodeA.id));
-        } else if ((100 - targetPct) <= MIN_AREA_PERCENT) {
+        } else if (targetSizeB <= MIN_AREA_PERCENT) {
             deleteCallback(document.getElementById(nodeB.id));
         } else {
-            nodeA.size = `${targetPct}%`;
-            nodeB.size = `${100 - targetPct}%`;
+            nodeA.size = `${targetSizeA}%`;
+            nodeB.size = `${targetSizeB}%`;
             renderCallback(page, focusedRect.id);
         }
     }
@@ -1,4 +1,4 @@
-import { state, getCurrentPage } from '../../core/state.js';
+import { state, getCurrentPage, PAGE_PROPERTIES } from '../../core/state.js';
 
 /**
  * Helper to find node in the layout tree
@@ -82,9 +82,59 @@ export function countParallelLeaves(node, orientation) {
     // If split in ORTHOGONAL orientation, it counts as 1 block in this dimension
     return 1;
 }
+
+/**
+ * Finds which direct child of a split node is (or contains) the given node.
+ * @param {Object} parentNode Split node
+ * @param {string} nodeId
+ * @returns {number} Child index, or -1 if the node is not in this subtree
+ */
+export function findChildIndexContaining(parentNode, nodeId) {
+    if (!parentNode || !parentNode.children) return -1;
+    return parentNode.children.findIndex(child =>
+        child.id === nodeId || (child.children && _findNodeRecursive(child, nodeId))
+    );
+}
+
+/**
+ * Creates `count` empty leaves of equal size, used for N-way splits.
+ * @param {number} count
+ * @returns {Object[]}
+ */
+export function createEqualChildren(count) {
+    const size = `${100 / count}%`;
+    const children = [];
+    for (let i = 0; i < count; i++) {
+        children.push({ id: `rect-${++state.currentId}`, splitState: 'unsplit', image: null, text: null, size });
+    }
+    return children;
+}
+
+/**
+ * Collapses a split node that is left with a single child by promoting that child's state.
+ * The parent keeps its id and size.
+ * @param {Object} parentNode
+ */
+function collapseSingleChild(parentNode) {
+    const onlyChild = parentNode.children[0];
+    parentNode.splitState = onlyChild.splitState;
+    if (onlyChild.splitState === 'split') {
+        parentNode.children = onlyChild.children;
+        parentNode.orientation = onlyChild.orientation;
+    } else {
+        parentNode.children = null;
+        parentNode.image = onlyChild.image;
+        parentNode.text = onlyChild.text;
+        parentNode.textAlign = onlyChild.textAlign;
+        parentNode.orientation = null;
+        if (onlyChild.isPageArea) parentNode.isPageArea = true;
+    }
+}
+
 /**
  * Core logic to delete a node from the layout tree.
- * Removes the node and merges its sibling into the parent.
+ * In a binary split the sibling is merged into the parent. In an N-way split the node
+ * is removed and its space is given to the neighbouring child.
  * @param {Object} root The root node of the tree (or subtree)
  * @param {string} nodeId The ID of the node to delete
  * @returns {Object|null} The node that should receive focus, or null if not found
@@ -93,22 +143,21 @@ export function deleteNodeFromTree(root, nodeId) {
     const parentNode = findParentNode(root, nodeId);
     if (!parentNode || !parentNode.children) return null;
 
-    const siblingNode = parentNode.children.find(c => c.id !== nodeId);
-    if (!siblingNode) return null;
+    const index = parentNode.children.findIndex(c => c.id === nodeId);
+    if (index === -1 || parentNode.children.length < 2) return null;
 
-    // Merge sibling into parent
-    parentNode.splitState = siblingNode.splitState;
-    if (siblingNode.splitState === 'split') {
-        parentNode.children = siblingNode.children;
-        parentNode.orientation = siblingNode.orientation;
-    } else {
-        parentNode.children = null;
-        parentNode.image = siblingNode.image;
-        parentNode.text = siblingNode.text;
-        parentNode.textAlign = siblingNode.textAlign;
-        parentNode.orientation = null;
+    if (parentNode.children.length > 2) {
+        const [removed] = parentNode.children.splice(index, 1);
+        const neighbor = parentNode.children[index > 0 ? index - 1 : 0];
+        const removedSize = parseFloat(removed.size) || 0;
+        const neighborSize = parseFloat(neighbor.size) || 0;
+        neighbor.size = `${neighborSize + removedSize}%`;
+        return neighbor;
     }
 
+    parentNode.children.splice(index, 1);
+    collapseSingleChild(parentNode);
+
     return parentNode;
 }
 
@@ -119,7 +168,7 @@ export function deleteNodeFromTree(root, nodeId) {
  * @returns {boolean}
  */
 export function isDividerMergeable(parentNode) {
-    return parentNode && parentNode.splitState === 'split' && parentNode.children && parentNode.children.length === 2;
+    return !!(parentNode && parentNode.splitState === 'split' && parentNode.children && parentNode.children.length >= 2);
 }
 
 /**
@@ -134,52 +183,54 @@ function countNodesAlongBoundary(node, splitOrientation, isLeading) {
 
     if (node.orientation === splitOrientation) {
         // Parallel split: only the child adjacent to the boundary contributes.
-        // If we want the leading edge of a vertical split [A|B], we pick A.
-        // If we want the trailing edge, we pick B.
-        const targetIndex = isLeading ? 0 : 1;
+        // If we want the leading edge of a vertical split [A|B|C], we pick A.
+        // If we want the trailing edge, we pick C.
+        const targetIndex = isLeading ? 0 : node.children.length - 1;
         return countNodesAlongBoundary(node.children[targetIndex], splitOrientation, isLeading);
     } else {
-        // Orthogonal split: BOTH children contribute to the shared boundary.
-        return countNodesAlongBoundary(node.children[0], splitOrientation, isLeading) +
-            countNodesAlongBoundary(node.children[1], splitOrientation, isLeading);
+        // Orthogonal split: ALL children contribute to the shared boundary.
+        return node.children.reduce((sum, child) => sum + countNodesAlongBoundary(child, splitOrientation, isLeading), 0);
     }
 }
 
 /**
  * Merges nodes separated by a specific divider using directional expansion.
+ * In an N-way split the divider is identified by the two adjacent children it separates:
+ * the child containing the focused node and `neighborId`. When omitted, the neighbour is
+ * the other child of a binary split (or the next child in an N-way split).
  * @param {Object} parentNode The parent node of the divider
  * @param {string} focusedNodeId The ID of the node initiating the merge (expander)
+ * @param {string|null} neighborId ID of the child on the other side of the divider
  * @returns {Object} The node that was expanded or the new parent
  */
-export function mergeNodesInTree(parentNode, focusedNodeId) {
-    const [childA, childB] = parentNode.children;
+export function mergeNodesInTree(parentNode, focusedNodeId, neighborId = null) {
+    const children = parentNode.children;
     const orientation = parentNode.orientation;
 
     // 1. Determine direction: which side contains the focused node?
-    // If focusedNodeId is null (e.g. from mouse click), we can default to childA expanding or use context.
-    // For now, if null, we'll try to find any content to preserve, but keyboard always passes it.
-    const isExpanderA = (childA.id === focusedNodeId || (childA.children && findNodeById(childA, focusedNodeId)));
-    const isExpanderB = (childB.id === focusedNodeId || (childB.children && findNodeById(childB, focusedNodeId)));
-
-    // Fallback if neither (e.g. click on divider with no focus)
-    if (!isExpanderA && !isExpanderB) {
-        // Default to A expanding if it has content, else B
-        // This is a sensible default for mouse-initiated merges
-        return mergeNodesInTree(parentNode, childA.id);
+    let expanderIndex = findChildIndexContaining(parentNode, focusedNodeId);
+    let neighborIndex = neighborId ? children.findIndex(c => c.id === neighborId) : -1;
+
+    if (neighborIndex === -1) {
+        // Fallback if neither (e.g. click on divider with no focus):
+        // default to the first child expanding, a sensible default for mouse-initiated merges
+        if (expanderIndex === -1) expanderIndex = 0;
+        neighborIndex = expanderIndex < children.length - 1 ? expanderIndex + 1 : expanderIndex - 1;
+    } else if (expanderIndex === -1 || Math.abs(expanderIndex - neighborIndex) !== 1) {
+        // Focus is not next to this divider: the child on its leading side expands
+        expanderIndex = neighborIndex > 0 ? neighborIndex - 1 : neighborIndex + 1;
     }
 
-    const expander = isExpanderA ? childA : childB;
-    const neighbor = isExpanderA ? childB : childA;
+    const expander = children[expanderIndex];
+    const neighbor = children[neighborIndex];
+    const expanderIsLeading = expanderIndex < neighborIndex;
 
     // 2. Determine Neighbor Consumption
     if (neighbor.splitState === 'split' && neighbor.orientation === orientation) {
         // Case A: Neighbor split in SAME orientation -> Consume touching sub-child
-        const neighborChildA = neighbor.children[0];
-        const neighborChildB = neighbor.children[1];
-
-        // If expander is on the left (A), we consume the left part of neighbor (neighborChildA)
-        const consumed = isExpanderA ? neighborChildA : neighborChildB;
-        const remaining = isExpanderA ? neighborChildB : neighborChildA;
+        // If expander is on the left, we consume the left-most part of neighbor
+        const consumedIndex = expanderIsLeading ? 0 : neighbor.children.length - 1;
+        const consumed = neighbor.children[consumedIndex];
 
         // Combine sizes
         const expanderSize = parseFloat(expander.size) || 50;
@@ -187,22 +238,43 @@ export function mergeNodesInTree(parentNode, focusedNodeId) {
         const consumedRelSize = parseFloat(consumed.size) || 50;
 
         // The expander now takes its old size + (neighborSize * consumedRelSize / 100)
-        const newExpanderSize = expanderSize + (neighborSize * consumedRelSize / 100);
-        const newRemainingSize = 100 - newExpanderSize;
+        const consumedShare = neighborSize * consumedRelSize / 100;
+        expander.size = `${expanderSize + consumedShare}%`;
 
-        expander.size = `${newExpanderSize}%`;
-        remaining.size = `${newRemainingSize}%`;
+        const remainingSize = neighborSize - consumedShare;
+        const remainingChildren = neighbor.children.filter((_, i) => i !== consumedIndex);
 
-        // Update parent's children
-        parentNode.children = isExpanderA ? [expander, remaining] : [remaining, expander];
+        if (remainingChildren.length === 1) {
+            // Neighbor collapses to its last sub-child
+            const remaining = remainingChildren[0];
+            remaining.size = `${remainingSize}%`;
+            children[neighborIndex] = remaining;
+        } else {
+            // Neighbor keeps its other sub-children, renormalized to fill it
+            const remainingTotal = remainingChildren.reduce((sum, c) => sum + (parseFloat(c.size) || 0), 0) || 1;
+            remainingChildren.forEach(c => {
+                c.size = `${(parseFloat(c.size) || 0) / remainingTotal * 100}%`;
+            });
+            neighbor.children = remainingChildren;
+            neighbor.size = `${remainingSize}%`;
+        }
 
         // Return a leaf within the expanded side for focus restoration
         return findNodeById(expander, focusedNodeId) || expander;
     }
 
     // Case B: Neighbor is a leaf OR split ORTHOGONALLY -> Consume entirely
-    // Parent becomes the expander (promote expander)
-    const structuralKeys = ['id', 'size'];
+    if (children.length > 2) {
+        // N-way split: the expander absorbs the neighbor's space, siblings are untouched
+        const expanderSize = parseFloat(expander.size) || 0;
+        const neighborSize = parseFloat(neighbor.size) || 0;
+        expander.size = `${expanderSize + neighborSize}%`;
+        children.splice(neighborIndex, 1);
+        return findNodeById(expander, focusedNodeId) || expander;
+    }
+
+    // Binary split: Parent becomes the expander (promote expander)
+    const structuralKeys = ['id', 'size', ...PAGE_PROPERTIES];
     const newState = {};
 
     // Collect all properties from expander
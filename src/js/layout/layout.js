@@ -4,11 +4,18 @@ import { saveState } from '../io/history.js';
 import { renderLayout } from './renderer.js';
 
 // Internal modules
-import { findNodeById as findNodeByIdInternal, findParentNode as findParentNodeInternal, countParallelLeaves, deleteNodeFromTree, isDividerMergeable, mergeNodesInTree } from './internal/treeUtils.js';
+import { findNodeById as findNodeByIdInternal, findParentNode as findParentNodeInternal, countParallelLeaves, deleteNodeFromTree, isDividerMergeable, mergeNodesInTree, findChildIndexContaining, createEqualChildren } from './internal/treeUtils.js';
 import { snapDivider as snapDividerInternal } from './internal/snapping.js';
 import { renderAndRestoreFocus as renderAndRestoreFocusInternal } from './internal/focusManager.js';
 import * as dragInternal from './internal/dragHandler.js';
 import { toast, withErrorHandling } from '../core/errorHandler.js';
+import { getSettings } from '../ui/settings.js';
+import { isAdjustingImage, isQuarterTurn, normalizeRotation } from './imageView.js';
+import { toggleSelection, clearSelection, getSelection, getSelectionRoot } from './selection.js';
+import { extractSubtree, instantiateSubtree, replaceNodeStructure, isValidTemplateStructure } from './templates.js';
+import { showConfirm } from '../core/utils.js';
+import { collectAssetIds, getTransferableAssets, importTransferredAssets, remapAssetIds } from '../assets/assetTransfer.js';
+import { assetManager } from '../assets/AssetManager.js';
 import TurndownService from 'turndown';
 
 // Singleton Turndown service for HTML-to-Markdown conversion
@@ -41,6 +48,54 @@ async function readHtmlFromClipboard() {
     }
 }
 
+/**
+ * Read an image from the system clipboard: image files copied in the file manager (Electron),
+ * otherwise image data such as a screenshot.
+ * @param {boolean} [filesOnly] - Ignore image data, which apps like spreadsheets add next to copied text
+ * @returns {Promise<{file?: File, item?: Object}|null>} null if the clipboard holds no image
+ */
+async function readImageFromClipboard(filesOnly = false) {
+    if (window.electronAPI?.readClipboardFiles) {
+        const files = await window.electronAPI.readClipboardFiles();
+        const item = Array.isArray(files) ? files.find(f => f.type === 'image') : null;
+        if (item) return { item };
+    }
+    if (filesOnly) return null;
+
+    try {
+        if (!navigator.clipboard.read) return null;
+        const items = await navigator.clipboard.read();
+        for (const item of items) {
+            const type = item.types.find(t => t.startsWith('image/'));
+            if (type) {
+                const blob = await item.getType(type);
+                const ext = type === 'image/jpeg' ? 'jpg' : type.split('/')[1].split('+')[0];
+                return { file: new File([blob], `Pasted image.${ext}`, { type }) };
+            }
+        }
+        return null;
+    } catch {
+        return null; // Permission denied or API not available
+    }
+}
+
+/**
+ * Imports the image on the system clipboard into the asset panel. Pasting the same image
+ * again reuses its asset.
+ * @param {boolean} [filesOnly] - See readImageFromClipboard
+ * @returns {Promise<string|null>} Asset ID, null if the clipboard holds no image
+ */
+export async function importClipboardImage(filesOnly = false) {
+    const image = await readImageFromClipboard(filesOnly);
+    if (!image) return null;
+
+    const asset = image.item
+        ? await assetManager.processRawImage(image.item.name, image.item.data, image.item.type, image.item.path, image.item.absolutePath)
+        : await assetManager.processFile(image.file);
+
+    return assetManager.importAsset(asset).asset.id;
+}
+
 // Re-export tree utils for other modules
 export { findNodeByIdInternal as findNodeById, findParentNodeInternal as findParentNode };
 
@@ -69,11 +124,24 @@ export function handleSplitClick(event) {
     const rectElement = event.target.closest('.splittable-rect');
     if (!rectElement) return;
 
+    // Clicks end pan gestures while repositioning an image
+    if (isAdjustingImage(rectElement.id)) return;
+
     const node = findNodeByIdInternal(getCurrentPage(), rectElement.id);
     if (!node || node.splitState === 'split') return;
 
     event.stopPropagation();
 
+    // Shift + Click (Cmd + Click on macOS) = add to or remove from the selection.
+    // Ctrl + Click does the same once something is selected, instead of deleting.
+    const toggles = (event.shiftKey || event.metaKey) ? !event.ctrlKey : (event.ctrlKey && getSelection().length > 0);
+    if (toggles && !event.altKey && event.button === 0) {
+        toggleSelection(node.id, event.detail > 0);
+        return;
+    }
+    // Any other click ends the selection
+    clearSelection();
+
     // Ctrl + Click = Delete content or rectangle
     if (event.ctrlKey && !event.shiftKey) {
         saveState();
@@ -100,36 +168,68 @@ export function handleSplitClick(event) {
 
     // Split logic
     saveState();
-    node.splitState = 'split';
 
     const rect = rectElement.getBoundingClientRect();
-    const width = rect.width;
-    const height = rect.height;
+    const defaultIsVertical = rect.width >= rect.height;
+    const orientation = event.altKey ? (defaultIsVertical ? 'horizontal' : 'vertical') : (defaultIsVertical ? 'vertical' : 'horizontal');
+    const count = event.splitCount || getSettings().layout.splitCount || 2;
+
+    const children = splitLeafNode(node, count, orientation, event.ctrlKey);
+    renderAndRestoreFocus(getCurrentPage(), children[0].id);
+}
 
-    const defaultIsVertical = width >= height;
-    node.orientation = event.altKey ? (defaultIsVertical ? 'horizontal' : 'vertical') : (defaultIsVertical ? 'vertical' : 'horizontal');
+/**
+ * Splits a leaf into `count` equal children, migrating its content to the first
+ * (or last, when `contentToLast` is set) child.
+ * @param {Object} node Leaf node to split
+ * @param {number} count Number of parts (2 or more)
+ * @param {string} orientation 'vertical' | 'horizontal'
+ * @param {boolean} contentToLast
+ * @returns {Object[]} The created children
+ */
+function splitLeafNode(node, count, orientation, contentToLast = false) {
+    node.splitState = 'split';
+    node.orientation = orientation;
+    node.children = createEqualChildren(Math.max(2, count));
 
-    // Create children
-    const childA = { id: `rect-${++state.currentId}`, splitState: 'unsplit', image: null, text: null, size: '50%' };
-    const childB = { id: `rect-${++state.currentId}`, splitState: 'unsplit', image: null, text: null, size: '50%' };
-    node.children = [childA, childB];
+    const targetNode = contentToLast ? node.children[node.children.length - 1] : node.children[0];
 
     // Migrate content
     if (node.image) {
-        const targetNode = event.ctrlKey ? childB : childA;
         targetNode.image = { ...node.image };
         node.image = null;
     }
 
     if (node.text !== null && node.text !== undefined) {
-        const targetNode = event.ctrlKey ? childB : childA;
         targetNode.text = node.text;
         targetNode.textAlign = node.textAlign;
         node.text = null;
         node.textAlign = null;
     }
 
-    renderAndRestoreFocus(getCurrentPage(), childA.id);
+    return node.children;
+}
+
+/**
+ * Splits a rectangle into `count` equal parts along its longest side
+ * (or the shortest side when `longSplit` is set).
+ * @param {string} rectId
+ * @param {number} count
+ * @param {boolean} longSplit
+ */
+export function splitRectInto(rectId, count, longSplit = false) {
+    const node = findNodeByIdInternal(getCurrentPage(), rectId);
+    const rectElement = document.getElementById(rectId);
+    if (!node || node.splitState === 'split' || !rectElement) return;
+
+    saveState();
+
+    const rect = rectElement.getBoundingClientRect();
+    const defaultIsVertical = rect.width >= rect.height;
+    const orientation = longSplit ? (defaultIsVertical ? 'horizontal' : 'vertical') : (defaultIsVertical ? 'vertical' : 'horizontal');
+
+    const children = splitLeafNode(node, count, orientation);
+    renderAndRestoreFocus(getCurrentPage(), children[0].id);
 }
 
 export function createTextInRect(rectId, initialText = null) {
@@ -167,12 +267,33 @@ export function toggleTextAlignment(rectId) {
     renderAndRestoreFocus(getCurrentPage(), rectId);
 }
 
-export function toggleImageFlip(rectId) {
+/**
+ * Mirrors an image as seen on screen.
+ * Flips are stored in image space, so on a quarter-turned image the other axis toggles.
+ * @param {string} rectId
+ * @param {boolean} vertical - Mirror top-to-bottom instead of left-to-right
+ */
+export function toggleImageFlip(rectId, vertical = false) {
+    const node = findNodeByIdInternal(getCurrentPage(), rectId);
+    if (!node || !node.image) return;
+
+    saveState();
+    const key = vertical !== isQuarterTurn(node.image) ? 'flipY' : 'flip';
+    node.image[key] = !node.image[key];
+    renderAndRestoreFocus(getCurrentPage(), rectId);
+}
+
+/**
+ * Rotates an image by quarter turns
+ * @param {string} rectId
+ * @param {number} degrees - Multiple of 90, positive is clockwise
+ */
+export function rotateImage(rectId, degrees = 90) {
     const node = findNodeByIdInternal(getCurrentPage(), rectId);
     if (!node || !node.image) return;
 
     saveState();
-    node.image.flip = !node.image.flip;
+    node.image.rotation = normalizeRotation((node.image.rotation || 0) + degrees);
     renderAndRestoreFocus(getCurrentPage(), rectId);
 }
 
@@ -221,6 +342,21 @@ export function stopDrag() {
     dragInternal.stopDrag();
 }
 
+/**
+ * Returns the sibling on the other side of the divider that the node (or its ancestor)
+ * would cross when moving in `direction`, or null if it sits on the outer edge.
+ * @param {Object} parent Split node
+ * @param {string} nodeId
+ * @param {string} direction 'ArrowUp' | 'ArrowDown' | 'ArrowLeft' | 'ArrowRight'
+ * @returns {Object|null}
+ */
+function getNeighborInDirection(parent, nodeId, direction) {
+    const index = findChildIndexContaining(parent, nodeId);
+    if (index === -1) return null;
+    const isForward = direction === 'ArrowRight' || direction === 'ArrowDown';
+    return parent.children[isForward ? index + 1 : index - 1] || null;
+}
+
 /**
  * Find the first mergeable ancestor in a given direction
  */
@@ -233,19 +369,10 @@ export function findMergeableParent(focusedRect, direction) {
         const parent = findParentNodeInternal(page, searchNodeId);
         if (!parent) break;
 
-        if (parent.orientation === targetOrientation) {
-            // Check if searchNodeId is on the correct side of the divider for this direction
-            const isFirst = parent.children[0].id === searchNodeId ||
-                (parent.children[0].children && findNodeByIdInternal(parent.children[0], searchNodeId));
-            const isSecond = parent.children[1].id === searchNodeId ||
-                (parent.children[1].children && findNodeByIdInternal(parent.children[1], searchNodeId));
-
-            if ((isFirst && (direction === 'ArrowRight' || direction === 'ArrowDown')) ||
-                (isSecond && (direction === 'ArrowLeft' || direction === 'ArrowUp'))) {
-
-                if (isDividerMergeable(parent)) {
-                    return parent;
-                }
+        // Check if searchNodeId has a divider on the correct side for this direction
+        if (parent.orientation === targetOrientation && getNeighborInDirection(parent, searchNodeId, direction)) {
+            if (isDividerMergeable(parent)) {
+                return parent;
             }
         }
         searchNodeId = parent.id;
@@ -253,9 +380,16 @@ export function findMergeableParent(focusedRect, direction) {
     return null;
 }
 
-export function mergeNodes(parentNode, sourceNodeId) {
+/**
+ * Merges the source node with its neighbour under `parentNode`.
+ * @param {Object} parentNode
+ * @param {string} sourceNodeId
+ * @param {string|null} direction Arrow key used to pick the neighbour in N-way splits
+ */
+export function mergeNodes(parentNode, sourceNodeId, direction = null) {
     saveState();
-    const merged = mergeNodesInTree(parentNode, sourceNodeId);
+    const neighbor = direction ? getNeighborInDirection(parentNode, sourceNodeId, direction) : null;
+    const merged = mergeNodesInTree(parentNode, sourceNodeId, neighbor ? neighbor.id : null);
     if (merged) {
         renderAndRestoreFocus(getCurrentPage(), merged.id);
     }
@@ -274,7 +408,13 @@ export function handleDividerMerge(dividerElement) {
         // Refinement: Use the last focused rectangle as the initiator
         const focusedId = state.lastFocusedRectId;
 
-        const merged = mergeNodesInTree(parentNode, focusedId);
+        // The divider sits between rect A and rect B; the side without focus is consumed
+        const { rectAId, rectBId } = dividerElement.dataset;
+        const focusIndex = findChildIndexContaining(parentNode, focusedId);
+        const focusChildId = focusIndex !== -1 ? parentNode.children[focusIndex].id : null;
+        const neighborId = focusChildId === rectBId ? rectAId : rectBId;
+
+        const merged = mergeNodesInTree(parentNode, focusedId, neighborId);
 
         // Full layout update is safer for tree structure changes
         renderAndRestoreFocus(page, merged ? merged.id : parentId);
@@ -286,10 +426,44 @@ export function handleDividerMerge(dividerElement) {
 // ----------------------------------------------------------------------
 
 /**
- * Copy content of a specific node to system clipboard
+ * Split holding the selected rectangles, when the selection spans several of them.
+ * Copy, cut and paste then act on that whole part of the layout.
+ * @returns {Object|null}
+ */
+function getSelectedStructure() {
+    const root = getSelectionRoot();
+    return root && root.splitState === 'split' ? root : null;
+}
+
+/**
+ * Puts a whole layout subtree, structure and content, on the system clipboard
+ * @param {Object} node
+ */
+async function writeStructureToClipboard(node) {
+    const subtree = extractSubtree(node);
+    const clipboardData = {
+        type: 'broco-structure',
+        data: subtree,
+        assets: getTransferableAssets(collectAssetIds(subtree))
+    };
+    await navigator.clipboard.writeText(JSON.stringify(clipboardData));
+}
+
+/**
+ * Copy content of a specific node to system clipboard.
+ * With several rectangles selected, the part of the layout holding them is copied instead.
  * @param {string} nodeId 
  */
 export async function copyNodeContent(nodeId) {
+    const structure = getSelectedStructure();
+    if (structure) {
+        await withErrorHandling(async () => {
+            await writeStructureToClipboard(structure);
+            toast.success('Layout copied');
+        }, 'Failed to copy layout');
+        return;
+    }
+
     await withErrorHandling(async () => {
         const node = findNodeByIdInternal(getCurrentPage(), nodeId);
         if (!node) throw new Error('Node not found');
@@ -312,10 +486,11 @@ export async function copyNodeContent(nodeId) {
             return;
         }
 
-        // Add metadata for validation
+        // Add metadata for validation, and the image's asset so it can be pasted into another document
         const clipboardData = {
             type: 'broco-content',
-            data: content
+            data: content,
+            assets: getTransferableAssets(collectAssetIds(content))
         };
 
         await navigator.clipboard.writeText(JSON.stringify(clipboardData));
@@ -324,10 +499,24 @@ export async function copyNodeContent(nodeId) {
 }
 
 /**
- * Cut content of a specific node
+ * Cut content of a specific node.
+ * With several rectangles selected, the part of the layout holding them is cut down to one empty rectangle.
  * @param {string} nodeId 
  */
 export async function cutNodeContent(nodeId) {
+    const structure = getSelectedStructure();
+    if (structure) {
+        await withErrorHandling(async () => {
+            await writeStructureToClipboard(structure);
+            saveState();
+            replaceNodeStructure(structure, { splitState: 'unsplit', image: null, text: null });
+            clearSelection();
+            renderAndRestoreFocus(getCurrentPage(), structure.id);
+            toast.success('Layout cut');
+        }, 'Failed to cut layout');
+        return;
+    }
+
     await withErrorHandling(async () => {
         const node = findNodeByIdInternal(getCurrentPage(), nodeId);
         if (!node) throw new Error('Node not found');
@@ -355,7 +544,8 @@ export async function cutNodeContent(nodeId) {
 
         const clipboardData = {
             type: 'broco-content',
-            data: content
+            data: content,
+            assets: getTransferableAssets(collectAssetIds(content))
         };
 
         await navigator.clipboard.writeText(JSON.stringify(clipboardData));
@@ -372,6 +562,29 @@ export async function cutNodeContent(nodeId) {
     }, 'Failed to cut content');
 }
 
+/**
+ * Grafts a copied layout subtree onto a node, with new IDs. Anything already there is
+ * only replaced once confirmed.
+ * @param {Object} target - Leaf, or the split holding the selection
+ * @param {Object} subtree - See extractSubtree
+ * @param {Object[]} [assets] - Asset records copied along, see getTransferableAssets
+ */
+async function pasteStructure(target, subtree, assets) {
+    const isEmptyLeaf = target.splitState !== 'split' && !target.image && (target.text === null || target.text === undefined);
+    if (!isEmptyLeaf) {
+        const what = target.splitState === 'split' ? 'the selected rectangles' : 'this rectangle';
+        const confirmed = await showConfirm(`Replace ${what} with the copied layout?`, 'Paste Layout', 'Replace');
+        if (!confirmed) return;
+    }
+
+    remapAssetIds(subtree, await importTransferredAssets(assets));
+    saveState();
+    replaceNodeStructure(target, instantiateSubtree(subtree));
+    clearSelection();
+    renderAndRestoreFocus(getCurrentPage(), target.id);
+    toast.success('Layout pasted');
+}
+
 /**
  * Paste content into a specific node
  * @param {string} nodeId 
@@ -382,8 +595,7 @@ export async function pasteNodeContent(nodeId) {
         if (!node) throw new Error('Node not found');
         if (node.splitState === 'split') return; // Can't paste into container
 
-        const text = await navigator.clipboard.readText();
-        if (!text) return;
+        const text = await navigator.clipboard.readText().catch(() => '');
 
         // --- Priority 1: Internal broco-content (JSON with images) ---
         let parsed = null;
@@ -393,9 +605,17 @@ export async function pasteNodeContent(nodeId) {
             // Not JSON — fall through to HTML/plain text handling below
         }
 
+        // --- Copied layout: grafted onto the rectangle, or over the selected ones ---
+        if (parsed && parsed.type === 'broco-structure' && isValidTemplateStructure(parsed.data)) {
+            await pasteStructure(getSelectedStructure() || node, parsed.data, parsed.assets);
+            return;
+        }
+
         if (parsed && parsed.type === 'broco-content' && parsed.data) {
-            saveState();
+            // Copied from another document: bring its image along, or reuse the same image already here
             const data = parsed.data;
+            remapAssetIds(data, await importTransferredAssets(parsed.assets));
+            saveState();
 
             // Apply content
             if (data.image) {
@@ -418,7 +638,22 @@ export async function pasteNodeContent(nodeId) {
             return;
         }
 
-        // --- Priority 2: HTML content from clipboard → Markdown ---
+        // --- Priority 2: Image (screenshot, copied image or image file) ---
+        // Copied text wins over the picture of it some apps add
+        const assetId = await importClipboardImage(text.trim() !== '');
+        if (assetId) {
+            saveState();
+            node.image = { assetId, fit: 'cover' };
+            node.text = null;
+            node.textAlign = null;
+            renderAndRestoreFocus(getCurrentPage(), nodeId);
+            toast.success('Image pasted');
+            return;
+        }
+
+        if (!text) return;
+
+        // --- Priority 3: HTML content from clipboard → Markdown ---
         const html = await readHtmlFromClipboard();
         if (html) {
             saveState();
@@ -429,7 +664,7 @@ export async function pasteNodeContent(nodeId) {
             return;
         }
 
-        // --- Priority 3: Plain text fallback ---
+        // --- Priority 4: Plain text fallback ---
         saveState();
         node.text = text;
         node.image = null;
@@ -0,0 +1,266 @@
+import { state, getCurrentPage, getEditedMaster } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { toast } from '../core/errorHandler.js';
+import { showConfirm } from '../core/utils.js';
+import { findNodeById } from './internal/treeUtils.js';
+import { renderAndRestoreFocus } from './internal/focusManager.js';
+import { renderPageList } from './pages.js';
+
+/**
+ * Master pages: layouts shared by many pages, such as a logo strip and a footer.
+ *
+ * A master is an ordinary layout tree in which one leaf, the page area (`isPageArea`),
+ * stands for the page's own tree. A page uses a master through `masterId` on its root
+ * node. Every renderer (editor, thumbnails, presentation, export) draws the master's
+ * other regions read-only around the page. A master is edited in place of the current
+ * page, with the usual tools, while `state.editingMasterId` is set.
+ */
+
+/** Header and footer of a new master, in % of the page height */
+const NEW_MASTER_HEADER_SIZE = 10;
+const NEW_MASTER_FOOTER_SIZE = 8;
+
+/**
+ * @param {Object} node - Master layout (sub)tree
+ * @returns {Object|null} The page area leaf
+ */
+export function findPageArea(node) {
+    if (!node) return null;
+    if (node.isPageArea) return node;
+    if (!node.children) return null;
+    for (const child of node.children) {
+        const found = findPageArea(child);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * @param {string} id
+ * @param {Object[]} [masters]
+ * @returns {Object|null}
+ */
+export function getMaster(id, masters = state.masters) {
+    return (masters || []).find(m => m.id === id) || null;
+}
+
+/**
+ * Master a page is drawn in, if any
+ * @param {Object} page - Page root node
+ * @param {Object[]} [masters]
+ * @returns {Object|null} Null when the page has no master, or its master lost its page area
+ */
+export function getPageMaster(page, masters = state.masters) {
+    if (!page || !page.masterId) return null;
+    const master = getMaster(page.masterId, masters);
+    return master && findPageArea(master.layout) ? master : null;
+}
+
+/**
+ * Builds a master with an empty header, the page area and an empty footer
+ * @param {string} name
+ * @returns {Object} Master, with fresh IDs from state.currentId
+ */
+export function createMaster(name) {
+    const leaf = (size) => ({ id: `rect-${++state.currentId}`, splitState: 'unsplit', image: null, text: null, size });
+    const pageArea = leaf(`${100 - NEW_MASTER_HEADER_SIZE - NEW_MASTER_FOOTER_SIZE}%`);
+    pageArea.isPageArea = true;
+
+    return {
+        id: `master-${++state.currentId}`,
+        name,
+        layout: {
+            id: `rect-${++state.currentId}`,
+            splitState: 'split',
+            orientation: 'horizontal',
+            children: [leaf(`${NEW_MASTER_HEADER_SIZE}%`), pageArea, leaf(`${NEW_MASTER_FOOTER_SIZE}%`)]
+        }
+    };
+}
+
+/**
+ * Removes a master, detaching the pages that used it
+ * @param {string} id
+ */
+export function removeMaster(id) {
+    state.masters = state.masters.filter(m => m.id !== id);
+    state.pages.forEach(page => {
+        if (page.masterId === id) delete page.masterId;
+    });
+    if (state.editingMasterId === id) state.editingMasterId = null;
+}
+
+/**
+ * Makes an empty leaf of a master its page area
+ * @param {Object} master
+ * @param {string} rectId
+ * @returns {boolean} Whether the leaf could be used
+ */
+export function setMasterPageArea(master, rectId) {
+    const node = findNodeById(master.layout, rectId);
+    if (!isEmptyLeaf(node)) return false;
+
+    const previous = findPageArea(master.layout);
+    if (previous) delete previous.isPageArea;
+    node.isPageArea = true;
+    return true;
+}
+
+function isEmptyLeaf(node) {
+    return !!node && node.splitState !== 'split' && !node.image && (node.text === null || node.text === undefined);
+}
+
+function refresh(focusId = null) {
+    renderAndRestoreFocus(getCurrentPage(), focusId);
+    renderPageList();
+}
+
+/**
+ * Creates a master, assigns it to the current page and starts editing it
+ */
+export function addMaster() {
+    saveState();
+    const master = createMaster(`Master ${state.masters.length + 1}`);
+    state.masters.push(master);
+    state.pages[state.currentPageIndex].masterId = master.id;
+    state.editingMasterId = master.id;
+    refresh();
+}
+
+/**
+ * Chooses the master of the current page
+ * @param {string|null} masterId - Null for none
+ */
+export function setCurrentPageMaster(masterId) {
+    const page = state.pages[state.currentPageIndex];
+    if ((page.masterId || null) === (masterId || null)) return;
+
+    saveState();
+    if (masterId) {
+        page.masterId = masterId;
+    } else {
+        delete page.masterId;
+    }
+    refresh();
+}
+
+/**
+ * Edits a master in place of the current page
+ * @param {string} masterId
+ */
+export function editMaster(masterId) {
+    if (!getMaster(masterId)) return;
+    state.editingMasterId = masterId;
+    refresh();
+}
+
+/**
+ * Goes back to the current page
+ */
+export function stopEditingMaster() {
+    if (!state.editingMasterId) return;
+    state.editingMasterId = null;
+    refresh();
+}
+
+// ----------------------------------------------------------------------
+// UI
+// ----------------------------------------------------------------------
+
+/** Reflects the current page's master and the editing state in the controls */
+function syncMasterControls() {
+    const select = document.getElementById('page-master-select');
+    const editBtn = document.getElementById('edit-master-btn');
+    const bar = document.getElementById('master-edit-bar');
+    const nameInput = document.getElementById('master-name-input');
+    const editedMaster = getEditedMaster();
+    const page = state.pages[state.currentPageIndex];
+
+    if (select) {
+        select.innerHTML = '';
+        select.appendChild(new Option('None', ''));
+        state.masters.forEach(master => select.appendChild(new Option(master.name, master.id)));
+        select.value = getMaster(page?.masterId) ? page.masterId : '';
+    }
+    if (editBtn) editBtn.disabled = !select?.value;
+
+    document.body.classList.toggle('is-editing-master', !!editedMaster);
+    if (bar) bar.hidden = !editedMaster;
+    if (editedMaster && nameInput && document.activeElement !== nameInput) {
+        nameInput.value = editedMaster.name;
+    }
+}
+
+/**
+ * Wires up the master page controls in the pages sidebar and the master editing bar.
+ */
+export function setupMasterHandlers() {
+    const select = document.getElementById('page-master-select');
+    const editBtn = document.getElementById('edit-master-btn');
+    const newBtn = document.getElementById('new-master-btn');
+    const nameInput = document.getElementById('master-name-input');
+    const pageAreaBtn = document.getElementById('master-page-area-btn');
+    const deleteBtn = document.getElementById('master-delete-btn');
+    const doneBtn = document.getElementById('master-done-btn');
+
+    if (!select) return;
+
+    select.addEventListener('change', () => setCurrentPageMaster(select.value || null));
+    editBtn?.addEventListener('click', () => {
+        if (select.value) editMaster(select.value);
+    });
+    newBtn?.addEventListener('click', () => addMaster());
+    doneBtn?.addEventListener('click', () => stopEditingMaster());
+
+    nameInput?.addEventListener('change', () => {
+        const master = getEditedMaster();
+        const name = nameInput.value.trim();
+        if (!master || !name || name === master.name) return;
+        saveState();
+        master.name = name;
+        syncMasterControls();
+    });
+
+    pageAreaBtn?.addEventListener('click', () => {
+        const master = getEditedMaster();
+        if (!master) return;
+        const rectId = state.lastFocusedRectId;
+        if (!rectId || !isEmptyLeaf(findNodeById(master.layout, rectId))) {
+            toast.warning('Select an empty region of the master first.');
+            return;
+        }
+        saveState();
+        setMasterPageArea(master, rectId);
+        refresh();
+    });
+
+    deleteBtn?.addEventListener('click', async () => {
+        const master = getEditedMaster();
+        if (!master) return;
+        const users = state.pages.filter(page => page.masterId === master.id).length;
+        const message = users > 0
+            ? `"${master.name}" is used by ${users} page${users > 1 ? 's' : ''}. They will keep their own content only.`
+            : `Delete "${master.name}"?`;
+        const confirmed = await showConfirm(message, 'Delete master?', 'Delete');
+        if (!confirmed) return;
+        saveState();
+        removeMaster(master.id);
+        refresh();
+    });
+
+    // Merging or deleting regions can remove the page area: warn once per master
+    let warnedMasterId = null;
+    document.addEventListener('layoutUpdated', () => {
+        syncMasterControls();
+        const master = getEditedMaster();
+        if (!master || findPageArea(master.layout)) {
+            warnedMasterId = null;
+        } else if (warnedMasterId !== master.id) {
+            warnedMasterId = master.id;
+            toast.warning('This master has no page area left, so pages using it only show their own content. Select an empty region and use "Set page area".');
+        }
+    });
+    document.addEventListener('stateRestored', syncMasterControls);
+
+    syncMasterControls();
+}
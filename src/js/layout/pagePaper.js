@@ -0,0 +1,178 @@
+import { state, getCurrentPage } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { PAGE_PRESETS } from '../core/units.js';
+import { getSettings, getPageLayout, getPageBackgroundColor, PAGE_LAYOUT_KEYS } from '../ui/settings.js';
+import { renderAndRestoreFocus } from './internal/focusManager.js';
+import { renderPageList } from './pages.js';
+
+/**
+ * Per-page paper: a page can have its own size, orientation and paper colour,
+ * stored as overrides of the document settings in `page.paper` (see getPageLayout).
+ * Keys left out of `page.paper` follow the document.
+ */
+
+/** Page ratios offered for a single page, as in the document settings */
+export const PAGE_RATIOS = {
+    '1.414': 'A4 / A-series (1:1.414)',
+    '1.618': 'Golden Ratio (1:1.618)',
+    '1.333': '4:3 Standard',
+    '1.5': '3:2 Photo',
+    '1.777': '16:9 Widescreen',
+    '1': '1:1 Square',
+    '2.35': '2.35:1 Cinematic'
+};
+
+/** Size keys of `page.paper`, replaced together when a size is chosen */
+const SIZE_KEYS = PAGE_LAYOUT_KEYS.filter(key => key !== 'isLandscape');
+
+/**
+ * Changes the overrides of a page. `undefined` values go back to the document setting.
+ * @param {Object} page - Page root node
+ * @param {Object} changes - Keys of PAGE_LAYOUT_KEYS, or `backgroundColor`
+ */
+export function setPagePaper(page, changes) {
+    const paper = { ...page.paper, ...changes };
+    Object.keys(paper).forEach(key => {
+        if (paper[key] === undefined) delete paper[key];
+    });
+
+    if (Object.keys(paper).length > 0) {
+        page.paper = paper;
+    } else {
+        delete page.paper;
+    }
+}
+
+/**
+ * Overrides for a size choice of the page size menu
+ * @param {string} choice - '' for the document size, `ratio:<value>` or `preset:<key of PAGE_PRESETS>`
+ * @returns {Object} Changes for setPagePaper
+ */
+export function getSizeChanges(choice) {
+    const changes = Object.fromEntries(SIZE_KEYS.map(key => [key, undefined]));
+    const [kind, value] = choice.split(':');
+
+    if (kind === 'ratio' && PAGE_RATIOS[value]) {
+        changes.ratio = value;
+    } else if (kind === 'preset' && PAGE_PRESETS[value]) {
+        const preset = PAGE_PRESETS[value];
+        changes.ratio = 'physical';
+        changes.pageWidth = preset.width;
+        changes.pageHeight = preset.height;
+        changes.unit = preset.unit;
+    }
+    return changes;
+}
+
+/**
+ * @param {Object} page - Page root node
+ * @returns {string} Page size menu value of the page, 'other' for sizes the menu does not offer
+ */
+export function getSizeChoice(page) {
+    const paper = page?.paper;
+    if (!paper || SIZE_KEYS.every(key => paper[key] === undefined)) return '';
+
+    if (paper.ratio === 'physical') {
+        const short = Math.min(paper.pageWidth, paper.pageHeight);
+        const long = Math.max(paper.pageWidth, paper.pageHeight);
+        const match = Object.entries(PAGE_PRESETS).find(([, p]) =>
+            p.unit === paper.unit && p.width === short && p.height === long
+        );
+        return match ? `preset:${match[0]}` : 'other';
+    }
+    return PAGE_RATIOS[paper.ratio] ? `ratio:${paper.ratio}` : 'other';
+}
+
+/**
+ * Changes the paper of the current page as one undo step
+ * @param {Object} changes - See setPagePaper
+ */
+function updateCurrentPagePaper(changes) {
+    saveState();
+    setPagePaper(state.pages[state.currentPageIndex], changes);
+    renderAndRestoreFocus(getCurrentPage(), state.lastFocusedRectId);
+    renderPageList();
+}
+
+// ----------------------------------------------------------------------
+// UI
+// ----------------------------------------------------------------------
+
+function fillSizeSelect(select) {
+    select.appendChild(new Option('Document size', ''));
+
+    const ratios = document.createElement('optgroup');
+    ratios.label = 'Ratio';
+    Object.entries(PAGE_RATIOS).forEach(([value, label]) => ratios.appendChild(new Option(label, `ratio:${value}`)));
+    select.appendChild(ratios);
+
+    const presets = document.createElement('optgroup');
+    presets.label = 'Paper';
+    Object.entries(PAGE_PRESETS).forEach(([key, preset]) => presets.appendChild(new Option(preset.label, `preset:${key}`)));
+    select.appendChild(presets);
+
+    // Only shown for sizes set elsewhere, such as an opened file
+    const other = new Option('Other size', 'other');
+    other.hidden = true;
+    select.appendChild(other);
+}
+
+/** Reflects the paper of the current page in the controls */
+function syncPagePaperControls() {
+    const select = document.getElementById('page-size-select');
+    const landscapeToggle = document.getElementById('page-landscape-toggle');
+    const colorInput = document.getElementById('page-bg-color');
+    const resetBtn = document.getElementById('page-paper-reset');
+    const page = state.pages[state.currentPageIndex];
+
+    if (select) select.value = getSizeChoice(page);
+    if (landscapeToggle) landscapeToggle.checked = !!getPageLayout(page).isLandscape;
+    if (colorInput) colorInput.value = getPageBackgroundColor(page);
+    if (resetBtn) resetBtn.disabled = !page?.paper;
+}
+
+/**
+ * Wires up the paper controls of the current page in the pages sidebar.
+ */
+export function setupPagePaperHandlers() {
+    const select = document.getElementById('page-size-select');
+    const landscapeToggle = document.getElementById('page-landscape-toggle');
+    const colorInput = document.getElementById('page-bg-color');
+    const resetBtn = document.getElementById('page-paper-reset');
+
+    if (!select) return;
+    fillSizeSelect(select);
+
+    select.addEventListener('change', () => {
+        if (select.value === 'other') return;
+        updateCurrentPagePaper(getSizeChanges(select.value));
+    });
+
+    landscapeToggle?.addEventListener('change', () => {
+        const page = state.pages[state.currentPageIndex];
+        // Matching the document again drops the override
+        const isLandscape = landscapeToggle.checked;
+        const followsDocument = getSizeChoice(page) === '' && isLandscape === !!getSettings().layout.isLandscape;
+        updateCurrentPagePaper({ isLandscape: followsDocument ? undefined : isLandscape });
+    });
+
+    colorInput?.addEventListener('change', () => {
+        const matchesDocument = colorInput.value.toLowerCase() === getSettings().paper.backgroundColor.toLowerCase();
+        updateCurrentPagePaper({ backgroundColor: matchesDocument ? undefined : colorInput.value });
+    });
+
+    resetBtn?.addEventListener('click', () => {
+        const page = state.pages[state.currentPageIndex];
+        if (!page.paper) return;
+        saveState();
+        delete page.paper;
+        renderAndRestoreFocus(getCurrentPage(), state.lastFocusedRectId);
+        renderPageList();
+    });
+
+    document.addEventListener('layoutUpdated', syncPagePaperControls);
+    document.addEventListener('stateRestored', syncPagePaperControls);
+    document.addEventListener('settingsUpdated', syncPagePaperControls);
+
+    syncPagePaperControls();
+}
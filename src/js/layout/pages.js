@@ -6,6 +6,11 @@ import { dragDropService } from '../ui/DragDropService.js';
 import { renderAndRestoreFocus } from './layout.js';
 import { showConfirm, showAlert } from '../core/utils.js';
 import { toast } from '../core/errorHandler.js';
+import { assetManager } from '../assets/AssetManager.js';
+import { createImageFrame } from './imageView.js';
+import { getPageMaster } from './masters.js';
+import { calculatePaperDimensions, getSettings } from '../ui/settings.js';
+import { getSpreads } from './spreads.js';
 
 export function setupPageHandlers() {
     const addPageBtn = document.getElementById('add-page-btn');
@@ -30,6 +35,11 @@ export function setupPageHandlers() {
         renderPageList();
     });
 
+    // Thumbnails take the shape of their page
+    document.addEventListener('settingsUpdated', (e) => {
+        if (!e.detail || e.detail.category === 'layout') renderPageList();
+    });
+
     // Initial render
     renderPageList();
 }
@@ -42,6 +52,7 @@ export function renderPageList() {
     const savedScrollTop = pagesList.scrollTop;
 
     pagesList.innerHTML = '';
+    const items = [];
 
     state.pages.forEach((page, index) => {
         const item = document.createElement('div');
@@ -52,6 +63,8 @@ export function renderPageList() {
         // Thumbnail Container
         const thumbnailContainer = document.createElement('div');
         thumbnailContainer.className = 'page-thumbnail-preview';
+        const paper = calculatePaperDimensions(page);
+        thumbnailContainer.style.setProperty('--page-ratio', `${paper.width / paper.height}`);
 
         const previewContent = document.createElement('div');
         previewContent.className = 'mini-layout';
@@ -136,7 +149,7 @@ export function renderPageList() {
         });
 
         item.addEventListener('click', () => {
-            if (state.currentPageIndex !== index) {
+            if (state.currentPageIndex !== index || state.editingMasterId) {
                 switchPage(index);
                 renderAndRestoreFocus(getCurrentPage());
                 renderPageList();
@@ -166,9 +179,24 @@ export function renderPageList() {
             dragDropService.endDrag();
         });
 
-        pagesList.appendChild(item);
+        items.push(item);
     });
 
+    // Facing pages are listed in pairs, the cover on the right as in a book
+    const { spreads, spreadCover } = getSettings().layout;
+    pagesList.classList.toggle('is-spreads', !!spreads);
+    if (spreads) {
+        getSpreads(items.length, !!spreadCover).forEach(pageIndices => {
+            const row = document.createElement('div');
+            row.className = 'page-spread';
+            row.classList.toggle('is-cover', !!spreadCover && pageIndices[0] === 0);
+            pageIndices.forEach(i => row.appendChild(items[i]));
+            pagesList.appendChild(row);
+        });
+    } else {
+        items.forEach(item => pagesList.appendChild(item));
+    }
+
     // Restore scroll position
     pagesList.scrollTop = savedScrollTop;
 }
@@ -198,8 +226,9 @@ function handlePageDropLogic(target) {
     }
 }
 
-function renderMiniLayout(container, node) {
+function renderMiniLayout(container, page) {
     container.innerHTML = '';
+    const master = getPageMaster(page);
     container.style.backgroundColor = '#fff';
 
     function createMiniRect(childNode) {
@@ -235,26 +264,36 @@ function renderMiniLayout(container, node) {
     }
 
     function buildMiniRecursive(node, domNode) {
+        // The page fills its master's page area
+        if (master && node.isPageArea) {
+            buildMiniRecursive(page, domNode);
+            return;
+        }
+
         if (node.splitState === 'split' && node.children && node.children.length >= 2) {
             domNode.style.display = 'flex';
             domNode.style.flexDirection = node.orientation === 'vertical' ? 'row' : 'column';
 
-            const childA = node.children[0];
-            const childB = node.children[1];
-
-            const divA = createMiniRect(childA);
-            const divider = createMiniDivider(node.orientation);
-            const divB = createMiniRect(childB);
-
-            domNode.appendChild(divA);
-            domNode.appendChild(divider);
-            domNode.appendChild(divB);
-
-            buildMiniRecursive(childA, divA);
-            buildMiniRecursive(childB, divB);
+            node.children.forEach((child, i) => {
+                if (i > 0) {
+                    domNode.appendChild(createMiniDivider(node.orientation));
+                }
+                const childDiv = createMiniRect(child);
+                domNode.appendChild(childDiv);
+                buildMiniRecursive(child, childDiv);
+            });
         } else {
             // Leaf rendering...
-            if (node.image) {
+            const asset = node.image ? assetManager.getAsset(node.image.assetId) : null;
+            if (asset && asset.lowResData) {
+                // Same framing as the editor, so thumbnails match the page
+                const img = document.createElement('img');
+                img.src = asset.lowResData;
+                img.alt = '';
+                img.draggable = false;
+                domNode.style.position = 'relative';
+                domNode.appendChild(createImageFrame(img, node.image));
+            } else if (node.image) {
                 domNode.style.backgroundColor = '#e0e7ff'; // Indicate image presence
                 domNode.innerHTML = '<span aria-hidden="true">🖼️</span>';
                 domNode.style.fontSize = '11px';
@@ -274,5 +313,5 @@ function renderMiniLayout(container, node) {
         }
     }
 
-    buildMiniRecursive(node, container);
+    buildMiniRecursive(master ? master.layout : page, container);
 }
@@ -1,14 +1,17 @@
-import { state, getCurrentPage } from '../core/state.js';
+import { state, getCurrentPage, getEditedMaster } from '../core/state.js';
 import { findNodeById } from './layout.js';
 import { A4_PAPER_ID } from '../core/constants.js';
 import { assetManager } from '../assets/AssetManager.js';
 import { dragDropService } from '../ui/DragDropService.js';
 import { attachImageDragHandlers, handleTouchStart, handleTouchMove, handleTouchEnd, importImageToNode } from '../assets/assets.js';
-import { handleSplitClick, startDrag, startEdgeDrag, createTextInRect, toggleTextAlignment, renderAndRestoreFocus, toggleImageFlip } from './layout.js';
+import { handleSplitClick, startDrag, startEdgeDrag, createTextInRect, toggleTextAlignment, renderAndRestoreFocus, toggleImageFlip, rotateImage } from './layout.js';
 import { saveState } from '../io/history.js';
 import { marked } from 'marked';
 import DOMPurify from 'dompurify';
-import { getSettings } from '../ui/settings.js';
+import { getSettings, applyPagePaper } from '../ui/settings.js';
+import { isAdjustmentsPanelOpen, toggleAdjustmentsPanel } from './imageAdjustments.js';
+import { createImageFrame, attachImageAdjustHandlers, isAdjustingImage, toggleImageAdjust } from './imageView.js';
+import { getPageMaster } from './masters.js';
 
 // Configure marked for GFM and better line breaks
 marked.use({
@@ -30,12 +33,23 @@ export function renderLayout(container, node, options = {}) {
         container.classList.add('a4-paper');
         container.style.backgroundColor = 'var(--paper-bg-color, #ffffff)';
 
-        const rootElement = createDOMRect(node, null);
+        // Pages can have their own size and colour; a master takes the shape of the page it is edited from
+        const sizedPage = getEditedMaster()?.layout === node ? state.pages[state.currentPageIndex] : node;
+        applyPagePaper(container, sizedPage);
+
+        // A page with a master is drawn inside the master's page area
+        const master = getPageMaster(node);
+        const rootElement = createDOMRect(master ? master.layout : node, null);
         fragment.appendChild(rootElement);
-        renderNodeRecursive(rootElement, node, options);
+        if (master) {
+            renderMasterRecursive(rootElement, master.layout, node, options);
+        } else {
+            renderNodeRecursive(rootElement, node, options);
+        }
 
         if (!options.hideControls) {
             addEdgeHandles(fragment);
+            addPrintGuides(fragment);
         }
         renderBackgroundImage(fragment);
         renderPageNumber(fragment, options);
@@ -48,7 +62,30 @@ export function renderLayout(container, node, options = {}) {
     renderNodeRecursive(container, node, options);
 }
 
-function renderNodeRecursive(element, node, options) {
+/**
+ * Renders the regions of a master page, read-only, around the page's own tree
+ * @param {HTMLElement} element
+ * @param {Object} node - Master layout node
+ * @param {Object} page - Page root, rendered in the page area
+ * @param {Object} options
+ */
+function renderMasterRecursive(element, node, page, options) {
+    if (node.isPageArea) {
+        element.id = page.id;
+        element.classList.add('master-page-area');
+        renderNodeRecursive(element, page, options);
+        return;
+    }
+
+    element.classList.add('master-region');
+    // A read-only paper (the facing page of a spread) can show the same master as the
+    // current page: its regions get no IDs so element IDs stay unique
+    if (options.hideControls) element.removeAttribute('id');
+    renderNodeRecursive(element, node, { ...options, hideControls: true },
+        (childElement, child) => renderMasterRecursive(childElement, child, page, options));
+}
+
+function renderNodeRecursive(element, node, options, renderChild = renderNodeRecursive) {
     // Clear previous state
     element.innerHTML = '';
     // Use classList.add to preserve classes from createDOMRect or other sources
@@ -57,7 +94,7 @@ function renderNodeRecursive(element, node, options) {
 
     if (node.splitState === 'split') {
         // For split nodes, we want children to stretch (default flex behavior)
-        renderSplitNode(element, node, options);
+        renderSplitNode(element, node, options, renderChild);
     } else {
         // For leaf nodes, we anchor content to top-left to avoid shifting on font resize
         element.classList.add('items-start', 'justify-start');
@@ -65,7 +102,7 @@ function renderNodeRecursive(element, node, options) {
     }
 }
 
-function renderSplitNode(container, node, options) {
+function renderSplitNode(container, node, options, renderChild = renderNodeRecursive) {
     container.classList.add(node.orientation === 'vertical' ? 'flex-row' : 'flex-col');
     container.setAttribute('data-split-state', 'split');
     container.removeAttribute('tabindex');
@@ -73,21 +110,31 @@ function renderSplitNode(container, node, options) {
     container.removeAttribute('aria-label');
     container.removeAttribute('data-tooltip');
 
-    const rectA = createDOMRect(node.children[0], node.orientation);
-    const rectB = createDOMRect(node.children[1], node.orientation);
-    const divider = createDOMDivider(node, rectA, rectB, options);
+    // N children are separated by N-1 dividers, each one owning the pair on either side
+    const rects = node.children.map(child => createDOMRect(child, node.orientation));
 
-    container.appendChild(rectA);
-    container.appendChild(divider);
-    container.appendChild(rectB);
+    rects.forEach((rect, i) => {
+        if (i > 0) {
+            container.appendChild(createDOMDivider(node, rects[i - 1], rect, options));
+        }
+        container.appendChild(rect);
+    });
 
-    renderNodeRecursive(rectA, node.children[0], options);
-    renderNodeRecursive(rectB, node.children[1], options);
+    rects.forEach((rect, i) => renderChild(rect, node.children[i], options));
 }
 
 function renderLeafNode(container, node, options) {
     container.setAttribute('data-split-state', 'unsplit');
 
+    // Page area of a master being edited: stands for each page's own content
+    if (node.isPageArea) {
+        container.classList.add('master-page-area-placeholder');
+        const label = document.createElement('span');
+        label.textContent = 'Page content';
+        container.appendChild(label);
+        return;
+    }
+
     // Only make interactive if controls are enabled
     if (!options.hideControls) {
         container.setAttribute('tabindex', '0');
@@ -100,7 +147,7 @@ function renderLeafNode(container, node, options) {
         container.setAttribute('aria-label', label);
 
         if (hasContent) {
-            container.setAttribute('data-tooltip', 'Shift + Click to split');
+            container.setAttribute('data-tooltip', 'Middle click to split, Alt + Click to split the other way, Shift + Click to select');
         } else {
             container.removeAttribute('data-tooltip');
         }
@@ -122,29 +169,20 @@ function renderLeafNode(container, node, options) {
                 }
 
                 if (imageUrl) {
-                    // High-res export rendering using background-image technique
-                    container.style.backgroundImage = `url(${imageUrl})`;
-                    container.style.backgroundSize = node.image.fit || 'cover';
-                    container.style.backgroundPosition = 'center';
-                    container.style.backgroundRepeat = 'no-repeat';
-
-                    if (node.image.flip) {
-                        container.style.transform = 'scaleX(-1)';
-                    }
+                    // High-res export rendering using a background-image layer
+                    const layer = document.createElement('div');
+                    layer.className = 'image-layer';
+                    layer.style.backgroundImage = `url(${imageUrl})`;
+                    layer.style.backgroundRepeat = 'no-repeat';
+                    container.appendChild(createImageFrame(layer, node.image));
                 }
             } else {
                 // Standard editor rendering with <img> tag
                 const img = document.createElement('img');
                 img.src = asset.lowResData;
                 img.setAttribute('data-asset-id', asset.id);
-                img.style.width = '100%';
-                img.style.height = '100%';
-                img.style.objectFit = node.image.fit || 'cover';
                 img.draggable = false;
-
-                if (node.image.flip) {
-                    img.style.transform = 'scaleX(-1)';
-                }
+                container.appendChild(createImageFrame(img, node.image));
 
                 // If the asset is broken, show a warning overlay
                 if (asset.isBroken) {
@@ -158,8 +196,6 @@ function renderLeafNode(container, node, options) {
                     container.appendChild(brokenCover);
                 }
 
-                container.appendChild(img);
-
                 if (!options.hideControls) {
                     const buttonsContainer = document.createElement('div');
                     buttonsContainer.className = 'image-controls';
@@ -188,6 +224,33 @@ function renderLeafNode(container, node, options) {
                         toggleImageFlip(node.id);
                     });
 
+                    const flipVerticalBtn = document.createElement('button');
+                    flipVerticalBtn.id = `flip-v-btn-${node.id}`;
+                    flipVerticalBtn.className = 'flip-image-btn flip-vertical';
+                    flipVerticalBtn.setAttribute('data-tooltip', 'Flip Vertically');
+                    flipVerticalBtn.setAttribute('aria-label', 'Flip image vertically');
+                    // Same icon as the horizontal flip, turned a quarter (see floating-buttons.css)
+                    flipVerticalBtn.innerHTML = flipBtn.innerHTML;
+                    flipVerticalBtn.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        toggleImageFlip(node.id, true);
+                    });
+
+                    const rotateBtn = document.createElement('button');
+                    rotateBtn.id = `rotate-btn-${node.id}`;
+                    rotateBtn.className = 'rotate-image-btn';
+                    rotateBtn.setAttribute('data-tooltip', 'Rotate 90°');
+                    rotateBtn.setAttribute('aria-label', 'Rotate image 90 degrees clockwise');
+                    rotateBtn.innerHTML = `<svg width="20px" height="20px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+<path d="M20 12C20 16.4183 16.4183 20 12 20C7.58172 20 4 16.4183 4 12C4 7.58172 7.58172 4 12 4C14.5264 4 16.7792 5.17108 18.2454 7M18.2454 7V3M18.2454 7H14.5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+                    rotateBtn.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        rotateImage(node.id, e.shiftKey ? -90 : 90);
+                    });
+
                     const removeBtn = document.createElement('button');
                     removeBtn.className = 'remove-image-btn';
                     removeBtn.setAttribute('data-tooltip', 'Remove image');
@@ -201,12 +264,47 @@ function renderLeafNode(container, node, options) {
                         renderAndRestoreFocus(getCurrentPage(), node.id);
                     });
 
+                    const adjustBtn = document.createElement('button');
+                    adjustBtn.id = `adjust-btn-${node.id}`;
+                    adjustBtn.className = 'adjust-image-btn';
+                    adjustBtn.setAttribute('data-tooltip', 'Reposition (drag to pan, scroll to zoom)');
+                    adjustBtn.setAttribute('aria-label', 'Reposition image');
+                    adjustBtn.setAttribute('aria-pressed', String(isAdjustingImage(node.id)));
+                    adjustBtn.innerHTML = `<svg width="20px" height="20px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+<path d="M12 2V22M2 12H22M12 2L9 5M12 2L15 5M12 22L9 19M12 22L15 19M2 12L5 9M2 12L5 15M22 12L19 9M22 12L19 15" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+                    adjustBtn.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        toggleImageAdjust(node.id);
+                    });
+
+                    const filtersBtn = document.createElement('button');
+                    filtersBtn.id = `filters-btn-${node.id}`;
+                    filtersBtn.className = 'image-filters-btn';
+                    filtersBtn.setAttribute('data-tooltip', 'Adjustments');
+                    filtersBtn.setAttribute('aria-label', 'Image adjustments');
+                    filtersBtn.setAttribute('aria-pressed', String(isAdjustmentsPanelOpen(node.id)));
+                    filtersBtn.innerHTML = `<svg width="20px" height="20px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+<path d="M4 6H14M18 6H20M4 12H8M12 12H20M4 18H16M20 18H20.01M16 4V8M10 10V14M18 16V20" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+                    filtersBtn.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        toggleAdjustmentsPanel(node.id);
+                    });
+
+                    buttonsContainer.appendChild(adjustBtn);
+                    buttonsContainer.appendChild(filtersBtn);
+                    buttonsContainer.appendChild(rotateBtn);
                     buttonsContainer.appendChild(flipBtn);
+                    buttonsContainer.appendChild(flipVerticalBtn);
                     buttonsContainer.appendChild(removeBtn);
 
                     container.appendChild(buttonsContainer);
 
                     attachImageDragHandlers(img, asset, container);
+                    attachImageAdjustHandlers(container, img, node);
                 }
             }
         } else {
@@ -361,7 +459,9 @@ function createDOMDivider(parentNode, rectA, rectB, options = {}) {
     divider.setAttribute('data-parent-id', parentNode.id);
 
     if (!options.hideControls) {
-        // Dragging handled by delegation
+        // Dragging handled by delegation. Focusable so a size can be typed for it (see sizeInspector.js)
+        divider.tabIndex = -1;
+        divider.setAttribute('aria-label', 'Divider. Type a size to move it.');
     }
     return divider;
 }
@@ -377,6 +477,19 @@ function addEdgeHandles(container) {
     });
 }
 
+/**
+ * Bleed and safe-area outlines. Their size and visibility come from CSS variables
+ * set in applySettings, so toggling them does not require a re-render.
+ */
+function addPrintGuides(container) {
+    ['bleed', 'safe'].forEach(kind => {
+        const guide = document.createElement('div');
+        guide.className = `print-guide print-guide-${kind}`;
+        guide.setAttribute('aria-hidden', 'true');
+        container.appendChild(guide);
+    });
+}
+
 function renderPageNumber(container, options = {}) {
     const settings = getSettings();
     if (!settings.paper.showPageNumbers) return;
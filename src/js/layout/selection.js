@@ -0,0 +1,365 @@
+import { state, getCurrentPage } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { toast } from '../core/errorHandler.js';
+import { A4_PAPER_ID } from '../core/constants.js';
+import { findNodeById, findParentNode, deleteNodeFromTree } from './internal/treeUtils.js';
+import { renderAndRestoreFocus } from './internal/focusManager.js';
+
+/**
+ * Multi-selection of rectangles.
+ *
+ * Shift + click (Cmd + click on macOS) adds a rectangle to the selection or removes it, as
+ * Ctrl + click does once a selection exists. Shift + arrows select every rectangle between
+ * the anchor and the one reached. The selection is drawn apart from the focus ring, and
+ * each bulk action on it is a single undo step. It only holds leaves of the layout being
+ * edited and is not part of the document: page changes and undo drop the rectangles that
+ * are gone.
+ */
+
+/** Markdown prefixes of the text styles, by menu value */
+export const TEXT_STYLES = {
+    paragraph: { label: 'Paragraph', prefix: '' },
+    h1: { label: 'Heading 1', prefix: '# ' },
+    h2: { label: 'Heading 2', prefix: '## ' },
+    h3: { label: 'Heading 3', prefix: '### ' },
+    quote: { label: 'Quote', prefix: '> ' }
+};
+
+/** @type {Set<string>} */
+const selection = new Set();
+
+/** Rectangle a Shift + arrow range starts from */
+let anchorId = null;
+
+/** Rectangle that had the focus before the last press on the canvas */
+let pointerFocusId = null;
+
+const hasText = (node) => node.text !== null && node.text !== undefined;
+
+/**
+ * @returns {string[]} Ids of the selected rectangles
+ */
+export function getSelection() {
+    return [...selection];
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isSelected(id) {
+    return selection.has(id);
+}
+
+/**
+ * Selected leaves of a layout, in tree order
+ * @param {Object} [page] - Layout root; the one being edited when omitted
+ * @returns {Object[]}
+ */
+export function getSelectedNodes(page = getCurrentPage()) {
+    return getLeaves(page).filter(node => selection.has(node.id));
+}
+
+function getLeaves(node, leaves = []) {
+    if (!node) return leaves;
+    if (node.splitState === 'split') {
+        node.children.forEach(child => getLeaves(child, leaves));
+    } else {
+        leaves.push(node);
+    }
+    return leaves;
+}
+
+/**
+ * Smallest subtree holding every selected rectangle
+ * @param {Object} [page] - Layout root; the one being edited when omitted
+ * @returns {Object|null} null when nothing is selected
+ */
+export function getSelectionRoot(page = getCurrentPage()) {
+    let common = null;
+    const walk = (node, path) => {
+        const here = [...path, node];
+        if (node.splitState === 'split') {
+            node.children.forEach(child => walk(child, here));
+        } else if (selection.has(node.id)) {
+            // Keep the part of the path shared with the rectangles found so far
+            common = common ? common.filter((ancestor, i) => here[i] === ancestor) : here;
+        }
+    };
+    if (page) walk(page, []);
+    return common ? common[common.length - 1] : null;
+}
+
+/**
+ * Selects every rectangle of the layout being edited
+ */
+export function selectAll() {
+    getLeaves(getCurrentPage()).forEach(node => selection.add(node.id));
+    syncSelection();
+}
+
+/**
+ * Adds a rectangle to the selection, or removes it. The first Shift + click also
+ * selects the rectangle that had the focus, as a selection of one.
+ * @param {string} id
+ * @param {boolean} [fromPointer] - Whether the rectangle was clicked, rather than toggled from the keyboard
+ */
+export function toggleSelection(id, fromPointer = false) {
+    const focusedId = fromPointer ? pointerFocusId : null;
+    if (selection.size === 0 && focusedId && focusedId !== id && findNodeById(getCurrentPage(), focusedId)) {
+        selection.add(focusedId);
+    }
+    if (selection.has(id)) {
+        selection.delete(id);
+    } else {
+        selection.add(id);
+    }
+    anchorId = id;
+    syncSelection();
+}
+
+/**
+ * Selects every rectangle of the canvas that overlaps the box spanned by two rectangles
+ * @param {string} fromId - Anchor of the range; kept from the previous range when it is still selected
+ * @param {string} toId
+ */
+export function selectRange(fromId, toId) {
+    if (!anchorId || !selection.has(anchorId)) anchorId = fromId;
+    const paper = document.getElementById(A4_PAPER_ID);
+    const from = document.getElementById(anchorId);
+    const to = document.getElementById(toId);
+    if (!paper || !from || !to) return;
+
+    const a = from.getBoundingClientRect();
+    const b = to.getBoundingClientRect();
+    const box = {
+        left: Math.min(a.left, b.left),
+        top: Math.min(a.top, b.top),
+        right: Math.max(a.right, b.right),
+        bottom: Math.max(a.bottom, b.bottom)
+    };
+
+    selection.clear();
+    paper.querySelectorAll('.splittable-rect[data-split-state="unsplit"][tabindex="0"]').forEach(el => {
+        const r = el.getBoundingClientRect();
+        // Touching edges do not count
+        const overlapX = Math.min(r.right, box.right) - Math.max(r.left, box.left);
+        const overlapY = Math.min(r.bottom, box.bottom) - Math.max(r.top, box.top);
+        if (overlapX > 1 && overlapY > 1) selection.add(el.id);
+    });
+    syncSelection();
+}
+
+/**
+ * Empties the selection
+ * @returns {boolean} Whether anything was selected
+ */
+export function clearSelection() {
+    anchorId = null;
+    if (selection.size === 0) return false;
+    selection.clear();
+    syncSelection();
+    return true;
+}
+
+/**
+ * Moves the content of each rectangle to the next one, the last one's to the first
+ * (a swap for two rectangles)
+ * @param {Object[]} nodes
+ */
+export function rotateContents(nodes) {
+    if (nodes.length < 2) return;
+    const contents = nodes.map(node => ({ image: node.image, text: node.text, textAlign: node.textAlign }));
+    nodes.forEach((node, i) => {
+        const content = contents[(i - 1 + contents.length) % contents.length];
+        node.image = content.image ? { ...content.image } : null;
+        node.text = content.text;
+        node.textAlign = content.textAlign;
+    });
+}
+
+/**
+ * Gives every non-empty line of a markdown text the same block style
+ * @param {string} text
+ * @param {string} style - Key of TEXT_STYLES
+ * @returns {string}
+ */
+export function applyTextStyle(text, style) {
+    const prefix = TEXT_STYLES[style]?.prefix ?? '';
+    return text.split('\n').map(line => {
+        if (line.trim() === '') return line;
+        return prefix + line.replace(/^\s*(#{1,6}\s+|>\s?)/, '');
+    }).join('\n');
+}
+
+/**
+ * Runs a change on the selected rectangles it applies to, as one undo step
+ * @param {function(Object): boolean} appliesTo
+ * @param {function(Object): void} change
+ * @param {string} emptyMessage - Shown when no selected rectangle qualifies
+ * @returns {boolean} Whether anything changed
+ */
+function changeSelected(appliesTo, change, emptyMessage) {
+    const page = getCurrentPage();
+    const nodes = getSelectedNodes(page).filter(appliesTo);
+    if (nodes.length === 0) {
+        toast.info(emptyMessage);
+        return false;
+    }
+    saveState();
+    nodes.forEach(change);
+    renderAndRestoreFocus(page, state.lastFocusedRectId);
+    return true;
+}
+
+/**
+ * @param {'cover'|'contain'} fit
+ */
+export function setSelectionImageFit(fit) {
+    return changeSelected(node => !!node.image, node => { node.image.fit = fit; }, 'No selected rectangle holds an image.');
+}
+
+/**
+ * @param {'left'|'center'} align
+ */
+export function setSelectionTextAlign(align) {
+    return changeSelected(hasText, node => { node.textAlign = align; }, 'No selected rectangle holds text.');
+}
+
+/**
+ * @param {string} style - Key of TEXT_STYLES
+ */
+export function setSelectionTextStyle(style) {
+    return changeSelected(hasText, node => { node.text = applyTextStyle(node.text, style); }, 'No selected rectangle holds text.');
+}
+
+/**
+ * Removes the images and texts of the selected rectangles
+ */
+export function clearSelectionContent() {
+    return changeSelected(node => !!node.image || hasText(node), node => {
+        node.image = null;
+        node.text = null;
+        node.textAlign = null;
+    }, 'The selected rectangles are already empty.');
+}
+
+/**
+ * Cycles the contents of the selected rectangles, see rotateContents
+ */
+export function rotateSelectionContent() {
+    const page = getCurrentPage();
+    const nodes = getSelectedNodes(page);
+    if (nodes.length < 2) {
+        toast.info('Select at least two rectangles to swap their contents.');
+        return false;
+    }
+    saveState();
+    rotateContents(nodes);
+    renderAndRestoreFocus(page, state.lastFocusedRectId);
+    return true;
+}
+
+/**
+ * Deletes the selected rectangles, as the Delete key does for one: when any of them
+ * holds content the contents are cleared, otherwise the rectangles are removed.
+ */
+export function deleteSelection() {
+    const page = getCurrentPage();
+    const nodes = getSelectedNodes(page);
+    if (nodes.length === 0) return false;
+    if (nodes.some(node => node.image || hasText(node))) return clearSelectionContent();
+
+    saveState();
+    let focusNode = null;
+    let kept = 0;
+    // Deleting one of two rectangles merges the other into their parent, which then stands for it
+    const mergedInto = new Map();
+    nodes.forEach(node => {
+        let id = node.id;
+        while (mergedInto.has(id)) id = mergedInto.get(id);
+        const parent = findParentNode(page, id);
+        const sibling = parent?.children?.length === 2 ? parent.children.find(child => child.id !== id) : null;
+        const focus = deleteNodeFromTree(page, id);
+        if (!focus) {
+            kept++;
+            return;
+        }
+        if (sibling) mergedInto.set(sibling.id, parent.id);
+        focusNode = focus;
+    });
+    selection.clear();
+    anchorId = null;
+    renderAndRestoreFocus(page, focusNode?.id || null);
+    if (kept > 0) toast.info('The last rectangle of the page cannot be deleted.');
+    return true;
+}
+
+// ----------------------------------------------------------------------
+// UI
+// ----------------------------------------------------------------------
+
+/** Drops rectangles that are gone and reflects the selection on the canvas and in the bar */
+function syncSelection() {
+    const page = getCurrentPage();
+    [...selection].forEach(id => {
+        const node = page && findNodeById(page, id);
+        if (!node || node.splitState === 'split') selection.delete(id);
+    });
+
+    const paper = document.getElementById(A4_PAPER_ID);
+    paper?.querySelectorAll('.splittable-rect').forEach(el => {
+        el.classList.toggle('is-selected', selection.has(el.id));
+    });
+
+    const bar = document.getElementById('selection-bar');
+    if (!bar) return;
+    bar.hidden = selection.size === 0;
+    const count = bar.querySelector('.selection-count');
+    if (count) count.textContent = `${selection.size} selected`;
+    const rotateBtn = document.getElementById('selection-rotate-btn');
+    if (rotateBtn) {
+        rotateBtn.textContent = selection.size > 2 ? 'Rotate' : 'Swap';
+        rotateBtn.disabled = selection.size < 2;
+    }
+}
+
+/**
+ * Wires up the selection bar and keeps the selection in sync with the layout.
+ */
+export function setupSelectionHandlers() {
+    const bar = document.getElementById('selection-bar');
+    const styleSelect = document.getElementById('selection-text-style');
+
+    if (styleSelect) {
+        styleSelect.appendChild(new Option('Text style', ''));
+        Object.entries(TEXT_STYLES).forEach(([value, { label }]) => styleSelect.appendChild(new Option(label, value)));
+        styleSelect.addEventListener('change', () => {
+            if (styleSelect.value) setSelectionTextStyle(styleSelect.value);
+            styleSelect.value = '';
+        });
+    }
+
+    bar?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-selection-action]');
+        if (!button) return;
+        const { selectionAction: action, value } = button.dataset;
+        if (action === 'fit') setSelectionImageFit(value);
+        else if (action === 'align') setSelectionTextAlign(value);
+        else if (action === 'rotate') rotateSelectionContent();
+        else if (action === 'clear') clearSelectionContent();
+        else if (action === 'delete') deleteSelection();
+        else if (action === 'done') clearSelection();
+    });
+
+    // Pressing a rectangle focuses it before the click reaches toggleSelection
+    document.getElementById(A4_PAPER_ID)?.addEventListener('mousedown', () => {
+        const active = document.activeElement;
+        pointerFocusId = active?.classList.contains('splittable-rect') ? active.id : null;
+    }, true);
+
+    document.addEventListener('layoutUpdated', syncSelection);
+    document.addEventListener('stateRestored', syncSelection);
+
+    syncSelection();
+}
@@ -0,0 +1,372 @@
+import { state, getCurrentPage } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { toast } from '../core/errorHandler.js';
+import { A4_PAPER_ID, MIN_AREA_PERCENT } from '../core/constants.js';
+import { PAGE_UNITS, toPoints, formatLength } from '../core/units.js';
+import { getPhysicalPageSize, calculateExportDimensions } from '../ui/settings.js';
+import { findNodeById, findParentNode } from './internal/treeUtils.js';
+import { renderAndRestoreFocus } from './internal/focusManager.js';
+import { getNodeBox, getLayoutGeometry } from './fitDividers.js';
+
+/**
+ * Size inspector: shows the width and height of the focused cell, or of the cells on
+ * either side of the selected divider, in % of the page, export pixels and the page's
+ * physical unit, and lets an exact size be typed in.
+ *
+ * A typed size moves a single divider, like dragging it: the cell (or the branch that
+ * holds it) grows or shrinks and its neighbour in the same split takes up the difference.
+ */
+
+/** Units a size can be typed in, besides the physical units */
+const SCREEN_UNITS = ['%', 'px'];
+
+/**
+ * Reads a typed size such as `30%`, `45 mm` or `2.5in`
+ * @param {string} text
+ * @param {string} defaultUnit - Unit of a bare number
+ * @returns {{value: number, unit: string}|null} null when the text is not a positive size
+ */
+export function parseSizeInput(text, defaultUnit) {
+    const match = /^\s*(\d+(?:[.,]\d*)?|[.,]\d+)\s*(%|[a-z]*)\s*$/i.exec(String(text));
+    if (!match) return null;
+
+    const value = parseFloat(match[1].replace(',', '.'));
+    const unit = match[2].toLowerCase() || defaultUnit;
+    if (!(value > 0) || ![...SCREEN_UNITS, ...PAGE_UNITS].includes(unit)) return null;
+    return { value, unit };
+}
+
+/**
+ * Sizes of a split's children after resizing one of them, the difference going to a sibling
+ * @param {Object} parent - Split node
+ * @param {number} index - Child to resize
+ * @param {number} neighbourIndex - Sibling that takes up the difference
+ * @param {number} percent - New size of the child, in % of the parent
+ * @returns {string[]|null} New `size` of every child, null when either child would end up
+ *   at MIN_AREA_PERCENT or below
+ */
+export function getResizedSizes(parent, index, neighbourIndex, percent) {
+    const count = parent.children.length;
+    const sizes = parent.children.map(child => parseFloat(child.size) || 100 / count);
+    const total = sizes.reduce((a, b) => a + b, 0);
+
+    const pair = sizes[index] + sizes[neighbourIndex];
+    const sizeA = percent / 100 * total;
+    const sizeB = pair - sizeA;
+    if (sizeA / total * 100 <= MIN_AREA_PERCENT || sizeB / total * 100 <= MIN_AREA_PERCENT) {
+        return null;
+    }
+
+    sizes[index] = sizeA;
+    sizes[neighbourIndex] = sizeB;
+    return sizes.map(size => `${Number(size.toFixed(4))}%`);
+}
+
+/** Split orientation whose dividers change a size along an axis */
+const SPLIT_FOR_AXIS = { width: 'vertical', height: 'horizontal' };
+
+/**
+ * Measures of the current page, for converting lengths
+ * @returns {Object}
+ */
+function getPageMeasures() {
+    const page = getCurrentPage();
+    const pageRoot = state.pages[state.currentPageIndex];
+    return {
+        page,
+        ...getLayoutGeometry(page),
+        exported: calculateExportDimensions(1, pageRoot),
+        physical: getPhysicalPageSize(pageRoot)
+    };
+}
+
+/**
+ * Length of a node along an axis, in every unit
+ * @returns {{percent: number, px: number, physical: string|null}|null}
+ */
+function measureNode(measures, nodeId, axis) {
+    const { page, paper, area, gap, exported, physical } = measures;
+    const box = getNodeBox(page, nodeId, area.width, area.height, gap);
+    if (!box) return null;
+
+    const share = box[axis] / paper[axis];
+    return {
+        percent: share * 100,
+        px: share * exported[axis],
+        physical: physical ? formatLength(share * physical[axis], physical.unit) : null
+    };
+}
+
+/**
+ * Converts a typed size to a length in the pixels of calculatePaperDimensions
+ * @returns {number|null} null when the unit needs a physical page size
+ */
+function toLayoutLength(measures, size, axis) {
+    const { paper, exported, physical } = measures;
+    if (size.unit === '%') return size.value / 100 * paper[axis];
+    if (size.unit === 'px') return size.value / exported[axis] * paper[axis];
+    if (!physical) return null;
+    const pagePoints = axis === 'width' ? physical.widthPt : physical.heightPt;
+    return toPoints(size.value, size.unit) / pagePoints * paper[axis];
+}
+
+/**
+ * Sets the length of a node along an axis, as one undo step
+ * @param {string} nodeId
+ * @param {'width'|'height'} axis
+ * @param {string} text - Typed size
+ * @param {string|null} [neighbourId] - Sibling that takes up the difference; the next one (or the previous one) when omitted
+ * @returns {boolean} Whether the layout changed
+ */
+function applySize(nodeId, axis, text, neighbourId = null) {
+    const measures = getPageMeasures();
+    const { page, gap } = measures;
+    const physicalUnit = measures.physical?.unit;
+    const size = parseSizeInput(text, physicalUnit || '%');
+    if (!size) {
+        toast.warning(`Type a size such as 30%, 500px${physicalUnit ? ` or 45 ${physicalUnit}` : ''}.`);
+        return false;
+    }
+
+    const length = toLayoutLength(measures, size, axis);
+    if (length === null) {
+        toast.warning('This page has no physical size: type the size in % or px.');
+        return false;
+    }
+
+    // The nearest branch that sits in a split along the axis owns the size
+    let branch = findNodeById(page, nodeId);
+    let parent = branch && findParentNode(page, branch.id);
+    while (parent && parent.orientation !== SPLIT_FOR_AXIS[axis]) {
+        branch = parent;
+        parent = findParentNode(page, branch.id);
+    }
+    if (!parent) {
+        toast.info(`This cell already takes the full ${axis} of the page.`);
+        return false;
+    }
+
+    const index = parent.children.indexOf(branch);
+    let neighbourIndex = neighbourId ? parent.children.findIndex(child => child.id === neighbourId) : -1;
+    if (neighbourIndex === -1) {
+        neighbourIndex = index + 1 < parent.children.length ? index + 1 : index - 1;
+    }
+
+    const parentBox = getNodeBox(page, parent.id, measures.area.width, measures.area.height, gap);
+    const available = parentBox[axis] - (parent.children.length - 1) * gap;
+    if (available <= 0) return false;
+
+    const sizes = getResizedSizes(parent, index, neighbourIndex, length / available * 100);
+    if (!sizes) {
+        toast.warning('That size leaves no room for the neighbouring cell.');
+        return false;
+    }
+
+    saveState();
+    parent.children.forEach((child, i) => { child.size = sizes[i]; });
+    return true;
+}
+
+// ----------------------------------------------------------------------
+// UI
+// ----------------------------------------------------------------------
+
+/**
+ * What the inspector shows: `{ type: 'cell', id }` or
+ * `{ type: 'divider', orientation, parentId, rectAId, rectBId }`
+ */
+let target = null;
+
+/** Keeps the target while the layout re-renders after a typed size */
+let keepTarget = false;
+
+/** Last inspector field with the focus, given it back after a typed size re-renders the layout */
+let lastField = null;
+
+const AXIS_LABELS = {
+    width: ['Left', 'Right'],
+    height: ['Top', 'Bottom']
+};
+
+/**
+ * The two fields of the current target
+ * @returns {{label: string, nodeId: string, axis: string, neighbourId: string|null}[]}
+ */
+function getRows() {
+    if (!target) return [];
+    if (target.type === 'cell') {
+        return [
+            { label: 'Width', nodeId: target.id, axis: 'width', neighbourId: null },
+            { label: 'Height', nodeId: target.id, axis: 'height', neighbourId: null }
+        ];
+    }
+    const axis = target.orientation === 'vertical' ? 'width' : 'height';
+    const [labelA, labelB] = AXIS_LABELS[axis];
+    return [
+        { label: labelA, nodeId: target.rectAId, axis, neighbourId: target.rectBId },
+        { label: labelB, nodeId: target.rectBId, axis, neighbourId: target.rectAId }
+    ];
+}
+
+function getDividerElement() {
+    if (target?.type !== 'divider') return null;
+    return document.querySelector(`#${A4_PAPER_ID} .divider[data-parent-id="${target.parentId}"][data-rect-a-id="${target.rectAId}"]`);
+}
+
+/** Reflects the target's sizes in the inspector */
+function syncSizeInspector() {
+    const inspector = document.getElementById('size-inspector');
+    if (!inspector) return;
+
+    const page = getCurrentPage();
+    if (target && !findNodeById(page, target.type === 'cell' ? target.id : target.parentId)) {
+        target = null;
+    }
+
+    const title = inspector.querySelector('.size-inspector-title');
+    const rows = getRows();
+    const measures = rows.length > 0 ? getPageMeasures() : null;
+
+    if (title) title.textContent = target?.type === 'divider' ? 'Divider' : 'Cell size';
+    inspector.classList.toggle('is-empty', !target);
+
+    document.querySelectorAll(`#${A4_PAPER_ID} .divider.is-inspected`).forEach(el => el.classList.remove('is-inspected'));
+    getDividerElement()?.classList.add('is-inspected');
+
+    inspector.querySelectorAll('.size-inspector-row').forEach((rowEl, i) => {
+        const row = rows[i];
+        const label = rowEl.querySelector('label');
+        const input = rowEl.querySelector('input');
+        const readout = rowEl.querySelector('.size-inspector-readout');
+        const measure = row ? measureNode(measures, row.nodeId, row.axis) : null;
+
+        if (label) label.textContent = row ? row.label : ['Width', 'Height'][i];
+        input.disabled = !measure;
+        if (!measure) {
+            input.value = '';
+            input.dataset.value = '';
+            readout.textContent = '';
+            return;
+        }
+
+        const percent = `${Number(measure.percent.toFixed(1))}%`;
+        // The field shows the size in the unit a bare number is read in
+        input.dataset.value = measure.physical || percent;
+        if (document.activeElement !== input) input.value = input.dataset.value;
+        readout.textContent = [percent, `${Math.round(measure.px)} px`, measure.physical].filter(Boolean).join(' · ');
+    });
+}
+
+function setTarget(next) {
+    if (keepTarget) return;
+    target = next;
+    syncSizeInspector();
+}
+
+/**
+ * Applies a typed size and re-renders, keeping the inspector field focused if it was
+ * @param {number} rowIndex
+ * @param {HTMLInputElement} input
+ */
+function commitRow(rowIndex, input) {
+    const row = getRows()[rowIndex];
+    if (!row || !applySize(row.nodeId, row.axis, input.value, row.neighbourId)) {
+        syncSizeInspector();
+        return;
+    }
+
+    const focusId = target.type === 'cell' ? target.id : target.rectAId;
+    // Tabbing to the next field commits while the focus is still in the inspector
+    const stayInInspector = !!input.closest('#size-inspector')?.contains(document.activeElement);
+    keepTarget = true;
+    renderAndRestoreFocus(getCurrentPage(), focusId);
+    // Runs after the focus restoration of the render
+    requestAnimationFrame(() => {
+        keepTarget = false;
+        if (stayInInspector) lastField?.focus();
+        syncSizeInspector();
+    });
+}
+
+/**
+ * Moves the keyboard to the first size field of the inspector
+ * @param {string} [initialText] - Replaces the field's value, as when typing on a divider
+ * @returns {boolean} Whether there was a field to focus
+ */
+export function focusSizeInspector(initialText = null) {
+    syncSizeInspector();
+    const input = document.querySelector('#size-inspector .size-inspector-row input:not(:disabled)');
+    if (!input) return false;
+    input.focus();
+    if (initialText !== null) {
+        input.value = initialText;
+    } else {
+        input.select();
+    }
+    return true;
+}
+
+/**
+ * Wires up the size inspector in the pages sidebar and divider selection on the canvas.
+ */
+export function setupSizeInspector() {
+    const inspector = document.getElementById('size-inspector');
+    const paper = document.getElementById(A4_PAPER_ID);
+    if (!inspector || !paper) return;
+
+    inspector.querySelectorAll('.size-inspector-row input').forEach((input, i) => {
+        input.addEventListener('change', () => commitRow(i, input));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                input.blur();
+                // Back to the canvas, where the size was asked for
+                const el = target?.type === 'divider' ? getDividerElement() : document.getElementById(target?.id);
+                el?.focus({ preventScroll: true });
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                input.value = input.dataset.value || '';
+                input.blur();
+            }
+        });
+    });
+    inspector.addEventListener('focusin', (e) => {
+        if (e.target.tagName === 'INPUT') lastField = e.target;
+    });
+
+    paper.addEventListener('focusin', (e) => {
+        const divider = e.target.closest('.divider');
+        if (divider) {
+            setTarget({
+                type: 'divider',
+                orientation: divider.dataset.orientation,
+                parentId: divider.dataset.parentId,
+                rectAId: divider.dataset.rectAId,
+                rectBId: divider.dataset.rectBId
+            });
+        } else if (e.target.classList.contains('splittable-rect') && e.target.dataset.splitState === 'unsplit') {
+            setTarget({ type: 'cell', id: e.target.id });
+        }
+    });
+
+    // Dividers take focus when clicked (dragging prevents the default focus)
+    paper.addEventListener('click', (e) => {
+        const divider = e.target.closest('.divider');
+        if (divider && !e.ctrlKey && !e.metaKey) divider.focus({ preventScroll: true });
+    });
+
+    // Typing a size on the selected divider goes to its first field
+    paper.addEventListener('keydown', (e) => {
+        if (!e.target.classList.contains('divider') || e.ctrlKey || e.altKey || e.metaKey) return;
+        if (e.key === 'Enter' || /^[\d.,]$/.test(e.key)) {
+            e.preventDefault();
+            focusSizeInspector(e.key === 'Enter' ? null : e.key);
+        }
+    });
+
+    document.addEventListener('layoutUpdated', syncSizeInspector);
+    document.addEventListener('stateRestored', syncSizeInspector);
+    document.addEventListener('settingsUpdated', syncSizeInspector);
+
+    syncSizeInspector();
+}
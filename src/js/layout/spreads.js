@@ -0,0 +1,131 @@
+import { state, switchPage, getCurrentPage } from '../core/state.js';
+import { A4_PAPER_ID, FACING_PAPER_ID } from '../core/constants.js';
+import { getSettings } from '../ui/settings.js';
+import { renderLayout } from './renderer.js';
+import { renderAndRestoreFocus } from './internal/focusManager.js';
+import { renderPageList } from './pages.js';
+
+/**
+ * Facing pages: with `settings.layout.spreads` on, pages are shown in pairs as in a book,
+ * optionally after a single cover page (`settings.layout.spreadCover`).
+ *
+ * Only the current page is edited. Its facing page is drawn read-only on the other side
+ * of the spine and becomes the current page when it is clicked or reached with the arrow keys.
+ */
+
+/**
+ * Groups pages into spreads
+ * @param {number} pageCount
+ * @param {boolean} cover - Whether the first page stands alone as the cover
+ * @returns {number[][]} Page indices of each spread, left page first
+ */
+export function getSpreads(pageCount, cover) {
+    const spreads = [];
+    let start = 0;
+    if (cover && pageCount > 0) {
+        spreads.push([0]);
+        start = 1;
+    }
+    for (let i = start; i < pageCount; i += 2) {
+        spreads.push(i + 1 < pageCount ? [i, i + 1] : [i]);
+    }
+    return spreads;
+}
+
+/**
+ * Where a page sits in its spread
+ * @param {number} index - Page index
+ * @param {number} pageCount
+ * @param {boolean} cover
+ * @returns {{side: 'left'|'right'|'single', facingIndex: number|null}}
+ */
+export function getSpreadPosition(index, pageCount, cover) {
+    const spread = getSpreads(pageCount, cover).find(pages => pages.includes(index));
+    if (!spread || spread.length === 1) return { side: 'single', facingIndex: null };
+    return spread[0] === index
+        ? { side: 'left', facingIndex: spread[1] }
+        : { side: 'right', facingIndex: spread[0] };
+}
+
+/**
+ * @returns {boolean} Whether the canvas shows spreads. Masters and presentations are shown alone.
+ */
+export function isSpreadView() {
+    return !!getSettings().layout.spreads
+        && !state.editingMasterId
+        && !document.body.classList.contains('presentation-mode');
+}
+
+function getCurrentSpreadPosition() {
+    return getSpreadPosition(state.currentPageIndex, state.pages.length, !!getSettings().layout.spreadCover);
+}
+
+/**
+ * Draws the facing page of the current page next to the canvas, or removes it.
+ */
+export function renderFacingPage() {
+    const paper = document.getElementById(A4_PAPER_ID);
+    if (!paper?.parentElement) return;
+
+    const spreadView = isSpreadView();
+    const position = spreadView ? getCurrentSpreadPosition() : null;
+    paper.parentElement.classList.toggle('is-spread', spreadView);
+    paper.classList.toggle('spread-left', position?.side === 'left');
+    paper.classList.toggle('spread-right', position?.side === 'right');
+
+    let facing = document.getElementById(FACING_PAPER_ID);
+    if (!position || position.facingIndex === null) {
+        facing?.remove();
+        return;
+    }
+
+    if (!facing) {
+        facing = document.createElement('div');
+        facing.id = FACING_PAPER_ID;
+        facing.className = 'a4-paper facing-paper';
+        facing.setAttribute('aria-label', 'Facing page. Click to edit it.');
+        facing.addEventListener('click', (e) => {
+            const rect = e.target.closest('.splittable-rect[data-split-state="unsplit"]:not(.master-region)');
+            activateFacingPage(rect?.id || null);
+        });
+    }
+
+    // The current page keeps its element; the facing page moves to its side of the spine
+    const isLeft = position.side === 'right';
+    facing.classList.toggle('spread-left', isLeft);
+    facing.classList.toggle('spread-right', !isLeft);
+    if (isLeft) {
+        paper.before(facing);
+    } else {
+        paper.after(facing);
+    }
+
+    renderLayout(facing, state.pages[position.facingIndex], {
+        hideControls: true,
+        pageNumber: position.facingIndex + 1
+    });
+}
+
+/**
+ * Makes the facing page the current page
+ * @param {string|null} [focusId] - Rect of the facing page to focus
+ * @returns {boolean} Whether there was a facing page
+ */
+export function activateFacingPage(focusId = null) {
+    if (!isSpreadView()) return false;
+    const { facingIndex } = getCurrentSpreadPosition();
+    if (facingIndex === null) return false;
+
+    switchPage(facingIndex);
+    renderAndRestoreFocus(getCurrentPage(), focusId);
+    renderPageList();
+    return true;
+}
+
+/**
+ * Keeps the facing page in sync with the canvas.
+ */
+export function setupSpreadHandlers() {
+    document.addEventListener('layoutUpdated', renderFacingPage);
+    renderFacingPage();
+}
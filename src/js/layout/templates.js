@@ -0,0 +1,451 @@
+import { state, getCurrentPage, addPage, PAGE_PROPERTIES } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { toast, withErrorHandling, assertShape } from '../core/errorHandler.js';
+import { findNodeById, findParentNode } from './internal/treeUtils.js';
+import { renderAndRestoreFocus } from './internal/focusManager.js';
+import { renderPageList } from './pages.js';
+import { showConfirm } from '../core/utils.js';
+
+/** localStorage key for the template library (shares the app preference prefix) */
+const TEMPLATES_STORAGE_KEY = 'layout_splitter:templates';
+
+/** Format marker for exported template files */
+const TEMPLATES_FILE_TYPE = 'broco-templates';
+
+// ----------------------------------------------------------------------
+// Structure helpers (pure)
+// ----------------------------------------------------------------------
+
+/**
+ * Extracts the structure of a layout subtree, dropping IDs and content.
+ * Leaves can optionally remember whether they held an image or text as a placeholder.
+ * @param {Object} node Layout node
+ * @param {boolean} includePlaceholders Keep 'image' / 'text' placeholders on leaves
+ * @returns {Object} Template structure node
+ */
+export function extractTemplateStructure(node, includePlaceholders = false) {
+    const structure = { splitState: node.splitState === 'split' ? 'split' : 'unsplit' };
+    if (node.size) structure.size = node.size;
+
+    if (structure.splitState === 'split' && node.children) {
+        structure.orientation = node.orientation;
+        structure.children = node.children.map(child => extractTemplateStructure(child, includePlaceholders));
+    } else if (includePlaceholders) {
+        if (node.image) {
+            structure.placeholder = 'image';
+        } else if (node.text !== null && node.text !== undefined) {
+            structure.placeholder = 'text';
+            if (node.textAlign) structure.textAlign = node.textAlign;
+        }
+    }
+    return structure;
+}
+
+/**
+ * Builds layout nodes from a template structure with fresh IDs from state.currentId.
+ * Text placeholders become empty text regions; image placeholders become empty leaves.
+ * @param {Object} structure Template structure node
+ * @returns {Object} Layout node
+ */
+export function instantiateTemplate(structure) {
+    const node = { id: `rect-${++state.currentId}`, splitState: structure.splitState };
+    if (structure.size) node.size = structure.size;
+
+    if (structure.splitState === 'split') {
+        node.orientation = structure.orientation;
+        node.children = structure.children.map(child => instantiateTemplate(child));
+    } else {
+        node.image = null;
+        node.text = structure.placeholder === 'text' ? '' : null;
+        if (structure.placeholder === 'text' && structure.textAlign) node.textAlign = structure.textAlign;
+    }
+    return node;
+}
+
+/**
+ * Validates a template structure node recursively.
+ * @param {any} structure
+ * @returns {boolean}
+ */
+export function isValidTemplateStructure(structure) {
+    if (!structure || typeof structure !== 'object') return false;
+    if (structure.splitState === 'unsplit') return true;
+    if (structure.splitState !== 'split') return false;
+    if (structure.orientation !== 'vertical' && structure.orientation !== 'horizontal') return false;
+    if (!Array.isArray(structure.children) || structure.children.length < 2) return false;
+    return structure.children.every(isValidTemplateStructure);
+}
+
+/**
+ * Copies a layout subtree with its content, for the clipboard. IDs and page settings are dropped.
+ * @param {Object} node Layout node
+ * @returns {Object} Subtree node: a template structure whose leaves keep `image`, `text` and `textAlign`
+ */
+export function extractSubtree(node) {
+    const subtree = { splitState: node.splitState === 'split' ? 'split' : 'unsplit' };
+    if (node.size) subtree.size = node.size;
+
+    if (subtree.splitState === 'split' && node.children) {
+        subtree.orientation = node.orientation;
+        subtree.children = node.children.map(child => extractSubtree(child));
+    } else {
+        subtree.image = node.image ? JSON.parse(JSON.stringify(node.image)) : null;
+        subtree.text = node.text ?? null;
+        if (node.textAlign) subtree.textAlign = node.textAlign;
+    }
+    return subtree;
+}
+
+/**
+ * Builds layout nodes from a copied subtree with fresh IDs from state.currentId.
+ * @param {Object} subtree See extractSubtree
+ * @returns {Object} Layout node
+ */
+export function instantiateSubtree(subtree) {
+    const node = { id: `rect-${++state.currentId}`, splitState: subtree.splitState };
+    if (subtree.size) node.size = subtree.size;
+
+    if (subtree.splitState === 'split') {
+        node.orientation = subtree.orientation;
+        node.children = subtree.children.map(child => instantiateSubtree(child));
+    } else {
+        node.image = subtree.image && typeof subtree.image.assetId === 'string' ? { ...subtree.image } : null;
+        node.text = typeof subtree.text === 'string' ? subtree.text : null;
+        if (node.text !== null && subtree.textAlign) node.textAlign = subtree.textAlign;
+    }
+    return node;
+}
+
+/**
+ * Replaces a node in place with built nodes, keeping its ID, size and page settings.
+ * @param {Object} targetNode Layout node, modified in place
+ * @param {Object} built Layout node with fresh IDs
+ * @returns {Object} The target node
+ */
+export function replaceNodeStructure(targetNode, built) {
+    const keepSize = targetNode.size;
+    const kept = ['id', 'size', ...PAGE_PROPERTIES];
+
+    Object.keys(targetNode).forEach(key => {
+        if (!kept.includes(key)) delete targetNode[key];
+    });
+    Object.keys(built).forEach(key => {
+        if (!kept.includes(key)) targetNode[key] = built[key];
+    });
+    if (keepSize) targetNode.size = keepSize;
+
+    return targetNode;
+}
+
+/**
+ * Replaces the structure of a leaf in place (keeping its ID, size and page settings) with a template.
+ * @param {Object} targetNode Empty leaf node
+ * @param {Object} structure Template structure
+ * @returns {Object} The target node
+ */
+export function applyTemplateToLeaf(targetNode, structure) {
+    return replaceNodeStructure(targetNode, instantiateTemplate(structure));
+}
+
+// ----------------------------------------------------------------------
+// Library (app preferences)
+// ----------------------------------------------------------------------
+
+/**
+ * Returns all saved templates.
+ * @returns {Array<{id: string, name: string, createdAt: number, root: Object}>}
+ */
+export function getTemplates() {
+    try {
+        const raw = localStorage.getItem(TEMPLATES_STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : [];
+        return Array.isArray(parsed) ? parsed.filter(t => t && t.name && isValidTemplateStructure(t.root)) : [];
+    } catch (error) {
+        console.error('Failed to read templates:', error);
+        return [];
+    }
+}
+
+function storeTemplates(templates) {
+    localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+    document.dispatchEvent(new CustomEvent('templatesChanged'));
+}
+
+/**
+ * Saves the structure of a node as a named template.
+ * @param {string} name
+ * @param {Object} node Layout node (split node or page root)
+ * @param {boolean} includePlaceholders
+ * @returns {Object} The stored template
+ */
+export function saveTemplate(name, node, includePlaceholders = false) {
+    const root = extractTemplateStructure(node, includePlaceholders);
+    // Templates are applied into a target's own space, so the root size is irrelevant
+    delete root.size;
+
+    const template = { id: crypto.randomUUID(), name: name.trim(), createdAt: Date.now(), root };
+    storeTemplates([...getTemplates(), template]);
+    return template;
+}
+
+/**
+ * Removes a template from the library.
+ * @param {string} templateId
+ */
+export function deleteTemplate(templateId) {
+    storeTemplates(getTemplates().filter(t => t.id !== templateId));
+}
+
+/**
+ * Serializes templates for sharing.
+ * @param {string[]|null} templateIds Optional subset to export
+ * @returns {string} JSON string
+ */
+export function exportTemplatesJSON(templateIds = null) {
+    const templates = getTemplates().filter(t => !templateIds || templateIds.includes(t.id));
+    return JSON.stringify({ type: TEMPLATES_FILE_TYPE, version: '1.0', templates }, null, 2);
+}
+
+/**
+ * Imports templates from a JSON string. Imported templates get new IDs so they never overwrite local ones.
+ * @param {string} json
+ * @returns {number} Number of templates imported
+ */
+export function importTemplatesJSON(json) {
+    const data = assertShape(JSON.parse(json),
+        d => d && d.type === TEMPLATES_FILE_TYPE && Array.isArray(d.templates),
+        'This file is not a BROCO template library.');
+    if (!data) throw new Error('This file is not a BROCO template library.');
+
+    const imported = data.templates
+        .filter(t => t && typeof t.name === 'string' && t.name.trim() && isValidTemplateStructure(t.root))
+        .map(t => ({ id: crypto.randomUUID(), name: t.name.trim(), createdAt: Date.now(), root: t.root }));
+
+    if (imported.length > 0) {
+        storeTemplates([...getTemplates(), ...imported]);
+    }
+    return imported.length;
+}
+
+// ----------------------------------------------------------------------
+// Document operations
+// ----------------------------------------------------------------------
+
+/**
+ * Applies a template to an empty leaf of the current page.
+ * @param {string} templateId
+ * @param {string} nodeId
+ * @returns {boolean} Whether the template was applied
+ */
+export function applyTemplateToNode(templateId, nodeId) {
+    const template = getTemplates().find(t => t.id === templateId);
+    const node = nodeId ? findNodeById(getCurrentPage(), nodeId) : null;
+    if (!template) return false;
+
+    if (!node || node.splitState === 'split' || node.image || (node.text !== null && node.text !== undefined)) {
+        toast.warning('Select an empty region to apply a template.');
+        return false;
+    }
+
+    saveState();
+    applyTemplateToLeaf(node, template.root);
+    renderAndRestoreFocus(getCurrentPage(), node.id);
+    return true;
+}
+
+/**
+ * Adds a new page (after the current one) built from a template.
+ * @param {string} templateId
+ * @returns {boolean} Whether the page was created
+ */
+export function applyTemplateToNewPage(templateId) {
+    const template = getTemplates().find(t => t.id === templateId);
+    if (!template) return false;
+
+    saveState();
+    addPage();
+    applyTemplateToLeaf(getCurrentPage(), template.root);
+    renderAndRestoreFocus(getCurrentPage());
+    renderPageList();
+    return true;
+}
+
+/**
+ * Resolves the node to save for the given scope.
+ * @param {'page'|'split'} scope 'split' = nearest split containing the last focused region
+ * @returns {Object|null}
+ */
+function getTemplateSource(scope) {
+    const page = getCurrentPage();
+    if (scope === 'page') return page;
+
+    const focusedId = state.lastFocusedRectId;
+    const node = focusedId ? findNodeById(page, focusedId) : null;
+    if (!node) return null;
+    if (node.splitState === 'split') return node;
+    return findParentNode(page, node.id);
+}
+
+// ----------------------------------------------------------------------
+// UI
+// ----------------------------------------------------------------------
+
+/**
+ * Renders the template list inside the templates modal.
+ * @param {HTMLElement} list
+ */
+function renderTemplateList(list) {
+    list.innerHTML = '';
+    const templates = getTemplates();
+
+    if (templates.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'templates-empty';
+        empty.textContent = 'No templates yet. Save a page or a split to reuse it later.';
+        list.appendChild(empty);
+        return;
+    }
+
+    templates.forEach(template => {
+        const item = document.createElement('div');
+        item.className = 'template-item';
+        item.dataset.templateId = template.id;
+
+        const name = document.createElement('span');
+        name.className = 'template-name';
+        name.textContent = template.name;
+
+        const actions = document.createElement('div');
+        actions.className = 'template-actions';
+
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'btn-secondary btn-mini';
+        applyBtn.dataset.action = 'apply';
+        applyBtn.textContent = 'Apply';
+        applyBtn.title = 'Apply to the selected empty region';
+
+        const newPageBtn = document.createElement('button');
+        newPageBtn.className = 'btn-secondary btn-mini';
+        newPageBtn.dataset.action = 'new-page';
+        newPageBtn.textContent = 'New Page';
+        newPageBtn.title = 'Create a new page from this template';
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-text btn-mini';
+        deleteBtn.dataset.action = 'delete';
+        deleteBtn.innerHTML = '<span class="icon icon-delete" aria-hidden="true"></span>';
+        deleteBtn.setAttribute('aria-label', `Delete template ${template.name}`);
+
+        actions.append(applyBtn, newPageBtn, deleteBtn);
+        item.append(name, actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Wires up the template library modal.
+ */
+export function setupTemplateHandlers() {
+    const openBtn = document.getElementById('templates-btn');
+    const modal = document.getElementById('templates-modal');
+    const list = document.getElementById('templates-list');
+    const nameInput = document.getElementById('template-name-input');
+    const scopeSelect = document.getElementById('template-scope-select');
+    const placeholdersToggle = document.getElementById('template-include-placeholders');
+    const saveBtn = document.getElementById('template-save-btn');
+    const exportBtn = document.getElementById('templates-export-btn');
+    const importBtn = document.getElementById('templates-import-btn');
+    const importInput = document.getElementById('templates-import-input');
+    const closeBtn = document.getElementById('templates-close');
+
+    if (!openBtn || !modal || !list) return;
+
+    // Remember which region to apply to, since opening the modal moves focus away from the paper
+    let targetNodeId = null;
+
+    const close = () => modal.classList.remove('active');
+
+    openBtn.addEventListener('click', () => {
+        targetNodeId = state.lastFocusedRectId;
+        renderTemplateList(list);
+        modal.classList.add('active');
+        nameInput?.focus();
+    });
+
+    closeBtn?.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') close();
+    });
+
+    document.addEventListener('templatesChanged', () => renderTemplateList(list));
+
+    saveBtn?.addEventListener('click', () => {
+        const name = nameInput?.value.trim();
+        if (!name) {
+            toast.warning('Give the template a name first.');
+            nameInput?.focus();
+            return;
+        }
+
+        const source = getTemplateSource(scopeSelect?.value || 'page');
+        if (!source) {
+            toast.warning('Select a region inside a split to save it as a template.');
+            return;
+        }
+
+        saveTemplate(name, source, !!placeholdersToggle?.checked);
+        nameInput.value = '';
+        toast.success(`Template "${name}" saved`);
+    });
+
+    list.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        const item = e.target.closest('.template-item');
+        if (!button || !item) return;
+
+        const templateId = item.dataset.templateId;
+        const action = button.dataset.action;
+
+        if (action === 'apply') {
+            if (applyTemplateToNode(templateId, targetNodeId)) close();
+        } else if (action === 'new-page') {
+            if (applyTemplateToNewPage(templateId)) close();
+        } else if (action === 'delete') {
+            const confirmed = await showConfirm('Delete this template from your library?', 'Delete Template', 'Delete', 'delete-template');
+            if (confirmed) deleteTemplate(templateId);
+        }
+    });
+
+    exportBtn?.addEventListener('click', () => {
+        if (getTemplates().length === 0) {
+            toast.info('There are no templates to export.');
+            return;
+        }
+        const blob = new Blob([exportTemplatesJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'broco-templates.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    importBtn?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        await withErrorHandling(async () => {
+            const count = importTemplatesJSON(await file.text());
+            if (count > 0) {
+                toast.success(`Imported ${count} template${count > 1 ? 's' : ''}`);
+            } else {
+                toast.warning('No valid templates found in this file.');
+            }
+        }, 'Failed to import templates. Please check the file.');
+    });
+}
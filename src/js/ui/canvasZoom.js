@@ -0,0 +1,293 @@
+import { state } from '../core/state.js';
+import { A4_PAPER_ID, CANVAS_ZOOM_LEVELS, CANVAS_WHEEL_ZOOM_SPEED } from '../core/constants.js';
+
+/**
+ * Canvas zoom and pan.
+ *
+ * Zooming resizes the paper (`--canvas-zoom` multiplies its fitted width) rather than
+ * scaling it with a transform, so rects, dividers and pointer events all stay in plain
+ * screen pixels: divider drags, snap thresholds, drag ghosts and tooltips need no
+ * conversion. Zoomed in, the workspace scrolls, and Space + drag pans it.
+ */
+
+const MIN_ZOOM = CANVAS_ZOOM_LEVELS[0];
+const MAX_ZOOM = CANVAS_ZOOM_LEVELS[CANVAS_ZOOM_LEVELS.length - 1];
+
+let zoom = 1;
+let spaceHeld = false;
+let spacePanned = false;
+
+/**
+ * @param {number} value
+ * @returns {number} Zoom within the supported range (1 for invalid values)
+ */
+export function clampCanvasZoom(value) {
+    if (!Number.isFinite(value)) return 1;
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, value));
+}
+
+/**
+ * Next zoom level of the menu, for the +/- buttons and shortcuts
+ * @param {number} current
+ * @param {1|-1} direction - 1 to zoom in, -1 to zoom out
+ * @returns {number}
+ */
+export function stepCanvasZoom(current, direction) {
+    const EPSILON = 0.001;
+    const next = direction > 0
+        ? CANVAS_ZOOM_LEVELS.find(level => level > current + EPSILON)
+        : [...CANVAS_ZOOM_LEVELS].reverse().find(level => level < current - EPSILON);
+    return next ?? (direction > 0 ? MAX_ZOOM : MIN_ZOOM);
+}
+
+/**
+ * Scroll position that keeps the point under `anchor` in place when the paper is resized
+ * @param {{left: number, top: number}} scroll - Scroll position before the zoom
+ * @param {{x: number, y: number}} anchor - Client coordinates
+ * @param {{left: number, top: number, width: number, height: number}} before - Paper bounds before the zoom
+ * @param {{left: number, top: number, width: number, height: number}} after - Paper bounds after the zoom, at the same scroll
+ * @returns {{left: number, top: number}}
+ */
+export function getAnchoredScroll(scroll, anchor, before, after) {
+    const x = after.left + (anchor.x - before.left) * after.width / before.width;
+    const y = after.top + (anchor.y - before.top) * after.height / before.height;
+    return { left: scroll.left + x - anchor.x, top: scroll.top + y - anchor.y };
+}
+
+/** @returns {number} Current zoom, 1 when the paper is fitted to the workspace */
+export function getCanvasZoom() {
+    return zoom;
+}
+
+function getWorkspace() {
+    return document.getElementById(A4_PAPER_ID)?.closest('.workspace-wrapper') || null;
+}
+
+/**
+ * @returns {{left: number, top: number}} Scroll position of the workspace
+ */
+export function getCanvasScroll() {
+    const workspace = getWorkspace();
+    return { left: workspace?.scrollLeft || 0, top: workspace?.scrollTop || 0 };
+}
+
+/** @returns {boolean} Whether the paper is larger than the workspace, so it can be panned */
+export function isCanvasPannable() {
+    const workspace = getWorkspace();
+    return !!workspace && zoom > 1
+        && (workspace.scrollWidth > workspace.clientWidth || workspace.scrollHeight > workspace.clientHeight);
+}
+
+/** @returns {boolean} Whether the canvas was panned since Space was last pressed */
+export function didPanWithSpace() {
+    return spacePanned;
+}
+
+function isPresenting() {
+    return document.body.classList.contains('presentation-mode');
+}
+
+/**
+ * Zooms the canvas
+ * @param {number} value - 1 fits the paper to the workspace
+ * @param {{x: number, y: number}|null} [anchor] - Client point kept in place; the workspace centre when omitted
+ */
+export function setCanvasZoom(value, anchor = null) {
+    const workspace = getWorkspace();
+    const paper = document.getElementById(A4_PAPER_ID);
+    const next = clampCanvasZoom(value);
+    // A divider drag measures the paper once when it starts
+    if (!workspace || !paper || state.activeDivider || next === zoom) return;
+
+    const box = workspace.getBoundingClientRect();
+    const point = anchor || { x: box.left + box.width / 2, y: box.top + box.height / 2 };
+    const before = paper.getBoundingClientRect();
+
+    zoom = next;
+    workspace.style.setProperty('--canvas-zoom', `${zoom}`);
+    workspace.classList.toggle('is-zoomed', zoom > 1);
+
+    const after = paper.getBoundingClientRect();
+    if (before.width > 0 && before.height > 0) {
+        const scroll = getAnchoredScroll(getCanvasScroll(), point, before, after);
+        workspace.scrollLeft = scroll.left;
+        workspace.scrollTop = scroll.top;
+    }
+
+    syncZoomControls();
+    document.dispatchEvent(new CustomEvent('canvasZoomChanged', { detail: { zoom } }));
+}
+
+/**
+ * Zooms in or out by one menu level
+ * @param {1|-1} direction
+ */
+export function zoomCanvasBy(direction) {
+    setCanvasZoom(stepCanvasZoom(zoom, direction));
+}
+
+/**
+ * Fits the paper to the workspace again
+ */
+export function fitCanvasToScreen() {
+    setCanvasZoom(1);
+}
+
+// ----------------------------------------------------------------------
+// UI
+// ----------------------------------------------------------------------
+
+const formatZoom = (value) => `${Math.round(value * 100)}%`;
+
+function fillZoomSelect(select) {
+    CANVAS_ZOOM_LEVELS.forEach(level => {
+        select.appendChild(new Option(level === 1 ? 'Fit' : formatZoom(level), `${level}`));
+    });
+    // Shows zoom levels reached with the wheel or a pinch
+    const custom = new Option('', 'custom');
+    custom.hidden = true;
+    select.appendChild(custom);
+}
+
+/** Reflects the current zoom in the zoom menu and buttons */
+function syncZoomControls() {
+    const select = document.getElementById('canvas-zoom-select');
+    const zoomInBtn = document.getElementById('canvas-zoom-in');
+    const zoomOutBtn = document.getElementById('canvas-zoom-out');
+
+    if (select) {
+        const level = CANVAS_ZOOM_LEVELS.find(l => Math.abs(l - zoom) < 0.001);
+        const custom = select.querySelector('option[value="custom"]');
+        if (level !== undefined) {
+            select.value = `${level}`;
+        } else if (custom) {
+            custom.textContent = formatZoom(zoom);
+            select.value = 'custom';
+        }
+    }
+    if (zoomInBtn) zoomInBtn.disabled = zoom >= MAX_ZOOM;
+    if (zoomOutBtn) zoomOutBtn.disabled = zoom <= MIN_ZOOM;
+}
+
+function isTyping(target) {
+    return target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable;
+}
+
+function touchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
+
+/** Drags the workspace scroll position with the mouse */
+function startPan(workspace, e) {
+    e.preventDefault();
+    e.stopPropagation();
+    spacePanned = true;
+
+    const start = { x: e.clientX, y: e.clientY, ...getCanvasScroll() };
+    workspace.classList.add('is-panning');
+
+    const onMove = (ev) => {
+        workspace.scrollLeft = start.left - (ev.clientX - start.x);
+        workspace.scrollTop = start.top - (ev.clientY - start.y);
+    };
+    // The click that ends the pan must not reach the rects
+    const suppressClick = (ev) => {
+        ev.preventDefault();
+        ev.stopPropagation();
+    };
+    const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        workspace.classList.remove('is-panning');
+        workspace.addEventListener('click', suppressClick, true);
+        setTimeout(() => workspace.removeEventListener('click', suppressClick, true), 0);
+    };
+
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+}
+
+/**
+ * Wires up the zoom controls, Ctrl + wheel, pinch, the zoom shortcuts and Space + drag panning.
+ */
+export function setupCanvasZoomHandlers() {
+    const workspace = getWorkspace();
+    if (!workspace) return;
+
+    const select = document.getElementById('canvas-zoom-select');
+    if (select) {
+        fillZoomSelect(select);
+        select.addEventListener('change', () => {
+            if (select.value !== 'custom') setCanvasZoom(parseFloat(select.value));
+        });
+    }
+    document.getElementById('canvas-zoom-in')?.addEventListener('click', () => zoomCanvasBy(1));
+    document.getElementById('canvas-zoom-out')?.addEventListener('click', () => zoomCanvasBy(-1));
+
+    // Ctrl + wheel, which is also how trackpads report a pinch.
+    // Cells being repositioned use the wheel for the image zoom and prevent the default first.
+    workspace.addEventListener('wheel', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.defaultPrevented || isPresenting()) return;
+        e.preventDefault();
+        setCanvasZoom(zoom * Math.exp(-e.deltaY * CANVAS_WHEEL_ZOOM_SPEED), { x: e.clientX, y: e.clientY });
+    }, { passive: false });
+
+    // Two-finger pinch on touch screens
+    let pinch = null;
+    workspace.addEventListener('touchstart', (e) => {
+        if (e.touches.length !== 2 || isPresenting()) return;
+        pinch = { distance: touchDistance(e.touches), zoom };
+    }, { passive: true });
+    workspace.addEventListener('touchmove', (e) => {
+        if (!pinch || e.touches.length !== 2 || pinch.distance === 0) return;
+        e.preventDefault();
+        const [a, b] = e.touches;
+        setCanvasZoom(pinch.zoom * touchDistance(e.touches) / pinch.distance, {
+            x: (a.clientX + b.clientX) / 2,
+            y: (a.clientY + b.clientY) / 2
+        });
+    }, { passive: false });
+    workspace.addEventListener('touchend', (e) => {
+        if (e.touches.length < 2) pinch = null;
+    });
+
+    // Captured on the window so it runs before the rect shortcuts (Ctrl + '-' would zoom the whole app)
+    window.addEventListener('keydown', (e) => {
+        if (e.code === 'Space' && !isTyping(e.target)) {
+            if (!e.repeat) spacePanned = false;
+            spaceHeld = true;
+            workspace.classList.toggle('is-pan-ready', isCanvasPannable());
+            return;
+        }
+
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || isPresenting()) return;
+        if (e.code === 'Equal' || e.code === 'NumpadAdd') {
+            zoomCanvasBy(1);
+        } else if (e.code === 'Minus' || e.code === 'NumpadSubtract') {
+            zoomCanvasBy(-1);
+        } else if (e.code === 'Digit0' || e.code === 'Numpad0') {
+            fitCanvasToScreen();
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }, true);
+
+    const releaseSpace = () => {
+        spaceHeld = false;
+        workspace.classList.remove('is-pan-ready');
+    };
+    window.addEventListener('keyup', (e) => {
+        if (e.code === 'Space') releaseSpace();
+    }, true);
+    window.addEventListener('blur', releaseSpace);
+
+    // Captured so the rects and dividers under the pointer do not react
+    workspace.addEventListener('mousedown', (e) => {
+        if (!spaceHeld || e.button !== 0 || !isCanvasPannable()) return;
+        startPan(workspace, e);
+    }, true);
+
+    syncZoomControls();
+}
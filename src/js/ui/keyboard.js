@@ -1,12 +1,21 @@
 import { state, addPage, duplicatePage, getCurrentPage } from '../core/state.js';
-import { handleSplitClick, createTextInRect, findNodeById, swapNodesContent, renderAndRestoreFocus, snapDivider, findMergeableParent, mergeNodes, copyNodeContent, cutNodeContent, pasteNodeContent } from '../layout/layout.js';
+import { handleSplitClick, createTextInRect, findNodeById, swapNodesContent, renderAndRestoreFocus, snapDivider, findMergeableParent, mergeNodes, splitRectInto, copyNodeContent, cutNodeContent, pasteNodeContent, importClipboardImage, rotateImage, toggleImageFlip } from '../layout/layout.js';
 import { undo, redo, saveState } from '../io/history.js';
 import { renderLayout } from '../layout/renderer.js';
 import { renderPageList } from '../layout/pages.js';
 import { saveLayout } from '../io/fileIO.js';
-import { A4_PAPER_ID } from '../core/constants.js';
+import { A4_PAPER_ID, FACING_PAPER_ID } from '../core/constants.js';
 
 import { showConfirm } from '../core/utils.js';
+import { toast, withErrorHandling } from '../core/errorHandler.js';
+import { nudgeImageView, resetImageView, stopImageAdjust } from '../layout/imageView.js';
+import { closeAdjustmentsPanel } from '../layout/imageAdjustments.js';
+import { fitDividersToImages } from '../layout/fitDividers.js';
+import { activateFacingPage } from '../layout/spreads.js';
+import { focusSizeInspector } from '../layout/sizeInspector.js';
+import { getSelection, selectRange, selectAll, clearSelection, deleteSelection } from '../layout/selection.js';
+import { isCanvasPannable, didPanWithSpace } from './canvasZoom.js';
+import { IMAGE_ZOOM_STEP } from '../core/constants.js';
 
 /**
  * Setup keyboard navigation handlers
@@ -14,6 +23,7 @@ import { showConfirm } from '../core/utils.js';
 export function setupKeyboardNavigation() {
     // Use capture phase to ensure we intercept shortcuts before browser/default behaviors
     document.addEventListener('keydown', handleKeyDown, true);
+    document.addEventListener('keyup', handleKeyUp, true);
 
     // Electron-specific IPC shortcut listener
     if (window.electronAPI && window.electronAPI.onLongSplit) {
@@ -46,6 +56,74 @@ export function setupKeyboardNavigation() {
     }
 }
 
+/** Space press waiting for its keyup, see handleKeyUp */
+let pendingSpaceClick = null;
+
+/**
+ * Click dispatched on the focused rect for a Space press
+ * @param {KeyboardEvent} e
+ * @returns {MouseEvent}
+ */
+function createSpaceClick(e) {
+    return new MouseEvent('click', {
+        bubbles: true,
+        cancelable: true,
+        shiftKey: e.shiftKey,
+        ctrlKey: e.ctrlKey,
+        altKey: false, // Alt should be false here, as Alt+Space is handled by IPC
+        metaKey: e.metaKey,
+        view: window
+    });
+}
+
+/**
+ * Clicks the rect of a deferred Space press, unless Space was used to pan the canvas
+ * @param {KeyboardEvent} e
+ */
+function handleKeyUp(e) {
+    if (e.code !== 'Space' || !pendingSpaceClick) return;
+    const { target, event } = pendingSpaceClick;
+    pendingSpaceClick = null;
+    if (didPanWithSpace() || !target.isConnected) return;
+    target.dispatchEvent(createSpaceClick(event));
+}
+
+/**
+ * Whether the focus is on the canvas but on no rectangle (after a click on the workspace around the paper)
+ * @param {Element|null} focused
+ * @returns {boolean}
+ */
+function isCanvasFocus(focused) {
+    if (document.body.classList.contains('presentation-mode')) return false;
+    return !focused || focused === document.body || !!focused.closest?.('.workspace-wrapper');
+}
+
+/**
+ * Pastes the clipboard image onto a new page it fills, after the current one.
+ * An empty current page is filled instead.
+ */
+async function pasteImageAsPage() {
+    await withErrorHandling(async () => {
+        const assetId = await importClipboardImage();
+        if (!assetId) {
+            toast.info('No image to paste');
+            return;
+        }
+
+        saveState();
+        const page = getCurrentPage();
+        const isEmpty = !state.editingMasterId && page.splitState !== 'split' && !page.image && (page.text === null || page.text === undefined);
+        if (!isEmpty) addPage();
+
+        const target = getCurrentPage();
+        target.image = { assetId, fit: 'cover' };
+        target.text = null;
+        renderAndRestoreFocus(target, target.id);
+        renderPageList();
+        toast.success('Image pasted');
+    }, 'Failed to paste image');
+}
+
 /**
  * Handle keydown events for navigation and actions
  * @param {KeyboardEvent} e 
@@ -60,7 +138,15 @@ function handleKeyDown(e) {
     const focused = document.activeElement;
     const isRect = focused && focused.classList.contains('splittable-rect');
 
-    if (!isRect) return;
+    if (!isRect) {
+        // Ctrl + V with no rectangle focused pastes an image as a page of its own
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && (e.key === 'v' || e.key === 'V') && isCanvasFocus(focused)) {
+            e.preventDefault();
+            e.stopPropagation();
+            pasteImageAsPage();
+        }
+        return;
+    }
 
     // Check code for Space to avoid layout issues/modifiers changing key
     if (e.code === 'Space') {
@@ -80,16 +166,13 @@ function handleKeyDown(e) {
         e.preventDefault();
         e.stopPropagation();
 
-        const clickEvent = new MouseEvent('click', {
-            bubbles: true,
-            cancelable: true,
-            shiftKey: e.shiftKey,
-            ctrlKey: e.ctrlKey,
-            altKey: false, // Alt should be false here, as Alt+Space is handled by IPC
-            metaKey: e.metaKey,
-            view: window
-        });
-        focused.dispatchEvent(clickEvent);
+        // Zoomed in, Space + drag pans the canvas: the click waits until Space is released
+        if (isCanvasPannable()) {
+            if (!e.repeat) pendingSpaceClick = { target: focused, event: e };
+            return;
+        }
+
+        focused.dispatchEvent(createSpaceClick(e));
         return;
     }
 
@@ -113,6 +196,74 @@ function handleKeyDown(e) {
             pasteNodeContent(focused.id);
             return;
         }
+        // Selects the whole page, which Ctrl + C then copies as a layout
+        if (e.key === 'a' || e.key === 'A') {
+            e.preventDefault();
+            e.stopPropagation();
+            selectAll();
+            return;
+        }
+    }
+
+    // Image framing: Ctrl + Shift + Arrows pan, Alt + '+'/'-' zoom, Alt + 0 resets,
+    // Alt + R rotates (Alt + Shift + R the other way), Alt + H / Alt + V flip
+    const focusedNode = findNodeById(getCurrentPage(), focused.id);
+    if (focusedNode && focusedNode.image) {
+        const panDirections = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (e.ctrlKey && e.shiftKey && panDirections[e.key]) {
+            e.preventDefault();
+            e.stopPropagation();
+            const [dx, dy] = panDirections[e.key];
+            nudgeImageView(focused.id, { dx, dy });
+            return;
+        }
+        if (e.altKey && !e.ctrlKey && !e.metaKey && ['Equal', 'NumpadAdd', 'Minus', 'NumpadSubtract', 'Digit0'].includes(e.code)) {
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.code === 'Digit0') {
+                resetImageView(focused.id);
+            } else {
+                const zoomIn = e.code === 'Equal' || e.code === 'NumpadAdd';
+                nudgeImageView(focused.id, { zoomBy: zoomIn ? IMAGE_ZOOM_STEP : 1 / IMAGE_ZOOM_STEP });
+            }
+            return;
+        }
+        if (e.altKey && !e.ctrlKey && !e.metaKey && ['KeyR', 'KeyH', 'KeyV'].includes(e.code)) {
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.code === 'KeyR') {
+                rotateImage(focused.id, e.shiftKey ? -90 : 90);
+            } else {
+                toggleImageFlip(focused.id, e.code === 'KeyV');
+            }
+            return;
+        }
+    }
+
+    // Alt + F = fit the dividers around the rectangle to its images, Alt + Shift + F = the whole page
+    if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyF') {
+        e.preventDefault();
+        e.stopPropagation();
+        fitDividersToImages(e.shiftKey ? null : focused.id);
+        return;
+    }
+
+    // Alt + S = type an exact size for the rectangle
+    if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyS') {
+        e.preventDefault();
+        e.stopPropagation();
+        focusSizeInspector();
+        return;
+    }
+
+    // Alt + 2..5 = split into N equal parts (Alt + Shift for a long split)
+    // Uses e.code because Alt changes e.key on some layouts (e.g. macOS)
+    const splitMatch = /^Digit([2-5])$/.exec(e.code);
+    if (e.altKey && !e.ctrlKey && !e.metaKey && splitMatch) {
+        e.preventDefault();
+        e.stopPropagation();
+        splitRectInto(focused.id, parseInt(splitMatch[1], 10), e.shiftKey);
+        return;
     }
 
     switch (e.key) {
@@ -122,20 +273,29 @@ function handleKeyDown(e) {
         case 'ArrowRight':
             e.preventDefault();
             e.stopPropagation();
-            if (e.shiftKey) {
+            if (e.shiftKey && e.altKey) {
                 moveContent(focused, e.key);
+            } else if (e.shiftKey) {
+                extendSelection(focused, e.key);
             } else if (e.altKey) {
                 snapDivider(focused, e.key);
             } else if (e.ctrlKey) {
                 const parentToMerge = findMergeableParent(focused, e.key);
                 if (parentToMerge) {
-                    mergeNodes(parentToMerge, focused.id);
+                    mergeNodes(parentToMerge, focused.id, e.key);
                 }
             } else {
                 navigateRects(focused, e.key);
             }
             break;
 
+        case 'Escape':
+            if (stopImageAdjust() || closeAdjustmentsPanel() || clearSelection()) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+            break;
+
         case 'Enter':
             e.preventDefault();
             e.stopPropagation();
@@ -147,7 +307,11 @@ function handleKeyDown(e) {
         case 'Backspace':
             e.preventDefault();
             e.stopPropagation();
-            deleteFocusedRect(focused);
+            if (getSelection().length > 0) {
+                deleteSelection();
+            } else {
+                deleteFocusedRect(focused);
+            }
             break;
 
         default:
@@ -173,24 +337,30 @@ function invalidateLayoutCache() {
 window.addEventListener('resize', invalidateLayoutCache);
 // We also need to hook into the custom layoutUpdated event
 document.addEventListener('layoutUpdated', invalidateLayoutCache);
+document.addEventListener('canvasZoomChanged', invalidateLayoutCache);
 
 
 /**
  * Find the closest rectangle in a given direction
  * @param {HTMLElement} current 
  * @param {string} direction 'ArrowUp' | 'ArrowDown' | 'ArrowLeft' | 'ArrowRight'
+ * @param {boolean} [includeFacing] - Also consider the rects of the facing page in spreads
  * @returns {HTMLElement|null}
  */
-export function getClosestRect(current, direction) {
+export function getClosestRect(current, direction, includeFacing = false) {
     // If cache is missing, rebuild it
     if (!rectBoundsCache) {
-        const allRects = Array.from(document.querySelectorAll('.splittable-rect[data-split-state="unsplit"]'));
+        // Facing page rects are read-only, so they are found by their place in the page tree
+        const selector = '.splittable-rect[data-split-state="unsplit"][tabindex="0"], '
+            + `#${FACING_PAPER_ID} .splittable-rect[data-split-state="unsplit"]:not(.master-region)`;
+        const allRects = Array.from(document.querySelectorAll(selector));
         if (allRects.length <= 1) return null;
 
         // Reads: causing layout if dirty, but we cache the result
         rectBoundsCache = allRects.map(el => ({
             el,
-            bounds: el.getBoundingClientRect() // Forces reflow only once per layout change
+            bounds: el.getBoundingClientRect(), // Forces reflow only once per layout change
+            facing: !!el.closest(`#${FACING_PAPER_ID}`)
         }));
     }
 
@@ -217,8 +387,8 @@ export function getClosestRect(current, direction) {
     let closest = null;
     let minDist = Infinity;
 
-    rectBoundsCache.forEach(({ el, bounds: r }) => {
-        if (el === current) return;
+    rectBoundsCache.forEach(({ el, bounds: r, facing }) => {
+        if (el === current || (facing && !includeFacing)) return;
 
         const center = {
             x: r.left + r.width / 2,
@@ -265,7 +435,7 @@ export function getClosestRect(current, direction) {
 }
 
 /**
- * Move content between rectangles using Shift + Arrow keys
+ * Move content between rectangles using Shift + Alt + Arrow keys
  * @param {HTMLElement} current 
  * @param {string} direction 'ArrowUp' | 'ArrowDown' | 'ArrowLeft' | 'ArrowRight'
  */
@@ -284,14 +454,31 @@ function moveContent(current, direction) {
     }
 }
 
+/**
+ * Selects the rectangles from the selection anchor to the next rectangle in a direction
+ * @param {HTMLElement} current
+ * @param {string} direction 'ArrowUp' | 'ArrowDown' | 'ArrowLeft' | 'ArrowRight'
+ */
+function extendSelection(current, direction) {
+    const closest = getClosestRect(current, direction);
+    if (!closest) return;
+    selectRange(current.id, closest.id);
+    closest.focus();
+}
+
 /**
  * Navigate between rectangles using arrow keys
  * @param {HTMLElement} current 
  * @param {string} direction 'ArrowUp' | 'ArrowDown' | 'ArrowLeft' | 'ArrowRight'
  */
 function navigateRects(current, direction) {
-    const closest = getClosestRect(current, direction);
-    if (closest) {
+    const closest = getClosestRect(current, direction, true);
+    if (!closest) return;
+
+    // Crossing the spine makes the facing page the one being edited
+    if (closest.closest(`#${FACING_PAPER_ID}`)) {
+        activateFacingPage(closest.id);
+    } else {
         closest.focus();
     }
 }
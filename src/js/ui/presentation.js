@@ -40,7 +40,10 @@ export function setupPresentationHandlers() {
     fullscreenBtn.addEventListener('click', async () => {
         try {
             if (!document.fullscreenElement) {
-                // Pre-enter Cleanup: Blur any active text editors
+                // Pre-enter Cleanup: present the pages, not a master being edited
+                state.editingMasterId = null;
+
+                // Blur any active text editors
                 document.querySelectorAll('.text-editor:not(.hidden)').forEach(editor => {
                     editor.blur();
                 });
@@ -1,6 +1,7 @@
 import { DIVIDER_SIZE, A4_PAPER_ID } from '../core/constants.js';
 import { getCurrentPage } from '../core/state.js';
 import { toast } from '../core/errorHandler.js';
+import { PAGE_PRESETS, toPoints, toPixels, fromPoints } from '../core/units.js';
 
 /**
  * Default settings configuration
@@ -10,7 +11,16 @@ const defaultSettings = {
         ratio: 1.414, // A4 default (approx)
         isLandscape: false,
         customX: 16,
-        customY: 9
+        customY: 9,
+        splitCount: 2, // Number of equal parts created by a click split
+        spreads: false, // Show facing pages side by side, as in a book
+        spreadCover: true, // In spreads, the first page stands alone as the cover
+        showGuides: false, // Rulers along the canvas and the guides dividers snap to
+        // Physical page size, used when ratio === 'physical'
+        pageWidth: 210,
+        pageHeight: 297,
+        unit: 'mm',
+        dpi: 300
     },
     text: {
         fontFamily: 'sans-serif',
@@ -22,7 +32,12 @@ const defaultSettings = {
         backgroundColor: '#ffffff',
         backgroundImage: null, // data URL
         backgroundImageOpacity: 0.2,
-        showPageNumbers: false
+        showPageNumbers: false,
+        // Print settings, in the document unit layout.unit (used when layout.ratio === 'physical')
+        bleed: 0,
+        safeMargin: 0,
+        showPrintGuides: true,
+        cropMarks: false
     },
     dividers: {
         width: DIVIDER_SIZE,
@@ -62,7 +77,7 @@ export function updateSetting(category, key, value) {
 
         // Optimization: Some settings only update CSS variables and don't need a full DOM re-render.
         // Page numbers, font family, and background image (since it's added via DOM) need full renders.
-        const cssOnly = !(['showPageNumbers', 'fontFamily', 'backgroundImage'].includes(key));
+        const cssOnly = !(['showPageNumbers', 'fontFamily', 'backgroundImage', 'spreads', 'spreadCover'].includes(key));
 
         document.dispatchEvent(new CustomEvent('settingsUpdated', {
             detail: { category, key, value, cssOnly }
@@ -70,16 +85,62 @@ export function updateSetting(category, key, value) {
     }
 }
 
-export function calculatePaperDimensions() {
+/** Keys of settings.layout that a page can override through `page.paper` */
+export const PAGE_LAYOUT_KEYS = ['ratio', 'isLandscape', 'customX', 'customY', 'pageWidth', 'pageHeight', 'unit'];
+
+/**
+ * Layout settings of a page: the document's, with the page's own size and orientation on top.
+ * A page overrides them through `page.paper`, which may also hold a `backgroundColor`.
+ * @param {Object} [page] - Page root node; the document settings when omitted
+ * @returns {object} Same shape as settings.layout
+ */
+export function getPageLayout(page) {
+    const paper = page?.paper;
+    if (!paper) return settings.layout;
+
+    const layout = { ...settings.layout };
+    PAGE_LAYOUT_KEYS.forEach(key => {
+        if (paper[key] !== undefined) layout[key] = paper[key];
+    });
+
+    // A page may only flip the orientation, so physical sizes follow it
+    if (layout.ratio === 'physical') {
+        const short = Math.min(layout.pageWidth, layout.pageHeight);
+        const long = Math.max(layout.pageWidth, layout.pageHeight);
+        layout.pageWidth = layout.isLandscape ? long : short;
+        layout.pageHeight = layout.isLandscape ? short : long;
+    }
+    return layout;
+}
+
+/**
+ * @param {Object} [page] - Page root node
+ * @returns {string} Paper colour of the page
+ */
+export function getPageBackgroundColor(page) {
+    return page?.paper?.backgroundColor || settings.paper.backgroundColor;
+}
+
+/**
+ * On-screen paper size of a page
+ * @param {Object} [page] - Page root node; the document size when omitted
+ * @returns {{width: number, height: number}}
+ */
+export function calculatePaperDimensions(page) {
     // Rule: width + height = 2000px
+    const layout = getPageLayout(page);
 
     let effectiveRatio;
-    if (settings.layout.ratio === 'custom') {
-        const x = Number(settings.layout.customX) || 1;
-        const y = Number(settings.layout.customY) || 1;
+    if (layout.ratio === 'custom') {
+        const x = Number(layout.customX) || 1;
+        const y = Number(layout.customY) || 1;
         effectiveRatio = Math.max(x, y) / Math.min(x, y);
+    } else if (layout.ratio === 'physical') {
+        const w = Number(layout.pageWidth) || 1;
+        const h = Number(layout.pageHeight) || 1;
+        effectiveRatio = Math.max(w, h) / Math.min(w, h);
     } else {
-        effectiveRatio = parseFloat(settings.layout.ratio);
+        effectiveRatio = parseFloat(layout.ratio);
     }
 
     // We treat ratio as LongSide / ShortSide
@@ -94,7 +155,7 @@ export function calculatePaperDimensions() {
 
     let width, height;
 
-    if (settings.layout.isLandscape) {
+    if (layout.isLandscape) {
         width = longSide;
         height = shortSide;
     } else {
@@ -106,20 +167,121 @@ export function calculatePaperDimensions() {
 }
 
 /**
- * Apply all settings to CSS custom properties
+ * Returns the physical page size when the layout uses one.
+ * Bleed and safe margin are converted to the page unit; the bleed lies outside the trim size.
+ * @param {Object} [page] - Page root node; the document size when omitted
+ * @returns {{width: number, height: number, unit: string, dpi: number, widthPt: number, heightPt: number, bleed: number, bleedPt: number, safeMargin: number}|null}
  */
-export function applySettings() {
-    const root = document.documentElement;
+export function getPhysicalPageSize(page) {
+    const layout = getPageLayout(page);
+    if (layout.ratio !== 'physical') return null;
+
+    const { pageWidth, pageHeight, unit } = layout;
+    const dpi = Number(layout.dpi) || 300;
+    // Stored in the document unit, which a page with its own size may not use
+    const toPageUnit = (value) => fromPoints(toPoints(Math.max(0, Number(value) || 0), settings.layout.unit), unit);
+    const bleed = toPageUnit(settings.paper.bleed);
+    const safeMargin = toPageUnit(settings.paper.safeMargin);
+    return {
+        width: pageWidth,
+        height: pageHeight,
+        unit,
+        dpi,
+        widthPt: toPoints(pageWidth, unit),
+        heightPt: toPoints(pageHeight, unit),
+        bleed,
+        bleedPt: toPoints(bleed, unit),
+        safeMargin
+    };
+}
 
-    // Layout
-    const { width, height } = calculatePaperDimensions();
-    root.style.setProperty('--paper-width', `${width}px`);
-    root.style.setProperty('--paper-height', `${height}px`);
+/**
+ * Calculates the exported page size in pixels (and in points for PDFs).
+ * Physical page sizes are rendered at their DPI; ratio-only layouts scale the
+ * on-screen paper size by the export quality multiplier.
+ * Width and height are the trim size; `bleed` is the extra margin added on every side.
+ * @param {number} qualityMultiplier - Used only for ratio-only layouts
+ * @param {Object} [page] - Page root node; the document size when omitted
+ * @returns {{width: number, height: number, pageWidthPt: number|null, pageHeightPt: number|null, bleed: number, bleedPt: number}}
+ */
+export function calculateExportDimensions(qualityMultiplier = 1, page) {
+    const physical = getPhysicalPageSize(page);
+    if (physical) {
+        return {
+            width: toPixels(physical.width, physical.unit, physical.dpi),
+            height: toPixels(physical.height, physical.unit, physical.dpi),
+            pageWidthPt: physical.widthPt,
+            pageHeightPt: physical.heightPt,
+            bleed: physical.bleed > 0 ? toPixels(physical.bleed, physical.unit, physical.dpi) : 0,
+            bleedPt: physical.bleedPt
+        };
+    }
+
+    const { width, height } = calculatePaperDimensions(page);
+    return {
+        width: Math.round(width * qualityMultiplier),
+        height: Math.round(height * qualityMultiplier),
+        pageWidthPt: null,
+        pageHeightPt: null,
+        bleed: 0,
+        bleedPt: 0
+    };
+}
+
+/** CSS custom properties that depend on the page, see setPaperProperties */
+const PAPER_PROPERTIES = ['--paper-width', '--paper-height', '--ratio', '--paper-bg-color',
+    '--bleed-ratio', '--safe-ratio', '--bleed-guide-display', '--safe-guide-display'];
+
+/**
+ * Sets the size, colour and print guide properties of a page
+ * @param {CSSStyleDeclaration} style
+ * @param {Object} [page] - Page root node; the document settings when omitted
+ */
+function setPaperProperties(style, page) {
+    const { width, height } = calculatePaperDimensions(page);
+    style.setProperty('--paper-width', `${width}px`);
+    style.setProperty('--paper-height', `${height}px`);
 
     // Set ratio for CSS aspect-ratio support
     // Ensure we use a valid division to avoid infinity, though width/height should be safe
-    const ratioVal = width / height;
-    root.style.setProperty('--ratio', `${ratioVal}`);
+    style.setProperty('--ratio', `${width / height}`);
+
+    style.setProperty('--paper-bg-color', getPageBackgroundColor(page));
+
+    // Print guides, as a fraction of the page width so they scale with the paper
+    const physical = getPhysicalPageSize(page);
+    const showGuides = physical && settings.paper.showPrintGuides;
+    const pageWidth = physical ? Number(physical.width) || 1 : 1;
+    style.setProperty('--bleed-ratio', physical ? `${physical.bleed / pageWidth}` : '0');
+    style.setProperty('--safe-ratio', physical ? `${physical.safeMargin / pageWidth}` : '0');
+    style.setProperty('--bleed-guide-display', showGuides && physical.bleed > 0 ? 'block' : 'none');
+    style.setProperty('--safe-guide-display', showGuides && physical.safeMargin > 0 ? 'block' : 'none');
+}
+
+/**
+ * Gives a paper element the size and colour of a page that overrides them.
+ * Other pages inherit the document's properties from the root element.
+ * @param {HTMLElement} element - Paper element
+ * @param {Object} page - Page root node
+ */
+export function applyPagePaper(element, page) {
+    if (page?.paper) {
+        setPaperProperties(element.style, page);
+        element.dataset.pagePaper = 'true';
+    } else if (element.dataset.pagePaper) {
+        PAPER_PROPERTIES.forEach(name => element.style.removeProperty(name));
+        delete element.dataset.pagePaper;
+    }
+}
+
+/**
+ * Apply all settings to CSS custom properties
+ */
+export function applySettings() {
+    const root = document.documentElement;
+
+    // Layout, paper colour and print guides
+    setPaperProperties(root.style);
 
     // Text settings
     root.style.setProperty('--text-font-family', settings.text.fontFamily);
@@ -135,7 +297,6 @@ export function applySettings() {
     }
 
     // Paper settings
-    root.style.setProperty('--paper-bg-color', settings.paper.backgroundColor);
     root.style.setProperty('--bg-image-opacity', settings.paper.backgroundImageOpacity);
 
     // Background image
@@ -255,6 +416,7 @@ export function setupSettingsHandlers() {
 
     // Setup individual controls
     setupLayoutControls();
+    setupPhysicalSizeControls();
     setupTextControls();
     setupPaperControls();
     setupDividerControls();
@@ -286,9 +448,62 @@ function syncFormWithSettings() {
     const customYInput = document.getElementById('setting-custom-ratio-y');
     const customSlider = document.getElementById('setting-custom-ratio-slider');
 
+    const splitCountSelect = document.getElementById('setting-layout-split-count');
+
     if (ratioSelect) ratioSelect.value = settings.layout.ratio;
     if (landscapeToggle) landscapeToggle.checked = settings.layout.isLandscape;
+    if (splitCountSelect) splitCountSelect.value = settings.layout.splitCount;
+
+    const spreadsToggle = document.getElementById('setting-layout-spreads');
+    const spreadCoverToggle = document.getElementById('setting-layout-spread-cover');
+    const spreadCoverGroup = document.getElementById('spread-cover-group');
+    if (spreadsToggle) spreadsToggle.checked = settings.layout.spreads;
+    if (spreadCoverToggle) spreadCoverToggle.checked = settings.layout.spreadCover;
+    if (spreadCoverGroup) spreadCoverGroup.style.display = settings.layout.spreads ? '' : 'none';
+
+    const guidesToggle = document.getElementById('setting-layout-guides');
+    const guidesControls = document.getElementById('guides-controls');
+    if (guidesToggle) guidesToggle.checked = settings.layout.showGuides;
+    if (guidesControls) guidesControls.style.display = settings.layout.showGuides ? '' : 'none';
     
+    const physicalControls = document.getElementById('physical-size-controls');
+    const printControls = document.getElementById('print-controls');
+    if (printControls) {
+        const isPhysical = settings.layout.ratio === 'physical';
+        printControls.style.display = isPhysical ? 'block' : 'none';
+        if (isPhysical) {
+            const bleedInput = document.getElementById('setting-bleed');
+            const safeMarginInput = document.getElementById('setting-safe-margin');
+            const guidesToggle = document.getElementById('setting-print-guides');
+            const cropMarksToggle = document.getElementById('setting-crop-marks');
+
+            if (bleedInput) bleedInput.value = settings.paper.bleed;
+            if (safeMarginInput) safeMarginInput.value = settings.paper.safeMargin;
+            if (guidesToggle) guidesToggle.checked = settings.paper.showPrintGuides;
+            if (cropMarksToggle) cropMarksToggle.checked = settings.paper.cropMarks;
+            printControls.querySelectorAll('.setting-print-unit').forEach(el => {
+                el.textContent = settings.layout.unit;
+            });
+        }
+    }
+    if (physicalControls) {
+        const isPhysical = settings.layout.ratio === 'physical';
+        physicalControls.style.display = isPhysical ? 'block' : 'none';
+        if (isPhysical) {
+            const widthInput = document.getElementById('setting-page-width');
+            const heightInput = document.getElementById('setting-page-height');
+            const unitSelect = document.getElementById('setting-page-unit');
+            const dpiInput = document.getElementById('setting-page-dpi');
+            const presetSelect = document.getElementById('setting-page-preset');
+
+            if (widthInput) widthInput.value = settings.layout.pageWidth;
+            if (heightInput) heightInput.value = settings.layout.pageHeight;
+            if (unitSelect) unitSelect.value = settings.layout.unit;
+            if (dpiInput) dpiInput.value = settings.layout.dpi;
+            if (presetSelect) presetSelect.value = findMatchingPreset() || '';
+        }
+    }
+
     if (customControls) {
         if (settings.layout.ratio === 'custom') {
             customControls.style.display = 'block';
@@ -527,10 +742,13 @@ function setupLayoutControls() {
     if (ratioSelect) {
         ratioSelect.value = settings.layout.ratio;
         ratioSelect.addEventListener('change', (e) => {
-            const val = e.target.value === 'custom' ? 'custom' : parseFloat(e.target.value);
+            const raw = e.target.value;
+            const val = (raw === 'custom' || raw === 'physical') ? raw : parseFloat(raw);
             updateSetting('layout', 'ratio', val);
             if (val === 'custom') {
                 updateSetting('layout', 'isLandscape', settings.layout.customX > settings.layout.customY);
+            } else if (val === 'physical') {
+                updateSetting('layout', 'isLandscape', settings.layout.pageWidth > settings.layout.pageHeight);
             }
             syncFormWithSettings();
         });
@@ -549,11 +767,44 @@ function setupLayoutControls() {
                     settings.layout.customY = oldX;
                 }
             }
+            if (settings.layout.ratio === 'physical') {
+                const oldW = settings.layout.pageWidth;
+                const oldH = settings.layout.pageHeight;
+                if ((isLand && oldW < oldH) || (!isLand && oldW > oldH)) {
+                    settings.layout.pageWidth = oldH;
+                    settings.layout.pageHeight = oldW;
+                }
+            }
             updateSetting('layout', 'isLandscape', isLand);
             syncFormWithSettings();
         });
     }
+
+    const splitCountSelect = document.getElementById('setting-layout-split-count');
+    if (splitCountSelect) {
+        splitCountSelect.value = settings.layout.splitCount;
+        splitCountSelect.addEventListener('change', (e) => {
+            updateSetting('layout', 'splitCount', parseInt(e.target.value, 10) || 2);
+        });
+    }
     
+    const spreadsToggle = document.getElementById('setting-layout-spreads');
+    spreadsToggle?.addEventListener('change', (e) => {
+        updateSetting('layout', 'spreads', e.target.checked);
+        syncFormWithSettings();
+    });
+
+    const spreadCoverToggle = document.getElementById('setting-layout-spread-cover');
+    spreadCoverToggle?.addEventListener('change', (e) => {
+        updateSetting('layout', 'spreadCover', e.target.checked);
+    });
+
+    const guidesToggle = document.getElementById('setting-layout-guides');
+    guidesToggle?.addEventListener('change', (e) => {
+        updateSetting('layout', 'showGuides', e.target.checked);
+        syncFormWithSettings();
+    });
+
     const customXInput = document.getElementById('setting-custom-ratio-x');
     const customYInput = document.getElementById('setting-custom-ratio-y');
     const customSlider = document.getElementById('setting-custom-ratio-slider');
@@ -611,6 +862,132 @@ function setupLayoutControls() {
     }
 }
 
+/**
+ * Returns the preset key matching the current physical size (either orientation), if any
+ * @returns {string|null}
+ */
+function findMatchingPreset() {
+    const { pageWidth, pageHeight, unit } = settings.layout;
+    const short = Math.min(pageWidth, pageHeight);
+    const long = Math.max(pageWidth, pageHeight);
+    const match = Object.entries(PAGE_PRESETS).find(([, p]) =>
+        p.unit === unit && p.width === short && p.height === long
+    );
+    return match ? match[0] : null;
+}
+
+/**
+ * @param {number} value
+ * @param {string} oldUnit
+ * @param {string} newUnit
+ * @returns {number} The same length in newUnit, rounded for the settings form
+ */
+function convertLength(value, oldUnit, newUnit) {
+    return Number(fromPoints(toPoints(value, oldUnit), newUnit).toFixed(newUnit === 'in' ? 3 : 2));
+}
+
+function setupPhysicalSizeControls() {
+    const presetSelect = document.getElementById('setting-page-preset');
+    const widthInput = document.getElementById('setting-page-width');
+    const heightInput = document.getElementById('setting-page-height');
+    const unitSelect = document.getElementById('setting-page-unit');
+    const dpiInput = document.getElementById('setting-page-dpi');
+
+    presetSelect?.addEventListener('change', (e) => {
+        const preset = PAGE_PRESETS[e.target.value];
+        if (!preset) return;
+
+        // Presets are portrait; keep the current orientation
+        const isLand = settings.layout.isLandscape;
+        // Bleed and safe margin follow the document unit
+        settings.paper.bleed = convertLength(settings.paper.bleed, settings.layout.unit, preset.unit);
+        settings.paper.safeMargin = convertLength(settings.paper.safeMargin, settings.layout.unit, preset.unit);
+        settings.layout.unit = preset.unit;
+        settings.layout.pageWidth = isLand ? preset.height : preset.width;
+        settings.layout.pageHeight = isLand ? preset.width : preset.height;
+        updateSetting('layout', 'ratio', 'physical');
+        syncFormWithSettings();
+    });
+
+    function handleSizeInput() {
+        const w = parseFloat(widthInput.value);
+        const h = parseFloat(heightInput.value);
+
+        if (isNaN(w) || w <= 0 || isNaN(h) || h <= 0) {
+            toast.error('Page width and height must be positive numbers.');
+            syncFormWithSettings(); // Revert to valid
+            return;
+        }
+
+        settings.layout.pageWidth = w;
+        settings.layout.pageHeight = h;
+        if (w !== h) {
+            settings.layout.isLandscape = w > h;
+        }
+        updateSetting('layout', 'ratio', 'physical');
+        syncFormWithSettings();
+    }
+
+    widthInput?.addEventListener('change', handleSizeInput);
+    heightInput?.addEventListener('change', handleSizeInput);
+
+    unitSelect?.addEventListener('change', (e) => {
+        // Converting keeps the physical size unchanged
+        const oldUnit = settings.layout.unit;
+        const newUnit = e.target.value;
+        settings.layout.pageWidth = convertLength(settings.layout.pageWidth, oldUnit, newUnit);
+        settings.layout.pageHeight = convertLength(settings.layout.pageHeight, oldUnit, newUnit);
+        settings.paper.bleed = convertLength(settings.paper.bleed, oldUnit, newUnit);
+        settings.paper.safeMargin = convertLength(settings.paper.safeMargin, oldUnit, newUnit);
+        updateSetting('layout', 'unit', newUnit);
+        syncFormWithSettings();
+    });
+
+    dpiInput?.addEventListener('change', (e) => {
+        const dpi = parseInt(e.target.value, 10);
+        if (isNaN(dpi) || dpi < 36 || dpi > 1200) {
+            toast.error('DPI must be between 36 and 1200.');
+            syncFormWithSettings();
+            return;
+        }
+        updateSetting('layout', 'dpi', dpi);
+    });
+
+    const bleedInput = document.getElementById('setting-bleed');
+    const safeMarginInput = document.getElementById('setting-safe-margin');
+    const guidesToggle = document.getElementById('setting-print-guides');
+    const cropMarksToggle = document.getElementById('setting-crop-marks');
+
+    function handleMarginInput(key, label) {
+        return (e) => {
+            const value = parseFloat(e.target.value);
+            if (isNaN(value) || value < 0) {
+                toast.error(`${label} must be zero or a positive number.`);
+                syncFormWithSettings();
+                return;
+            }
+            const { pageWidth, pageHeight } = settings.layout;
+            if (key === 'safeMargin' && value * 2 >= Math.min(pageWidth, pageHeight)) {
+                toast.error('Safe margin must be smaller than half the page.');
+                syncFormWithSettings();
+                return;
+            }
+            updateSetting('paper', key, value);
+        };
+    }
+
+    bleedInput?.addEventListener('change', handleMarginInput('bleed', 'Bleed'));
+    safeMarginInput?.addEventListener('change', handleMarginInput('safeMargin', 'Safe margin'));
+
+    guidesToggle?.addEventListener('change', (e) => {
+        updateSetting('paper', 'showPrintGuides', e.target.checked);
+    });
+
+    cropMarksToggle?.addEventListener('change', (e) => {
+        updateSetting('paper', 'cropMarks', e.target.checked);
+    });
+}
+
 function setupElectronControls() {
     const useFileRefsToggle = document.getElementById('setting-electron-usereferences');
     useFileRefsToggle?.addEventListener('change', (e) => {
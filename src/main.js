@@ -25,6 +25,17 @@ import { handleEditorKeydown, handleEditorPaste } from './js/ui/editor.js';
 import { initializeExportMode, setupExportHandlers } from './js/io/export.js';
 import { tooltipManager } from './js/ui/TooltipManager.js';
 import { setupPresentationHandlers } from './js/ui/presentation.js';
+import { setupTemplateHandlers } from './js/layout/templates.js';
+import { setupAutoLayoutHandlers } from './js/layout/autoLayout.js';
+import { setupRelinkHandlers } from './js/assets/assetRelink.js';
+import { fitDividersToImages } from './js/layout/fitDividers.js';
+import { setupMasterHandlers } from './js/layout/masters.js';
+import { setupPagePaperHandlers } from './js/layout/pagePaper.js';
+import { setupSpreadHandlers } from './js/layout/spreads.js';
+import { setupCanvasZoomHandlers } from './js/ui/canvasZoom.js';
+import { setupGuideHandlers } from './js/layout/guides.js';
+import { setupSizeInspector } from './js/layout/sizeInspector.js';
+import { setupSelectionHandlers } from './js/layout/selection.js';
 
 function setupGlobalHandlers() {
     window.addEventListener('keydown', (e) => {
@@ -208,6 +219,16 @@ function initialize() {
     setupKeyboardNavigation();
     setupExportHandlers();
     setupPresentationHandlers();
+    setupTemplateHandlers();
+    setupAutoLayoutHandlers();
+    setupRelinkHandlers();
+    setupMasterHandlers();
+    setupPagePaperHandlers();
+    setupSpreadHandlers();
+    setupCanvasZoomHandlers();
+    setupGuideHandlers();
+    setupSizeInspector();
+    setupSelectionHandlers();
 
     // UI Updates for Dirty State and File Path
     const saveBtn = document.getElementById('save-layout-btn');
@@ -283,8 +304,8 @@ function initialize() {
 
         const target = e.target;
 
-        // 1. Check if we entered a splittable rect
-        const rect = target.closest('.splittable-rect[data-split-state="unsplit"]');
+        // 1. Check if we entered a splittable rect (of the edited page, not a facing page)
+        const rect = target.closest('#a4-paper .splittable-rect[data-split-state="unsplit"]');
 
         if (rect && rect.id !== lastHoveredRectId) {
             // Clear previous hover
@@ -334,7 +355,8 @@ function initialize() {
     document.addEventListener('settingsUpdated', (e) => {
         // Optimization: Some settings only update CSS variables and don't need a full DOM re-render.
         // We only re-render if it's NOT a 'css-only' update.
-        if (e.detail && e.detail.cssOnly) return;
+        // A page with its own paper holds properties derived from the document settings, so it re-renders too.
+        if (e.detail && e.detail.cssOnly && !state.pages[state.currentPageIndex]?.paper) return;
 
         const paper = document.getElementById('a4-paper');
         if (paper) {
@@ -551,6 +573,14 @@ function setupDelegatedHandlers() {
         }
     }, { passive: false });
 
+    // Double click on a divider fits its split to the images inside
+    paper.addEventListener('dblclick', (e) => {
+        const divider = e.target.closest('.divider');
+        if (!divider || e.ctrlKey || e.metaKey) return;
+        e.stopPropagation();
+        fitDividersToImages(divider.dataset.parentId);
+    });
+
     paper.addEventListener('touchmove', handleTouchMove, { passive: false });
     paper.addEventListener('touchend', handleTouchEnd);
 
@@ -635,7 +665,7 @@ function setupDelegatedHandlers() {
         }
 
         // Editor click: prevent bubbling only if NO modifiers
-        // If modifiers are pressed (e.g. Shift+Click on active editor), we want it to potentially split
+        // If modifiers are pressed (e.g. Alt+Click on active editor), we want it to potentially split or select
         const editor = e.target.closest('.text-editor');
         if (editor) {
             if (!e.shiftKey && !e.ctrlKey && !e.altKey) {
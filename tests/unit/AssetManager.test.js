@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { AssetManager } from '../../src/js/assets/AssetManager.js';
+import { AssetManager, hashContent } from '../../src/js/assets/AssetManager.js';
 
 describe('AssetManager', () => {
     let assetManager;
@@ -26,6 +26,21 @@ describe('AssetManager', () => {
         expect(eventDetail.asset).toBe(asset);
     });
 
+    it('should update and remove many assets with a single event', () => {
+        ['1', '2', '3'].forEach(id => assetManager.addAsset({ id, name: `${id}.png`, tags: ['a'] }));
+        const listener = vi.fn();
+        assetManager.addEventListener('assets:changed', listener);
+
+        const updated = assetManager.updateAssets(['1', '3', 'missing'], asset => ({ tags: [...asset.tags, 'b'], rating: 3 }));
+        expect(updated.map(a => a.id)).toEqual(['1', '3']);
+        expect(assetManager.getAsset('3')).toMatchObject({ tags: ['a', 'b'], rating: 3 });
+        expect(assetManager.getAsset('2').rating).toBeUndefined();
+
+        assetManager.removeAssets(['1', '2']);
+        expect(assetManager.getAssets().map(a => a.id)).toEqual(['3']);
+        expect(listener.mock.calls.map(call => call[0].detail.type)).toEqual(['updated_batch', 'removed_batch']);
+    });
+
     it('should remove an asset and emit an event', () => {
         const asset = { id: '1', name: 'test.png', lowResData: 'data1', fullResData: 'data2' };
         assetManager.addAsset(asset);
@@ -73,5 +88,44 @@ describe('AssetManager', () => {
         const asset = await assetManager.processFile(file);
         expect(asset.type).toBe('text');
         expect(asset.fullResData).toBe('hello world');
+        expect(asset.hash).toBe(await hashContent('hello world'));
+    });
+
+    it('should hash content as SHA-256', async () => {
+        expect(await hashContent('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        expect(await hashContent(new TextEncoder().encode('abc'))).toBe(await hashContent('abc'));
+    });
+
+    it('should skip an imported duplicate and relink a broken one', () => {
+        const kept = { id: '1', name: 'a.png', type: 'image', hash: 'h1', fullResData: 'data1', tags: ['x'] };
+        assetManager.addAsset(kept);
+
+        expect(assetManager.importAsset({ id: '2', name: 'copy.png', type: 'image', hash: 'h1', fullResData: 'data1' }))
+            .toEqual({ asset: kept, status: 'duplicate' });
+        expect(assetManager.importAsset({ id: '3', name: 'b.png', type: 'image', hash: 'h2' }).status).toBe('added');
+
+        assetManager.addAsset({ id: '4', name: 'c.png', type: 'image', hash: 'h3', isBroken: true, tags: ['y'] });
+        const result = assetManager.importAsset({ id: '5', name: 'moved.png', type: 'image', hash: 'h3', isBroken: false, fullResData: 'data3', absolutePath: '/new/c.png' });
+        expect(result.status).toBe('relinked');
+        expect(assetManager.getAsset('4')).toMatchObject({ name: 'c.png', isBroken: false, fullResData: 'data3', absolutePath: '/new/c.png', tags: ['y'] });
+        expect(assetManager.getAssets().map(a => a.id)).toEqual(['1', '3', '4']);
+    });
+
+    it('should compare assets without a hash by their data', () => {
+        assetManager.addAsset({ id: '1', name: 'a.png', type: 'image', fullResData: 'data1' });
+        expect(assetManager.findDuplicate({ id: '2', type: 'image', fullResData: 'data1' })?.id).toBe('1');
+        expect(assetManager.findDuplicate({ id: '2', type: 'image', fullResData: 'data2' })).toBeUndefined();
+    });
+
+    it('should release the decoded image when reading the file fails', async () => {
+        const bitmap = { width: 10, height: 10, close: vi.fn() };
+        vi.stubGlobal('createImageBitmap', vi.fn(async () => bitmap));
+        const file = new File(['png'], 'photo.png', { type: 'image/png' });
+        file.slice = () => ({ arrayBuffer: async () => new ArrayBuffer(0) });
+        file.arrayBuffer = async () => { throw new Error('Read failed'); };
+
+        await expect(assetManager.processFile(file)).rejects.toThrow('Read failed');
+        expect(bitmap.close).toHaveBeenCalled();
+        vi.unstubAllGlobals();
     });
 });
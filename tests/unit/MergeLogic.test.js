@@ -193,4 +193,57 @@ describe('Advanced Merge Logic (isDividerMergeable)', () => {
         // Structural properties: parent keeps its identity but takes expander's state
         expect(parent.pizzaType).toBe('Napoli');
     });
+
+    it('should only merge the two children around the divider in an N-way split', () => {
+        const parent = {
+            id: 'P',
+            splitState: 'split',
+            orientation: 'vertical',
+            children: [
+                { id: 'A', splitState: 'unsplit', size: '25%', text: 'A' },
+                { id: 'B', splitState: 'unsplit', size: '25%' },
+                { id: 'C', splitState: 'unsplit', size: '50%' }
+            ]
+        };
+        expect(isDividerMergeable(parent)).toBe(true);
+
+        const merged = mergeNodesInTree(parent, 'B', 'C');
+
+        expect(merged.id).toBe('B');
+        expect(parent.splitState).toBe('split');
+        expect(parent.children.map(c => c.id)).toEqual(['A', 'B']);
+        expect(parent.children[0].size).toBe('25%');
+        expect(parent.children[1].size).toBe('75%');
+    });
+
+    it('should consume the touching sub-child of an N-way neighbour', () => {
+        const parent = {
+            id: 'P',
+            splitState: 'split',
+            orientation: 'vertical',
+            children: [
+                { id: 'A', splitState: 'unsplit', size: '40%' },
+                {
+                    id: 'BCD',
+                    splitState: 'split',
+                    orientation: 'vertical',
+                    size: '60%',
+                    children: [
+                        { id: 'B', splitState: 'unsplit', size: '50%' },
+                        { id: 'C', splitState: 'unsplit', size: '25%' },
+                        { id: 'D', splitState: 'unsplit', size: '25%' }
+                    ]
+                }
+            ]
+        };
+
+        mergeNodesInTree(parent, 'A');
+
+        // A: 40% + 60% * 50% = 70%, BCD keeps [C | D] at 50/50 and shrinks to 30%
+        expect(parent.children[0].size).toBe('70%');
+        expect(parent.children[1].id).toBe('BCD');
+        expect(parent.children[1].size).toBe('30%');
+        expect(parent.children[1].children.map(c => c.id)).toEqual(['C', 'D']);
+        expect(parent.children[1].children[0].size).toBe('50%');
+    });
 });
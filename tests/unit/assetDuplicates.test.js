@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { state } from '../../src/js/core/state.js';
+import { assetManager, hashContent } from '../../src/js/assets/AssetManager.js';
+import * as utils from '../../src/js/core/utils.js';
+import { saveState, undo, clearHistory } from '../../src/js/io/history.js';
+import {
+    ensureAssetHashes,
+    findDuplicateGroups,
+    mergeAssetInfo,
+    mergeDuplicateAssets
+} from '../../src/js/assets/assetDuplicates.js';
+
+const leaf = (id, assetId = null) => ({ id, splitState: 'unsplit', image: assetId ? { assetId, fit: 'cover' } : null, text: null });
+const image = (id, fullResData, extra = {}) => ({ id, name: `${id}.png`, type: 'image', fullResData, lowResData: 'thumb', ...extra });
+
+describe('assetDuplicates.js', () => {
+    beforeEach(() => {
+        state.pages = [
+            { id: 'rect-1', splitState: 'split', orientation: 'vertical', children: [leaf('rect-2', 'a'), leaf('rect-3', 'b')] },
+            leaf('rect-4', 'c')
+        ];
+        state.masters = [{ id: 'master-1', name: 'Frame', layout: leaf('rect-5', 'b') }];
+        state.currentPageIndex = 0;
+        state.editingMasterId = null;
+        clearHistory();
+        assetManager.dispose();
+        document.body.innerHTML = '<div id="a4-paper"></div>';
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should group assets by content and keep the first one not broken', () => {
+        const assets = [
+            image('a', 'x', { hash: 'h1', isBroken: true }),
+            image('b', 'x', { hash: 'h1' }),
+            image('c', 'y', { hash: 'h2' }),
+            { id: 'd', type: 'text', fullResData: 'x', hash: 'h1' },
+            image('e', 'x', { hash: 'h1' })
+        ];
+        expect(findDuplicateGroups(assets).map(group => group.map(a => a.id))).toEqual([['b', 'a', 'e']]);
+    });
+
+    it('should merge tags, ratings and labels', () => {
+        expect(mergeAssetInfo([
+            { tags: ['beach'], rating: 2 },
+            { tags: ['Beach', 'summer'], rating: 4, label: 'red' },
+            { label: 'blue' }
+        ])).toEqual({ tags: ['beach', 'summer'], rating: 4, label: 'red' });
+    });
+
+    it('should hash assets imported before hashes existed', async () => {
+        assetManager.addAsset(image('a', 'data:image/png;base64,AAAA'));
+        assetManager.addAsset(image('b', 'data:image/png;base64,BBBB', { hash: 'known' }));
+        assetManager.addAsset({ id: 'c', name: 'linked.png', type: 'image', fullResData: null, absolutePath: '/linked.png' });
+
+        expect(await ensureAssetHashes()).toBe(1);
+        expect(assetManager.getAsset('a').hash).toBe(await hashContent(new Uint8Array([0, 0, 0])));
+        expect(assetManager.getAsset('b').hash).toBe('known');
+        expect(assetManager.getAsset('c').hash).toBeUndefined();
+    });
+
+    it('should point images at the asset kept and remove the duplicates', async () => {
+        assetManager.addAsset(image('a', 'data:image/png;base64,AAAA', { tags: ['one'] }));
+        assetManager.addAsset(image('b', 'data:image/png;base64,AAAA', { tags: ['two'], rating: 3 }));
+        assetManager.addAsset(image('c', 'data:image/png;base64,BBBB'));
+        const confirm = vi.spyOn(utils, 'showConfirm').mockResolvedValue(true);
+
+        expect(await mergeDuplicateAssets()).toBe(1);
+        expect(confirm.mock.calls[0][0]).toContain('Merge 1 duplicate into 1 asset?');
+        expect(assetManager.getAssets().map(a => a.id)).toEqual(['a', 'c']);
+        expect(assetManager.getAsset('a')).toMatchObject({ tags: ['one', 'two'], rating: 3 });
+        expect(state.pages[0].children.map(node => node.image.assetId)).toEqual(['a', 'a']);
+        expect(state.masters[0].layout.image.assetId).toBe('a');
+        expect(state.pages[1].image.assetId).toBe('c');
+    });
+
+    it('should point the undo history at the asset kept', async () => {
+        assetManager.addAsset(image('a', 'data:image/png;base64,AAAA'));
+        assetManager.addAsset(image('b', 'data:image/png;base64,AAAA'));
+        saveState();
+        state.pages[0].children[1].image = null;
+        vi.spyOn(utils, 'showConfirm').mockResolvedValue(true);
+
+        await mergeDuplicateAssets();
+        // The merge adds no undo step of its own: this undoes the change before it
+        undo();
+        expect(state.pages[0].children[1].image.assetId).toBe('a');
+        expect(state.masters[0].layout.image.assetId).toBe('a');
+    });
+
+    it('should change nothing when the merge is cancelled', async () => {
+        assetManager.addAsset(image('a', 'data:image/png;base64,AAAA'));
+        assetManager.addAsset(image('b', 'data:image/png;base64,AAAA'));
+        vi.spyOn(utils, 'showConfirm').mockResolvedValue(false);
+
+        expect(await mergeDuplicateAssets()).toBe(0);
+        expect(assetManager.getAssets()).toHaveLength(2);
+        expect(state.pages[0].children[1].image.assetId).toBe('b');
+    });
+});
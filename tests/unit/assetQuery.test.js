@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { createAssetQuery, isDefaultQuery, queryAssets, normalizeTags, getAllTags, matchesSearch } from '../../src/js/assets/assetQuery.js';
+
+const asset = (name, capturedAt) => ({ id: name, name, type: 'image', metadata: capturedAt ? { capturedAt } : undefined });
+
+describe('assetQuery.js', () => {
+    const assets = [
+        asset('c.jpg', '2023-05-01T10:00:00'),
+        asset('a.jpg', null),
+        asset('b.jpg', '2021-12-24T18:30:00'),
+        asset('d.jpg', '2023-05-01T10:00:00')
+    ];
+    const names = (list) => list.map(a => a.name);
+
+    it('should keep the import order by default', () => {
+        const query = createAssetQuery();
+        expect(isDefaultQuery(query)).toBe(true);
+        expect(names(queryAssets(assets, query))).toEqual(['c.jpg', 'a.jpg', 'b.jpg', 'd.jpg']);
+    });
+
+    it('should sort by capture date with undated assets last', () => {
+        expect(names(queryAssets(assets, { ...createAssetQuery(), sort: 'newest' }))).toEqual(['c.jpg', 'd.jpg', 'b.jpg', 'a.jpg']);
+        expect(names(queryAssets(assets, { ...createAssetQuery(), sort: 'oldest' }))).toEqual(['b.jpg', 'c.jpg', 'd.jpg', 'a.jpg']);
+        expect(names(queryAssets(assets, { ...createAssetQuery(), sort: 'name' }))).toEqual(['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg']);
+    });
+
+    it('should filter by capture day, bounds included', () => {
+        const query = { ...createAssetQuery(), from: '2022-01-01', to: '2023-05-01' };
+        expect(isDefaultQuery(query)).toBe(false);
+        expect(names(queryAssets(assets, query))).toEqual(['c.jpg', 'd.jpg']);
+        expect(names(queryAssets(assets, { ...createAssetQuery(), to: '2022-01-01' }))).toEqual(['b.jpg']);
+    });
+
+    describe('search, tags, ratings and labels', () => {
+        const library = [
+            { id: '1', name: 'beach.jpg', path: 'holiday/beach.jpg', tags: ['summer', 'family'], rating: 4, label: 'green' },
+            { id: '2', name: 'cat.png', path: 'pets/cat.png', tags: ['family'], rating: 2 },
+            { id: '3', name: 'notes.md', path: 'notes.md', type: 'text' },
+            { id: '4', name: 'old.jpg', path: 'holiday/old.jpg', isBroken: true, label: 'red' }
+        ];
+        const ids = (query, used) => queryAssets(library, { ...createAssetQuery(), ...query }, used).map(a => a.id);
+
+        it('should find every searched word in the name, path or tags', () => {
+            expect(ids({ search: 'holiday' })).toEqual(['1', '4']);
+            expect(ids({ search: 'FAMILY pets' })).toEqual(['2']);
+            expect(ids({ search: '   ' })).toEqual(['1', '2', '3', '4']);
+            expect(matchesSearch(library[0], 'beach summer')).toBe(true);
+        });
+
+        it('should filter by tag, rating and label', () => {
+            expect(ids({ tag: 'family' })).toEqual(['1', '2']);
+            expect(ids({ minRating: 3 })).toEqual(['1']);
+            expect(ids({ label: 'red' })).toEqual(['4']);
+            expect(isDefaultQuery({ ...createAssetQuery(), label: 'red' })).toBe(false);
+        });
+
+        it('should filter by use in the layout', () => {
+            const used = new Set(['2']);
+            expect(ids({ usage: 'used' }, used)).toEqual(['2']);
+            expect(ids({ usage: 'unused' }, used)).toEqual(['1', '3', '4']);
+            expect(ids({ usage: 'broken' }, used)).toEqual(['4']);
+        });
+
+        it('should normalize typed tags and list the tags in use', () => {
+            expect(normalizeTags(' Summer,family ,,  summer , New  York')).toEqual(['summer', 'family', 'new york']);
+            expect(getAllTags(library)).toEqual(['family', 'summer']);
+        });
+    });
+});
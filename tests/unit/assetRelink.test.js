@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { assetManager } from '../../src/js/assets/AssetManager.js';
+import {
+    getMissingReferences,
+    scorePathMatch,
+    findRelinkCandidates,
+    planRelink,
+    applyRelinks
+} from '../../src/js/assets/assetRelink.js';
+
+const linked = (id, absolutePath, extra = {}) => ({
+    id, name: absolutePath.split('/').pop(), type: 'image', path: absolutePath.split('/').slice(-2).join('/'),
+    absolutePath, isReference: true, isBroken: true, fullResData: null, lowResData: null, ...extra
+});
+const file = (path) => ({ name: path.split('/').pop(), path, absolutePath: `/new/${path}` });
+
+describe('assetRelink.js', () => {
+    beforeEach(() => {
+        assetManager.dispose();
+    });
+
+    it('should list only the linked files that are missing', () => {
+        const assets = [
+            linked('a', '/old/trip/a.jpg'),
+            linked('b', '/old/trip/b.jpg', { isBroken: false }),
+            { id: 'c', name: 'c.jpg', type: 'image', isBroken: true, isReference: false }
+        ];
+        expect(getMissingReferences(assets).map(a => a.id)).toEqual(['a']);
+    });
+
+    it('should score the path segments shared with the original location', () => {
+        const asset = linked('a', '/old/photos/trip/day1/a.jpg', { path: 'trip/day1/a.jpg' });
+        expect(scorePathMatch(asset, file('photos/trip/day1/a.jpg'))).toBe(4);
+        expect(scorePathMatch(asset, file('trip/day2/a.jpg'))).toBe(1);
+        expect(scorePathMatch(asset, file('Day1/A.JPG'))).toBe(2);
+    });
+
+    it('should match by name and prefer the closest path', () => {
+        const assets = [linked('a', '/old/trip/day1/a.jpg'), linked('b', '/old/trip/b.jpg'), linked('c', '/old/c.jpg')];
+        const files = [file('day1/a.jpg'), file('day2/a.jpg'), file('x/b.jpg'), file('y/b.jpg')];
+        const plan = planRelink(assets, findRelinkCandidates(assets, files));
+
+        expect(plan[0]).toMatchObject({ status: 'matched', file: files[0] });
+        expect(plan[1]).toMatchObject({ status: 'conflict', reason: 'ambiguous', candidates: [files[2], files[3]] });
+        expect(plan[2]).toMatchObject({ status: 'missing', file: null });
+    });
+
+    it('should use content hashes when the asset has one', () => {
+        const assets = [linked('a', '/old/day1/a.jpg', { hash: 'h1' }), linked('b', '/old/b.jpg', { hash: 'h2' })];
+        const files = [file('day1/a.jpg'), file('day2/a.jpg'), file('b.jpg')];
+        const hashes = { '/new/day1/a.jpg': 'other', '/new/day2/a.jpg': 'h1', '/new/b.jpg': 'edited' };
+        const plan = planRelink(assets, findRelinkCandidates(assets, files), hashes);
+
+        expect(plan[0]).toMatchObject({ status: 'matched', file: files[1] });
+        expect(plan[1]).toMatchObject({ status: 'conflict', reason: 'changed', candidates: [files[2]] });
+    });
+
+    it('should update the paths and load the files again', async () => {
+        assetManager.addAsset(linked('a', '/old/a.jpg'));
+        assetManager.addAsset(linked('b', '/old/b.jpg'));
+        const rehydrate = vi.spyOn(assetManager, 'rehydrateAsset').mockImplementation(async asset => (
+            asset.id === 'a' ? { success: true, asset } : { error: new Error('File not found'), asset }
+        ));
+
+        const result = await applyRelinks([
+            { asset: assetManager.getAsset('a'), file: file('a.jpg') },
+            { asset: assetManager.getAsset('b'), file: file('b.jpg') }
+        ]);
+
+        expect(result).toEqual({ relinked: 1, failed: 1 });
+        expect(rehydrate).toHaveBeenCalledTimes(2);
+        expect(assetManager.getAsset('a').absolutePath).toBe('/new/a.jpg');
+        expect(assetManager.getAsset('b').absolutePath).toBe('/new/b.jpg');
+    });
+});
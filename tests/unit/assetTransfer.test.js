@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { assetManager } from '../../src/js/assets/AssetManager.js';
+import {
+    collectAssetIds,
+    getTransferableAssets,
+    findMatchingAsset,
+    importTransferredAssets,
+    remapAssetIds
+} from '../../src/js/assets/assetTransfer.js';
+
+const image = (id, fullResData) => ({ id, name: `${id}.jpg`, type: 'image', lowResData: 'thumb', fullResData, path: `${id}.jpg` });
+
+describe('assetTransfer.js', () => {
+    beforeEach(() => {
+        assetManager.dispose();
+    });
+
+    it('should collect the assets referenced by a subtree', () => {
+        const subtree = {
+            splitState: 'split',
+            children: [
+                { splitState: 'unsplit', image: { assetId: 'a' } },
+                { splitState: 'split', children: [{ splitState: 'unsplit', image: { assetId: 'b' } }, { splitState: 'unsplit', text: 'x' }] }
+            ]
+        };
+        expect([...collectAssetIds(subtree)]).toEqual(['a', 'b']);
+    });
+
+    it('should copy the records of known assets only', () => {
+        assetManager.addAsset(image('a', 'data:image/jpeg;base64,AAA'));
+        const records = getTransferableAssets(['a', 'missing']);
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({ id: 'a', fullResData: 'data:image/jpeg;base64,AAA', isReference: false });
+    });
+
+    it('should leave out the full data the paste side can find again', async () => {
+        assetManager.addAsset({ ...image('a', 'data:image/jpeg;base64,AAA'), hash: 'h1' });
+        assetManager.addAsset({ ...image('b', 'data:image/jpeg;base64,BBB'), absolutePath: '/photos/b.jpg' });
+        const records = getTransferableAssets(['a', 'b']);
+        expect(records.map(r => [r.fullResData, r.lowResData])).toEqual([[null, 'thumb'], [null, 'thumb']]);
+
+        // Pasted into another document of the same window
+        assetManager.dispose();
+        await importTransferredAssets(records);
+        expect(assetManager.getAsset('a')).toMatchObject({ fullResData: 'data:image/jpeg;base64,AAA', hash: 'h1', isReference: false });
+        expect(assetManager.getAsset('b')).toMatchObject({ fullResData: null, absolutePath: '/photos/b.jpg', isReference: true });
+    });
+
+    it('should fall back to the thumbnail when the full data cannot be found', async () => {
+        assetManager.addAsset({ ...image('a', 'data:image/jpeg;base64,AAA'), hash: 'h1' });
+        const [record] = getTransferableAssets(['a']);
+        getTransferableAssets([]);
+        assetManager.dispose();
+
+        await importTransferredAssets([record]);
+        expect(assetManager.getAsset('a')).toMatchObject({ fullResData: 'thumb', isReference: false });
+        expect(assetManager.getAsset('a').hash).toBeUndefined();
+    });
+
+    it('should match the same image under another id', () => {
+        const assets = [image('here', 'data:image/jpeg;base64,AAA')];
+        expect(findMatchingAsset(image('there', 'data:image/jpeg;base64,AAA'), assets).id).toBe('here');
+        expect(findMatchingAsset(image('there', 'data:image/jpeg;base64,BBB'), assets)).toBeUndefined();
+        expect(findMatchingAsset({ id: 'there', hash: 'h1' }, [{ ...assets[0], hash: 'h1' }]).id).toBe('here');
+    });
+
+    it('should add missing assets and reuse the ones already there', async () => {
+        assetManager.addAsset(image('here', 'data:image/jpeg;base64,AAA'));
+
+        const idMap = await importTransferredAssets([
+            image('there', 'data:image/jpeg;base64,AAA'),
+            image('new', 'data:image/jpeg;base64,BBB'),
+            { id: 'bad', type: 'text', fullResData: 'hello' }
+        ]);
+
+        expect(idMap.get('there')).toBe('here');
+        expect(idMap.get('new')).toBe('new');
+        expect(idMap.has('bad')).toBe(false);
+        expect(assetManager.getAssets().map(a => a.id)).toEqual(['here', 'new']);
+    });
+
+    it('should point pasted images at the document assets', () => {
+        const content = { image: { assetId: 'there', fit: 'cover' }, text: null };
+        remapAssetIds(content, new Map([['there', 'here']]));
+        expect(content.image).toEqual({ assetId: 'here', fit: 'cover' });
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { state } from '../../src/js/core/state.js';
+import { assetManager } from '../../src/js/assets/AssetManager.js';
+import * as utils from '../../src/js/core/utils.js';
+import { saveState, undo, clearHistory } from '../../src/js/io/history.js';
+import {
+    buildUsageIndex,
+    getUnusedAssets,
+    getAssetDataSize,
+    formatBytes,
+    revealNextUsage,
+    removeUnusedAssets
+} from '../../src/js/assets/assetUsage.js';
+
+const leaf = (id, assetId = null) => ({ id, splitState: 'unsplit', image: assetId ? { assetId, fit: 'cover' } : null, text: null });
+
+describe('assetUsage.js', () => {
+    beforeEach(() => {
+        state.pages = [
+            { id: 'rect-1', splitState: 'split', orientation: 'vertical', children: [leaf('rect-2', 'a'), leaf('rect-3', 'b')] },
+            leaf('rect-4', 'a')
+        ];
+        state.masters = [{ id: 'master-1', name: 'Frame', layout: { id: 'rect-5', splitState: 'split', orientation: 'horizontal', children: [leaf('rect-6', 'c'), leaf('rect-7')] } }];
+        state.currentPageIndex = 0;
+        state.editingMasterId = null;
+        clearHistory();
+        assetManager.dispose();
+        ['a', 'b', 'c', 'unused'].forEach(id => assetManager.addAsset({ id, name: `${id}.jpg`, type: 'image', fullResData: 'x'.repeat(1000), lowResData: 'y'.repeat(24) }));
+        assetManager.addAsset({ id: 'notes', name: 'notes.md', type: 'text', fullResData: 'text' });
+        document.body.innerHTML = '<div id="a4-paper"></div>';
+    });
+
+    it('should index placements on pages and master pages', () => {
+        const index = buildUsageIndex();
+        expect(index.get('a')).toEqual([
+            { pageIndex: 0, masterId: null, nodeId: 'rect-2' },
+            { pageIndex: 1, masterId: null, nodeId: 'rect-4' }
+        ]);
+        expect(index.get('c')).toEqual([{ pageIndex: null, masterId: 'master-1', nodeId: 'rect-6' }]);
+        expect(index.has('unused')).toBe(false);
+    });
+
+    it('should list unused images only', () => {
+        expect(getUnusedAssets(assetManager.getAssets(), buildUsageIndex()).map(a => a.id)).toEqual(['unused']);
+    });
+
+    it('should measure and format the image data size', () => {
+        expect(getAssetDataSize(assetManager.getAsset('a'))).toBe(1024);
+        expect(getAssetDataSize({ fullResData: null, lowResData: null })).toBe(0);
+        expect(formatBytes(512)).toBe('512 B');
+        expect(formatBytes(1536)).toBe('1.5 KB');
+        expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+    });
+
+    it('should cycle through the placements of an asset', () => {
+        expect(revealNextUsage('a').nodeId).toBe('rect-2');
+        expect(revealNextUsage('a').nodeId).toBe('rect-4');
+        expect(state.currentPageIndex).toBe(1);
+        expect(revealNextUsage('a').nodeId).toBe('rect-2');
+        expect(state.currentPageIndex).toBe(0);
+
+        expect(revealNextUsage('c').masterId).toBe('master-1');
+        expect(state.editingMasterId).toBe('master-1');
+        expect(revealNextUsage('unused')).toBe(null);
+    });
+
+    it('should remove unused images once confirmed', async () => {
+        const confirm = vi.spyOn(utils, 'showConfirm').mockResolvedValue(true);
+
+        expect(await removeUnusedAssets()).toBe(1);
+        expect(confirm.mock.calls[0][0]).toContain('1.0 KB');
+        expect(assetManager.getAssets().map(a => a.id)).toEqual(['a', 'b', 'c', 'notes']);
+        confirm.mockRestore();
+    });
+
+    it('should keep the images that undo can place again', async () => {
+        state.pages[1].image = { assetId: 'unused', fit: 'cover' };
+        saveState();
+        state.pages[1].image = null;
+        const confirm = vi.spyOn(utils, 'showConfirm').mockResolvedValue(true);
+
+        expect(await removeUnusedAssets()).toBe(0);
+        expect(confirm).not.toHaveBeenCalled();
+        expect(assetManager.getAsset('unused')).toBeTruthy();
+
+        undo();
+        expect(state.pages[1].image.assetId).toBe('unused');
+        confirm.mockRestore();
+    });
+});
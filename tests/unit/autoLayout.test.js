@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { findBestArrangement, planAutoLayout, buildAutoLayoutPage, cropForDistortion } from '../../src/js/layout/autoLayout.js';
+
+const countLeaves = (node) => node.splitState === 'split' ? node.children.reduce((n, c) => n + countLeaves(c), 0) : 1;
+const sizeOf = (node) => parseFloat(node.size);
+
+describe('autoLayout.js', () => {
+    it('should measure crop from the aspect distortion', () => {
+        expect(cropForDistortion(1)).toBe(0);
+        expect(cropForDistortion(2)).toBeCloseTo(0.5);
+        expect(cropForDistortion(0.5)).toBeCloseTo(0.5);
+    });
+
+    it('should stack two landscape images on a portrait page without cropping', () => {
+        // Two 3:2 photos stacked on a 3:4 page fit exactly
+        const result = findBestArrangement([1.5, 1.5], 0.75);
+        expect(result.mode).toBe('rows');
+        expect(result.groups).toEqual([[0], [1]]);
+        expect(result.crop).toBeCloseTo(0);
+    });
+
+    it('should put portrait images side by side on a landscape page', () => {
+        const result = findBestArrangement([0.5, 0.5, 0.5, 0.5], 2);
+        expect(result.groups).toHaveLength(1);
+        expect(result.crop).toBeCloseTo(0);
+    });
+
+    it('should balance pages and respect the crop tolerance', () => {
+        const pages = planAutoLayout(Array(10).fill(1.5), 0.75, { perPage: 4, maxCrop: 50 });
+        expect(pages.map(p => p.groups.flat().length)).toEqual([4, 3, 3]);
+        expect(pages.flatMap(p => p.groups.flat())).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+        // No tolerance: only arrangements that fit exactly, down to one image per page
+        const strict = planAutoLayout([1.5, 1.5, 3], 0.75, { perPage: 3, maxCrop: 0 });
+        expect(strict.every(p => p.crop < 1e-9 || p.groups.flat().length === 1)).toBe(true);
+    });
+
+    it('should build editable split trees sized by aspect ratio', () => {
+        const images = [
+            { assetId: 'a', aspect: 2 },
+            { assetId: 'b', aspect: 1 },
+            { assetId: 'c', aspect: 1 }
+        ];
+        const root = buildAutoLayoutPage({ mode: 'rows', groups: [[0], [1, 2]] }, images);
+
+        expect(root.splitState).toBe('split');
+        expect(root.orientation).toBe('horizontal');
+        expect(root.size).toBeUndefined();
+        expect(countLeaves(root)).toBe(3);
+        // Both rows have the same summed aspect, so the same height
+        expect(sizeOf(root.children[0])).toBeCloseTo(50);
+        expect(root.children[0].image).toEqual({ assetId: 'a', fit: 'cover' });
+        expect(root.children[1].orientation).toBe('vertical');
+        expect(root.children[1].children.map(sizeOf)).toEqual([50, 50]);
+    });
+
+    it('should add an empty caption slot under each image', () => {
+        const root = buildAutoLayoutPage({ mode: 'rows', groups: [[0]] }, [{ assetId: 'a', aspect: 1 }], true);
+        expect(root.orientation).toBe('horizontal');
+        expect(root.children[0].image.assetId).toBe('a');
+        expect(root.children[1].text).toBe('');
+        expect(root.children.map(sizeOf).reduce((a, b) => a + b)).toBe(100);
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    clampCanvasZoom, stepCanvasZoom, getAnchoredScroll,
+    setCanvasZoom, getCanvasZoom, fitCanvasToScreen
+} from '../../src/js/ui/canvasZoom.js';
+import { CANVAS_ZOOM_LEVELS } from '../../src/js/core/constants.js';
+
+describe('canvasZoom.js', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div class="workspace-wrapper"><main id="a4-paper" class="a4-paper"></main></div>';
+    });
+
+    afterEach(() => {
+        fitCanvasToScreen();
+        document.body.innerHTML = '';
+    });
+
+    it('should keep the zoom within the menu levels', () => {
+        expect(clampCanvasZoom(100)).toBe(CANVAS_ZOOM_LEVELS[CANVAS_ZOOM_LEVELS.length - 1]);
+        expect(clampCanvasZoom(0)).toBe(CANVAS_ZOOM_LEVELS[0]);
+        expect(clampCanvasZoom(NaN)).toBe(1);
+    });
+
+    it('should step to the next menu level', () => {
+        expect(stepCanvasZoom(1, 1)).toBe(1.5);
+        expect(stepCanvasZoom(1, -1)).toBe(0.75);
+        // Wheel zooms fall between levels
+        expect(stepCanvasZoom(1.2, 1)).toBe(1.5);
+        expect(stepCanvasZoom(1.2, -1)).toBe(1);
+        expect(stepCanvasZoom(8, 1)).toBe(8);
+    });
+
+    it('should keep the anchor point in place', () => {
+        const before = { left: 100, top: 50, width: 400, height: 600 };
+        // Doubled in size around the same centre
+        const after = { left: -100, top: -250, width: 800, height: 1200 };
+        const scroll = getAnchoredScroll({ left: 0, top: 0 }, { x: 200, y: 200 }, before, after);
+        // The point 1/4 across and 1/4 down the paper is at (100, 50) after the zoom, before scrolling
+        expect(scroll).toEqual({ left: -100, top: -150 });
+    });
+
+    it('should size the paper through the workspace', () => {
+        const workspace = document.querySelector('.workspace-wrapper');
+        let detail = null;
+        const listener = (e) => { detail = e.detail; };
+        document.addEventListener('canvasZoomChanged', listener);
+
+        setCanvasZoom(2);
+        expect(getCanvasZoom()).toBe(2);
+        expect(workspace.style.getPropertyValue('--canvas-zoom')).toBe('2');
+        expect(workspace.classList.contains('is-zoomed')).toBe(true);
+        expect(detail).toEqual({ zoom: 2 });
+
+        fitCanvasToScreen();
+        expect(workspace.classList.contains('is-zoomed')).toBe(false);
+        document.removeEventListener('canvasZoomChanged', listener);
+    });
+});
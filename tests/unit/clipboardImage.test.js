@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { assetManager } from '../../src/js/assets/AssetManager.js';
+import { importClipboardImage } from '../../src/js/layout/layout.js';
+
+const pastedAsset = (fullResData) => ({ id: crypto.randomUUID(), name: 'Pasted image.png', type: 'image', lowResData: 'thumb', fullResData });
+
+function mockClipboard(items) {
+    Object.defineProperty(navigator, 'clipboard', {
+        configurable: true,
+        value: {
+            read: vi.fn(async () => items.map(([type, blob]) => ({ types: [type], getType: async () => blob })))
+        }
+    });
+}
+
+describe('layout.js - clipboard images', () => {
+    beforeEach(() => {
+        assetManager.dispose();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        delete navigator.clipboard;
+        delete window.electronAPI;
+    });
+
+    it('should import image data as a new asset', async () => {
+        mockClipboard([['image/png', new Blob(['png'], { type: 'image/png' })]]);
+        const processFile = vi.spyOn(assetManager, 'processFile').mockImplementation(async () => pastedAsset('data:image/png;base64,AAA'));
+
+        const id = await importClipboardImage();
+
+        expect(processFile.mock.calls[0][0].name).toBe('Pasted image.png');
+        expect(assetManager.getAsset(id)).toBeTruthy();
+    });
+
+    it('should reuse an asset holding the same image', async () => {
+        assetManager.addAsset({ ...pastedAsset('data:image/png;base64,AAA'), id: 'existing' });
+        mockClipboard([['image/png', new Blob(['png'], { type: 'image/png' })]]);
+        vi.spyOn(assetManager, 'processFile').mockImplementation(async () => pastedAsset('data:image/png;base64,AAA'));
+
+        expect(await importClipboardImage()).toBe('existing');
+        expect(assetManager.getAssets()).toHaveLength(1);
+    });
+
+    it('should ignore image data when only files are wanted', async () => {
+        mockClipboard([['image/png', new Blob(['png'], { type: 'image/png' })]]);
+        expect(await importClipboardImage(true)).toBe(null);
+        mockClipboard([['text/html', new Blob(['<p>x</p>'], { type: 'text/html' })]]);
+        expect(await importClipboardImage()).toBe(null);
+    });
+
+    it('should prefer image files copied in the file manager', async () => {
+        window.electronAPI = {
+            readClipboardFiles: async () => [{ name: 'a.jpg', path: 'a.jpg', absolutePath: '/photos/a.jpg', type: 'image', data: 'data:image/jpeg;base64,BBB' }]
+        };
+        const processRawImage = vi.spyOn(assetManager, 'processRawImage').mockImplementation(async () => pastedAsset('data:image/jpeg;base64,BBB'));
+
+        expect(await importClipboardImage(true)).toBeTruthy();
+        expect(processRawImage).toHaveBeenCalledWith('a.jpg', 'data:image/jpeg;base64,BBB', 'image', 'a.jpg', '/photos/a.jpg');
+    });
+});
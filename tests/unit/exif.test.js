@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { readImageMetadata, swapsDimensions, bytesFromDataUrl } from '../../src/js/assets/exif.js';
+
+/**
+ * Builds a little-endian TIFF block. Entries are [tag, type, value]; ASCII values
+ * are stored after the IFDs, sub-IFDs are given as arrays of entries.
+ */
+function buildTiff(entries) {
+    const bytes = [];
+    const u16 = (v) => bytes.push(v & 0xff, (v >> 8) & 0xff);
+    const u32 = (v) => bytes.push(v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff, (v >>> 24) & 0xff);
+
+    // Layout: header, then each IFD, then string data
+    const ifds = [];
+    const collect = (list) => {
+        const ifd = { list, offset: 0 };
+        ifds.push(ifd);
+        list.forEach(e => { if (Array.isArray(e[2])) e.sub = collect(e[2]); });
+        return ifd;
+    };
+    collect(entries);
+
+    let offset = 8;
+    ifds.forEach(ifd => { ifd.offset = offset; offset += 2 + ifd.list.length * 12 + 4; });
+    const strings = [];
+    ifds.forEach(ifd => ifd.list.forEach(e => {
+        if (e[1] === 2) {
+            e.strOffset = offset;
+            strings.push(e[2]);
+            offset += e[2].length + 1;
+        }
+    }));
+
+    bytes.push(0x49, 0x49);
+    u16(42);
+    u32(8);
+    ifds.forEach(ifd => {
+        u16(ifd.list.length);
+        ifd.list.forEach(e => {
+            const [tag, type, value] = e;
+            u16(tag);
+            u16(type);
+            if (type === 2) {
+                u32(value.length + 1);
+                u32(e.strOffset);
+            } else if (type === 3) {
+                u32(1);
+                u16(value);
+                u16(0);
+            } else {
+                u32(1);
+                u32(e.sub ? e.sub.offset : value);
+            }
+        });
+        u32(0);
+    });
+    strings.forEach(str => {
+        for (const ch of str) bytes.push(ch.charCodeAt(0));
+        bytes.push(0);
+    });
+    return bytes;
+}
+
+function buildJpeg(tiff, { width = 400, height = 300 } = {}) {
+    const app1 = [0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+    const length = app1.length + 2;
+    const sof = [0xff, 0xc0, 0, 17, 8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1];
+    return new Uint8Array([0xff, 0xd8, 0xff, 0xe1, length >> 8, length & 0xff, ...app1, ...sof, 0xff, 0xda, 0, 2]);
+}
+
+describe('exif.js', () => {
+    it('should read orientation, capture date, camera and GPS from a JPEG', () => {
+        const tiff = buildTiff([
+            [0x010f, 2, 'Canon'],
+            [0x0110, 2, 'Canon EOS R6'],
+            [0x0112, 3, 6],
+            [0x8769, 4, [
+                [0x9003, 2, '2023:05:01 14:22:10'],
+                [0xa002, 4, 6000],
+                [0xa003, 4, 4000]
+            ]],
+            [0x8825, 4, [[0x0001, 2, 'N']]]
+        ]);
+
+        expect(readImageMetadata(buildJpeg(tiff))).toEqual({
+            orientation: 6,
+            capturedAt: '2023-05-01T14:22:10',
+            camera: 'Canon EOS R6',
+            hasGps: true,
+            width: 6000,
+            height: 4000
+        });
+    });
+
+    it('should fall back to the frame size and defaults without EXIF tags', () => {
+        const meta = readImageMetadata(buildJpeg(buildTiff([[0x010f, 2, 'Apple'], [0x0110, 2, 'iPhone 15']]), { width: 640, height: 480 }));
+        expect(meta).toMatchObject({ orientation: 1, capturedAt: null, camera: 'Apple iPhone 15', hasGps: false, width: 640, height: 480 });
+    });
+
+    it('should read PNG dimensions and ignore unknown or damaged files', () => {
+        const png = new Uint8Array([
+            0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+            0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0x01, 0x00, 0, 0, 0x00, 0x80, 8, 6, 0, 0, 0, 0, 0, 0, 0
+        ]);
+        expect(readImageMetadata(png)).toMatchObject({ width: 256, height: 128, orientation: 1 });
+
+        expect(readImageMetadata(new Uint8Array([0xff, 0xd8, 0xff, 0xe1, 0xff, 0xff, 1, 2, 3, 4, 5, 6]))).toMatchObject({ orientation: 1 });
+        expect(readImageMetadata(new Uint8Array(20))).toMatchObject({ orientation: 1, capturedAt: null });
+    });
+
+    it('should know which orientations swap width and height', () => {
+        expect([1, 2, 3, 4, 5, 6, 7, 8].filter(swapsDimensions)).toEqual([5, 6, 7, 8]);
+    });
+
+    it('should decode only the start of a data URL', () => {
+        const dataUrl = `data:image/jpeg;base64,${btoa('abcdefghij')}`;
+        expect(Array.from(bytesFromDataUrl(dataUrl, 4)).length).toBeGreaterThanOrEqual(4);
+        expect(String.fromCharCode(...bytesFromDataUrl(dataUrl))).toBe('abcdefghij');
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { computeBleedExtension, screenToImageEdges } from '../../src/js/io/export.js';
+
+describe('export.js - bleed extension', () => {
+    it('should keep a cover image centered while covering the extended box', () => {
+        // Square image in a 100x50 box touching the left edge only
+        const g = computeBleedExtension(
+            { width: 100, height: 50 },
+            { left: 10, top: 0, right: 0, bottom: 0 },
+            { width: 200, height: 200 }
+        );
+
+        // Growth is mirrored so the image stays centered on the original box
+        expect(g.imageWidth).toBe(120);
+        expect(g.imageHeight).toBe(120);
+        expect(g.x).toBe(-10);
+        expect(g.y).toBe(-35);
+
+        expect(g.extension.width).toBe(110);
+        expect(g.extension.height).toBe(50);
+        // Same image position, shifted by the left growth
+        expect(g.extension.x).toBe(0);
+        expect(g.extension.y).toBe(-35);
+    });
+
+    it('should cover every side for a full-page image', () => {
+        const g = computeBleedExtension(
+            { width: 200, height: 300 },
+            { left: 5, top: 5, right: 5, bottom: 5 },
+            { width: 400, height: 300 }
+        );
+
+        expect(g.extension.width).toBe(210);
+        expect(g.extension.height).toBe(310);
+        expect(g.extension.x).toBeLessThanOrEqual(0);
+        expect(g.extension.y).toBeLessThanOrEqual(0);
+        expect(g.extension.x + g.imageWidth).toBeGreaterThanOrEqual(g.extension.width);
+        expect(g.extension.y + g.imageHeight).toBeGreaterThanOrEqual(g.extension.height);
+    });
+
+    it('should keep the framed point fixed when the image is zoomed off-center', () => {
+        const box = { width: 100, height: 100 };
+        const edges = { left: 10, top: 0, right: 0, bottom: 0 };
+        const view = { focalX: 0, focalY: 0.5, zoom: 2 };
+        const g = computeBleedExtension(box, edges, { width: 100, height: 100 }, view);
+
+        // Editor framing: 200px image anchored at the left edge, so the box center shows u = 0.25
+        const u = (box.width / 2 - g.x) / g.imageWidth;
+        expect(u).toBeCloseTo(0.25);
+        // The left bleed is covered by image pixels
+        expect(g.extension.x).toBeLessThanOrEqual(0);
+    });
+
+    it('should map trim edges onto the sides of a turned or mirrored image', () => {
+        const edges = { left: 10, top: 0, right: 0, bottom: 0 };
+        // Turned clockwise, the image's bottom faces the screen's left
+        expect(screenToImageEdges(edges, { rotation: 90 })).toEqual({ left: 0, top: 0, right: 0, bottom: 10 });
+        expect(screenToImageEdges(edges, { flip: true })).toEqual({ left: 0, top: 0, right: 10, bottom: 0 });
+        expect(screenToImageEdges(edges, { rotation: 270, flipY: true })).toEqual({ left: 0, top: 0, right: 0, bottom: 10 });
+    });
+});
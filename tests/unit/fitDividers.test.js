@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { measureShape, fitDividers, getNodeBox } from '../../src/js/layout/fitDividers.js';
+
+const leaf = (id, aspect, size) => ({ id, splitState: 'unsplit', image: aspect ? { assetId: id } : null, text: null, size, aspect });
+const split = (id, orientation, children, size) => ({ id, splitState: 'split', orientation, children, size });
+const aspectOf = (node) => node.aspect || null;
+
+describe('fitDividers.js', () => {
+    it('should measure the natural shape of rows and stacks', () => {
+        const row = split('r', 'vertical', [leaf('a', 1), leaf('b', 2)]);
+        expect(measureShape(row, aspectOf)).toEqual({ alpha: 3, beta: 0 });
+
+        const stack = split('s', 'horizontal', [leaf('a', 1), leaf('b', 1)]);
+        expect(measureShape(stack, aspectOf).alpha).toBeCloseTo(0.5);
+
+        // Dividers add width to a row
+        expect(measureShape(row, aspectOf, 10).beta).toBe(10);
+        // An empty cell has no preferred shape
+        expect(measureShape(split('e', 'vertical', [leaf('a', 1), leaf('b')]), aspectOf)).toBeNull();
+    });
+
+    it('should fit a row of images with no crop when the page allows it', () => {
+        const row = split('r', 'vertical', [leaf('a', 1, '50%'), leaf('b', 2, '50%')]);
+        const report = fitDividers(row, 300, 100, aspectOf);
+
+        expect(parseFloat(row.children[0].size)).toBeCloseTo(100 / 3);
+        expect(parseFloat(row.children[1].size)).toBeCloseTo(200 / 3);
+        expect(report.map(r => r.id)).toEqual(['a', 'b']);
+        report.forEach(r => expect(r.crop).toBeCloseTo(0));
+    });
+
+    it('should account for divider thickness in nested splits', () => {
+        // Two squares stacked next to a 1:2 portrait
+        const root = split('root', 'vertical', [
+            split('s', 'horizontal', [leaf('a', 1, '50%'), leaf('b', 1, '50%')], '50%'),
+            leaf('c', 0.5, '50%')
+        ]);
+        const gap = 10;
+        const height = 210;
+        const shape = measureShape(root, aspectOf, gap);
+        const width = shape.alpha * height + shape.beta;
+
+        const report = fitDividers(root, width, height, aspectOf, gap);
+        report.forEach(r => expect(r.crop).toBeCloseTo(0));
+        expect(getNodeBox(root, 'a', width, height, gap).width).toBeCloseTo(100);
+        expect(getNodeBox(root, 'a', width, height, gap).height).toBeCloseTo(100);
+    });
+
+    it('should report the residual crop when no exact fit exists', () => {
+        // Two squares side by side cannot fill a square page
+        const row = split('r', 'vertical', [leaf('a', 1, '30%'), leaf('b', 1, '70%')]);
+        const report = fitDividers(row, 100, 100, aspectOf);
+
+        expect(row.children.map(c => c.size)).toEqual(['50%', '50%']);
+        report.forEach(r => expect(r.crop).toBeCloseTo(0.5));
+    });
+
+    it('should give the leftover space to cells without an image', () => {
+        const row = split('r', 'vertical', [leaf('a', 1, '50%'), leaf('t', null, '50%')]);
+        const report = fitDividers(row, 300, 100, aspectOf);
+
+        expect(parseFloat(row.children[0].size)).toBeCloseTo(100 / 3);
+        expect(report).toHaveLength(1);
+        expect(report[0].crop).toBeCloseTo(0);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { state } from '../../src/js/core/state.js';
+import { updateSetting, resetSettings } from '../../src/js/ui/settings.js';
+import { createPresetGuides, addGuides, getGuides, getRulerStep, renderGuides } from '../../src/js/layout/guides.js';
+import { calculateDynamicSnaps, SNAP_TYPES } from '../../src/js/layout/internal/snapping.js';
+
+describe('guides.js', () => {
+    let savedPages;
+
+    beforeEach(() => {
+        savedPages = state.pages;
+        state.guides = [];
+        state.editingMasterId = null;
+    });
+
+    afterEach(() => {
+        state.pages = savedPages;
+        state.currentPageIndex = 0;
+        state.guides = [];
+        resetSettings();
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    it('should place preset guides', () => {
+        expect(createPresetGuides('thirds').map(g => g.position)).toEqual([33.333, 66.667, 33.333, 66.667]);
+        expect(createPresetGuides('golden').filter(g => g.orientation === 'vertical').map(g => g.position)).toEqual([38.197, 61.803]);
+        expect(createPresetGuides('columns', { columns: 4 })).toEqual([
+            { orientation: 'vertical', position: 25 },
+            { orientation: 'vertical', position: 50 },
+            { orientation: 'vertical', position: 75 }
+        ]);
+        // Portrait page: the same margin is a larger share of the width
+        const margins = createPresetGuides('margins', { aspect: 0.5 });
+        expect(margins.filter(g => g.orientation === 'vertical').map(g => g.position)).toEqual([5, 95]);
+        expect(margins.filter(g => g.orientation === 'horizontal').map(g => g.position)).toEqual([2.5, 97.5]);
+    });
+
+    it('should not add the same guide twice', () => {
+        const list = [{ orientation: 'vertical', position: 50 }];
+        expect(addGuides(list, createPresetGuides('columns', { columns: 2 }))).toBe(0);
+        expect(addGuides(list, [{ orientation: 'horizontal', position: 50 }, { orientation: 'vertical', position: 120 }])).toBe(1);
+        expect(list).toHaveLength(2);
+    });
+
+    it('should number rulers at 1, 2 or 5 times a power of ten', () => {
+        // 210 mm over 420 px: 2 px per mm, labels at least 50 px apart
+        expect(getRulerStep(420, 210)).toBe(50);
+        expect(getRulerStep(4200, 210)).toBe(5);
+        expect(getRulerStep(1000, 8.5)).toBe(0.5);
+        expect(getRulerStep(0, 210)).toBeNull();
+    });
+
+    it('should show document guides on every page and page guides on their page', () => {
+        state.guides = [{ orientation: 'vertical', position: 10 }];
+        state.pages = [
+            { id: 'rect-1', splitState: 'unsplit', guides: [{ orientation: 'horizontal', position: 20 }] },
+            { id: 'rect-2', splitState: 'unsplit' }
+        ];
+
+        state.currentPageIndex = 0;
+        expect(getGuides().map(g => g.scope)).toEqual(['document', 'page']);
+        state.currentPageIndex = 1;
+        expect(getGuides().map(g => g.scope)).toEqual(['document']);
+
+        document.body.innerHTML = '<div id="a4-paper" class="a4-paper"></div>';
+        renderGuides();
+        expect(document.querySelector('.paper-guides-layer')).toBeNull();
+
+        updateSetting('layout', 'showGuides', true);
+        renderGuides();
+        expect(document.querySelectorAll('.paper-guide')).toHaveLength(1);
+        expect(document.querySelectorAll('.paper-ruler')).toHaveLength(2);
+    });
+
+    it('should offer visible guides as divider snap points', () => {
+        state.pages = [{
+            id: 'rect-1',
+            splitState: 'split',
+            orientation: 'vertical',
+            children: [
+                { id: 'rect-2', splitState: 'unsplit', size: '50%' },
+                { id: 'rect-3', splitState: 'unsplit', size: '50%' }
+            ]
+        }];
+        state.currentPageIndex = 0;
+        state.guides = [{ orientation: 'vertical', position: 30 }, { orientation: 'horizontal', position: 40 }];
+        document.body.innerHTML = `
+            <div id="a4-paper"><div id="rect-1">
+                <div id="rect-2"></div>
+                <div class="divider" data-orientation="vertical" data-parent-id="rect-1" data-rect-a-id="rect-2" data-rect-b-id="rect-3"></div>
+                <div id="rect-3"></div>
+            </div></div>`;
+
+        const bounds = {
+            'a4-paper': { left: 0, top: 0, width: 200, height: 100 },
+            'rect-2': { left: 0, top: 0, width: 100, height: 100 },
+            'rect-3': { left: 100, top: 0, width: 100, height: 100 }
+        };
+        vi.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+            return bounds[this.id] || { left: 0, top: 0, width: 0, height: 0 };
+        });
+
+        const divider = document.querySelector('.divider');
+        expect(calculateDynamicSnaps(divider, 'vertical').filter(s => s.type === SNAP_TYPES.GUIDE)).toEqual([]);
+
+        updateSetting('layout', 'showGuides', true);
+        expect(calculateDynamicSnaps(divider, 'vertical').filter(s => s.type === SNAP_TYPES.GUIDE))
+            .toEqual([{ value: 30, type: SNAP_TYPES.GUIDE }]);
+    });
+});
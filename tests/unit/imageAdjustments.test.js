@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { getImageAdjustments, getImageFilter, hasImageAdjustments, applyImageAdjustments } from '../../src/js/layout/imageAdjustments.js';
+import { createImageFrame } from '../../src/js/layout/imageView.js';
+
+describe('imageAdjustments.js', () => {
+    it('should leave unadjusted images unfiltered', () => {
+        const image = { assetId: 'a', fit: 'cover' };
+        expect(hasImageAdjustments(image)).toBe(false);
+        expect(getImageFilter(image)).toBe('');
+        expect(getImageAdjustments(image)).toMatchObject({ grayscale: 0, brightness: 100, opacity: 100 });
+    });
+
+    it('should clamp stored values and ignore invalid ones', () => {
+        const values = getImageAdjustments({ adjustments: { grayscale: 150, contrast: -5, blur: 'x' } });
+        expect(values.grayscale).toBe(100);
+        expect(values.contrast).toBe(0);
+        expect(values.blur).toBe(0);
+    });
+
+    it('should build the filter in a fixed order, with blur relative to the cell', () => {
+        const image = { adjustments: { contrast: 120, grayscale: 100, blur: 5, opacity: 50 } };
+        expect(getImageFilter(image)).toBe('grayscale(100%) contrast(120%) blur(0.5cqmin)');
+    });
+
+    it('should apply opacity separately from the filter', () => {
+        const el = document.createElement('div');
+        applyImageAdjustments(el, { adjustments: { opacity: 40 } });
+        expect(el.style.opacity).toBe('0.4');
+
+        applyImageAdjustments(el, {});
+        expect(el.style.opacity).toBe('');
+    });
+
+    it('should bake adjustments into framed images without touching the node', () => {
+        const image = { assetId: 'a', adjustments: { sepia: 80 } };
+        const img = document.createElement('img');
+        createImageFrame(img, image);
+        expect(img.style.filter).toBe('sepia(80%)');
+        expect(image).toEqual({ assetId: 'a', adjustments: { sepia: 80 } });
+    });
+});
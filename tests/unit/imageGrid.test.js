@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { state } from '../../src/js/core/state.js';
+import { planImageGrid, fillLeafWithImages } from '../../src/js/layout/imageGrid.js';
+
+describe('imageGrid.js', () => {
+    beforeEach(() => {
+        state.currentId = 10;
+    });
+
+    it('should pick the columns that keep cells close to square', () => {
+        expect(planImageGrid(4, 1)).toEqual([2, 2]);
+        expect(planImageGrid(3, 3)).toEqual([3]);
+        expect(planImageGrid(3, 1 / 3)).toEqual([1, 1, 1]);
+        expect(planImageGrid(6, 1.5)).toEqual([3, 3]);
+    });
+
+    it('should give a short last row fewer, wider cells', () => {
+        expect(planImageGrid(5, 1)).toEqual([2, 2, 1]);
+        expect(planImageGrid(5, 1.5)).toEqual([3, 2]);
+    });
+
+    it('should split a leaf into rows of images in reading order', () => {
+        const leaf = { id: 'rect-3', splitState: 'unsplit', size: '40%', image: null, text: 'old', textAlign: 'left' };
+        const leaves = fillLeafWithImages(leaf, ['a', 'b', 'c'], 1.5, 'contain');
+
+        expect(leaf).toMatchObject({ id: 'rect-3', size: '40%', splitState: 'split', orientation: 'horizontal', text: null });
+        expect(leaf.children[0].orientation).toBe('vertical');
+        expect(leaf.children[0].children).toHaveLength(2);
+        expect(leaf.children[1].splitState).toBe('unsplit');
+        expect(leaves.map(l => l.image)).toEqual([
+            { assetId: 'a', fit: 'contain' },
+            { assetId: 'b', fit: 'contain' },
+            { assetId: 'c', fit: 'contain' }
+        ]);
+        expect(new Set(leaves.map(l => l.id)).size).toBe(3);
+    });
+
+    it('should use a single row without an extra level', () => {
+        const leaf = { id: 'rect-3', splitState: 'unsplit', image: null, text: null };
+        fillLeafWithImages(leaf, ['a', 'b'], 2);
+        expect(leaf.orientation).toBe('vertical');
+        expect(leaf.children.map(c => c.image.assetId)).toEqual(['a', 'b']);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getImageView, getImageTransform, applyImageView, panImageFocus, normalizeRotation, screenToImageDelta, attachImageAdjustHandlers, toggleImageAdjust, stopImageAdjust } from '../../src/js/layout/imageView.js';
+import * as history from '../../src/js/io/history.js';
+
+describe('imageView.js', () => {
+    it('should default to a centered, unzoomed view and clamp stored values', () => {
+        expect(getImageView({ assetId: 'a', fit: 'cover' })).toEqual({
+            focalX: 0.5, focalY: 0.5, zoom: 1, rotation: 0, flipX: false, flipY: false
+        });
+        expect(getImageView({ focalX: -1, focalY: 2, zoom: 50 })).toMatchObject({ focalX: 0, focalY: 1, zoom: 5 });
+        expect(getImageView({ zoom: 0.2 }).zoom).toBe(1);
+    });
+
+    it('should leave legacy images untransformed', () => {
+        expect(getImageTransform({ assetId: 'a', fit: 'cover' })).toBe('translate(-50%, -50%)');
+    });
+
+    it('should zoom around the focal point and mirror around the cell center', () => {
+        const transform = getImageTransform({ focalX: 0.25, focalY: 0.75, zoom: 2, flip: true });
+        expect(transform).toBe('translate(-50%, -50%) scale(-1, 1) translate(-25%, 25%) scale(2) translate(25%, -25%)');
+    });
+
+    it('should normalize rotations to quarter turns', () => {
+        expect(normalizeRotation(undefined)).toBe(0);
+        expect(normalizeRotation(-90)).toBe(270);
+        expect(normalizeRotation(450)).toBe(90);
+        expect(normalizeRotation(100)).toBe(90);
+    });
+
+    it('should swap the image box when turned a quarter', () => {
+        const img = document.createElement('img');
+        applyImageView(img, { fit: 'contain', rotation: 90, flipY: true });
+
+        expect(img.style.width).toBe('100cqh');
+        expect(img.style.height).toBe('100cqw');
+        expect(img.style.transform).toBe('translate(-50%, -50%) rotate(90deg) scale(1, -1)');
+        expect(img.dataset.rotation).toBe('90');
+        expect(img.dataset.flipY).toBe('true');
+    });
+
+    it('should map screen movement into image axes', () => {
+        // Turned clockwise: moving right on screen moves up in the image
+        const turned = screenToImageDelta({ rotation: 90 }, 10, 0);
+        expect(turned.dx).toBeCloseTo(0);
+        expect(turned.dy).toBeCloseTo(-10);
+        expect(screenToImageDelta({ rotation: 180, flipY: true }, 3, 4)).toEqual({ dx: -3, dy: 4 });
+    });
+
+    it('should frame <img> and background layers the same way', () => {
+        const image = { fit: 'cover', focalX: 0.2, focalY: 0.8, zoom: 1.5 };
+        const img = document.createElement('img');
+        const layer = document.createElement('div');
+        applyImageView(img, image);
+        applyImageView(layer, image);
+
+        expect(img.style.objectPosition).toBe('20% 80%');
+        expect(layer.style.backgroundPosition).toBe('20% 80%');
+        expect(layer.style.backgroundSize).toBe('cover');
+        expect(img.style.transform).toBe(layer.style.transform);
+        expect(layer.dataset.zoom).toBe('1.5');
+    });
+
+    it('should pan so the image follows the pointer', () => {
+        // 200x100 image covering a 100x100 cell overflows by 100px horizontally
+        const box = { width: 100, height: 100 };
+        const natural = { width: 200, height: 100 };
+
+        // Dragging right reveals the left part of the image
+        expect(panImageFocus({ fit: 'cover' }, box, natural, 50, 0)).toEqual({ focalX: 0, focalY: 0.5 });
+        expect(panImageFocus({ fit: 'cover' }, box, natural, -25, 0).focalX).toBeCloseTo(0.75);
+        // No vertical overflow, so vertical drags do nothing
+        expect(panImageFocus({ fit: 'cover' }, box, natural, 0, 40).focalY).toBe(0.5);
+        // A flipped image moves the other way in image space
+        expect(panImageFocus({ fit: 'cover', flip: true }, box, natural, -25, 0).focalX).toBeCloseTo(0.25);
+        // Turned a quarter, the overflow is vertical on screen
+        expect(panImageFocus({ fit: 'cover', rotation: 90 }, box, natural, 0, -25).focalX).toBeCloseTo(0.75);
+    });
+
+    it('should add an undo step only when a press actually pans', () => {
+        const saveState = vi.spyOn(history, 'saveState').mockImplementation(() => {});
+        const container = document.createElement('div');
+        container.id = 'rect-9';
+        const img = document.createElement('img');
+        container.appendChild(img);
+        document.body.appendChild(container);
+        Object.defineProperty(container, 'clientWidth', { value: 200 });
+        Object.defineProperty(container, 'clientHeight', { value: 100 });
+        Object.defineProperty(img, 'naturalWidth', { value: 400 });
+        Object.defineProperty(img, 'naturalHeight', { value: 400 });
+        const node = { id: 'rect-9', image: { assetId: 'a', fit: 'cover' } };
+        attachImageAdjustHandlers(container, img, node);
+        toggleImageAdjust('rect-9');
+
+        const press = (moves) => {
+            container.dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, clientX: 0, clientY: 0 }));
+            moves.forEach(([x, y]) => document.dispatchEvent(new MouseEvent('pointermove', { clientX: x, clientY: y })));
+            document.dispatchEvent(new MouseEvent('pointerup'));
+        };
+
+        press([[0, 0]]);
+        expect(saveState).not.toHaveBeenCalled();
+
+        press([[0, 10], [0, 20]]);
+        expect(saveState).toHaveBeenCalledTimes(1);
+        expect(node.image.focalY).not.toBe(0.5);
+
+        stopImageAdjust();
+        container.remove();
+        saveState.mockRestore();
+    });
+});
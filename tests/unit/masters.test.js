@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { state, getCurrentPage, switchPage, movePageProperties } from '../../src/js/core/state.js';
+import { saveState, undo, clearHistory } from '../../src/js/io/history.js';
+import { mergeNodesInTree } from '../../src/js/layout/internal/treeUtils.js';
+import { createMaster, findPageArea, getPageMaster, setMasterPageArea, removeMaster } from '../../src/js/layout/masters.js';
+import { renderLayout } from '../../src/js/layout/renderer.js';
+
+const leaf = (id, extra = {}) => ({ id, splitState: 'unsplit', image: null, text: null, ...extra });
+
+describe('masters.js', () => {
+    let master;
+
+    beforeEach(() => {
+        state.currentId = 100;
+        state.pages = [leaf('rect-1', { text: 'Page one' }), leaf('rect-2')];
+        state.currentPageIndex = 0;
+        state.masters = [];
+        state.editingMasterId = null;
+        clearHistory();
+
+        master = createMaster('Catalogue');
+        state.masters.push(master);
+    });
+
+    it('should create a header, a page area and a footer with fresh ids', () => {
+        expect(master.id).toMatch(/^master-/);
+        expect(master.layout.children).toHaveLength(3);
+        expect(master.layout.children.map(c => c.size)).toEqual(['10%', '82%', '8%']);
+        expect(findPageArea(master.layout)).toBe(master.layout.children[1]);
+        expect(master.layout.children.every(c => Number(c.id.slice(5)) > 100)).toBe(true);
+    });
+
+    it('should only resolve masters that still have a page area', () => {
+        const page = state.pages[0];
+        expect(getPageMaster(page)).toBeNull();
+
+        page.masterId = master.id;
+        expect(getPageMaster(page)).toBe(master);
+
+        delete findPageArea(master.layout).isPageArea;
+        expect(getPageMaster(page)).toBeNull();
+
+        expect(setMasterPageArea(master, master.layout.children[0].id)).toBe(true);
+        expect(getPageMaster(page)).toBe(master);
+    });
+
+    it('should refuse a page area with content', () => {
+        master.layout.children[0].text = 'Logo';
+        expect(setMasterPageArea(master, master.layout.children[0].id)).toBe(false);
+        expect(findPageArea(master.layout)).toBe(master.layout.children[1]);
+    });
+
+    it('should detach pages when their master is removed', () => {
+        state.pages[0].masterId = master.id;
+        removeMaster(master.id);
+        expect(state.masters).toHaveLength(0);
+        expect(state.pages[0].masterId).toBeUndefined();
+    });
+
+    it('should edit the master in place of the current page until the page changes', () => {
+        state.editingMasterId = master.id;
+        expect(getCurrentPage()).toBe(master.layout);
+
+        switchPage(1);
+        expect(state.editingMasterId).toBeNull();
+        expect(getCurrentPage()).toBe(state.pages[1]);
+    });
+
+    it('should undo changes to masters', () => {
+        saveState();
+        master.name = 'Renamed';
+        undo();
+        expect(state.masters[0].name).toBe('Catalogue');
+    });
+
+    it('should keep the master choice when the page root is replaced', () => {
+        const page = {
+            id: 'rect-1',
+            splitState: 'split',
+            orientation: 'vertical',
+            masterId: master.id,
+            children: [leaf('rect-5', { size: '50%', text: 'A' }), leaf('rect-6', { size: '50%' })]
+        };
+        mergeNodesInTree(page, 'rect-5');
+        expect(page.splitState).toBe('unsplit');
+        expect(page.masterId).toBe(master.id);
+
+        const wrapped = { ...page };
+        const newRoot = { id: 'rect-9', splitState: 'split', orientation: 'vertical', children: [wrapped] };
+        movePageProperties(wrapped, newRoot);
+        expect(newRoot.masterId).toBe(master.id);
+        expect(wrapped.masterId).toBeUndefined();
+    });
+
+    it('should render the page inside the master page area', () => {
+        const paper = document.createElement('div');
+        paper.id = 'a4-paper';
+        master.layout.children[0].text = 'Logo';
+        state.pages[0].masterId = master.id;
+
+        renderLayout(paper, state.pages[0]);
+
+        const pageArea = paper.querySelector('.master-page-area');
+        expect(pageArea.id).toBe('rect-1');
+        expect(pageArea.getAttribute('tabindex')).toBe('0');
+        expect(pageArea.textContent).toContain('Page one');
+
+        const header = paper.querySelector(`[id="${master.layout.children[0].id}"]`);
+        expect(header.classList.contains('master-region')).toBe(true);
+        expect(header.hasAttribute('tabindex')).toBe(false);
+        expect(header.textContent).toContain('Logo');
+    });
+
+    it('should not repeat master region IDs on a read-only facing paper', () => {
+        state.pages.forEach(page => { page.masterId = master.id; });
+        const paper = document.createElement('div');
+        paper.id = 'a4-paper';
+        const facing = document.createElement('div');
+        facing.className = 'a4-paper facing-paper';
+        document.body.append(paper, facing);
+
+        renderLayout(paper, state.pages[0]);
+        renderLayout(facing, state.pages[1], { hideControls: true });
+
+        const ids = [...document.querySelectorAll('[id]')].map(el => el.id);
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(facing.querySelector('.master-page-area').id).toBe('rect-2');
+        expect(facing.querySelectorAll('.master-region[id]')).toHaveLength(0);
+        paper.remove();
+        facing.remove();
+    });
+});
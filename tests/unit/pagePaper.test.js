@@ -0,0 +1,85 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { setPagePaper, getSizeChanges, getSizeChoice } from '../../src/js/layout/pagePaper.js';
+import { resetSettings, getSettings, getPageLayout, getPageBackgroundColor, applyPagePaper, getPhysicalPageSize } from '../../src/js/ui/settings.js';
+import { mergeNodesInTree } from '../../src/js/layout/internal/treeUtils.js';
+
+describe('pagePaper.js', () => {
+    afterEach(() => {
+        resetSettings();
+    });
+
+    it('should only keep the overrides that differ from the document', () => {
+        const page = { id: 'rect-1', splitState: 'unsplit' };
+
+        setPagePaper(page, getSizeChanges('preset:a5'));
+        expect(page.paper).toEqual({ ratio: 'physical', pageWidth: 148, pageHeight: 210, unit: 'mm' });
+        expect(getSizeChoice(page)).toBe('preset:a5');
+
+        setPagePaper(page, { isLandscape: true, backgroundColor: '#000000' });
+        setPagePaper(page, getSizeChanges('ratio:1'));
+        expect(page.paper).toEqual({ ratio: '1', isLandscape: true, backgroundColor: '#000000' });
+        expect(getSizeChoice(page)).toBe('ratio:1');
+
+        setPagePaper(page, { ...getSizeChanges(''), isLandscape: undefined, backgroundColor: undefined });
+        expect(page.paper).toBeUndefined();
+        expect(getSizeChoice(page)).toBe('');
+    });
+
+    it('should orient a physical size with the page', () => {
+        const page = { id: 'rect-1', paper: { ...getSizeChanges('preset:a4'), isLandscape: true } };
+        const layout = getPageLayout(page);
+        expect(layout.pageWidth).toBe(297);
+        expect(layout.pageHeight).toBe(210);
+        expect(getSizeChoice(page)).toBe('preset:a4');
+    });
+
+    it('should report sizes the menu does not offer', () => {
+        expect(getSizeChoice({ id: 'rect-1', paper: { ratio: 'custom', customX: 3, customY: 1 } })).toBe('other');
+    });
+
+    it('should convert the bleed and safe margin to the unit of the page', () => {
+        getSettings().paper.bleed = 3;
+        getSettings().paper.safeMargin = 5;
+        const page = { id: 'rect-1', paper: getSizeChanges('preset:letter') };
+
+        const physical = getPhysicalPageSize(page);
+        expect(physical.unit).toBe('in');
+        expect(physical.bleed).toBeCloseTo(3 / 25.4);
+        expect(physical.bleedPt).toBeCloseTo(8.5, 1);
+        expect(physical.safeMargin).toBeCloseTo(5 / 25.4);
+
+        const paper = document.createElement('div');
+        applyPagePaper(paper, page);
+        expect(Number(paper.style.getPropertyValue('--bleed-ratio'))).toBeCloseTo(3 / 25.4 / 8.5);
+    });
+
+    it('should set the paper properties of overriding pages only', () => {
+        const paper = document.createElement('div');
+        const page = { id: 'rect-1', paper: { ratio: '1', backgroundColor: '#112233' } };
+
+        applyPagePaper(paper, page);
+        expect(paper.style.getPropertyValue('--ratio')).toBe('1');
+        expect(paper.style.getPropertyValue('--paper-bg-color')).toBe('#112233');
+        expect(getPageBackgroundColor(page)).toBe('#112233');
+
+        // Back to the document: inherited from the root element again
+        applyPagePaper(paper, { id: 'rect-2' });
+        expect(paper.style.getPropertyValue('--ratio')).toBe('');
+        expect(paper.style.getPropertyValue('--paper-bg-color')).toBe('');
+    });
+
+    it('should keep the page paper when the page root is merged', () => {
+        const page = {
+            id: 'rect-1',
+            splitState: 'split',
+            orientation: 'vertical',
+            paper: { isLandscape: true },
+            children: [
+                { id: 'rect-2', splitState: 'unsplit', image: null, text: 'A', size: '50%' },
+                { id: 'rect-3', splitState: 'unsplit', image: null, text: null, size: '50%' }
+            ]
+        };
+        mergeNodesInTree(page, 'rect-2');
+        expect(page.paper).toEqual({ isLandscape: true });
+    });
+});
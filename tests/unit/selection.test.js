@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { state } from '../../src/js/core/state.js';
+import { undo, clearHistory } from '../../src/js/io/history.js';
+import {
+    rotateContents, applyTextStyle, toggleSelection, clearSelection, getSelection, getSelectedNodes, getSelectionRoot, selectAll,
+    setSelectionImageFit, setSelectionTextAlign, deleteSelection
+} from '../../src/js/layout/selection.js';
+
+const leaf = (id, extra = {}) => ({ id, splitState: 'unsplit', image: null, text: null, size: '50%', ...extra });
+const image = (assetId) => ({ assetId, fit: 'cover' });
+
+describe('selection.js', () => {
+    beforeEach(() => {
+        state.pages = [{
+            id: 'rect-1',
+            splitState: 'split',
+            orientation: 'vertical',
+            children: [
+                leaf('rect-2', { image: image('a') }),
+                {
+                    id: 'rect-3',
+                    splitState: 'split',
+                    orientation: 'horizontal',
+                    size: '50%',
+                    children: [leaf('rect-4', { text: 'Title', textAlign: 'left' }), leaf('rect-5', { image: image('b') })]
+                }
+            ]
+        }];
+        state.currentPageIndex = 0;
+        state.editingMasterId = null;
+        clearHistory();
+        document.body.innerHTML = '<div id="a4-paper"></div>';
+    });
+
+    afterEach(() => {
+        clearSelection();
+        document.body.innerHTML = '';
+    });
+
+    it('should cycle contents to the next rectangle', () => {
+        const nodes = [leaf('a', { text: 'A' }), leaf('b', { image: image('x') }), leaf('c')];
+        rotateContents(nodes);
+        expect(nodes.map(n => [n.text, n.image?.assetId ?? null])).toEqual([[null, null], ['A', null], [null, 'x']]);
+    });
+
+    it('should give every line the same block style', () => {
+        expect(applyTextStyle('# Title\n\n> quoted\nplain', 'h2')).toBe('## Title\n\n## quoted\n## plain');
+        expect(applyTextStyle('## Title\n> quoted', 'paragraph')).toBe('Title\nquoted');
+        expect(applyTextStyle('Line', 'quote')).toBe('> Line');
+    });
+
+    it('should toggle rectangles in and out of the selection', () => {
+        toggleSelection('rect-2');
+        toggleSelection('rect-5');
+        expect(getSelectedNodes().map(n => n.id)).toEqual(['rect-2', 'rect-5']);
+        toggleSelection('rect-2');
+        expect(getSelection()).toEqual(['rect-5']);
+    });
+
+    it('should change every selected image in one undo step', () => {
+        toggleSelection('rect-2');
+        toggleSelection('rect-4');
+        toggleSelection('rect-5');
+
+        expect(setSelectionImageFit('contain')).toBe(true);
+        const [a, , b] = state.pages[0].children.flatMap(c => c.children || [c]);
+        expect([a.image.fit, b.image.fit]).toEqual(['contain', 'contain']);
+
+        undo();
+        const restored = state.pages[0].children.flatMap(c => c.children || [c]);
+        expect(restored.filter(n => n.image).map(n => n.image.fit)).toEqual(['cover', 'cover']);
+    });
+
+    it('should find the smallest subtree holding the selection', () => {
+        expect(getSelectionRoot()).toBe(null);
+        toggleSelection('rect-4');
+        expect(getSelectionRoot().id).toBe('rect-4');
+        toggleSelection('rect-5');
+        expect(getSelectionRoot().id).toBe('rect-3');
+        selectAll();
+        expect(getSelection()).toHaveLength(3);
+        expect(getSelectionRoot().id).toBe('rect-1');
+    });
+
+    it('should only align texts', () => {
+        toggleSelection('rect-2');
+        expect(setSelectionTextAlign('center')).toBe(false);
+        toggleSelection('rect-4');
+        expect(setSelectionTextAlign('center')).toBe(true);
+        expect(state.pages[0].children[1].children[0].textAlign).toBe('center');
+    });
+
+    it('should clear contents first, then delete the empty rectangles', () => {
+        toggleSelection('rect-4');
+        toggleSelection('rect-5');
+
+        deleteSelection();
+        const column = state.pages[0].children[1];
+        expect(column.children.map(n => [n.text, n.image])).toEqual([[null, null], [null, null]]);
+        expect(getSelection()).toHaveLength(2);
+
+        deleteSelection();
+        expect(getSelection()).toHaveLength(0);
+        // Both halves of the column are gone, and the image takes the whole page
+        expect(state.pages[0]).toMatchObject({ id: 'rect-1', splitState: 'unsplit', image: { assetId: 'a' } });
+    });
+
+    it('should delete every selected empty rectangle of a split', () => {
+        state.pages[0].children[0].image = null;
+        selectAll();
+
+        deleteSelection();
+        deleteSelection();
+        expect(state.pages[0]).toMatchObject({ id: 'rect-1', splitState: 'unsplit', image: null, text: null });
+    });
+});
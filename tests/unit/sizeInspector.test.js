@@ -0,0 +1,101 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { state } from '../../src/js/core/state.js';
+import { undo, clearHistory } from '../../src/js/io/history.js';
+import { calculatePaperDimensions, getSettings } from '../../src/js/ui/settings.js';
+import { renderLayout } from '../../src/js/layout/renderer.js';
+import { parseSizeInput, getResizedSizes, setupSizeInspector } from '../../src/js/layout/sizeInspector.js';
+
+const leaf = (id, size) => ({ id, splitState: 'unsplit', image: null, text: null, size });
+
+describe('sizeInspector.js', () => {
+    it('should read sizes with or without a unit', () => {
+        expect(parseSizeInput('30%', 'mm')).toEqual({ value: 30, unit: '%' });
+        expect(parseSizeInput(' 45 mm ', '%')).toEqual({ value: 45, unit: 'mm' });
+        expect(parseSizeInput('2,5in', '%')).toEqual({ value: 2.5, unit: 'in' });
+        expect(parseSizeInput('120', 'px')).toEqual({ value: 120, unit: 'px' });
+        expect(parseSizeInput('.5', 'cm')).toEqual({ value: 0.5, unit: 'cm' });
+    });
+
+    it('should reject sizes it cannot read', () => {
+        expect(parseSizeInput('', '%')).toBeNull();
+        expect(parseSizeInput('0', '%')).toBeNull();
+        expect(parseSizeInput('-10%', '%')).toBeNull();
+        expect(parseSizeInput('12 ft', '%')).toBeNull();
+        expect(parseSizeInput('abc', '%')).toBeNull();
+    });
+
+    it('should give the difference to the neighbour only', () => {
+        const binary = { children: [{ size: '50%' }, { size: '50%' }] };
+        expect(getResizedSizes(binary, 0, 1, 30)).toEqual(['30%', '70%']);
+
+        const threeWay = { children: [{ size: '25%' }, { size: '25%' }, { size: '50%' }] };
+        expect(getResizedSizes(threeWay, 2, 1, 60)).toEqual(['25%', '15%', '60%']);
+
+        // Missing sizes count as equal shares
+        const unsized = { children: [{}, {}, {}, {}] };
+        expect(getResizedSizes(unsized, 1, 2, 10)).toEqual(['25%', '10%', '40%', '25%']);
+    });
+
+    it('should keep both cells above the minimum area', () => {
+        const binary = { children: [{ size: '50%' }, { size: '50%' }] };
+        expect(getResizedSizes(binary, 0, 1, 0.5)).toBeNull();
+        expect(getResizedSizes(binary, 0, 1, 99.5)).toBeNull();
+        expect(getResizedSizes(binary, 0, 1, 120)).toBeNull();
+
+        const threeWay = { children: [{ size: '20%' }, { size: '20%' }, { size: '60%' }] };
+        expect(getResizedSizes(threeWay, 0, 1, 39.5)).toBeNull();
+        expect(getResizedSizes(threeWay, 0, 1, 38)).toEqual(['38%', '2%', '60%']);
+    });
+
+    describe('inspector', () => {
+        afterEach(() => {
+            document.body.innerHTML = '';
+            clearHistory();
+        });
+
+        it('should resize the focused cell to a typed size as one undo step', () => {
+            state.pages = [{
+                id: 'rect-1',
+                splitState: 'split',
+                orientation: 'vertical',
+                children: [leaf('rect-2', '50%'), leaf('rect-3', '50%')]
+            }];
+            state.currentPageIndex = 0;
+            state.editingMasterId = null;
+            clearHistory();
+
+            document.body.innerHTML = `
+                <div id="a4-paper"></div>
+                <div id="size-inspector">
+                    <span class="size-inspector-title"></span>
+                    <div class="size-inspector-row"><label></label><input><span class="size-inspector-readout"></span></div>
+                    <div class="size-inspector-row"><label></label><input><span class="size-inspector-readout"></span></div>
+                </div>`;
+            renderLayout(document.getElementById('a4-paper'), state.pages[0]);
+            setupSizeInspector();
+
+            document.getElementById('rect-2').focus();
+            const [width, height] = document.querySelectorAll('#size-inspector input');
+            expect(width.disabled).toBe(false);
+            expect(height.disabled).toBe(false);
+
+            width.value = '30%';
+            width.dispatchEvent(new Event('change'));
+
+            // 30% of the page, the divider taking its share of the split
+            const paper = calculatePaperDimensions(state.pages[0]);
+            const gap = Math.max(paper.width, paper.height) * getSettings().dividers.width / 1000;
+            const [a, b] = state.pages[0].children.map(child => parseFloat(child.size));
+            expect(a).toBeCloseTo(30 * paper.width / (paper.width - gap), 3);
+            expect(a + b).toBeCloseTo(100, 3);
+
+            // Nothing splits the page across, so the height cannot change
+            height.value = '40%';
+            height.dispatchEvent(new Event('change'));
+            expect(state.pages[0].children[0].size).toBe(`${a}%`);
+
+            undo();
+            expect(state.pages[0].children.map(child => child.size)).toEqual(['50%', '50%']);
+        });
+    });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { getSpreads, getSpreadPosition } from '../../src/js/layout/spreads.js';
+
+describe('spreads.js', () => {
+    it('should pair pages after a single cover', () => {
+        expect(getSpreads(1, true)).toEqual([[0]]);
+        expect(getSpreads(4, true)).toEqual([[0], [1, 2], [3]]);
+        expect(getSpreads(5, true)).toEqual([[0], [1, 2], [3, 4]]);
+    });
+
+    it('should pair pages from the first one without a cover', () => {
+        expect(getSpreads(0, false)).toEqual([]);
+        expect(getSpreads(3, false)).toEqual([[0, 1], [2]]);
+        expect(getSpreads(4, false)).toEqual([[0, 1], [2, 3]]);
+    });
+
+    it('should find the facing page across the spine', () => {
+        expect(getSpreadPosition(0, 5, true)).toEqual({ side: 'single', facingIndex: null });
+        expect(getSpreadPosition(1, 5, true)).toEqual({ side: 'left', facingIndex: 2 });
+        expect(getSpreadPosition(2, 5, true)).toEqual({ side: 'right', facingIndex: 1 });
+        expect(getSpreadPosition(0, 5, false)).toEqual({ side: 'left', facingIndex: 1 });
+        expect(getSpreadPosition(4, 5, false)).toEqual({ side: 'single', facingIndex: null });
+    });
+});
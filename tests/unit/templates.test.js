@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { state } from '../../src/js/core/state.js';
+import {
+    extractTemplateStructure,
+    instantiateTemplate,
+    applyTemplateToLeaf,
+    extractSubtree,
+    instantiateSubtree,
+    isValidTemplateStructure,
+    saveTemplate,
+    getTemplates,
+    exportTemplatesJSON,
+    importTemplatesJSON
+} from '../../src/js/layout/templates.js';
+
+const page = {
+    id: 'rect-1',
+    splitState: 'split',
+    orientation: 'horizontal',
+    children: [
+        { id: 'rect-2', splitState: 'unsplit', size: '70%', image: { assetId: 'a1', fit: 'cover' }, text: null },
+        {
+            id: 'rect-3',
+            splitState: 'split',
+            orientation: 'vertical',
+            size: '30%',
+            children: [
+                { id: 'rect-4', splitState: 'unsplit', size: '50%', image: null, text: 'Caption', textAlign: 'center' },
+                { id: 'rect-5', splitState: 'unsplit', size: '50%', image: null, text: null }
+            ]
+        }
+    ]
+};
+
+describe('templates.js - structure', () => {
+    beforeEach(() => {
+        state.currentId = 10;
+        localStorage.clear();
+    });
+
+    it('should keep orientation and sizes but drop ids and content', () => {
+        const structure = extractTemplateStructure(page);
+
+        expect(structure.orientation).toBe('horizontal');
+        expect(structure.children[0]).toEqual({ splitState: 'unsplit', size: '70%' });
+        expect(structure.children[1].children[0]).toEqual({ splitState: 'unsplit', size: '50%' });
+        expect(JSON.stringify(structure)).not.toContain('rect-');
+    });
+
+    it('should optionally keep content placeholders', () => {
+        const structure = extractTemplateStructure(page, true);
+
+        expect(structure.children[0].placeholder).toBe('image');
+        expect(structure.children[1].children[0].placeholder).toBe('text');
+        expect(structure.children[1].children[0].textAlign).toBe('center');
+        expect(structure.children[1].children[1].placeholder).toBeUndefined();
+    });
+
+    it('should instantiate with fresh ids from state.currentId', () => {
+        const node = instantiateTemplate(extractTemplateStructure(page, true));
+
+        expect(node.id).toBe('rect-11');
+        expect(node.children.map(c => c.id)).toEqual(['rect-12', 'rect-13']);
+        expect(state.currentId).toBe(15);
+        expect(node.children[0].image).toBe(null);
+        expect(node.children[1].children[0].text).toBe('');
+        expect(node.children[1].children[1].text).toBe(null);
+    });
+
+    it('should apply a template into a leaf keeping its id and size', () => {
+        const leaf = { id: 'rect-9', splitState: 'unsplit', size: '40%', image: null, text: null };
+        applyTemplateToLeaf(leaf, extractTemplateStructure(page));
+
+        expect(leaf.id).toBe('rect-9');
+        expect(leaf.size).toBe('40%');
+        expect(leaf.splitState).toBe('split');
+        expect(leaf.children).toHaveLength(2);
+        expect(leaf.image).toBeUndefined();
+    });
+
+    it('should copy a subtree with its content and rebuild it with fresh ids', () => {
+        const subtree = extractSubtree({ ...page, masterId: 'master-1' });
+
+        expect(JSON.stringify(subtree)).not.toContain('rect-');
+        expect(subtree.masterId).toBeUndefined();
+        expect(isValidTemplateStructure(subtree)).toBe(true);
+
+        const node = instantiateSubtree(JSON.parse(JSON.stringify(subtree)));
+        expect(node.id).toBe('rect-11');
+        expect(node.children[0].image).toEqual({ assetId: 'a1', fit: 'cover' });
+        expect(node.children[0].image).not.toBe(page.children[0].image);
+        expect(node.children[1].children[0]).toMatchObject({ text: 'Caption', textAlign: 'center' });
+        expect(node.children[1].children[1].text).toBe(null);
+    });
+
+    it('should drop malformed content from a pasted subtree', () => {
+        const node = instantiateSubtree({ splitState: 'unsplit', image: { fit: 'cover' }, text: 42 });
+        expect(node.image).toBe(null);
+        expect(node.text).toBe(null);
+    });
+
+    it('should reject malformed structures', () => {
+        expect(isValidTemplateStructure({ splitState: 'split', orientation: 'vertical', children: [{ splitState: 'unsplit' }] })).toBe(false);
+        expect(isValidTemplateStructure({ splitState: 'split', orientation: 'diagonal', children: [] })).toBe(false);
+        expect(isValidTemplateStructure(null)).toBe(false);
+    });
+});
+
+describe('templates.js - library', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should save templates to preferences without a root size', () => {
+        saveTemplate(' Hero + strip ', page.children[1]);
+
+        const templates = getTemplates();
+        expect(templates).toHaveLength(1);
+        expect(templates[0].name).toBe('Hero + strip');
+        expect(templates[0].root.size).toBeUndefined();
+    });
+
+    it('should round-trip through export and import with new ids', () => {
+        const original = saveTemplate('Grid', page);
+        const json = exportTemplatesJSON();
+        localStorage.clear();
+
+        expect(importTemplatesJSON(json)).toBe(1);
+        const [imported] = getTemplates();
+        expect(imported.name).toBe('Grid');
+        expect(imported.id).not.toBe(original.id);
+        expect(imported.root).toEqual(original.root);
+    });
+
+    it('should refuse files that are not template libraries', () => {
+        expect(() => importTemplatesJSON(JSON.stringify({ pages: [] }))).toThrow('not a BROCO template library');
+    });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { deleteNodeFromTree } from '../../src/js/layout/internal/treeUtils.js';
+import { deleteNodeFromTree, countParallelLeaves, findChildIndexContaining } from '../../src/js/layout/internal/treeUtils.js';
 
 describe('treeUtils.js - deleteNodeFromTree', () => {
     it('should delete a node and merge its sibling into the parent', () => {
@@ -54,4 +54,86 @@ describe('treeUtils.js - deleteNodeFromTree', () => {
         const result = deleteNodeFromTree(root, 'nonexistent');
         expect(result).toBe(null);
     });
+
+    it('should give a deleted child\'s space to its neighbour in an N-way split', () => {
+        const root = {
+            id: 'root',
+            splitState: 'split',
+            orientation: 'vertical',
+            children: [
+                { id: 'a', splitState: 'unsplit', size: '20%' },
+                { id: 'b', splitState: 'unsplit', size: '30%' },
+                { id: 'c', splitState: 'unsplit', size: '50%' }
+            ]
+        };
+
+        const result = deleteNodeFromTree(root, 'b');
+
+        expect(result.id).toBe('a');
+        expect(root.splitState).toBe('split');
+        expect(root.children.map(c => c.id)).toEqual(['a', 'c']);
+        expect(root.children[0].size).toBe('50%');
+        expect(root.children[1].size).toBe('50%');
+    });
+
+    it('should give the first child\'s space to the next one in an N-way split', () => {
+        const root = {
+            id: 'root',
+            splitState: 'split',
+            orientation: 'horizontal',
+            children: [
+                { id: 'a', splitState: 'unsplit', size: '25%' },
+                { id: 'b', splitState: 'unsplit', size: '25%' },
+                { id: 'c', splitState: 'unsplit', size: '50%' }
+            ]
+        };
+
+        const result = deleteNodeFromTree(root, 'a');
+
+        expect(result.id).toBe('b');
+        expect(root.children.map(c => c.id)).toEqual(['b', 'c']);
+        expect(root.children[0].size).toBe('50%');
+    });
+});
+
+describe('treeUtils.js - N-way helpers', () => {
+    const row = {
+        id: 'row',
+        splitState: 'split',
+        orientation: 'vertical',
+        children: [
+            { id: 'a', splitState: 'unsplit' },
+            {
+                id: 'b',
+                splitState: 'split',
+                orientation: 'horizontal',
+                children: [
+                    { id: 'b1', splitState: 'unsplit' },
+                    { id: 'b2', splitState: 'unsplit' }
+                ]
+            },
+            {
+                id: 'c',
+                splitState: 'split',
+                orientation: 'vertical',
+                children: [
+                    { id: 'c1', splitState: 'unsplit' },
+                    { id: 'c2', splitState: 'unsplit' },
+                    { id: 'c3', splitState: 'unsplit' }
+                ]
+            }
+        ]
+    };
+
+    it('should count parallel leaves across all children', () => {
+        expect(countParallelLeaves(row, 'vertical')).toBe(5);
+        expect(countParallelLeaves(row, 'horizontal')).toBe(1);
+    });
+
+    it('should find the direct child containing a node', () => {
+        expect(findChildIndexContaining(row, 'a')).toBe(0);
+        expect(findChildIndexContaining(row, 'b2')).toBe(1);
+        expect(findChildIndexContaining(row, 'c3')).toBe(2);
+        expect(findChildIndexContaining(row, 'missing')).toBe(-1);
+    });
 });
@@ -0,0 +1,104 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { toPoints, fromPoints, toPixels, formatLength } from '../../src/js/core/units.js';
+import { loadSettings, resetSettings, calculateExportDimensions, calculatePaperDimensions, getPhysicalPageSize } from '../../src/js/ui/settings.js';
+
+describe('units.js', () => {
+    it('should convert physical units to points', () => {
+        expect(toPoints(1, 'in')).toBe(72);
+        expect(toPoints(25.4, 'mm')).toBeCloseTo(72);
+        expect(toPoints(2.54, 'cm')).toBeCloseTo(72);
+        expect(toPoints(10, 'pt')).toBe(10);
+        expect(fromPoints(72, 'mm')).toBeCloseTo(25.4);
+    });
+
+    it('should derive pixel sizes from DPI', () => {
+        // A4 at 300 DPI
+        expect(toPixels(210, 'mm', 300)).toBe(2480);
+        expect(toPixels(297, 'mm', 300)).toBe(3508);
+        // 8x10 inches at 300 DPI
+        expect(toPixels(8, 'in', 300)).toBe(2400);
+        expect(toPixels(10, 'in', 300)).toBe(3000);
+    });
+
+    it('should format lengths without noise', () => {
+        expect(formatLength(210, 'mm')).toBe('210 mm');
+        expect(formatLength(8.5, 'in')).toBe('8.5 in');
+    });
+});
+
+describe('settings.js - physical page sizes', () => {
+    afterEach(() => {
+        resetSettings();
+    });
+
+    it('should keep the legacy percent-based export size for ratio layouts', () => {
+        const { width, height } = calculatePaperDimensions();
+        const dims = calculateExportDimensions(2);
+
+        expect(getPhysicalPageSize()).toBe(null);
+        expect(dims.width).toBe(width * 2);
+        expect(dims.height).toBe(height * 2);
+        expect(dims.pageWidthPt).toBe(null);
+    });
+
+    it('should export physical sizes at their DPI with the PDF size in points', () => {
+        loadSettings({
+            layout: { ratio: 'physical', pageWidth: 8, pageHeight: 10, unit: 'in', dpi: 150 },
+            paper: {}
+        });
+
+        const dims = calculateExportDimensions(3);
+        expect(dims.width).toBe(1200);
+        expect(dims.height).toBe(1500);
+        expect(dims.pageWidthPt).toBe(576);
+        expect(dims.pageHeightPt).toBe(720);
+
+        // The editor paper keeps the physical aspect ratio
+        const paper = calculatePaperDimensions();
+        expect(paper.width / paper.height).toBeCloseTo(0.8, 2);
+    });
+
+    it('should add the bleed around the trim size', () => {
+        loadSettings({
+            layout: { ratio: 'physical', pageWidth: 210, pageHeight: 297, unit: 'mm', dpi: 300 },
+            paper: { bleed: 3, safeMargin: 5 }
+        });
+
+        const dims = calculateExportDimensions();
+        expect(dims.width).toBe(2480);
+        expect(dims.bleed).toBe(35);
+        expect(dims.bleedPt).toBeCloseTo(8.504, 3);
+        expect(getPhysicalPageSize().safeMargin).toBe(5);
+    });
+
+    it('should size a page from its own overrides', () => {
+        loadSettings({
+            layout: { ratio: 'physical', pageWidth: 210, pageHeight: 297, unit: 'mm', dpi: 300 },
+            paper: { bleed: 3 }
+        });
+
+        // Landscape fold-out: only the orientation is overridden
+        const foldOut = { id: 'rect-1', paper: { isLandscape: true } };
+        const dims = calculateExportDimensions(1, foldOut);
+        expect(dims.width).toBe(3508);
+        expect(dims.height).toBe(2480);
+        expect(dims.bleed).toBe(35);
+
+        // Square cover in a physical document
+        const cover = { id: 'rect-2', paper: { ratio: '1' } };
+        expect(getPhysicalPageSize(cover)).toBe(null);
+        const paper = calculatePaperDimensions(cover);
+        expect(paper.width).toBe(paper.height);
+
+        // Pages without overrides follow the document
+        expect(calculateExportDimensions(1, { id: 'rect-3' }).width).toBe(2480);
+    });
+
+    it('should ignore the bleed for ratio layouts', () => {
+        loadSettings({ layout: { ratio: 1.414 }, paper: { bleed: 3 } });
+
+        const dims = calculateExportDimensions();
+        expect(dims.bleed).toBe(0);
+        expect(dims.bleedPt).toBe(0);
+    });
+});